@@ -24,7 +24,8 @@ async function debugFlightSearch() {
     // Start the flight search task
     console.log('🚀 Starting flight search task...');
     const taskResponse = await axios.post(`${baseUrl}/api/sessions/${sessionId}/nl-tasks`, {
-      task: 'Search for the next flight from Frankfurt to London Heathrow'
+      task: 'Search for the next flight from Frankfurt to London Heathrow',
+      wait: true
     });
     
     console.log('⏳ Waiting for task completion...');
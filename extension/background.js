@@ -1,22 +1,29 @@
 // Background service worker for browser automation extension
 
+importScripts('commandRegistry.js');
+
 class BackgroundService {
   constructor() {
     this.wsConnection = null;
     this.sessionId = null;
+    this.extensionId = null; // Identity this extension pairs and reconnects with
+    this.credential = null; // Signed credential for reconnecting to the paired session
     this.connectionStatus = 'disconnected';
     this.serverUrl = 'wss://browserless.corrently.cloud/ws';
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
     this.workingTabId = null; // Track the tab used for automation
+    this.automationTabs = new Set(); // Tabs opened by automation or by pages in those tabs
+    this.commandTabId = null; // Tab override (payload.tabId) for the command being executed
+    this.pendingStorage = new Map(); // origin -> { localStorage, sessionStorage } imported but not yet restored
     this.autoConnectEnabled = true; // Enable auto-connect by default
     this.autoCreateSession = true; // Enable auto-session creation by default
     this.connectionHeartbeat = null; // For connection monitoring
     this.lastHeartbeat = null;
     
     // Version check properties
-    this.currentVersion = '1.0.1'; // Current extension version
+    this.currentVersion = '1.1.0'; // Current extension version
     this.latestVersion = null;
     this.versionCheckUrl = 'https://browserless.corrently.cloud/api/extension/version';
     this.versionCheckInterval = null;
@@ -51,13 +58,30 @@ class BackgroundService {
         this.notifyNavigationComplete(tab.url);
       }
     });
+
+    // Track popups and new tabs opened from automated tabs
+    chrome.tabs.onCreated.addListener((tab) => {
+      if (tab.openerTabId !== undefined && this.automationTabs.has(tab.openerTabId)) {
+        this.automationTabs.add(tab.id);
+        console.log('Tracking tab', tab.id, 'opened by', tab.openerTabId);
+      }
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.automationTabs.delete(tabId);
+      if (this.workingTabId === tabId) {
+        const remaining = Array.from(this.automationTabs);
+        this.workingTabId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+      }
+    });
   }
 
   async loadStoredSession() {
     try {
-      const result = await chrome.storage.local.get(['sessionId', 'serverUrl', 'autoConnectEnabled', 'autoCreateSession']);
+      const result = await chrome.storage.local.get(['sessionId', 'serverUrl', 'autoConnectEnabled', 'autoCreateSession', 'credential']);
       if (result.sessionId) {
         this.sessionId = result.sessionId;
+        this.credential = result.credential || null;
         console.log('Loaded stored session:', this.sessionId);
       }
       if (result.serverUrl) {
@@ -96,6 +120,37 @@ class BackgroundService {
     }
   }
 
+  async getExtensionId() {
+    if (!this.extensionId) {
+      const result = await chrome.storage.local.get(['extensionId']);
+      this.extensionId = result.extensionId || crypto.randomUUID();
+      if (!result.extensionId) {
+        await chrome.storage.local.set({ extensionId: this.extensionId });
+      }
+    }
+    return this.extensionId;
+  }
+
+  async saveCredential(credential) {
+    this.credential = credential;
+    try {
+      await chrome.storage.local.set({ credential });
+    } catch (error) {
+      console.error('Failed to save credential:', error);
+    }
+  }
+
+  // Ask the service for a pairing token; only works if this browser may manage the session
+  async requestPairingToken(sessionId) {
+    const serverBaseUrl = this.serverUrl.replace('ws://', 'http://').replace('wss://', 'https://').replace('/ws', '');
+    const response = await fetch(`${serverBaseUrl}/api/sessions/${sessionId}/pairing`, { method: 'POST' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.pairingToken) {
+      throw new Error(data.error || data.message || 'Pairing token required to connect to this session');
+    }
+    return data.pairingToken;
+  }
+
   async saveSession() {
     try {
       await chrome.storage.local.set({
@@ -111,8 +166,9 @@ class BackgroundService {
 
   async clearSession() {
     try {
-      await chrome.storage.local.remove(['sessionId', 'serverUrl']);
+      await chrome.storage.local.remove(['sessionId', 'serverUrl', 'credential']);
       this.sessionId = null;
+      this.credential = null;
     } catch (error) {
       console.error('Failed to clear session:', error);
     }
@@ -123,7 +179,7 @@ class BackgroundService {
 
     switch (message.type) {
       case 'connect':
-        this.connect(message.sessionId, message.serverUrl)
+        this.connect(message.sessionId, message.serverUrl, message.pairingToken)
           .then(result => sendResponse(result))
           .catch(error => sendResponse({ success: false, error: error.message }));
         break;
@@ -190,21 +246,37 @@ class BackgroundService {
     }
   }
 
-  async connect(sessionId, serverUrl) {
+  async connect(sessionId, serverUrl, pairingToken = null) {
     console.log('Background script: Starting connection process...', { sessionId, serverUrl });
     
     if (!sessionId) {
       throw new Error('Session ID is required');
     }
 
+    // A credential only belongs to the session it was issued for
+    if (sessionId !== this.sessionId) {
+      this.credential = null;
+    }
     this.sessionId = sessionId;
     this.serverUrl = serverUrl || this.serverUrl;
     
     await this.saveSession();
+
+    // Pair first unless we hold a credential for this session
+    const extensionId = await this.getExtensionId();
+    if (!pairingToken && !this.credential) {
+      pairingToken = await this.requestPairingToken(sessionId);
+    }
+    const params = new URLSearchParams({ sessionId, extensionId });
+    if (pairingToken) {
+      params.set('pairingToken', pairingToken);
+    } else {
+      params.set('credential', this.credential);
+    }
     
     return new Promise((resolve, reject) => {
-      const wsUrl = `${this.serverUrl}?sessionId=${sessionId}`;
-      console.log('Background script: Connecting to:', wsUrl);
+      const wsUrl = `${this.serverUrl}?${params}`;
+      console.log('Background script: Connecting to:', this.serverUrl, { sessionId, pairing: Boolean(pairingToken) });
 
       this.wsConnection = new WebSocket(wsUrl);
 
@@ -227,7 +299,10 @@ class BackgroundService {
         this.connectionStatus = 'disconnected';
         this.notifyPopup({ type: 'connection_status', status: 'disconnected' });
         
-        if (event.code !== 1000) { // Not a normal close
+        if (event.code === 1008) { // Unpaired by the session owner; pairing again needs a new token
+          this.credential = null;
+          chrome.storage.local.remove(['credential']);
+        } else if (event.code !== 1000) { // Not a normal close
           this.attemptReconnect();
         }
       };
@@ -289,6 +364,9 @@ class BackgroundService {
       switch (message.type) {
         case 'registered':
           console.log('Successfully registered with session:', message.sessionId);
+          if (message.credential) {
+            this.saveCredential(message.credential);
+          }
           break;
 
         case 'command':
@@ -315,8 +393,23 @@ class BackgroundService {
     console.log('Executing command:', command.type, 'with ID:', commandId, 'payload:', command.payload);
 
     try {
+      // Commands run in the working tab unless payload.tabId picks another one
+      const tabCommands = ['list_tabs', 'new_tab', 'switch_tab', 'close_tab'];
+      const storageCommands = ['export_storage_state', 'import_storage_state'];
+      const payloadTabId = command.payload?.tabId;
+      this.commandTabId = null;
+      if (!tabCommands.includes(command.type) && payloadTabId !== undefined && payloadTabId !== null) {
+        const tabId = parseInt(payloadTabId, 10);
+        if (!Number.isInteger(tabId)) {
+          // Falling back to the working tab would run the command in a tab the caller did not pick
+          throw new Error(`Unknown tab: ${payloadTabId}`);
+        }
+        this.commandTabId = tabId;
+      }
+
       // Check if we have a working tab for non-navigate commands
-      if (command.type !== 'navigate' && !this.workingTabId) {
+      const needsTab = command.type !== 'navigate' && !tabCommands.includes(command.type) && !storageCommands.includes(command.type);
+      if (needsTab && !this.workingTabId && !this.commandTabId) {
         console.warn('No working tab established. Some commands may require navigation first.');
         // For certain commands, we can still try to use the active tab
         if (['get_page_elements', 'getTitle', 'screenshot'].includes(command.type)) {
@@ -331,42 +424,36 @@ class BackgroundService {
       switch (command.type) {
         case 'navigate':
           result = await this.executeNavigate(command.payload);
+          if (await this.restorePendingStorage(result.tabId)) {
+            result.storageStateRestored = true;
+          }
           break;
         case 'screenshot':
           result = await this.executeScreenshot(command.payload);
           break;
-        case 'extract':
-          result = await this.executeExtract(command.payload);
+        case 'list_tabs':
+          result = await this.executeListTabs();
           break;
-        case 'execute':
-          result = await this.executeScript(command.payload);
+        case 'new_tab':
+          result = await this.executeNewTab(command.payload);
           break;
-        case 'click':
-          result = await this.executeClick(command.payload);
+        case 'switch_tab':
+          result = await this.executeSwitchTab(command.payload);
           break;
-        case 'type':
-          result = await this.executeType(command.payload);
+        case 'close_tab':
+          result = await this.executeCloseTab(command.payload);
           break;
-        case 'scroll':
-          result = await this.executeScroll(command.payload);
+        case 'export_storage_state':
+          result = await this.executeExportStorageState(command.payload);
           break;
-        case 'get_page_elements':
-          result = await this.executeGetPageElements(command.payload);
-          break;
-        case 'getTitle':
-          result = await this.executeGetTitle(command.payload);
-          break;
-        case 'getText':
-          result = await this.executeGetText(command.payload);
-          break;
-        case 'evaluate':
-          result = await this.executeEvaluate(command.payload);
-          break;
-        case 'waitForElement':
-          result = await this.executeWaitForElement(command.payload);
+        case 'import_storage_state':
+          result = await this.executeImportStorageState(command.payload);
           break;
         default:
-          throw new Error(`Unknown command type: ${command.type}`);
+          if (!CommandRegistry.getCommand(command.type)?.page) {
+            throw new Error(`Unknown command type: ${command.type}`);
+          }
+          result = await this.executePageCommand(command.type, command.payload || {});
       }
 
       console.log('Command executed successfully:', commandId, 'Result:', result);
@@ -374,6 +461,8 @@ class BackgroundService {
     } catch (error) {
       console.error('Command execution failed:', commandId, error);
       this.sendCommandResult(commandId, false, null, error.message);
+    } finally {
+      this.commandTabId = null;
     }
   }
 
@@ -385,6 +474,7 @@ class BackgroundService {
     // Create a new tab for navigation instead of using the current tab
     const newTab = await chrome.tabs.create({ url, active: true });
     this.workingTabId = newTab.id; // Store the working tab ID for future commands
+    this.automationTabs.add(newTab.id);
     
     console.log('Created new tab:', newTab.id, 'for URL:', url);
     
@@ -435,6 +525,15 @@ class BackgroundService {
 
   // Helper function to get the working tab
   async getWorkingTab() {
+    // An explicit payload.tabId must exist, there is no fallback
+    if (this.commandTabId) {
+      try {
+        return await chrome.tabs.get(this.commandTabId);
+      } catch (error) {
+        throw new Error(`Unknown tab: ${this.commandTabId}`);
+      }
+    }
+
     // If we have a working tab ID, verify it still exists and is valid
     if (this.workingTabId) {
       try {
@@ -484,352 +583,357 @@ class BackgroundService {
     };
   }
 
-  async executeExtract(payload) {
-    const { selector, attribute, multiple } = payload;
+  // Page and input commands run the shared registry implementation in the working tab
+  async executePageCommand(type, payload) {
     const tab = await this.getWorkingTab();
-
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (selector, attribute, multiple) => {
-        const elements = document.querySelectorAll(selector);
-        const extractData = (element) => {
-          if (attribute) {
-            return element.getAttribute(attribute);
-          } else {
-            return {
-              text: element.textContent?.trim(),
-              html: element.innerHTML,
-              tagName: element.tagName.toLowerCase(),
-              attributes: Array.from(element.attributes).reduce((acc, attr) => {
-                acc[attr.name] = attr.value;
-                return acc;
-              }, {})
-            };
+    // Scripts of execute/evaluate need the page's own globals, the rest stay in the isolated world
+    const world = CommandRegistry.getCommand(type).mainWorld ? 'MAIN' : 'ISOLATED';
+
+    return CommandRegistry.executePageCommand(type, payload, async (type, payload) => {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        world,
+        files: ['commandRegistry.js']
+      });
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        world,
+        func: async (type, payload) => {
+          // Errors are returned as values, exceptions of injected functions do not reach the caller
+          try {
+            return { value: await self.CommandRegistry.runInPage(type, payload) };
+          } catch (error) {
+            return { error: error.message };
           }
-        };
-
-        if (multiple) {
-          return Array.from(elements).map(extractData);
-        } else {
-          return elements.length > 0 ? extractData(elements[0]) : null;
-        }
-      },
-      args: [selector, attribute, multiple]
+        },
+        args: [type, payload]
+      });
+      const outcome = results[0].result;
+      if (!outcome || outcome.error) {
+        throw new Error(outcome?.error || `${type} did not return a result`);
+      }
+      return outcome.value;
     });
-
-    return {
-      data: results[0].result,
-      selector,
-      count: multiple ? (results[0].result?.length || 0) : (results[0].result ? 1 : 0),
-      timestamp: new Date().toISOString()
-    };
   }
 
-  async executeScript(payload) {
-    const { script } = payload;
-    const tab = await this.getWorkingTab();
-
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: new Function(script)
-    });
-
-    return {
-      result: results[0].result,
-      timestamp: new Date().toISOString()
-    };
+  cancelCommand(commandId) {
+    console.log('Command cancellation requested:', commandId);
+    // For now, just log it. In a more complex implementation,
+    // we could track running commands and actually cancel them
   }
 
-  async executeClick(payload) {
-    const { selector } = payload;
-    return this.executeElementAction(selector, 'click');
+  sendCommandResult(commandId, success, result, error) {
+    if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
+      const message = {
+        type: 'command_result',
+        commandId,
+        success,
+        result,
+        error
+      };
+      
+      this.wsConnection.send(JSON.stringify(message));
+      console.log('Command result sent:', commandId, success);
+    }
   }
 
-  async executeType(payload) {
-    const { selector, text } = payload;
-    return this.executeElementAction(selector, 'type', { text });
+  notifyNavigationComplete(url) {
+    this.notifyPopup({
+      type: 'navigation_complete',
+      url,
+      timestamp: new Date().toISOString()
+    });
   }
 
-  async executeScroll(payload) {
-    const { x = 0, y = 0, selector } = payload;
-    const tab = await this.getWorkingTab();
-
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (x, y, selector) => {
-        if (selector) {
-          const element = document.querySelector(selector);
-          if (element) {
-            element.scrollTo(x, y);
-          } else {
-            throw new Error(`Element not found: ${selector}`);
-          }
-        } else {
-          window.scrollTo(x, y);
-        }
-        return { x: window.scrollX, y: window.scrollY };
-      },
-      args: [x, y, selector]
+  notifyPopup(message) {
+    console.log('Background script: Sending message to popup:', message);
+    // Try to send message to popup if it's open
+    chrome.runtime.sendMessage(message).catch((error) => {
+      console.log('Background script: Could not send message to popup (popup might not be open):', error);
     });
+  }
 
+  describeTab(tab) {
     return {
-      scrollPosition: results[0].result,
-      timestamp: new Date().toISOString()
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      active: tab.id === this.workingTabId
     };
   }
 
-  async executeElementAction(selector, action, params = {}) {
-    const tab = await this.getWorkingTab();
-
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (selector, action, params) => {
-        const element = document.querySelector(selector);
-        if (!element) {
-          throw new Error(`Element not found: ${selector}`);
-        }
-
-        switch (action) {
-          case 'click':
-            element.click();
-            break;
-          case 'type':
-            element.focus();
-            element.value = params.text;
-            element.dispatchEvent(new Event('input', { bubbles: true }));
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-            break;
-          default:
-            throw new Error(`Unknown action: ${action}`);
-        }
-
-        return {
-          selector,
-          action,
-          element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id,
-            className: element.className
-          }
-        };
-      },
-      args: [selector, action, params]
-    });
+  async executeListTabs() {
+    // Same shape as the server browser: only tabs under automation control
+    const tabs = await this.getAutomationTabList();
 
     return {
-      ...results[0].result,
+      tabs: tabs.map(tab => this.describeTab(tab)),
+      activeTabId: this.workingTabId,
       timestamp: new Date().toISOString()
     };
   }
 
-  // Additional command methods for better API compatibility
-  async executeGetPageElements(payload) {
-    const tab = await this.getWorkingTab();
-    
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: () => {
-        // Get all interactive elements on the page
-        const selectors = [
-          'a[href]', 'button', 'input', 'select', 'textarea',
-          '[onclick]', '[role="button"]', '[role="link"]',
-          'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-          '.headline', '.title', '.news-item', '[data-testid*="headline"]',
-          '.article-title', '.story-title', '.promo-heading'
-        ];
-        
-        const elements = [];
-        selectors.forEach(selector => {
-          const found = document.querySelectorAll(selector);
-          found.forEach(el => {
-            if (el.textContent && el.textContent.trim()) {
-              elements.push({
-                tagName: el.tagName.toLowerCase(),
-                text: el.textContent.trim(),
-                href: el.href || null,
-                id: el.id || null,
-                className: el.className || null,
-                selector: selector,
-                position: {
-                  x: el.offsetLeft,
-                  y: el.offsetTop,
-                  width: el.offsetWidth,
-                  height: el.offsetHeight
-                }
-              });
-            }
-          });
-        });
-        
-        return {
-          elements: elements,
-          totalCount: elements.length,
-          url: window.location.href,
-          title: document.title
-        };
-      },
-      args: []
-    });
+  async executeNewTab(payload = {}) {
+    const activate = payload.activate !== false;
+    const tab = await chrome.tabs.create({ url: payload.url || 'about:blank', active: activate });
+    this.automationTabs.add(tab.id);
+    if (activate) {
+      this.workingTabId = tab.id;
+    }
 
     return {
-      ...results[0].result,
+      ...this.describeTab(tab),
       timestamp: new Date().toISOString()
     };
   }
 
-  async executeGetTitle(payload) {
-    const tab = await this.getWorkingTab();
-    
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: () => {
-        return {
-          title: document.title,
-          url: window.location.href
-        };
-      },
-      args: []
-    });
+  async executeSwitchTab(payload = {}) {
+    const tabId = parseInt(payload.tabId, 10);
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      throw new Error(`Unknown tab: ${payload.tabId}`);
+    }
+
+    await chrome.tabs.update(tab.id, { active: true });
+    this.automationTabs.add(tab.id);
+    this.workingTabId = tab.id;
 
     return {
-      ...results[0].result,
+      ...this.describeTab(tab),
       timestamp: new Date().toISOString()
     };
   }
 
-  async executeGetText(payload) {
-    const { selector } = payload;
-    const tab = await this.getWorkingTab();
+  async executeCloseTab(payload = {}) {
+    const tabId = payload.tabId !== undefined && payload.tabId !== null
+      ? parseInt(payload.tabId, 10)
+      : this.workingTabId;
+    if (!tabId) {
+      throw new Error('No tab to close');
+    }
 
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (selector) => {
-        const element = document.querySelector(selector);
-        if (!element) {
-          throw new Error(`Element not found: ${selector}`);
-        }
-        
-        return {
-          text: element.textContent?.trim(),
-          innerHTML: element.innerHTML,
-          selector: selector
-        };
-      },
-      args: [selector]
-    });
+    try {
+      await chrome.tabs.remove(tabId);
+    } catch (error) {
+      throw new Error(`Unknown tab: ${tabId}`);
+    }
+
+    // onRemoved also does this, but the result should reflect the new state
+    this.automationTabs.delete(tabId);
+    if (this.workingTabId === tabId) {
+      const remaining = Array.from(this.automationTabs);
+      this.workingTabId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+    }
 
     return {
-      ...results[0].result,
+      closed: tabId,
+      activeTabId: this.workingTabId,
       timestamp: new Date().toISOString()
     };
   }
 
-  async executeEvaluate(payload) {
-    const { script } = payload;
-    const tab = await this.getWorkingTab();
+  getOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (scriptCode) => {
-        // Safely evaluate the script
-        try {
-          return eval(scriptCode);
-        } catch (error) {
-          throw new Error(`Script evaluation failed: ${error.message}`);
-        }
-      },
-      args: [script]
-    });
+  async getAutomationTabList() {
+    if (this.workingTabId) {
+      this.automationTabs.add(this.workingTabId);
+    }
+    const tabs = [];
+    for (const tabId of this.automationTabs) {
+      try {
+        tabs.push(await chrome.tabs.get(tabId));
+      } catch (error) {
+        this.automationTabs.delete(tabId);
+      }
+    }
+    return tabs;
+  }
+
+  async executeExportStorageState(payload = {}) {
+    // Only origins under automation control are exported, never the whole profile;
+    // requested origins narrow the export but cannot reach beyond them
+    const tabs = await this.getAutomationTabList();
+    const controlled = Array.from(new Set([
+      ...tabs.map(tab => this.getOrigin(tab.url)).filter(Boolean),
+      ...this.pendingStorage.keys()
+    ]));
+    const requested = Array.isArray(payload.origins) && payload.origins.length > 0
+      ? payload.origins.map(origin => this.getOrigin(origin)).filter(Boolean)
+      : null;
+    const outside = (requested || []).filter(origin => !controlled.includes(origin));
+    if (outside.length > 0) {
+      throw new Error(`Origins not open in automation tabs: ${outside.join(', ')}`);
+    }
+    const origins = requested || controlled;
+
+    const cookies = new Map();
+    for (const origin of origins) {
+      for (const cookie of await chrome.cookies.getAll({ url: origin })) {
+        const sameSite = { strict: 'Strict', lax: 'Lax', no_restriction: 'None' }[cookie.sameSite];
+        cookies.set(`${cookie.name}|${cookie.domain}|${cookie.path}`, {
+          name: cookie.name,
+          value: cookie.value,
+          domain: cookie.domain,
+          path: cookie.path,
+          expires: cookie.session ? -1 : cookie.expirationDate,
+          httpOnly: cookie.httpOnly,
+          secure: cookie.secure,
+          ...(sameSite ? { sameSite } : {})
+        });
+      }
+    }
+
+    const storage = new Map();
+    for (const tab of tabs) {
+      const origin = this.getOrigin(tab.url);
+      if (!origin || !origins.includes(origin) || storage.has(origin)) {
+        continue;
+      }
+      try {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: () => {
+            const read = storage => Array.from({ length: storage.length }, (_, index) => {
+              const name = storage.key(index);
+              return { name, value: storage.getItem(name) };
+            });
+            return { localStorage: read(localStorage), sessionStorage: read(sessionStorage) };
+          }
+        });
+        storage.set(origin, { origin, ...results[0].result });
+      } catch (error) {
+        console.warn('Could not read storage of tab', tab.id, error);
+      }
+    }
+    for (const [origin, entry] of this.pendingStorage.entries()) {
+      if (origins.includes(origin) && !storage.has(origin)) {
+        storage.set(origin, { origin, ...entry });
+      }
+    }
 
     return {
-      result: results[0].result,
-      script: script,
+      storageState: {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        cookies: Array.from(cookies.values()),
+        origins: Array.from(storage.values())
+      },
       timestamp: new Date().toISOString()
     };
   }
 
-  async executeWaitForElement(payload) {
-    const { selector, timeout = 10000 } = payload;
-    const tab = await this.getWorkingTab();
+  async executeImportStorageState(payload = {}) {
+    const storageState = payload.storageState || {};
+    const cookies = storageState.cookies || [];
+    const origins = storageState.origins || [];
+
+    for (const cookie of cookies) {
+      const host = cookie.domain.replace(/^\./, '');
+      const details = {
+        url: `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path || '/'}`,
+        name: cookie.name,
+        value: cookie.value,
+        path: cookie.path || '/',
+        secure: cookie.secure === true,
+        httpOnly: cookie.httpOnly === true
+      };
+      // Host-only cookies must not get a domain attribute
+      if (cookie.domain.startsWith('.')) {
+        details.domain = cookie.domain;
+      }
+      if (typeof cookie.expires === 'number' && cookie.expires > 0) {
+        details.expirationDate = cookie.expires;
+      }
+      if (cookie.sameSite) {
+        details.sameSite = { Strict: 'strict', Lax: 'lax', None: 'no_restriction' }[cookie.sameSite];
+      }
+      await chrome.cookies.set(details);
+    }
 
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (selector, timeout) => {
-        return new Promise((resolve, reject) => {
-          const startTime = Date.now();
-          
-          const checkElement = () => {
-            const element = document.querySelector(selector);
-            if (element) {
-              resolve({
-                found: true,
-                selector: selector,
-                waitTime: Date.now() - startTime,
-                element: {
-                  tagName: element.tagName.toLowerCase(),
-                  text: element.textContent?.trim(),
-                  id: element.id || null,
-                  className: element.className || null
-                }
-              });
-            } else if (Date.now() - startTime >= timeout) {
-              resolve({
-                found: false,
-                selector: selector,
-                waitTime: timeout,
-                error: 'Element not found within timeout'
-              });
-            } else {
-              setTimeout(checkElement, 100);
-            }
-          };
-          
-          checkElement();
-        });
-      },
-      args: [selector, timeout]
-    });
+    // Web storage is written from a document of its origin: open tabs now, the rest on navigate
+    const tabs = await this.getAutomationTabList();
+    let appliedOrigins = 0;
+    for (const { origin, localStorage = [], sessionStorage = [] } of origins) {
+      const entry = { localStorage, sessionStorage };
+      const tab = tabs.find(candidate => this.getOrigin(candidate.url) === origin);
+      if (tab) {
+        await this.writeTabStorage(tab.id, entry);
+        this.pendingStorage.delete(origin);
+        appliedOrigins++;
+      } else {
+        this.pendingStorage.set(origin, entry);
+      }
+    }
 
     return {
-      ...results[0].result,
+      imported: {
+        cookies: cookies.length,
+        origins: origins.length,
+        appliedOrigins,
+        pendingOrigins: Array.from(this.pendingStorage.keys())
+      },
       timestamp: new Date().toISOString()
     };
   }
 
-  cancelCommand(commandId) {
-    console.log('Command cancellation requested:', commandId);
-    // For now, just log it. In a more complex implementation,
-    // we could track running commands and actually cancel them
+  async writeTabStorage(tabId, entry) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (items) => {
+        for (const { name, value } of items.localStorage) {
+          localStorage.setItem(name, value);
+        }
+        for (const { name, value } of items.sessionStorage) {
+          sessionStorage.setItem(name, value);
+        }
+      },
+      args: [entry]
+    });
   }
 
-  sendCommandResult(commandId, success, result, error) {
-    if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
-      const message = {
-        type: 'command_result',
-        commandId,
-        success,
-        result,
-        error
-      };
-      
-      this.wsConnection.send(JSON.stringify(message));
-      console.log('Command result sent:', commandId, success);
+  // Restore imported storage after the first navigation to its origin, then
+  // reload so the page starts with it
+  async restorePendingStorage(tabId) {
+    if (!tabId || this.pendingStorage.size === 0) {
+      return false;
+    }
+    const tab = await chrome.tabs.get(tabId);
+    const origin = this.getOrigin(tab.url);
+    const entry = origin && this.pendingStorage.get(origin);
+    if (!entry) {
+      return false;
     }
-  }
 
-  notifyNavigationComplete(url) {
-    this.notifyPopup({
-      type: 'navigation_complete',
-      url,
-      timestamp: new Date().toISOString()
-    });
+    await this.writeTabStorage(tabId, entry);
+    this.pendingStorage.delete(origin);
+    await this.reloadTab(tabId);
+    return true;
   }
 
-  notifyPopup(message) {
-    console.log('Background script: Sending message to popup:', message);
-    // Try to send message to popup if it's open
-    chrome.runtime.sendMessage(message).catch((error) => {
-      console.log('Background script: Could not send message to popup (popup might not be open):', error);
+  reloadTab(tabId) {
+    return new Promise((resolve) => {
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          clearTimeout(timeout);
+          chrome.tabs.onUpdated.removeListener(listener);
+          resolve();
+        }
+      };
+      const timeout = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }, 30000);
+      chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.reload(tabId);
     });
   }
 
@@ -837,10 +941,13 @@ class BackgroundService {
     const tabs = await chrome.tabs.query({});
     return tabs.map(tab => ({
       id: tab.id,
+      tabId: tab.id,
       url: tab.url,
       title: tab.title,
       active: tab.active,
-      windowId: tab.windowId
+      windowId: tab.windowId,
+      working: tab.id === this.workingTabId,
+      automated: this.automationTabs.has(tab.id)
     }));
   }
 
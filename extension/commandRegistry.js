@@ -0,0 +1,1096 @@
+// Command registry shared by the server-side browser and this extension
+//
+// Every command type is defined once here: which executors support it, its
+// payload schema and how it runs. Commands of kind 'page' run the same
+// implementation inside the page on both paths (Puppeteer evaluates this file
+// in the page, the extension injects it with chrome.scripting). Kind 'input'
+// commands use trusted Puppeteer input on the server and the page
+// implementation here (synthetic DOM events) in the extension. Kind 'browser'
+// commands need browser APIs and are implemented by each executor.
+//
+// The file has no dependencies so it loads in Node (require), the extension
+// service worker (importScripts) and pages alike.
+
+(function (root, factory) {
+  const registry = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = registry;
+  } else {
+    root.CommandRegistry = registry;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const EXECUTORS = ['server', 'extension'];
+  const BOTH = EXECUTORS;
+  const POLL_INTERVAL = 100;
+  const DEFAULT_WAIT_TIMEOUT = 10000;
+  const MODIFIER_KEYS = { ctrl: 'Control', control: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta', cmd: 'Meta' };
+
+  // Locators
+  //
+  // Selector fields take CSS selectors or locators:
+  //   text=Sign in              element whose text contains "Sign in" (case-insensitive)
+  //   text="Sign in"            element whose whole text is exactly "Sign in"
+  //   role=button[name="Search"] element with an ARIA role and accessible name (also [level=2])
+  //   label=Email               form control labelled "Email"
+  //   xpath=//form//button      XPath expression (a bare //... or (//...) is XPath too)
+  //   css=.card                 CSS selector (the default without a prefix)
+  //   nth=0                     one element of the matches so far (negative counts from the end)
+  // Steps chained with >> search inside the matches of the previous step, e.g.
+  // `css=form#login >> role=button[name="Sign in"]`. A locator must match a single
+  // element where a command acts on one; plain CSS selectors keep picking the first match.
+
+  const LOCATOR_ENGINES = ['css', 'text', 'role', 'label', 'xpath', 'nth'];
+  const ROLE_OPTIONS = ['name', 'level'];
+  const IGNORED_TEXT_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE'];
+
+  /**
+   * @private
+   */
+  function unquote(raw) {
+    const value = raw.trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.length > 1 && value[value.length - 1] === quote) {
+      return { text: value.slice(1, -1).replace(/\\(.)/g, '$1'), exact: true };
+    }
+    return { text: value, exact: false };
+  }
+
+  /**
+   * Split a selector at the >> separators outside quotes and brackets
+   * Outside brackets a quote only opens a quoted value at the start of a step's
+   * value, so apostrophes in plain text (text=Don't) do not swallow the chain.
+   * @private
+   */
+  function splitChain(selector) {
+    const parts = [];
+    let quote = null;
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if ((char === '"' || char === "'") && (depth > 0 || /^\s*(?:[a-z]+\s*=\s*)?$/i.test(selector.slice(start, i)))) {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth = Math.max(0, depth - 1);
+      } else if (depth === 0 && char === '>' && selector[i + 1] === '>') {
+        parts.push(selector.slice(start, i));
+        start = i + 2;
+        i++;
+      }
+    }
+    parts.push(selector.slice(start));
+    return parts.map(part => part.trim());
+  }
+
+  /**
+   * @private
+   */
+  function parseRole(value) {
+    const match = /^([a-z]+)\s*((?:\[.*\])?)$/i.exec(value.trim());
+    if (!match) {
+      throw new Error('expected a role like button or button[name="Search"]');
+    }
+    const step = { role: match[1].toLowerCase(), name: null, level: null };
+    const optionPattern = /\[\s*([a-z]+)\s*=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\]]*?)\s*\]/gy;
+    let rest = match[2];
+    while (rest) {
+      optionPattern.lastIndex = 0;
+      const option = optionPattern.exec(rest);
+      if (!option) {
+        throw new Error(`cannot read role options ${rest}`);
+      }
+      const key = option[1].toLowerCase();
+      if (!ROLE_OPTIONS.includes(key)) {
+        throw new Error(`unknown role option ${key}, expected one of: ${ROLE_OPTIONS.join(', ')}`);
+      }
+      if (key === 'level') {
+        step.level = Number(option[2]);
+        if (!Number.isInteger(step.level) || step.level < 1) {
+          throw new Error('level must be a positive integer');
+        }
+      } else {
+        step.name = unquote(option[2]);
+      }
+      rest = rest.slice(optionPattern.lastIndex);
+    }
+    return step;
+  }
+
+  /**
+   * Parse a selector into locator steps
+   * @param {string} selector - CSS selector or locator
+   * @returns {Object} { steps: [{ engine, ... }], strict } - strict unless every step is CSS
+   * @throws {Error} If the locator is malformed
+   */
+  function parseLocator(selector) {
+    const fail = reason => new Error(`Invalid locator ${selector}: ${reason}`);
+    const steps = splitChain(String(selector)).map(part => {
+      if (!part) {
+        throw fail('empty step');
+      }
+      const prefixed = /^([a-z]+)=([\s\S]*)$/.exec(part);
+      let engine = prefixed && LOCATOR_ENGINES.includes(prefixed[1]) ? prefixed[1] : null;
+      let value = engine ? prefixed[2].trim() : part;
+      if (!engine) {
+        engine = /^\(*\/\//.test(part) ? 'xpath' : 'css';
+      }
+      if (!value) {
+        throw fail(`${engine}= needs a value`);
+      }
+
+      try {
+        switch (engine) {
+          case 'text':
+          case 'label': {
+            const text = unquote(value);
+            if (!text.text.trim()) {
+              throw new Error(`${engine}= needs a value`);
+            }
+            return { engine, ...text };
+          }
+          case 'role':
+            return { engine, ...parseRole(value) };
+          case 'nth': {
+            const index = Number(value);
+            if (!Number.isInteger(index)) {
+              throw new Error('nth= needs an integer');
+            }
+            return { engine, index };
+          }
+          default:
+            return { engine, value };
+        }
+      } catch (error) {
+        throw fail(error.message);
+      }
+    });
+    return { steps, strict: steps.some(step => step.engine !== 'css') };
+  }
+
+  /**
+   * @private
+   */
+  function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Whether text matches a text= or name value: exact when quoted, else a case-insensitive substring
+   * @private
+   */
+  function textMatches(actual, expected) {
+    const text = normalizeText(actual);
+    return expected.exact
+      ? text === normalizeText(expected.text)
+      : text.toLowerCase().includes(normalizeText(expected.text).toLowerCase());
+  }
+
+  /**
+   * ARIA role of an element, explicit or implied by its tag
+   * @private
+   */
+  function roleOf(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) {
+      return explicit.trim().split(/\s+/)[0].toLowerCase();
+    }
+    const tag = element.tagName.toLowerCase();
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : null;
+      case 'button':
+        return 'button';
+      case 'input': {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        if (['button', 'submit', 'reset', 'image'].includes(type)) {
+          return 'button';
+        }
+        const inputRoles = { checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox' };
+        if (inputRoles[type]) {
+          return inputRoles[type];
+        }
+        return ['text', 'email', 'tel', 'url', 'password'].includes(type) ? 'textbox' : null;
+      }
+      case 'textarea':
+        return 'textbox';
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'img':
+        return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      default: {
+        const tagRoles = {
+          article: 'article', aside: 'complementary', dialog: 'dialog', fieldset: 'group', form: 'form',
+          hr: 'separator', li: 'listitem', main: 'main', nav: 'navigation', ol: 'list', option: 'option',
+          progress: 'progressbar', table: 'table', td: 'cell', th: 'columnheader', tr: 'row', ul: 'list'
+        };
+        return tagRoles[tag] || null;
+      }
+    }
+  }
+
+  // Roles whose accessible name comes from their content
+  const NAME_FROM_CONTENT = ['button', 'cell', 'checkbox', 'columnheader', 'heading', 'link', 'listitem',
+    'menuitem', 'option', 'radio', 'row', 'switch', 'tab', 'treeitem'];
+
+  /**
+   * Labels of a form control: <label> elements, aria-labelledby and aria-label
+   * @private
+   */
+  function labelsOf(element) {
+    const labels = [];
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      labels.push(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' '));
+    }
+    if (element.hasAttribute('aria-label')) {
+      labels.push(element.getAttribute('aria-label'));
+    }
+    for (const label of element.labels || []) {
+      labels.push(label.textContent);
+    }
+    return labels.map(normalizeText).filter(Boolean);
+  }
+
+  /**
+   * Accessible name of an element, simplified from the accname algorithm
+   * @private
+   */
+  function accessibleName(element, role) {
+    const labels = labelsOf(element);
+    if (labels.length > 0) {
+      return labels[0];
+    }
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'img' || (tag === 'input' && element.type === 'image')) {
+      return normalizeText(element.getAttribute('alt'));
+    }
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return normalizeText(element.value || { submit: 'Submit', reset: 'Reset' }[element.type] || '');
+    }
+    if (NAME_FROM_CONTENT.includes(role)) {
+      const text = normalizeText(element.textContent);
+      if (text) {
+        return text;
+      }
+    }
+    return normalizeText(element.getAttribute('title') || element.getAttribute('placeholder'));
+  }
+
+  /**
+   * @private
+   */
+  function isHiddenFromAccessibility(element) {
+    return Boolean(element.closest('[hidden], [aria-hidden="true"]'));
+  }
+
+  /**
+   * Elements a locator step matches below a root (document or element), in document order
+   * @private
+   */
+  function matchStep(step, root, selector) {
+    const descendants = () => Array.from(root.querySelectorAll('*'));
+    switch (step.engine) {
+      case 'css':
+        try {
+          return Array.from(root.querySelectorAll(step.value));
+        } catch (error) {
+          throw new Error(`Invalid locator ${selector}: ${step.value} is not a valid CSS selector`);
+        }
+      case 'xpath': {
+        // Relative to the element when chained, like Playwright
+        const expression = root === document ? step.value : step.value.replace(/^(\(*)\//, '$1./');
+        let snapshot;
+        try {
+          snapshot = document.evaluate(expression, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        } catch (error) {
+          throw new Error(`Invalid locator ${selector}: ${step.value} is not a valid XPath expression`);
+        }
+        const elements = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+          const node = snapshot.snapshotItem(i);
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            elements.push(node);
+          }
+        }
+        return elements;
+      }
+      case 'text': {
+        // Text of an element without the source of scripts and styles, memoized per step
+        const texts = new Map();
+        const textOf = element => {
+          if (!texts.has(element)) {
+            let text = '';
+            if (!IGNORED_TEXT_TAGS.includes(element.tagName)) {
+              for (const child of element.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                  text += child.nodeValue;
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                  text += textOf(child);
+                }
+              }
+            }
+            texts.set(element, text);
+          }
+          return texts.get(element);
+        };
+        const matches = element => {
+          if (IGNORED_TEXT_TAGS.includes(element.tagName)) {
+            return false;
+          }
+          const isInputButton = element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type);
+          return textMatches(isInputButton ? element.value : textOf(element), step);
+        };
+        // The innermost elements with the text, not every ancestor of them
+        return descendants().filter(element => matches(element) && !Array.from(element.children).some(matches));
+      }
+      case 'role':
+        return descendants().filter(element => {
+          const role = roleOf(element);
+          if (role !== step.role || isHiddenFromAccessibility(element)) {
+            return false;
+          }
+          if (step.level !== null) {
+            const level = Number(element.getAttribute('aria-level')) || Number(element.tagName.slice(1));
+            if (level !== step.level) {
+              return false;
+            }
+          }
+          return step.name === null || textMatches(accessibleName(element, role), step.name);
+        });
+      case 'label':
+        return descendants().filter(element => labelsOf(element).some(label => textMatches(label, step)));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Short description of an element for error messages
+   * @private
+   */
+  function describeMatch(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const text = normalizeText(element.textContent).slice(0, 30);
+    return `${tag}${id}${text ? ` "${text}"` : ''}`;
+  }
+
+  /**
+   * Every element a selector matches, in document order
+   * @private
+   */
+  function locateAll(selector) {
+    let scope = [document];
+    for (const step of parseLocator(selector).steps) {
+      if (step.engine === 'nth') {
+        const picked = scope[step.index < 0 ? scope.length + step.index : step.index];
+        scope = picked && picked !== document ? [picked] : [];
+        continue;
+      }
+      const found = new Set();
+      for (const root of scope) {
+        for (const element of matchStep(step, root, selector)) {
+          found.add(element);
+        }
+      }
+      const matched = Array.from(found);
+      // Matches under several roots can interleave; under one root they are in order already
+      scope = scope.length > 1
+        ? matched.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+        : matched;
+    }
+    return scope.filter(element => element !== document);
+  }
+
+  /**
+   * Helpers for page implementations, created inside the page
+   */
+  function createPageHelpers() {
+    const helpers = {
+      queryAll(selector) {
+        return locateAll(selector);
+      },
+
+      // The element a selector points at, or null; throws if a locator matches several
+      query(selector) {
+        const elements = locateAll(selector);
+        if (elements.length > 1 && parseLocator(selector).strict) {
+          const listed = elements.slice(0, 3).map(describeMatch).join(', ');
+          throw new Error(`Locator ${selector} is ambiguous: ${elements.length} elements match (${listed}${elements.length > 3 ? ', ...' : ''}). Narrow it down or add >> nth=0 to pick the first`);
+        }
+        return elements[0] || null;
+      },
+
+      // Like query, but throws if there is no match
+      find(selector) {
+        const element = helpers.query(selector);
+        if (!element) {
+          throw new Error(`Element not found: ${selector}`);
+        }
+        return element;
+      },
+
+      describe(element) {
+        return {
+          tagName: element.tagName.toLowerCase(),
+          text: element.textContent?.trim() || '',
+          id: element.id || null,
+          className: typeof element.className === 'string' && element.className ? element.className : null
+        };
+      },
+
+      // Insert text at the caret of the focused field, firing the events a user's typing fires
+      insertText(text) {
+        const target = document.activeElement || document.body;
+        for (const char of String(text)) {
+          const keyInit = { key: char, bubbles: true, cancelable: true };
+          const proceed = target.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+          if (proceed) {
+            target.dispatchEvent(new KeyboardEvent('keypress', keyInit));
+            helpers.insertIntoField(target, char);
+          }
+          target.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+        }
+        return target;
+      },
+
+      insertIntoField(target, text) {
+        if ('value' in target && typeof target.setRangeText === 'function') {
+          let start = target.value.length;
+          let end = start;
+          try {
+            start = target.selectionStart ?? start;
+            end = target.selectionEnd ?? end;
+          } catch (error) {
+            // Inputs like type=email have no selection API; append instead
+          }
+          try {
+            target.setRangeText(text, start, end, 'end');
+          } catch (error) {
+            target.value += text;
+          }
+          target.dispatchEvent(new InputEvent('input', { data: text, inputType: 'insertText', bubbles: true }));
+        } else if (target.isContentEditable) {
+          document.execCommand('insertText', false, text);
+        }
+      },
+
+      mouseEvent(type, x, y, target) {
+        const init = { clientX: x, clientY: y, bubbles: true, cancelable: true, composed: true, view: window, button: 0 };
+        const EventType = type.startsWith('pointer') && typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+        target.dispatchEvent(new EventType(type, init));
+      },
+
+      elementAt(x, y) {
+        const element = document.elementFromPoint(x, y);
+        if (!element) {
+          throw new Error(`No element at coordinates (${x}, ${y})`);
+        }
+        return element;
+      }
+    };
+    return helpers;
+  }
+
+  /**
+   * Command definitions
+   * payload: { field: { type, required, locator } }; `missing` is the error for absent required fields,
+   *   locator fields take CSS selectors or locators and are parsed before the command runs.
+   * page(payload, helpers): implementation that runs in the page (kinds 'page' and 'input').
+   * poll: the page implementation is a single check, repeated until `found` or the timeout.
+   * mainWorld: the extension runs it in the page's JavaScript world instead of its isolated world.
+   */
+  const COMMANDS = {
+    navigate: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Open a URL in the active tab (the extension opens a new working tab)',
+      payload: { url: { type: 'string', required: true } },
+      missing: 'URL is required'
+    },
+
+    screenshot: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'PNG screenshot of the visible part of the page',
+      payload: {}
+    },
+
+    click: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Click the first element matching a selector',
+      payload: { selector: { type: 'string', required: true, locator: true } },
+      missing: 'Selector is required',
+      page(payload, helpers) {
+        const element = helpers.find(payload.selector);
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+        element.click();
+        return { clicked: payload.selector };
+      }
+    },
+
+    type: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Focus the first element matching a selector and type text into it',
+      payload: { selector: { type: 'string', required: true, locator: true }, text: { type: 'string', required: true } },
+      missing: 'Selector and text are required',
+      page(payload, helpers) {
+        const element = helpers.find(payload.selector);
+        element.focus();
+        helpers.insertText(payload.text);
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        return { typed: payload.text, into: payload.selector };
+      }
+    },
+
+    scroll: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Scroll the page or an element by deltaX/deltaY (default 300 px down), or to x/y',
+      payload: {
+        deltaX: { type: 'number' },
+        deltaY: { type: 'number' },
+        x: { type: 'number' },
+        y: { type: 'number' },
+        selector: { type: 'string', locator: true }
+      },
+      page(payload, helpers) {
+        const target = payload.selector ? helpers.find(payload.selector) : window;
+        if (payload.x !== undefined || payload.y !== undefined) {
+          target.scrollTo(payload.x || 0, payload.y || 0);
+          return { scrolled: `to (${payload.x || 0}, ${payload.y || 0})` };
+        }
+        const deltaX = payload.deltaX || 0;
+        const deltaY = payload.deltaY || 300;
+        target.scrollBy(deltaX, deltaY);
+        return { scrolled: `deltaX: ${deltaX}, deltaY: ${deltaY}` };
+      }
+    },
+
+    click_coordinate: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Click at viewport coordinates',
+      payload: { x: { type: 'number', required: true }, y: { type: 'number', required: true } },
+      missing: 'Valid x and y coordinates are required',
+      page(payload, helpers) {
+        const { x, y } = payload;
+        const element = helpers.elementAt(x, y);
+        for (const type of ['pointerdown', 'mousedown']) {
+          helpers.mouseEvent(type, x, y, element);
+        }
+        if (typeof element.focus === 'function') {
+          element.focus();
+        }
+        for (const type of ['pointerup', 'mouseup']) {
+          helpers.mouseEvent(type, x, y, element);
+        }
+        element.click();
+        return { clicked: `coordinates (${x}, ${y})` };
+      }
+    },
+
+    hover_coordinate: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Move the mouse to viewport coordinates',
+      payload: { x: { type: 'number', required: true }, y: { type: 'number', required: true } },
+      missing: 'Valid x and y coordinates are required',
+      page(payload, helpers) {
+        const { x, y } = payload;
+        const element = helpers.elementAt(x, y);
+        for (const type of ['pointerover', 'pointermove', 'mouseover', 'mousemove']) {
+          helpers.mouseEvent(type, x, y, element);
+        }
+        return { hovered: `coordinates (${x}, ${y})` };
+      }
+    },
+
+    key_press: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Press a key or a combination like Control+a',
+      payload: { key: { type: 'string', required: true } },
+      missing: 'Key is required',
+      modifierKeys: MODIFIER_KEYS,
+      page(payload, helpers) {
+        const parts = payload.key.includes('+') && payload.key.length > 1 ? payload.key.split('+') : [payload.key];
+        const key = parts.pop();
+        const modifiers = parts.map(part => MODIFIER_KEYS[part.toLowerCase()] || part);
+        const target = document.activeElement || document.body;
+        const init = {
+          key,
+          bubbles: true,
+          cancelable: true,
+          ctrlKey: modifiers.includes('Control'),
+          shiftKey: modifiers.includes('Shift'),
+          altKey: modifiers.includes('Alt'),
+          metaKey: modifiers.includes('Meta')
+        };
+
+        const proceed = target.dispatchEvent(new KeyboardEvent('keydown', init));
+        if (proceed) {
+          // Synthetic events have no default action; emulate the common ones
+          const shortcut = init.ctrlKey || init.metaKey;
+          if (shortcut && key.toLowerCase() === 'a' && typeof target.select === 'function') {
+            target.select();
+          } else if (key === 'Enter' && target.form && target.tagName !== 'TEXTAREA') {
+            target.form.requestSubmit();
+          } else if (key === 'Enter' && target.tagName === 'TEXTAREA') {
+            helpers.insertIntoField(target, '\n');
+          } else if (key === 'Backspace' && 'value' in target && typeof target.setRangeText === 'function') {
+            const end = target.selectionEnd;
+            const start = target.selectionStart === end ? Math.max(0, end - 1) : target.selectionStart;
+            target.setRangeText('', start, end, 'end');
+            target.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true }));
+          } else if (key.length === 1 && !shortcut) {
+            target.dispatchEvent(new KeyboardEvent('keypress', init));
+            helpers.insertIntoField(target, key);
+          }
+        }
+        target.dispatchEvent(new KeyboardEvent('keyup', init));
+        return { pressed: payload.key };
+      }
+    },
+
+    type_text: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Type text into the focused element',
+      payload: { text: { type: 'string', required: true } },
+      missing: 'Text is required',
+      page(payload, helpers) {
+        helpers.insertText(payload.text);
+        return { typed: payload.text };
+      }
+    },
+
+    keyboard_input: {
+      kind: 'input',
+      executors: BOTH,
+      description: 'Type text into the focused element (alias of type_text with an input field)',
+      payload: { input: { type: 'string', required: true } },
+      missing: 'Input text is required',
+      page(payload, helpers) {
+        helpers.insertText(payload.input);
+        return { typed: payload.input };
+      }
+    },
+
+    getTitle: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Title and URL of the page',
+      payload: {},
+      page() {
+        return { title: document.title, url: window.location.href };
+      }
+    },
+
+    getUrl: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'URL of the page',
+      payload: {},
+      page() {
+        return { url: window.location.href };
+      }
+    },
+
+    getText: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Text content of the first element matching a selector',
+      payload: { selector: { type: 'string', required: true, locator: true } },
+      missing: 'Selector is required',
+      page(payload, helpers) {
+        const element = helpers.find(payload.selector);
+        return { text: element.textContent?.trim() || '', selector: payload.selector };
+      }
+    },
+
+    getAttribute: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Attribute value of the first element matching a selector',
+      payload: { selector: { type: 'string', required: true, locator: true }, attribute: { type: 'string', required: true } },
+      missing: 'Selector and attribute are required',
+      page(payload, helpers) {
+        const element = helpers.find(payload.selector);
+        return { value: element.getAttribute(payload.attribute), attribute: payload.attribute, selector: payload.selector };
+      }
+    },
+
+    get_text: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Visible text of the whole page',
+      payload: {},
+      page() {
+        return { text: document.body ? document.body.innerText : '' };
+      }
+    },
+
+    get_page_elements: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Visible interactive elements with their center coordinates',
+      payload: {},
+      page() {
+        const candidates = Array.from(document.querySelectorAll(
+          'button, input, a, [role="button"], [onclick], select, textarea, [tabindex]'
+        ));
+        const elements = candidates.map((el, index) => {
+          const rect = el.getBoundingClientRect();
+          const style = getComputedStyle(el);
+          return {
+            id: index,
+            tagName: el.tagName.toLowerCase(),
+            text: el.textContent?.trim().substring(0, 100) || '',
+            type: el.type || '',
+            placeholder: el.placeholder || '',
+            ariaLabel: el.getAttribute('aria-label') || '',
+            elementId: el.id || '',
+            name: el.getAttribute('name') || '',
+            className: typeof el.className === 'string' ? el.className : '',
+            x: Math.round(rect.left + rect.width / 2),
+            y: Math.round(rect.top + rect.height / 2),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+            visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none'
+          };
+        });
+        return { elements: elements.filter(el => el.visible && el.x > 0 && el.y > 0) };
+      }
+    },
+
+    extract: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Text, HTML and attributes (or one attribute) of the first or all elements matching a selector',
+      payload: {
+        selector: { type: 'string', required: true, locator: true },
+        attribute: { type: 'string' },
+        multiple: { type: 'boolean' }
+      },
+      missing: 'Selector is required',
+      page(payload, helpers) {
+        const extractData = element => {
+          if (payload.attribute) {
+            return element.getAttribute(payload.attribute);
+          }
+          return {
+            text: element.textContent?.trim() || '',
+            html: element.innerHTML,
+            tagName: element.tagName.toLowerCase(),
+            attributes: Array.from(element.attributes).reduce((acc, attr) => {
+              acc[attr.name] = attr.value;
+              return acc;
+            }, {})
+          };
+        };
+
+        if (payload.multiple) {
+          const data = helpers.queryAll(payload.selector).map(extractData);
+          return { data, selector: payload.selector, count: data.length };
+        }
+        const element = helpers.query(payload.selector);
+        return { data: element ? extractData(element) : null, selector: payload.selector, count: element ? 1 : 0 };
+      }
+    },
+
+    execute: {
+      kind: 'page',
+      executors: BOTH,
+      mainWorld: true, // Scripts see the page's own globals
+      description: 'Run a script body in the page and return its return value',
+      payload: { script: { type: 'string', required: true } },
+      missing: 'Script is required',
+      async page(payload) {
+        return { result: await new Function(payload.script)() };
+      }
+    },
+
+    evaluate: {
+      kind: 'page',
+      executors: BOTH,
+      mainWorld: true, // Scripts see the page's own globals
+      description: 'Evaluate a JavaScript expression in the page',
+      payload: { script: { type: 'string', required: true } },
+      missing: 'Script is required',
+      async page(payload) {
+        return { result: await (0, eval)(payload.script), script: payload.script };
+      }
+    },
+
+    waitForElement: {
+      kind: 'page',
+      executors: BOTH,
+      description: 'Wait until an element matching a selector exists',
+      payload: { selector: { type: 'string', required: true, locator: true }, timeout: { type: 'number' } },
+      missing: 'Selector is required',
+      poll: true,
+      page(payload, helpers) {
+        // Any number of matches counts; the command only waits for the element to exist
+        const elements = helpers.queryAll(payload.selector);
+        return elements.length > 0
+          ? { found: true, selector: payload.selector, count: elements.length, element: helpers.describe(elements[0]) }
+          : { found: false, selector: payload.selector };
+      }
+    },
+
+    list_tabs: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Tabs of the session',
+      payload: {}
+    },
+
+    new_tab: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Open a tab, optionally at a URL',
+      payload: { url: { type: 'string' }, activate: { type: 'boolean' } }
+    },
+
+    switch_tab: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Make a tab the active tab',
+      payload: { tabId: { type: ['string', 'number'], required: true } },
+      missing: 'tabId is required'
+    },
+
+    close_tab: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Close a tab (default: the active tab)',
+      payload: { tabId: { type: ['string', 'number'] } }
+    },
+
+    export_storage_state: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Cookies and web storage as a portable storage state',
+      payload: { origins: { type: 'array' } }
+    },
+
+    import_storage_state: {
+      kind: 'browser',
+      executors: BOTH,
+      description: 'Restore cookies and web storage from a storage state',
+      payload: { storageState: { type: 'object' } }
+    },
+
+    add_network_rule: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Block, mock or add headers to matching requests',
+      payload: {}
+    },
+
+    remove_network_rule: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Remove a network rule',
+      payload: { ruleId: { type: 'string', required: true } },
+      missing: 'ruleId is required'
+    },
+
+    list_network_rules: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Network rules of the session',
+      payload: {}
+    },
+
+    clear_network_rules: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Remove all network rules',
+      payload: {}
+    },
+
+    start_har: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Start recording a HAR',
+      payload: {}
+    },
+
+    stop_har: {
+      kind: 'browser',
+      executors: ['server'],
+      description: 'Stop recording the HAR',
+      payload: {}
+    }
+  };
+
+  const COMMAND_TYPES = Object.keys(COMMANDS);
+
+  /**
+   * Definition of a command type
+   * @param {string} type - Command type
+   * @returns {Object|null} Definition or null if unknown
+   */
+  function getCommand(type) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, type) ? COMMANDS[type] : null;
+  }
+
+  /**
+   * Whether an executor can run a command type
+   * @param {string} type - Command type
+   * @param {string} executor - 'server' or 'extension'
+   * @returns {boolean}
+   */
+  function supports(type, executor) {
+    const definition = getCommand(type);
+    return Boolean(definition) && definition.executors.includes(executor);
+  }
+
+  /**
+   * @private
+   */
+  function matchesType(value, type) {
+    if (Array.isArray(type)) {
+      return type.some(option => matchesType(value, option));
+    }
+    if (type === 'array') {
+      return Array.isArray(value);
+    }
+    if (type === 'object') {
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+    if (type === 'number') {
+      return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeof value === type;
+  }
+
+  /**
+   * Check a payload against the schema of its command type
+   * @param {string} type - Known command type
+   * @param {Object} [payload] - Command payload
+   * @returns {string|null} Error message or null if valid
+   */
+  function validatePayload(type, payload) {
+    const definition = getCommand(type);
+    const values = payload || {};
+    for (const [field, spec] of Object.entries(definition.payload)) {
+      const value = values[field];
+      const absent = value === undefined || value === null || value === '';
+      if (absent) {
+        if (spec.required) {
+          return `${definition.missing} for ${type} command`;
+        }
+        continue;
+      }
+      if (!matchesType(value, spec.type)) {
+        if (spec.required) {
+          return `${definition.missing} for ${type} command`;
+        }
+        const expected = [].concat(spec.type).map(name => (/^[aeiou]/.test(name) ? `an ${name}` : `a ${name}`)).join(' or ');
+        return `${field} must be ${expected} for ${type} command`;
+      }
+      if (spec.locator) {
+        try {
+          parseLocator(value);
+        } catch (error) {
+          return error.message;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run the page implementation of a command; call this inside the page
+   * @param {string} type - Command type with a page implementation
+   * @param {Object} [payload] - Command payload
+   * @returns {Promise<Object>} Command result
+   */
+  async function runInPage(type, payload) {
+    const definition = getCommand(type);
+    if (!definition || !definition.page) {
+      throw new Error(`Command ${type} does not run in the page`);
+    }
+    return definition.page(payload || {}, createPageHelpers());
+  }
+
+  /**
+   * Element a CSS selector or locator points at; call this inside the page
+   * @param {string} selector - CSS selector or locator
+   * @returns {Element} The element
+   * @throws {Error} If nothing matches or a locator matches several elements
+   */
+  function findElement(selector) {
+    return createPageHelpers().find(selector);
+  }
+
+  /**
+   * Run a page command through an executor's transport, repeating polling
+   * commands until they find their element or time out. Runs in the executor
+   * (Node or the extension service worker), not in the page.
+   * @param {string} type - Command type
+   * @param {Object} payload - Command payload
+   * @param {Function} runOnce - async (type, payload) => result of runInPage in the target page
+   * @returns {Promise<Object>} Command result with a timestamp
+   */
+  async function executePageCommand(type, payload, runOnce) {
+    const definition = getCommand(type);
+    if (!definition.poll) {
+      return { ...(await runOnce(type, payload)), timestamp: new Date().toISOString() };
+    }
+
+    const timeout = payload.timeout ?? DEFAULT_WAIT_TIMEOUT;
+    const start = Date.now();
+    for (;;) {
+      let result = null;
+      try {
+        result = await runOnce(type, payload);
+      } catch (error) {
+        // The page may be navigating; check again on the next round
+      }
+      if (result && result.found) {
+        return { ...result, waitTime: Date.now() - start, timestamp: new Date().toISOString() };
+      }
+      if (Date.now() - start >= timeout) {
+        return {
+          found: false,
+          selector: payload.selector,
+          waitTime: Date.now() - start,
+          error: 'Element not found within timeout',
+          timestamp: new Date().toISOString()
+        };
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  return {
+    EXECUTORS,
+    COMMANDS,
+    COMMAND_TYPES,
+    MODIFIER_KEYS,
+    getCommand,
+    supports,
+    validatePayload,
+    parseLocator,
+    runInPage,
+    findElement,
+    executePageCommand
+  };
+});
@@ -15,6 +15,7 @@ class PopupController {
     // Connection elements
     this.serverUrlInput = document.getElementById('serverUrl');
     this.sessionIdInput = document.getElementById('sessionId');
+    this.pairingTokenInput = document.getElementById('pairingToken');
     this.createSessionBtn = document.getElementById('createSessionBtn');
     this.connectBtn = document.getElementById('connectBtn');
     this.disconnectBtn = document.getElementById('disconnectBtn');
@@ -163,6 +164,7 @@ class PopupController {
   async connect() {
     const sessionId = this.sessionIdInput.value.trim();
     const serverUrl = this.serverUrlInput.value.trim();
+    const pairingToken = this.pairingTokenInput.value.trim();
     
     if (!sessionId) {
       this.log('Please enter a session ID', 'error');
@@ -184,13 +186,16 @@ class PopupController {
       const response = await this.sendMessageToBackground({
         type: 'connect',
         sessionId,
-        serverUrl
+        serverUrl,
+        pairingToken: pairingToken || null
       });
       
       console.log('Received response from background script:', response);
       
       if (response.success) {
         this.log(`Connected to session: ${sessionId}`, 'success');
+        // Pairing tokens are single-use
+        this.pairingTokenInput.value = '';
         this.updateStatus('connected', sessionId, serverUrl);
       } else {
         throw new Error(response.error || 'Connection failed');
@@ -14,6 +14,9 @@ document.addEventListener('DOMContentLoaded', () => {
     let originalTabId = null; // Track the original tab
     let isExecuting = false;
     let liveViewInterval = null;
+    let liveViewEvents = null;
+    let screencastSocket = null;
+    let screencastMetadata = null;
     let isLiveViewActive = false;
     let isClickMode = false;
     let isTypeMode = false;
@@ -121,25 +124,141 @@ document.addEventListener('DOMContentLoaded', () => {
 
         logAction('📹 Live view started');
 
-        liveViewInterval = setInterval(async () => {
-            try {
-                const data = await getCurrentScreenshot(currentSessionId);
-                if (data.success && data.screenshot) {
-                    updateScreenshotDisplay(data.screenshot, false); // Don't log each update
-                    
-                    // Update session state indicators
-                    if (data.sessionState && data.sessionState.isPaused) {
-                        screenshotDisplay.classList.add('session-paused');
-                        updateInteractionStatus(`⏸️ Session paused: ${data.sessionState.pauseReason || 'Unknown reason'}`);
-                    } else {
-                        screenshotDisplay.classList.remove('session-paused');
-                    }
+        // Prefer the screencast, then the session event stream, then polling
+        if (window.WebSocket) {
+            startLiveViewScreencast(currentSessionId);
+        } else {
+            startLiveViewFallback();
+        }
+    }
+
+    function startLiveViewFallback() {
+        if (window.EventSource) {
+            startLiveViewStream(currentSessionId);
+        } else {
+            startLiveViewPolling();
+        }
+    }
+
+    function startLiveViewScreencast(sessionId) {
+        const wsBase = API_BASE.replace(/^http/, 'ws');
+        const socket = new WebSocket(`${wsBase}/ws/screencast?sessionId=${sessionId}`);
+        let receivedFrame = false;
+        screencastSocket = socket;
+
+        socket.onmessage = (e) => {
+            const message = JSON.parse(e.data);
+            if (message.type === 'frame') {
+                receivedFrame = true;
+                screencastMetadata = message.metadata;
+                showScreencastFrame(message);
+            } else if (message.type === 'input_result' && !message.success) {
+                logAction(`❌ ${message.command} failed: ${message.error}`);
+            } else if (message.type === 'error') {
+                console.error('Screencast error:', message.error);
+            }
+        };
+        socket.onclose = () => {
+            if (screencastSocket !== socket) {
+                return;
+            }
+            screencastSocket = null;
+            screencastMetadata = null;
+            // Extension sessions have no screencast; keep the live view going another way
+            if (isLiveViewActive) {
+                if (!receivedFrame) {
+                    logAction('📹 Screencast unavailable, using screenshots');
                 }
-            } catch (error) {
-                console.error('Live view update failed:', error);
-                // Don't spam the log with live view errors
+                startLiveViewFallback();
+            }
+        };
+    }
+
+    function showScreencastFrame(frame) {
+        const img = document.querySelector('#screenshot-display img');
+        if (img) {
+            img.src = `data:image/jpeg;base64,${frame.data}`;
+        } else {
+            updateScreenshotDisplay({ base64: frame.data, format: 'jpeg' }, false);
+        }
+    }
+
+    function isScreencastOpen() {
+        return screencastSocket && screencastSocket.readyState === WebSocket.OPEN;
+    }
+
+    async function refreshLiveView() {
+        try {
+            const data = await getCurrentScreenshot(currentSessionId);
+            if (data.success && data.screenshot) {
+                updateScreenshotDisplay(data.screenshot, false); // Don't log each update
+                updatePauseIndicator(data.sessionState);
+            }
+        } catch (error) {
+            console.error('Live view update failed:', error);
+            // Don't spam the log with live view errors
+        }
+    }
+
+    function updatePauseIndicator(sessionState) {
+        const screenshotDisplay = document.getElementById('screenshot-display');
+        if (!screenshotDisplay) return;
+
+        if (sessionState && sessionState.isPaused) {
+            screenshotDisplay.classList.add('session-paused');
+            updateInteractionStatus(`⏸️ Session paused: ${sessionState.pauseReason || 'Unknown reason'}`);
+        } else {
+            screenshotDisplay.classList.remove('session-paused');
+        }
+    }
+
+    function startLiveViewPolling() {
+        refreshLiveView();
+        liveViewInterval = setInterval(refreshLiveView, 2000); // Update every 2 seconds
+    }
+
+    function startLiveViewStream(sessionId) {
+        liveViewEvents = new EventSource(`${API_BASE}/api/sessions/${sessionId}/events`);
+        refreshLiveView();
+
+        liveViewEvents.addEventListener('screenshot', (e) => {
+            const event = JSON.parse(e.data);
+            updateScreenshotDisplay(event.data, false);
+        });
+        // Commands change the page but don't carry a screenshot
+        liveViewEvents.addEventListener('command_finished', (e) => {
+            const event = JSON.parse(e.data);
+            if (event.data.commandType !== 'screenshot') {
+                refreshLiveView();
             }
-        }, 2000); // Update every 2 seconds
+        });
+        liveViewEvents.addEventListener('milestone_reached', (e) => {
+            const event = JSON.parse(e.data);
+            logAction(`🏁 ${event.data.milestone}`);
+        });
+        liveViewEvents.addEventListener('intervention_requested', (e) => {
+            const event = JSON.parse(e.data);
+            logAction(`🙋 Manual intervention requested: ${event.data.reason}`);
+        });
+        liveViewEvents.addEventListener('session_paused', (e) => {
+            const event = JSON.parse(e.data);
+            updatePauseIndicator({ isPaused: true, pauseReason: event.data.reason });
+        });
+        liveViewEvents.addEventListener('session_resumed', () => {
+            updatePauseIndicator({ isPaused: false });
+        });
+        liveViewEvents.addEventListener('session_deleted', () => {
+            stopLiveView();
+        });
+        liveViewEvents.onerror = () => {
+            // EventSource reconnects by itself; give up only if the stream was refused
+            if (liveViewEvents && liveViewEvents.readyState === EventSource.CLOSED) {
+                liveViewEvents = null;
+                if (isLiveViewActive) {
+                    startLiveViewPolling();
+                }
+            }
+        };
     }
 
     function stopLiveView() {
@@ -150,6 +269,18 @@ document.addEventListener('DOMContentLoaded', () => {
             liveViewInterval = null;
         }
 
+        if (liveViewEvents) {
+            liveViewEvents.close();
+            liveViewEvents = null;
+        }
+
+        if (screencastSocket) {
+            const socket = screencastSocket;
+            screencastSocket = null;
+            screencastMetadata = null;
+            socket.close();
+        }
+
         const liveViewBtn = document.getElementById('enable-live-view');
         if (liveViewBtn) {
             liveViewBtn.textContent = '📹 Live View';
@@ -254,7 +385,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const img = document.createElement('img');
         if (screenshot.base64) {
-            img.src = `data:image/png;base64,${screenshot.base64}`;
+            img.src = `data:image/${screenshot.format || 'png'};base64,${screenshot.base64}`;
         } else if (screenshot.url) {
             img.src = screenshot.url.startsWith('/') ? `${API_BASE}${screenshot.url}` : screenshot.url;
         }
@@ -269,8 +400,9 @@ document.addEventListener('DOMContentLoaded', () => {
         img.onclick = async (e) => {
             if (isClickMode && currentSessionId) {
                 const rect = img.getBoundingClientRect();
-                const scaleX = img.naturalWidth / img.width;
-                const scaleY = img.naturalHeight / img.height;
+                // Screencast frames may be scaled down; map back to viewport pixels
+                const scaleX = screencastMetadata ? screencastMetadata.deviceWidth / img.width : img.naturalWidth / img.width;
+                const scaleY = screencastMetadata ? screencastMetadata.deviceHeight / img.height : img.naturalHeight / img.height;
                 
                 const x = Math.round((e.clientX - rect.left) * scaleX);
                 const y = Math.round((e.clientY - rect.top) * scaleY);
@@ -283,6 +415,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 clickIndicator.style.top = (e.clientY - rect.top) + 'px';
                 screenshotDisplay.appendChild(clickIndicator);
 
+                if (isScreencastOpen()) {
+                    logAction(`🖱️ Clicking at coordinates (${x}, ${y})`);
+                    screencastSocket.send(JSON.stringify({ type: 'click', x, y }));
+                    return;
+                }
+
                 try {
                     logAction(`🖱️ Clicking at coordinates (${x}, ${y})`);
                     const result = await sendInteractiveCommand(currentSessionId, {
@@ -363,6 +501,13 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        if (isScreencastOpen()) {
+            logAction(`⌨️ Typing: "${text}"`);
+            screencastSocket.send(JSON.stringify({ type: 'type', text }));
+            document.getElementById('type-text').value = '';
+            return;
+        }
+
         try {
             logAction(`⌨️ Typing: "${text}"`);
             const result = await sendInteractiveCommand(currentSessionId, {
@@ -520,6 +665,9 @@ document.addEventListener('DOMContentLoaded', () => {
             throw new Error('Invalid receipt: tasks must be an array');
         }
         
+        // v2 receipts are validated by the server
+        const isV2 = isReceiptV2(receipt);
+        
         receipt.tasks.forEach((task, index) => {
             if (!task.id) {
                 throw new Error(`Invalid task at index ${index}: missing id`);
@@ -527,7 +675,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!task.type) {
                 throw new Error(`Invalid task at index ${index}: missing type`);
             }
-            if (!task.params || !task.params.query) {
+            if (!isV2 && (!task.params || !task.params.query)) {
                 throw new Error(`Invalid task at index ${index}: missing params.query`);
             }
         });
@@ -535,6 +683,10 @@ document.addEventListener('DOMContentLoaded', () => {
         return true;
     }
 
+    function isReceiptV2(receipt) {
+        return parseInt(String(receipt.version), 10) >= 2;
+    }
+
     async function runReceiptTasks(receipt) {
         if (!currentSessionId) {
             // Create a new session if none exists
@@ -568,7 +720,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             showReceiptStatus('Uploading receipt to server...', 'info');
             
-            const response = await fetch(`${API_BASE}/api/receipts/run`, {
+            const response = await fetch(`${API_BASE}/api/receipts/run?wait=true`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -626,6 +778,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 showReceiptStatus('Receipt validated successfully. Choose execution method:', 'success');
                 logAction(`Receipt file "${file.name}" loaded and validated.`);
                 
+                // Variables, conditions and dependencies are only supported by the server runner
+                if (isReceiptV2(receipt)) {
+                    await runReceiptViaAPI(receipt);
+                    return;
+                }
+                
                 // Show execution options
                 const confirmDialog = confirm(
                     `Receipt loaded with ${receipt.tasks.length} tasks.\n\n` +
@@ -736,7 +894,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    task: taskDescription
+                    task: taskDescription,
+                    wait: true
                 })
             });
 
@@ -1,12 +1,36 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const readline = require('readline');
 const axios = require('axios');
 const WebSocket = require('ws');
 
+const DEFAULT_BASE_URL = 'http://localhost:3010';
+
+/**
+ * Fetch a session's commands as Puppeteer or Playwright code
+ * @param {string} baseUrl - Service URL
+ * @param {string} sessionId - Session ID
+ * @param {string} format - puppeteer or playwright
+ * @returns {Promise<Object>} { format, filename, actionCount, code }
+ */
+async function fetchSessionExport(baseUrl, sessionId, format) {
+  try {
+    const response = await axios.get(`${baseUrl}/api/sessions/${sessionId}/export`, { params: { format } });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`Export failed: ${error.response.data.error || error.response.statusText}`);
+    } else if (error.request) {
+      throw new Error('Cannot connect to automation service. Is it running?');
+    }
+    throw error;
+  }
+}
+
 class AutomationCLI {
   constructor() {
-    this.baseUrl = 'http://localhost:3010';
+    this.baseUrl = DEFAULT_BASE_URL;
     this.wsUrl = 'ws://localhost:3010/ws';
     this.currentSession = null;
     this.wsConnection = null;
@@ -96,6 +120,9 @@ class AutomationCLI {
         case 'test':
           await this.runTestScenario(args[0]);
           break;
+        case 'export':
+          await this.exportSession(args[0], args[1]);
+          break;
         case 'clear':
           console.clear();
           break;
@@ -135,6 +162,7 @@ class AutomationCLI {
     console.log('');
     console.log('Testing:');
     console.log('  test <scenario>           - Run test scenario (basic, google, form)');
+    console.log('  export <format> [file]    - Export session as puppeteer or playwright code');
     console.log('');
     console.log('Utility:');
     console.log('  help                      - Show this help');
@@ -495,6 +523,21 @@ class AutomationCLI {
     console.log('✅ Form test completed');
   }
 
+  async exportSession(format = 'puppeteer', file) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any session. Use "create" or "connect <sessionId>" first.');
+    }
+
+    const exported = await fetchSessionExport(this.baseUrl, this.currentSession.id, format);
+    if (!file) {
+      console.log(`\n${exported.code}`);
+      return;
+    }
+
+    fs.writeFileSync(file, exported.code);
+    console.log(`✅ Exported ${exported.actionCount} action(s) as ${exported.format} code to ${file}`);
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -510,7 +553,32 @@ class AutomationCLI {
 
 // Start CLI if this file is run directly
 if (require.main === module) {
-  new AutomationCLI();
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'export') {
+    // One-shot export: node src/cli.js export <sessionId> [puppeteer|playwright] [file]
+    const [sessionId, format = 'puppeteer', file] = args;
+    if (!sessionId) {
+      console.error('Usage: node src/cli.js export <sessionId> [puppeteer|playwright] [file]');
+      process.exit(1);
+    }
+
+    fetchSessionExport(process.env.AUTOMATION_SERVICE_URL || DEFAULT_BASE_URL, sessionId, format)
+      .then(exported => {
+        if (file) {
+          fs.writeFileSync(file, exported.code);
+          console.error(`Exported ${exported.actionCount} action(s) to ${file}`);
+        } else {
+          process.stdout.write(exported.code);
+        }
+      })
+      .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      });
+  } else {
+    new AutomationCLI();
+  }
 }
 
 module.exports = AutomationCLI;
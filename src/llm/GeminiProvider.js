@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model] - Model name
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || 'gemini-2.0-flash-exp';
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+    this.client = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {Array} [request.images] - Images as { data: base64, mimeType }
+   * @returns {Promise<string>} Generated text
+   */
+  async generate({ prompt, images = [] }) {
+    const parts = [prompt, ...images.map(image => ({
+      inlineData: {
+        data: image.data,
+        mimeType: image.mimeType || 'image/png'
+      }
+    }))];
+
+    const result = await this.client.generateContent(parts);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
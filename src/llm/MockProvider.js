@@ -0,0 +1,47 @@
+/**
+ * Deterministic scripted provider for offline tests
+ * Responses are returned in order; objects are serialized to JSON. Once the
+ * script is exhausted the default response (task completed) is returned.
+ */
+class MockProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Array<string|Object|Function>} [options.responses] - Scripted responses
+   * @param {string|Object} [options.defaultResponse] - Response once the script is exhausted
+   * @param {string} [options.model] - Reported model name
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || 'mock-scripted';
+    this.responses = [...(options.responses || [])];
+    this.defaultResponse = options.defaultResponse || {
+      description: 'Task completed.',
+      taskCompleted: true,
+      requiresAction: false,
+      actions: []
+    };
+    this.calls = [];
+  }
+
+  /**
+   * Generate the next scripted response
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {Array} [request.images] - Images as { data: base64, mimeType }
+   * @returns {Promise<string>} Scripted response text
+   */
+  async generate(request) {
+    this.calls.push({ prompt: request.prompt, imageCount: (request.images || []).length });
+
+    let next = this.responses.length > 0 ? this.responses.shift() : this.defaultResponse;
+    if (typeof next === 'function') {
+      next = await next(request);
+    }
+    if (next instanceof Error) {
+      throw next;
+    }
+    return typeof next === 'string' ? next : JSON.stringify(next);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,48 @@
+const axios = require('axios');
+
+/**
+ * Provider for a local Ollama server (native /api/chat endpoint)
+ */
+class OllamaProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} [options.baseUrl] - Ollama base URL
+   * @param {string} [options.model] - Model name
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.model = options.model || 'llava';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+    this.timeout = options.timeout || 120000;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {Array} [request.images] - Images as { data: base64, mimeType }
+   * @returns {Promise<string>} Generated text
+   */
+  async generate({ prompt, images = [] }) {
+    const message = { role: 'user', content: prompt };
+    if (images.length > 0) {
+      message.images = images.map(image => image.data);
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, {
+        model: this.model,
+        messages: [message],
+        stream: false
+      }, { timeout: this.timeout });
+
+      return response.data.message?.content || '';
+    } catch (error) {
+      error.status = error.response?.status;
+      throw error;
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,61 @@
+const axios = require('axios');
+
+/**
+ * Provider for OpenAI-compatible chat completion endpoints
+ * (OpenAI, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey] - Bearer token (optional for local servers)
+   * @param {string} [options.model] - Model name
+   * @param {number} [options.timeout] - Request timeout in ms
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'gpt-4o-mini';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 60000;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {Array} [request.images] - Images as { data: base64, mimeType }
+   * @returns {Promise<string>} Generated text
+   */
+  async generate({ prompt, images = [] }) {
+    const content = images.length > 0
+      ? [
+          { type: 'text', text: prompt },
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType || 'image/png'};base64,${image.data}` }
+          }))
+        ]
+      : prompt;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model,
+        messages: [{ role: 'user', content }]
+      }, { headers, timeout: this.timeout });
+
+      return response.data.choices?.[0]?.message?.content || '';
+    } catch (error) {
+      // Expose the HTTP status so callers can detect rate limiting (429)
+      error.status = error.response?.status;
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
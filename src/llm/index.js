@@ -0,0 +1,81 @@
+const config = require('../utils/config');
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDERS = ['gemini', 'openai', 'ollama', 'mock'];
+
+/**
+ * Create an LLM provider
+ * @param {string} [name] - Provider name: 'gemini', 'openai', 'ollama' or 'mock'
+ * @param {Object} [options] - Provider options (model, baseUrl, apiKey, responses, ...)
+ * @returns {Object} Provider instance exposing generate({ prompt, images })
+ */
+function createLLMProvider(name = config.LLM_PROVIDER, options = {}) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: options.apiKey || config.GEMINI_API_KEY,
+        model: options.model || config.LLM_MODEL || undefined
+      });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: options.baseUrl || config.OPENAI_BASE_URL,
+        apiKey: options.apiKey || config.OPENAI_API_KEY,
+        model: options.model || config.LLM_MODEL || undefined,
+        timeout: options.timeout
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        baseUrl: options.baseUrl || config.OLLAMA_BASE_URL,
+        model: options.model || config.LLM_MODEL || undefined,
+        timeout: options.timeout
+      });
+    case 'mock':
+      return new MockProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}. Supported providers: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Check a task's provider selection against the operator's configuration
+ * The scripted mock provider is only available when LLM_ALLOW_MOCK is set (the
+ * default under test) or it is the configured provider; models other than
+ * LLM_MODEL must be listed in LLM_ALLOWED_MODELS.
+ * @param {Object} [llm] - Provider selection { provider, model }
+ * @returns {string|null} Error message, or null if the selection is allowed
+ */
+function validateLLMSelection(llm) {
+  if (!llm) {
+    return null;
+  }
+
+  const name = llm.provider || config.LLM_PROVIDER;
+  if (!PROVIDERS.includes(name)) {
+    return `Unknown LLM provider: ${name}. Supported providers: ${PROVIDERS.join(', ')}`;
+  }
+  if (name === 'mock') {
+    return config.LLM_ALLOW_MOCK || config.LLM_PROVIDER === 'mock' ? null : 'LLM provider not allowed: mock';
+  }
+
+  if (llm.model !== undefined && llm.model !== null) {
+    const allowedModels = String(config.LLM_ALLOWED_MODELS).split(',').map(model => model.trim()).filter(Boolean);
+    if (typeof llm.model !== 'string' ||
+      (llm.model !== config.LLM_MODEL && !allowedModels.includes('*') && !allowedModels.includes(llm.model))) {
+      return `LLM model not allowed: ${llm.model}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createLLMProvider,
+  validateLLMSelection,
+  PROVIDERS,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider
+};
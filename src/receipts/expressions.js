@@ -0,0 +1,151 @@
+/**
+ * Receipt expressions: {{variable}} placeholders and `when` conditions
+ */
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_][\w]*)\s*\}\}$/;
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'exists', 'contains', 'matches'];
+
+/**
+ * Collect the variable names referenced by placeholders in a value
+ * @param {*} value - String, array or object to scan
+ * @param {Set<string>} [names] - Set to add names to
+ * @returns {Set<string>} Referenced variable names
+ */
+function collectPlaceholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectPlaceholders(item, names));
+  }
+  return names;
+}
+
+/**
+ * Replace {{name}} placeholders in all strings of a value
+ * A string that is just one placeholder becomes the variable's value with its
+ * type, so numbers, booleans and objects can fill typed fields. Inside longer
+ * strings values are inserted as text, objects as JSON.
+ * @param {*} value - String, array or object
+ * @param {Object} variables - Variable values by name
+ * @returns {*} Copy of the value with placeholders substituted
+ */
+function substituteVariables(value, variables) {
+  const has = name => Object.prototype.hasOwnProperty.call(variables, name);
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole && has(whole[1])) {
+      return variables[whole[1]];
+    }
+    return value.replace(PLACEHOLDER, (placeholder, name) => {
+      if (!has(name)) {
+        return placeholder;
+      }
+      const variable = variables[name];
+      return variable !== null && typeof variable === 'object' ? JSON.stringify(variable) : String(variable);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteVariables(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = substituteVariables(item, variables);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read a dot path (e.g. "result.price") from an object
+ * @param {*} object - Value to read from
+ * @param {string} [path] - Dot-separated keys; array indexes are keys too ("items.0.name")
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(object, path) {
+  if (!path) {
+    return object;
+  }
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+}
+
+/**
+ * Evaluate a single `when` condition against earlier task records
+ * @private
+ */
+function evaluateSingle(condition, taskRecords) {
+  const record = taskRecords[condition.task];
+  if (!record) {
+    return false;
+  }
+
+  if (condition.status !== undefined) {
+    const statuses = Array.isArray(condition.status) ? condition.status : [condition.status];
+    if (!statuses.includes(record.status)) {
+      return false;
+    }
+  }
+
+  const hasOperator = CONDITION_OPERATORS.some(op => condition[op] !== undefined);
+  if (!hasOperator) {
+    // Without an operator, a path must be truthy; a bare reference requires success
+    if (condition.path) {
+      return Boolean(getPath(record, condition.path));
+    }
+    return condition.status !== undefined || record.status === 'completed';
+  }
+
+  const actual = getPath(record, condition.path);
+
+  if (condition.exists !== undefined && (actual !== undefined && actual !== null) !== Boolean(condition.exists)) {
+    return false;
+  }
+  if (condition.equals !== undefined && JSON.stringify(actual) !== JSON.stringify(condition.equals)) {
+    return false;
+  }
+  if (condition.notEquals !== undefined && JSON.stringify(actual) === JSON.stringify(condition.notEquals)) {
+    return false;
+  }
+  if (condition.contains !== undefined) {
+    const haystack = typeof actual === 'string' || Array.isArray(actual) ? actual : JSON.stringify(actual ?? '');
+    if (!haystack.includes(condition.contains)) {
+      return false;
+    }
+  }
+  if (condition.matches !== undefined && !new RegExp(condition.matches).test(String(actual ?? ''))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a task's `when` clause
+ * A clause is a condition object or an array of conditions that must all hold.
+ * Conditions look at earlier task records, e.g.
+ * `{ "task": "search", "path": "result.found", "equals": true }`.
+ * @param {Object|Array} when - Condition or list of conditions
+ * @param {Object} taskRecords - Earlier task records by task id
+ * @returns {boolean} Whether the task should run
+ */
+function evaluateCondition(when, taskRecords) {
+  if (!when) {
+    return true;
+  }
+  const conditions = Array.isArray(when) ? when : [when];
+  return conditions.every(condition => evaluateSingle(condition, taskRecords));
+}
+
+module.exports = {
+  CONDITION_OPERATORS,
+  collectPlaceholders,
+  substituteVariables,
+  getPath,
+  evaluateCondition
+};
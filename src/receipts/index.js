@@ -0,0 +1,7 @@
+const schema = require('./schema');
+const expressions = require('./expressions');
+
+module.exports = {
+  ...schema,
+  ...expressions
+};
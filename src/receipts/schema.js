@@ -0,0 +1,345 @@
+/**
+ * Receipt validation and normalization
+ *
+ * v1 receipts are a flat list of natural language tasks (`params.query`)
+ * that all run in order and never stop on errors. v2 receipts add input variables, `when`
+ * conditions, `dependsOn` ordering, `continueOnError` and per-task timeouts.
+ * Both are normalized to the same shape before execution.
+ * The published JSON Schema lives in public/receipt.schema.json.
+ */
+
+const { collectPlaceholders, CONDITION_OPERATORS } = require('./expressions');
+
+const DEFAULT_TASK_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_NL_TASK_TIMEOUT = 5 * 60 * 1000; // 5 minutes, NL tasks run several AI iterations
+const NL_TASK_TYPES = ['natural_language_task', 'user-question'];
+const MAX_TASK_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const VARIABLE_TYPES = ['string', 'number', 'boolean'];
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Get the major version of a receipt (1 or 2)
+ * Unknown legacy version strings are treated as v1.
+ * @param {Object} receipt - Receipt object
+ * @returns {number} Major version
+ */
+function getMajorVersion(receipt) {
+  const major = parseInt(String(receipt.version), 10);
+  return Number.isNaN(major) || major < 2 ? 1 : major;
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a receipt
+ * @param {Object} receipt - Receipt object
+ * @returns {string|null} Error message or null if valid
+ */
+function validateReceipt(receipt) {
+  if (!isPlainObject(receipt)) {
+    return 'Invalid receipt format: must be a JSON object';
+  }
+  if (!receipt.version) {
+    return 'Invalid receipt: missing version field';
+  }
+  if (!Array.isArray(receipt.tasks)) {
+    return 'Invalid receipt: tasks must be an array';
+  }
+
+  const major = getMajorVersion(receipt);
+  if (major === 1) {
+    return validateV1Tasks(receipt.tasks);
+  }
+  if (major === 2) {
+    return validateV2(receipt);
+  }
+  return `Unsupported receipt version: ${receipt.version}`;
+}
+
+/**
+ * @private
+ */
+function validateV1Tasks(tasks) {
+  for (let i = 0; i < tasks.length; i++) {
+    const task = tasks[i];
+    if (!task || !task.id) {
+      return `Invalid task at index ${i}: missing id`;
+    }
+    if (!task.type) {
+      return `Invalid task at index ${i}: missing type`;
+    }
+    if (!task.params || !task.params.query) {
+      return `Invalid task at index ${i}: missing params.query`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function validateV2(receipt) {
+  if (receipt.variables !== undefined && !isPlainObject(receipt.variables)) {
+    return 'Invalid receipt: variables must be an object';
+  }
+
+  const variables = receipt.variables || {};
+  for (const [name, spec] of Object.entries(variables)) {
+    if (!NAME_PATTERN.test(name)) {
+      return `Invalid variable name: ${name}`;
+    }
+    if (isPlainObject(spec)) {
+      if (spec.type !== undefined && !VARIABLE_TYPES.includes(spec.type)) {
+        return `Invalid variable ${name}: type must be one of ${VARIABLE_TYPES.join(', ')}`;
+      }
+    } else if (spec !== null && !VARIABLE_TYPES.includes(typeof spec)) {
+      return `Invalid variable ${name}: must be a definition object or a default value`;
+    }
+  }
+
+  const ids = new Set();
+  for (let i = 0; i < receipt.tasks.length; i++) {
+    const task = receipt.tasks[i];
+    if (!isPlainObject(task) || typeof task.id !== 'string' || !task.id) {
+      return `Invalid task at index ${i}: missing id`;
+    }
+    if (ids.has(task.id)) {
+      return `Invalid task at index ${i}: duplicate id ${task.id}`;
+    }
+    ids.add(task.id);
+  }
+
+  for (let i = 0; i < receipt.tasks.length; i++) {
+    const error = validateV2Task(receipt.tasks[i], ids, variables);
+    if (error) {
+      return `Invalid task ${receipt.tasks[i].id}: ${error}`;
+    }
+  }
+
+  try {
+    orderTasks(normalizeReceipt(receipt).tasks);
+  } catch (error) {
+    return `Invalid receipt: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * @private
+ */
+function validateV2Task(task, ids, variables) {
+  if (typeof task.type !== 'string' || !task.type) {
+    return 'missing type';
+  }
+  if (task.params !== undefined && !isPlainObject(task.params)) {
+    return 'params must be an object';
+  }
+  if (NL_TASK_TYPES.includes(task.type) && (!task.params || typeof task.params.query !== 'string' || !task.params.query)) {
+    return 'missing params.query';
+  }
+
+  for (const name of collectPlaceholders(task.params)) {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      return `references undeclared variable {{${name}}}`;
+    }
+  }
+
+  if (task.dependsOn !== undefined) {
+    if (!Array.isArray(task.dependsOn)) {
+      return 'dependsOn must be an array of task ids';
+    }
+    for (const dependency of task.dependsOn) {
+      if (dependency === task.id) {
+        return 'cannot depend on itself';
+      }
+      if (!ids.has(dependency)) {
+        return `depends on unknown task ${dependency}`;
+      }
+    }
+  }
+
+  if (task.when !== undefined) {
+    const conditions = Array.isArray(task.when) ? task.when : [task.when];
+    for (const condition of conditions) {
+      if (!isPlainObject(condition) || typeof condition.task !== 'string') {
+        return 'when conditions must be objects with a task field';
+      }
+      if (condition.task === task.id) {
+        return 'when condition cannot refer to the task itself';
+      }
+      if (!ids.has(condition.task)) {
+        return `when condition refers to unknown task ${condition.task}`;
+      }
+      if (condition.path !== undefined && typeof condition.path !== 'string') {
+        return 'when condition path must be a string';
+      }
+      if (condition.matches !== undefined) {
+        try {
+          new RegExp(condition.matches);
+        } catch (error) {
+          return `invalid when pattern: ${error.message}`;
+        }
+      }
+      const unknown = Object.keys(condition)
+        .filter(key => !['task', 'status', 'path', ...CONDITION_OPERATORS].includes(key));
+      if (unknown.length > 0) {
+        return `unknown when condition field: ${unknown[0]}`;
+      }
+    }
+  }
+
+  if (task.continueOnError !== undefined && typeof task.continueOnError !== 'boolean') {
+    return 'continueOnError must be a boolean';
+  }
+
+  if (task.timeout !== undefined &&
+      (!Number.isInteger(task.timeout) || task.timeout <= 0 || task.timeout > MAX_TASK_TIMEOUT)) {
+    return `timeout must be an integer between 1 and ${MAX_TASK_TIMEOUT} ms`;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a validated v1 or v2 receipt into the common execution shape
+ * Each task gets a `kind`: 'nl' for natural language tasks, 'command' for
+ * raw browser commands (navigate, click, extract, ...).
+ * @param {Object} receipt - Validated receipt
+ * @returns {Object} Normalized receipt ({ version, major, name, variables, tasks })
+ */
+function normalizeReceipt(receipt) {
+  const major = getMajorVersion(receipt);
+
+  if (major === 1) {
+    return {
+      version: receipt.version,
+      major,
+      name: receipt.metadata?.name || null,
+      createdAt: receipt.createdAt,
+      variables: {},
+      tasks: receipt.tasks.map(task => ({
+        id: task.id,
+        type: task.type,
+        kind: 'nl', // v1 tasks are always queries, the type is informational
+        params: task.params,
+        dependsOn: [],
+        when: null,
+        continueOnError: true, // v1 runs always carried on after failures
+        timeout: DEFAULT_NL_TASK_TIMEOUT
+      }))
+    };
+  }
+
+  const variables = {};
+  for (const [name, spec] of Object.entries(receipt.variables || {})) {
+    const definition = isPlainObject(spec) ? spec : { default: spec };
+    variables[name] = {
+      type: definition.type || (definition.default !== undefined && definition.default !== null ? typeof definition.default : 'string'),
+      default: definition.default,
+      required: Boolean(definition.required),
+      description: definition.description || null
+    };
+  }
+
+  return {
+    version: receipt.version,
+    major,
+    name: receipt.name || receipt.metadata?.name || null,
+    createdAt: receipt.createdAt,
+    variables,
+    tasks: receipt.tasks.map(task => {
+      const kind = NL_TASK_TYPES.includes(task.type) ? 'nl' : 'command';
+      return {
+        id: task.id,
+        type: task.type,
+        kind,
+        params: task.params || {},
+        dependsOn: task.dependsOn || [],
+        when: task.when || null,
+        continueOnError: Boolean(task.continueOnError),
+        timeout: task.timeout || (kind === 'nl' ? DEFAULT_NL_TASK_TIMEOUT : DEFAULT_TASK_TIMEOUT)
+      };
+    })
+  };
+}
+
+/**
+ * Resolve variable values from run inputs and declared defaults
+ * @param {Object} normalized - Normalized receipt
+ * @param {Object} [inputs] - Values supplied for the run
+ * @returns {Object} Variable values by name
+ * @throws {Error} If a required variable is missing or has the wrong type
+ */
+function resolveVariables(normalized, inputs = {}) {
+  if (!isPlainObject(inputs)) {
+    throw new Error('Invalid variables: must be an object');
+  }
+
+  const values = {};
+  for (const [name, definition] of Object.entries(normalized.variables)) {
+    const value = inputs[name] !== undefined ? inputs[name] : definition.default;
+
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        throw new Error(`Missing required variable: ${name}`);
+      }
+      values[name] = '';
+      continue;
+    }
+
+    if (typeof value !== definition.type) {
+      throw new Error(`Invalid variable ${name}: expected ${definition.type}`);
+    }
+    values[name] = value;
+  }
+
+  const unknown = Object.keys(inputs).filter(name => !normalized.variables[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable: ${unknown[0]}`);
+  }
+
+  return values;
+}
+
+/**
+ * Order tasks so that every task runs after its dependencies and after the
+ * tasks its `when` conditions refer to. Declaration order is kept otherwise.
+ * @param {Array} tasks - Normalized tasks
+ * @returns {Array} Tasks in execution order
+ * @throws {Error} If dependencies form a cycle
+ */
+function orderTasks(tasks) {
+  const prerequisites = new Map();
+  for (const task of tasks) {
+    const conditions = task.when ? (Array.isArray(task.when) ? task.when : [task.when]) : [];
+    prerequisites.set(task.id, new Set([...task.dependsOn, ...conditions.map(c => c.task)]));
+  }
+
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < tasks.length) {
+    const next = tasks.find(task =>
+      !done.has(task.id) && [...prerequisites.get(task.id)].every(id => done.has(id))
+    );
+    if (!next) {
+      const blocked = tasks.filter(task => !done.has(task.id)).map(task => task.id);
+      throw new Error(`circular task dependencies between ${blocked.join(', ')}`);
+    }
+    ordered.push(next);
+    done.add(next.id);
+  }
+
+  return ordered;
+}
+
+module.exports = {
+  DEFAULT_TASK_TIMEOUT,
+  DEFAULT_NL_TASK_TIMEOUT,
+  NL_TASK_TYPES,
+  getMajorVersion,
+  validateReceipt,
+  normalizeReceipt,
+  resolveVariables,
+  orderTasks
+};
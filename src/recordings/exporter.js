@@ -0,0 +1,444 @@
+/**
+ * Export executed session commands as Puppeteer or Playwright code
+ *
+ * Every completed command becomes an action in a standalone script. Clicks
+ * and hovers at coordinates are turned into selector-based calls when the
+ * last get_page_elements snapshot before them has an element at that point
+ * with a stable selector (id, name, aria-label, placeholder or short text);
+ * otherwise the coordinates are kept. Locators in selectors become the
+ * libraries' own text, role, label and XPath queries.
+ */
+
+const { parseLocator } = require('../utils/commandRegistry');
+
+const EXPORT_FORMATS = ['puppeteer', 'playwright'];
+
+// Viewport of the server-side browser, so exported coordinates hit the same spots
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+
+// Commands that move page content, after which element positions are stale
+const LAYOUT_CHANGING_COMMANDS = ['navigate', 'scroll', 'new_tab', 'switch_tab', 'close_tab', 'import_storage_state'];
+
+const MODIFIER_KEYS = { ctrl: 'Control', control: 'Control', shift: 'Shift', alt: 'Alt', meta: 'Meta', cmd: 'Meta' };
+const MAX_TEXT_SELECTOR_LENGTH = 60;
+
+/**
+ * Single-quoted JavaScript string literal
+ * @private
+ */
+function quote(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')}'`;
+}
+
+/**
+ * CSS attribute selector with an escaped value
+ * @private
+ */
+function attributeSelector(tagName, name, value) {
+  return `${tagName}[${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+}
+
+/**
+ * Normalize key names like "ctrl+a" to "Control+a"
+ * @private
+ * @returns {string[]} Modifier keys followed by the main key
+ */
+function splitKeys(key) {
+  const parts = String(key).split('+');
+  const mainKey = parts.pop();
+  return [...parts.map(part => MODIFIER_KEYS[part.toLowerCase()] || part), mainKey];
+}
+
+/**
+ * Elements of a get_page_elements result that carry viewport positions
+ * Extension snapshots use document offsets, which cannot be matched with
+ * click coordinates, so only server-side snapshots are used.
+ * @private
+ */
+function positionedElements(result) {
+  const elements = Array.isArray(result?.elements) ? result.elements : [];
+  return elements.filter(element =>
+    ['x', 'y', 'width', 'height'].every(name => typeof element[name] === 'number')
+  );
+}
+
+/**
+ * Pick the most stable way to address an element of a snapshot
+ * Attribute selectors are only used when no other element of the snapshot
+ * shares the value.
+ * @private
+ * @returns {Object|null} { css } or { text, role }
+ */
+function describeTarget(element, snapshot) {
+  const tagName = element.tagName || '*';
+  if (element.elementId && /^[A-Za-z][\w-]*$/.test(element.elementId)) {
+    return { css: `#${element.elementId}` };
+  }
+
+  const attributes = [['name', 'name'], ['aria-label', 'ariaLabel'], ['placeholder', 'placeholder']];
+  for (const [attribute, field] of attributes) {
+    const value = element[field];
+    if (value && snapshot.filter(other => other[field] === value).length === 1) {
+      return { css: attributeSelector(tagName, attribute, value) };
+    }
+  }
+
+  const text = (element.text || '').replace(/\s+/g, ' ').trim();
+  if (text && text.length <= MAX_TEXT_SELECTOR_LENGTH &&
+    snapshot.filter(other => (other.text || '').replace(/\s+/g, ' ').trim() === text).length === 1) {
+    let role = null;
+    if (tagName === 'button' || ['submit', 'button'].includes(element.type)) {
+      role = 'button';
+    } else if (tagName === 'a') {
+      role = 'link';
+    }
+    return { text, role };
+  }
+
+  return null;
+}
+
+/**
+ * Find the element of a snapshot at a point; the smallest one wins
+ * @private
+ */
+function targetAt(snapshot, x, y) {
+  const hits = snapshot
+    .filter(element => Math.abs(element.x - x) <= element.width / 2 && Math.abs(element.y - y) <= element.height / 2)
+    .sort((a, b) => a.width * a.height - b.width * b.height);
+  return hits.length > 0 ? describeTarget(hits[0], snapshot) : null;
+}
+
+/**
+ * Target for the selector of a command
+ * Locators become the libraries' own text, role, label and XPath queries;
+ * chained CSS steps are joined into one descendant selector.
+ * @private
+ * @returns {Object|null} Target, or null for chained or nth locators, which have no single equivalent
+ */
+function selectorTarget(selector) {
+  let locator;
+  try {
+    locator = parseLocator(selector);
+  } catch (error) {
+    return { css: selector };
+  }
+  if (!locator.strict) {
+    return { css: locator.steps.map(step => step.value).join(' ') };
+  }
+  if (locator.steps.length !== 1) {
+    return null;
+  }
+
+  const [step] = locator.steps;
+  switch (step.engine) {
+    case 'text':
+      return { text: step.text, exact: step.exact, role: null };
+    case 'role':
+      return step.level === null ? { role: step.role, text: step.name?.text ?? null, exact: step.name?.exact ?? false } : null;
+    case 'label':
+      return { label: step.text, exact: step.exact };
+    case 'xpath':
+      return { xpath: step.value };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Action for a selector-based command, or an unsupported marker if the selector cannot be exported
+ * @private
+ */
+function selectorAction(command, selector, action) {
+  const target = selectorTarget(selector);
+  return target
+    ? { ...action, target }
+    : { kind: 'unsupported', type: command.type, note: `${command.type} with locator ${JSON.stringify(selector)} is not exported` };
+}
+
+/**
+ * Turn session commands into format-independent actions
+ * @param {Array} commands - Session commands
+ * @returns {Array} Actions
+ */
+function buildActions(commands) {
+  const actions = [];
+  let snapshot = [];
+
+  for (const command of commands.filter(entry => entry.status === 'completed')) {
+    const payload = command.payload || {};
+
+    switch (command.type) {
+      case 'navigate': {
+        const url = String(payload.url);
+        actions.push({ kind: 'goto', url: url.startsWith('http') ? url : `https://${url}` });
+        break;
+      }
+
+      case 'click':
+        actions.push(selectorAction(command, payload.selector || payload.element, { kind: 'click' }));
+        break;
+
+      case 'type':
+        actions.push(selectorAction(command, payload.selector || payload.element, { kind: 'fill', text: payload.text ?? payload.value }));
+        break;
+
+      case 'click_coordinate':
+      case 'hover_coordinate': {
+        const kind = command.type === 'click_coordinate' ? 'click' : 'hover';
+        const target = targetAt(snapshot, payload.x, payload.y);
+        actions.push(target ? { kind, target } : { kind: `${kind}At`, x: payload.x, y: payload.y });
+        break;
+      }
+
+      case 'key_press':
+        actions.push({ kind: 'press', keys: splitKeys(payload.key) });
+        break;
+
+      case 'type_text':
+      case 'keyboard_input':
+        actions.push({ kind: 'typeText', text: payload.text ?? payload.input });
+        break;
+
+      case 'scroll':
+        actions.push({ kind: 'scroll', deltaX: payload.deltaX || 0, deltaY: payload.deltaY || 300 });
+        break;
+
+      case 'extract':
+        // Emitters derive the target from the selector
+        actions.push(selectorTarget(payload.selector)
+          ? { kind: 'extract', selector: payload.selector, attribute: payload.attribute || null, multiple: payload.multiple === true }
+          : selectorAction(command, payload.selector, {}));
+        break;
+
+      case 'get_page_elements':
+        snapshot = positionedElements(command.result);
+        break;
+
+      case 'execute':
+      case 'evaluate':
+      case 'new_tab':
+      case 'switch_tab':
+      case 'close_tab':
+        actions.push({ kind: 'unsupported', type: command.type });
+        break;
+
+      default:
+        // Observations (screenshots, titles, element lists...) do not change the page
+        break;
+    }
+
+    if (LAYOUT_CHANGING_COMMANDS.includes(command.type)) {
+      snapshot = [];
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Puppeteer selector for a target
+ * @private
+ */
+function puppeteerSelector(target) {
+  if (target.css) {
+    return target.css;
+  }
+  if (target.xpath) {
+    return `::-p-xpath(${target.xpath})`;
+  }
+  if (target.label) {
+    // The accessible name of a labelled control is its label
+    return `::-p-aria(${JSON.stringify(target.label)})`;
+  }
+  if (target.role && target.text === null) {
+    return `::-p-aria([role=${JSON.stringify(target.role)}])`;
+  }
+  // Role locators (which set `exact`) keep their role; snapshot targets are found by text
+  if (target.role && target.exact !== undefined) {
+    return `::-p-aria([name=${JSON.stringify(target.text)}][role=${JSON.stringify(target.role)}])`;
+  }
+  return `::-p-text(${JSON.stringify(target.text)})`;
+}
+
+/**
+ * Puppeteer code for a target
+ * @private
+ */
+function puppeteerLocator(target) {
+  return `page.locator(${quote(puppeteerSelector(target))})`;
+}
+
+/**
+ * Playwright code for a target; snapshot targets without `exact` match exactly
+ * @private
+ */
+function playwrightLocator(target) {
+  const exact = target.exact !== false;
+  if (target.css) {
+    return `page.locator(${quote(target.css)})`;
+  }
+  if (target.xpath) {
+    return `page.locator(${quote(`xpath=${target.xpath}`)})`;
+  }
+  if (target.label) {
+    return `page.getByLabel(${quote(target.label)}, { exact: ${exact} })`;
+  }
+  if (target.role) {
+    return target.text === null
+      ? `page.getByRole(${quote(target.role)})`
+      : `page.getByRole(${quote(target.role)}, { name: ${quote(target.text)}, exact: ${exact} })`;
+  }
+  return `page.getByText(${quote(target.text)}, { exact: ${exact} })`;
+}
+
+const EMITTERS = {
+  puppeteer: {
+    goto: action => [`await page.goto(${quote(action.url)}, { waitUntil: 'networkidle2' });`],
+    click: action => [`await ${puppeteerLocator(action.target)}.click();`],
+    hover: action => [`await ${puppeteerLocator(action.target)}.hover();`],
+    fill: action => [`await ${puppeteerLocator(action.target)}.fill(${quote(action.text)});`],
+    clickAt: action => [`await page.mouse.click(${action.x}, ${action.y});`],
+    hoverAt: action => [`await page.mouse.move(${action.x}, ${action.y});`],
+    press: action => {
+      const modifiers = action.keys.slice(0, -1);
+      return [
+        ...modifiers.map(key => `await page.keyboard.down(${quote(key)});`),
+        `await page.keyboard.press(${quote(action.keys[action.keys.length - 1])});`,
+        ...modifiers.reverse().map(key => `await page.keyboard.up(${quote(key)});`)
+      ];
+    },
+    typeText: action => [`await page.keyboard.type(${quote(action.text)});`],
+    scroll: action => [`await page.mouse.wheel({ deltaX: ${action.deltaX}, deltaY: ${action.deltaY} });`],
+    extract: (action, name) => {
+      const read = action.attribute ? `el => el.getAttribute(${quote(action.attribute)})` : 'el => el.textContent.trim()';
+      const call = action.multiple
+        ? `page.$$eval(${quote(puppeteerSelector(selectorTarget(action.selector)))}, els => els.map(${read}))`
+        : `page.$eval(${quote(puppeteerSelector(selectorTarget(action.selector)))}, ${read})`;
+      return [`const ${name} = await ${call};`, `console.log(${quote(`${action.selector}:`)}, ${name});`];
+    }
+  },
+  playwright: {
+    goto: action => [`await page.goto(${quote(action.url)});`],
+    click: action => [`await ${playwrightLocator(action.target)}.click();`],
+    hover: action => [`await ${playwrightLocator(action.target)}.hover();`],
+    fill: action => [`await ${playwrightLocator(action.target)}.fill(${quote(action.text)});`],
+    clickAt: action => [`await page.mouse.click(${action.x}, ${action.y});`],
+    hoverAt: action => [`await page.mouse.move(${action.x}, ${action.y});`],
+    press: action => [`await page.keyboard.press(${quote(action.keys.join('+'))});`],
+    typeText: action => [`await page.keyboard.type(${quote(action.text)});`],
+    scroll: action => [`await page.mouse.wheel(${action.deltaX}, ${action.deltaY});`],
+    extract: (action, name) => {
+      const locator = playwrightLocator(selectorTarget(action.selector));
+      let call;
+      if (action.multiple) {
+        call = action.attribute
+          ? `${locator}.evaluateAll((els, name) => els.map(el => el.getAttribute(name)), ${quote(action.attribute)})`
+          : `${locator}.allInnerTexts()`;
+      } else {
+        call = action.attribute ? `${locator}.first().getAttribute(${quote(action.attribute)})` : `${locator}.first().innerText()`;
+      }
+      return [`const ${name} = await ${call};`, `console.log(${quote(`${action.selector}:`)}, ${name});`];
+    }
+  }
+};
+
+/**
+ * Text that stays inside a // comment: line terminators would end the comment
+ * @private
+ */
+function commentText(text) {
+  return String(text).replace(/[\r\n\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Code lines for all actions in a format
+ * @private
+ */
+function emitActions(actions, format) {
+  const emitter = EMITTERS[format];
+  const lines = [];
+  let extractCount = 0;
+  for (const action of actions) {
+    if (action.kind === 'unsupported') {
+      lines.push(`// ${commentText(action.note || `${action.type} commands are not exported`)}`);
+    } else if (action.kind === 'extract') {
+      lines.push(...emitter.extract(action, `extracted${++extractCount}`));
+    } else {
+      lines.push(...emitter[action.kind](action));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Export a session as a runnable Puppeteer script or Playwright test
+ * @param {Object} session - Session with its executed commands
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='puppeteer'] - puppeteer or playwright
+ * @returns {Object} { format, filename, actionCount, code }
+ * @throws {Error} If the format is not supported
+ */
+function exportSession(session, options = {}) {
+  const format = options.format || 'puppeteer';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export format: ${format}. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const actions = buildActions(session.commands || []);
+  const header = `// Generated from session ${session.id} on ${new Date().toISOString()}`;
+  const indent = (lines, depth) => lines.map(line => `${' '.repeat(depth)}${line}`).join('\n');
+  const { width, height } = DEFAULT_VIEWPORT;
+
+  let code;
+  if (format === 'puppeteer') {
+    code = [
+      header,
+      `const puppeteer = require('puppeteer');`,
+      '',
+      '(async () => {',
+      '  const browser = await puppeteer.launch();',
+      '  const page = await browser.newPage();',
+      `  await page.setViewport({ width: ${width}, height: ${height} });`,
+      '',
+      '  try {',
+      indent(emitActions(actions, format), 4),
+      '  } finally {',
+      '    await browser.close();',
+      '  }',
+      '})();',
+      ''
+    ].join('\n');
+  } else {
+    code = [
+      header,
+      `const { test } = require('@playwright/test');`,
+      '',
+      `test.use({ viewport: { width: ${width}, height: ${height} } });`,
+      '',
+      `test(${quote(`session ${session.id}`)}, async ({ page }) => {`,
+      indent(emitActions(actions, format), 2),
+      '});',
+      ''
+    ].join('\n');
+  }
+
+  return {
+    format,
+    filename: format === 'puppeteer' ? `session-${session.id}.js` : `session-${session.id}.spec.js`,
+    actionCount: actions.length,
+    code
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildActions,
+  exportSession
+};
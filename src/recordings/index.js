@@ -0,0 +1,9 @@
+const schema = require('./schema');
+const recorder = require('./recorder');
+const exporter = require('./exporter');
+
+module.exports = {
+  ...schema,
+  ...recorder,
+  ...exporter
+};
@@ -0,0 +1,120 @@
+/**
+ * Build recordings from the commands a session executed
+ *
+ * Every successful command that changes the page becomes a step, with the
+ * exact payload that ran (coordinates and selectors chosen by the AI
+ * included). Commands that only look at the page are not replayed; their
+ * results become checkpoints of the step before them: screenshots are kept
+ * for screenshot diffs, getTitle results become url/title assertions and
+ * getText results become text assertions.
+ */
+
+const { RECORDING_VERSION } = require('./schema');
+
+const OBSERVATION_COMMANDS = [
+  'screenshot', 'getTitle', 'getUrl', 'getText', 'getAttribute', 'get_text', 'get_page_elements',
+  'extract', 'list_tabs', 'list_network_rules', 'export_storage_state'
+];
+
+/**
+ * URL without query string and fragment, which often carry per-visit values
+ * @private
+ */
+function stableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Add an assertion to a step, replacing an earlier one that checks the same thing
+ * @private
+ */
+function setAssertion(step, assertion) {
+  step.assertions = step.assertions.filter(existing =>
+    existing.type !== assertion.type || existing.selector !== assertion.selector
+  );
+  step.assertions.push(assertion);
+}
+
+/**
+ * Turn an observation result into checkpoints of a step
+ * @private
+ */
+function addCheckpoint(step, command, includeScreenshots) {
+  const result = command.result || {};
+  switch (command.type) {
+    case 'screenshot':
+      if (includeScreenshots && typeof result.screenshot === 'string') {
+        step.screenshot = result.screenshot; // The latest screenshot wins
+      }
+      break;
+
+    case 'getTitle':
+      if (typeof result.url === 'string') {
+        setAssertion(step, { type: 'url', contains: stableUrl(result.url) });
+      }
+      if (typeof result.title === 'string') {
+        setAssertion(step, { type: 'title', equals: result.title });
+      }
+      break;
+
+    case 'getText':
+      if (command.payload?.selector && typeof result.text === 'string') {
+        setAssertion(step, { type: 'text', selector: command.payload.selector, equals: result.text });
+      }
+      break;
+  }
+}
+
+/**
+ * Create a recording of a session
+ * @param {Object} session - Session with its executed commands
+ * @param {Object} [options] - Recording options
+ * @param {boolean} [options.screenshots=true] - Embed screenshots for screenshot diffs
+ * @returns {Object} Recording
+ */
+function createRecording(session, options = {}) {
+  const includeScreenshots = options.screenshots !== false;
+  const commands = (session.commands || []).filter(command => command.status === 'completed');
+
+  const steps = [];
+  for (const command of commands) {
+    if (OBSERVATION_COMMANDS.includes(command.type)) {
+      if (steps.length > 0) {
+        addCheckpoint(steps[steps.length - 1], command, includeScreenshots);
+      }
+      continue;
+    }
+
+    const step = {
+      type: command.type,
+      payload: command.payload || {},
+      sourceCommandId: command.id,
+      assertions: []
+    };
+    if (command.type === 'navigate' && typeof command.result?.url === 'string') {
+      step.assertions.push({ type: 'url', contains: stableUrl(command.result.url) });
+    }
+    steps.push(step);
+  }
+
+  return {
+    version: RECORDING_VERSION,
+    recordedAt: new Date().toISOString(),
+    source: {
+      sessionId: session.id,
+      createdAt: session.createdAt,
+      commandCount: (session.commands || []).length
+    },
+    steps
+  };
+}
+
+module.exports = {
+  OBSERVATION_COMMANDS,
+  createRecording
+};
@@ -0,0 +1,161 @@
+/**
+ * Recording validation
+ *
+ * A recording is a deterministic command script exported from a session:
+ *
+ * {
+ *   "version": 1,
+ *   "recordedAt": "2024-01-15T10:00:00.000Z",
+ *   "source": { "sessionId": "...", "createdAt": "...", "commandCount": 12 },
+ *   "steps": [{
+ *     "type": "click_coordinate",
+ *     "payload": { "x": 120, "y": 40 },
+ *     "delayMs": 0,
+ *     "assertions": [{ "type": "url", "contains": "https://example.com/results" }],
+ *     "screenshot": "data:image/png;base64,..."
+ *   }]
+ * }
+ *
+ * Assertions check the page after their step: `url` and `title` use one of
+ * `equals`, `contains` or `matches` (regular expression), `text` does the same
+ * for the text of `selector`, and `element` waits for `selector` to exist.
+ */
+
+const RECORDING_VERSION = 1;
+const ASSERTION_TYPES = ['url', 'title', 'text', 'element'];
+const MATCHERS = ['equals', 'contains', 'matches'];
+const MAX_STEP_DELAY = 60 * 1000; // 1 minute
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a step assertion
+ * @param {Object} assertion - Assertion
+ * @returns {string|null} Error message or null if valid
+ */
+function validateAssertion(assertion) {
+  if (!isPlainObject(assertion) || !ASSERTION_TYPES.includes(assertion.type)) {
+    return `type must be one of: ${ASSERTION_TYPES.join(', ')}`;
+  }
+  if ((assertion.type === 'text' || assertion.type === 'element') &&
+    (typeof assertion.selector !== 'string' || !assertion.selector)) {
+    return `selector is required for ${assertion.type} assertions`;
+  }
+  if (assertion.type === 'element') {
+    if (assertion.timeout !== undefined && (!Number.isInteger(assertion.timeout) || assertion.timeout < 0)) {
+      return 'timeout must be a non-negative integer';
+    }
+    return null;
+  }
+
+  const matchers = MATCHERS.filter(name => assertion[name] !== undefined);
+  if (matchers.length !== 1 || typeof assertion[matchers[0]] !== 'string') {
+    return `exactly one of ${MATCHERS.join(', ')} must be given as a string`;
+  }
+  if (matchers[0] === 'matches') {
+    try {
+      new RegExp(assertion.matches);
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a recording
+ * Command payloads are checked separately by CommandExecutor.validateCommand.
+ * @param {Object} recording - Recording
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRecording(recording) {
+  if (!isPlainObject(recording)) {
+    return 'Invalid recording format: must be a JSON object';
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    return `Unsupported recording version: ${recording.version}`;
+  }
+  if (!Array.isArray(recording.steps) || recording.steps.length === 0) {
+    return 'Invalid recording: steps must be a non-empty array';
+  }
+
+  for (let i = 0; i < recording.steps.length; i++) {
+    const step = recording.steps[i];
+    if (!isPlainObject(step) || typeof step.type !== 'string') {
+      return `Invalid step ${i}: missing type`;
+    }
+    if (step.payload !== undefined && !isPlainObject(step.payload)) {
+      return `Invalid step ${i}: payload must be an object`;
+    }
+    if (step.delayMs !== undefined &&
+      (!Number.isInteger(step.delayMs) || step.delayMs < 0 || step.delayMs > MAX_STEP_DELAY)) {
+      return `Invalid step ${i}: delayMs must be an integer between 0 and ${MAX_STEP_DELAY}`;
+    }
+    if (step.screenshot !== undefined && typeof step.screenshot !== 'string') {
+      return `Invalid step ${i}: screenshot must be a data URL`;
+    }
+    if (step.assertions !== undefined) {
+      if (!Array.isArray(step.assertions)) {
+        return `Invalid step ${i}: assertions must be an array`;
+      }
+      for (let j = 0; j < step.assertions.length; j++) {
+        const error = validateAssertion(step.assertions[j]);
+        if (error) {
+          return `Invalid step ${i}, assertion ${j}: ${error}`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate replay options
+ * @param {Object} options - Replay options
+ * @returns {string|null} Error message or null if valid
+ */
+function validateReplayOptions(options) {
+  if (!isPlainObject(options)) {
+    return 'options must be an object';
+  }
+  for (const name of ['stopOnFailure', 'compareScreenshots', 'keepSession']) {
+    if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+      return `options.${name} must be a boolean`;
+    }
+  }
+  const ranges = { screenshotThreshold: [0, 1], pixelTolerance: [0, 255], settleMs: [0, MAX_STEP_DELAY] };
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = options[name];
+    if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+      return `options.${name} must be a number between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a url, title or text assertion against the actual value
+ * @param {Object} assertion - Assertion with equals, contains or matches
+ * @param {string} actual - Actual value
+ * @returns {boolean} Whether the assertion holds
+ */
+function matchAssertion(assertion, actual) {
+  const value = actual === undefined || actual === null ? '' : String(actual);
+  if (assertion.equals !== undefined) {
+    return value === assertion.equals;
+  }
+  if (assertion.contains !== undefined) {
+    return value.includes(assertion.contains);
+  }
+  return new RegExp(assertion.matches).test(value);
+}
+
+module.exports = {
+  RECORDING_VERSION,
+  ASSERTION_TYPES,
+  validateAssertion,
+  validateRecording,
+  validateReplayOptions,
+  matchAssertion
+};
@@ -0,0 +1,173 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Create admin routes for users and API keys
+ * Callers must already be authenticated as admin.
+ * @param {IdentityManager} identityManager - Identity manager instance
+ * @returns {express.Router} Express router
+ */
+function createAdminRoutes(identityManager) {
+  const router = express.Router();
+
+  const userNotFound = res => res.status(404).json({
+    success: false,
+    error: 'User not found'
+  });
+
+  // List users
+  router.get('/users', (req, res) => {
+    const users = identityManager.listUsers();
+    res.json({
+      success: true,
+      users,
+      count: users.length
+    });
+  });
+
+  // Create a user
+  router.post('/users', async (req, res) => {
+    try {
+      const validationError = identityManager.validateUser(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+      if (identityManager.getUser(req.body.username)) {
+        return res.status(409).json({
+          success: false,
+          error: `User already exists: ${req.body.username}`
+        });
+      }
+
+      const user = await identityManager.createUser(req.body);
+      res.status(201).json({
+        success: true,
+        user
+      });
+    } catch (error) {
+      logger.error('Failed to create user:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get a user
+  router.get('/users/:username', (req, res) => {
+    const user = identityManager.getUser(req.params.username);
+    if (!user) {
+      return userNotFound(res);
+    }
+    res.json({
+      success: true,
+      user
+    });
+  });
+
+  // Update a user (name, role, password, disabled)
+  router.patch('/users/:username', async (req, res) => {
+    try {
+      const validationError = identityManager.validateUser(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const user = await identityManager.updateUser(req.params.username, req.body);
+      if (!user) {
+        return userNotFound(res);
+      }
+      res.json({
+        success: true,
+        user
+      });
+    } catch (error) {
+      logger.error(`Failed to update user ${req.params.username}:`, error);
+      res.status(error.message.startsWith('Cannot remove the last') ? 409 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Delete a user with its tokens and API keys
+  router.delete('/users/:username', (req, res) => {
+    try {
+      if (!identityManager.deleteUser(req.params.username)) {
+        return userNotFound(res);
+      }
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } catch (error) {
+      logger.error(`Failed to delete user ${req.params.username}:`, error);
+      res.status(error.message.startsWith('Cannot remove the last') ? 409 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List API keys
+  router.get('/api-keys', (req, res) => {
+    const apiKeys = identityManager.listApiKeys({ username: req.query.username });
+    res.json({
+      success: true,
+      apiKeys,
+      count: apiKeys.length
+    });
+  });
+
+  // Create an API key; the key is only shown in this response
+  router.post('/api-keys', (req, res) => {
+    try {
+      // Keys belong to the calling admin unless another user is given
+      const input = { ...req.body, username: req.body?.username || req.user.username };
+      const validationError = identityManager.validateApiKey(input);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const { apiKey, key } = identityManager.createApiKey(input);
+      res.status(201).json({
+        success: true,
+        apiKey,
+        key
+      });
+    } catch (error) {
+      logger.error('Failed to create API key:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Revoke an API key
+  router.delete('/api-keys/:keyId', (req, res) => {
+    if (!identityManager.revokeApiKey(req.params.keyId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  });
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
@@ -1,6 +1,7 @@
 const express = require('express');
 const logger = require('../utils/logger');
 const CommandExecutor = require('../services/CommandExecutor');
+const { createRecording, exportSession } = require('../recordings');
 
 /**
  * Create command routes
@@ -15,7 +16,12 @@ function createCommandRoutes(sessionManager) {
   router.post('/:sessionId/commands', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const commandData = req.body;
+      const commandData = { ...req.body };
+      // The Idempotency-Key header is an alternative to idempotencyKey in the body
+      const headerKey = req.get('Idempotency-Key');
+      if (headerKey !== undefined && commandData.idempotencyKey === undefined) {
+        commandData.idempotencyKey = headerKey;
+      }
 
       const result = await commandExecutor.executeCommand(sessionId, commandData);
       
@@ -26,7 +32,9 @@ function createCommandRoutes(sessionManager) {
           type: commandData.type,
           status: 'completed',
           result: result.result,
-          completedAt: result.completedAt
+          completedAt: result.completedAt,
+          retryCount: result.retryCount,
+          replayed: result.replayed || false
         }
       });
     } catch (error) {
@@ -39,6 +47,21 @@ function createCommandRoutes(sessionManager) {
         });
       }
 
+      // Locators are also checked by the page when the command runs
+      if (CommandExecutor.isInvalidCommand(error) || error.message.startsWith('Invalid locator')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('was already used for a different command')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal Server Error',
@@ -47,6 +70,30 @@ function createCommandRoutes(sessionManager) {
     }
   });
 
+  // Execute an ordered list of commands in one request
+  router.post('/:sessionId/commands/batch', async (req, res) => {
+    try {
+      const batch = await commandExecutor.executeBatch(req.params.sessionId, req.body);
+
+      res.json({
+        success: true,
+        batch
+      });
+    } catch (error) {
+      logger.error(`Failed to execute command batch for session ${req.params.sessionId}:`, error);
+      let status = 500;
+      if (error.message.startsWith('Session not found')) {
+        status = 404;
+      } else if (error.message.startsWith('Invalid batch')) {
+        status = 400;
+      }
+      res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get commands for session
   router.get('/:sessionId/commands', async (req, res) => {
     try {
@@ -76,9 +123,10 @@ function createCommandRoutes(sessionManager) {
   // Get command status
   router.get('/:sessionId/commands/:commandId', async (req, res) => {
     try {
-      const { commandId } = req.params;
-      
-      const status = commandExecutor.getCommandStatus(commandId);
+      const { sessionId, commandId } = req.params;
+
+      // Commands of other sessions look like unknown commands
+      const status = commandExecutor.getCommandStatus(commandId, sessionId);
       
       if (!status) {
         return res.status(404).json({
@@ -103,9 +151,9 @@ function createCommandRoutes(sessionManager) {
   // Cancel command
   router.delete('/:sessionId/commands/:commandId', async (req, res) => {
     try {
-      const { commandId } = req.params;
-      
-      const cancelled = commandExecutor.cancelCommand(commandId);
+      const { sessionId, commandId } = req.params;
+
+      const cancelled = commandExecutor.cancelCommand(commandId, sessionId);
       
       if (!cancelled) {
         return res.status(404).json({
@@ -127,6 +175,150 @@ function createCommandRoutes(sessionManager) {
     }
   });
 
+  // Download the HAR recorded by the server-side browser
+  router.get('/:sessionId/har', (req, res) => {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const har = commandExecutor.getHar(sessionId);
+    if (!har) {
+      return res.status(404).json({
+        success: false,
+        error: 'No HAR recording for this session'
+      });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="session-${sessionId}.har"`);
+    res.type('application/json').send(JSON.stringify(har, null, 2));
+  });
+
+  // Export the session's executed commands as a replayable recording
+  router.get('/:sessionId/recording', (req, res) => {
+    const { sessionId } = req.params;
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const recording = createRecording(session, { screenshots: req.query.screenshots !== 'false' });
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="recording-${sessionId}.json"`);
+    }
+    res.json({
+      success: true,
+      recording
+    });
+  });
+
+  // Export the session's executed commands as a Puppeteer script or Playwright test
+  router.get('/:sessionId/export', (req, res) => {
+    const { sessionId } = req.params;
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    let exported;
+    try {
+      exported = exportSession(session, { format: req.query.format });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (req.query.download === 'true') {
+      res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+      return res.type('application/javascript').send(exported.code);
+    }
+    res.json({
+      success: true,
+      ...exported
+    });
+  });
+
+  // Export cookies and web storage as a portable storage state
+  router.get('/:sessionId/storage-state', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const origins = req.query.origins ? String(req.query.origins).split(',').map(origin => origin.trim()) : undefined;
+
+      const result = await commandExecutor.executeCommand(sessionId, {
+        type: 'export_storage_state',
+        payload: { origins }
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Storage state export failed');
+      }
+
+      if (req.query.download === 'true') {
+        res.setHeader('Content-Disposition', `attachment; filename="storage-state-${sessionId}.json"`);
+      }
+      res.json({
+        success: true,
+        storageState: result.result.storageState
+      });
+    } catch (error) {
+      logger.error(`Failed to export storage state for session ${req.params.sessionId}:`, error);
+      let status = 500;
+      if (error.message.startsWith('Session not found')) {
+        status = 404;
+      } else if (error.message.startsWith('Origins not open in automation tabs')) {
+        status = 400;
+      }
+      res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Import a storage state, typically into a new session before the first navigate
+  router.post('/:sessionId/storage-state', async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      // Accept the exported document as-is or wrapped in { storageState }
+      const storageState = req.body.storageState || req.body;
+
+      const result = await commandExecutor.executeCommand(sessionId, {
+        type: 'import_storage_state',
+        payload: { storageState }
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Storage state import failed');
+      }
+
+      res.json({
+        success: true,
+        imported: result.result.imported
+      });
+    } catch (error) {
+      logger.error(`Failed to import storage state for session ${req.params.sessionId}:`, error);
+      let status = 500;
+      if (error.message.startsWith('Session not found')) {
+        status = 404;
+      } else if (error.message.startsWith('Invalid storage state')) {
+        status = 400;
+      }
+      res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   // Store command executor for WebSocket manager
   router.commandExecutor = commandExecutor;
 
@@ -0,0 +1,95 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Create client event stream routes (Server-Sent Events)
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @returns {express.Router} Express router
+ */
+function createEventRoutes(sessionManager) {
+  const router = express.Router();
+
+  // Stream session events: command start/finish, NL task progress, screenshots, interventions
+  router.get('/:sessionId/events', (req, res) => {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; ?lastEventId= works for manual catch-up
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = null;
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      res.end();
+      logger.debug(`Event stream closed for session ${sessionId}`);
+    };
+
+    const send = event => {
+      if (!types || types.includes(event.type)) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+      if (event.type === 'session_deleted') {
+        close();
+      }
+    };
+
+    unsubscribe = sessionManager.events.subscribe(sessionId, send, {
+      lastEventId: Number.isNaN(lastEventId) ? undefined : lastEventId
+    });
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+    heartbeat = setInterval(() => res.write(': keepalive\n\n'), config.EVENT_STREAM_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    req.on('close', close);
+    logger.debug(`Event stream opened for session ${sessionId}`);
+  });
+
+  // Recent events for clients that cannot keep a stream open
+  router.get('/:sessionId/events/recent', (req, res) => {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const events = sessionManager.events.getRecentEvents(sessionId, parseInt(req.query.after, 10) || 0);
+    res.json({
+      success: true,
+      events,
+      count: events.length
+    });
+  });
+
+  return router;
+}
+
+module.exports = createEventRoutes;
@@ -1,5 +1,6 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const CommandExecutor = require('../services/CommandExecutor');
 
 /**
  * Create interactive command routes for manual browser control
@@ -45,13 +46,13 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
           }
           
           result = await commandExecutor.executeCommand(sessionId, {
-            type: 'click',
+            type: 'click_coordinate',
             payload: {
               x: command.x,
               y: command.y,
               timeout: 5000
             }
-          });
+          }, { bypassPause: true });
           break;
 
         case 'type':
@@ -63,12 +64,12 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
           }
           
           result = await commandExecutor.executeCommand(sessionId, {
-            type: 'type',
+            type: 'type_text',
             payload: {
               text: command.text,
               timeout: 5000
             }
-          });
+          }, { bypassPause: true });
           break;
 
         case 'key':
@@ -80,23 +81,21 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
           }
           
           result = await commandExecutor.executeCommand(sessionId, {
-            type: 'keypress',
+            type: 'key_press',
             payload: {
               key: command.key,
               timeout: 5000
             }
-          });
+          }, { bypassPause: true });
           break;
 
         case 'pause':
-          session.isPaused = true;
-          session.pauseReason = command.reason || 'manual_pause';
+          sessionManager.pauseSession(sessionId, command.reason || 'manual_pause');
           result = { success: true, message: 'Session paused' };
           break;
 
         case 'resume':
-          session.isPaused = false;
-          session.pauseReason = null;
+          sessionManager.resumeSession(sessionId);
           result = { success: true, message: 'Session resumed' };
           break;
 
@@ -113,7 +112,7 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
         const screenshotResult = await commandExecutor.executeCommand(sessionId, {
           type: 'screenshot',
           payload: {}
-        });
+        }, { bypassPause: true });
         screenshot = screenshotResult.result.screenshot;
       } catch (screenshotError) {
         logger.warn('Failed to take screenshot after interactive command:', screenshotError);
@@ -126,15 +125,12 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
           base64: screenshot,
           timestamp: new Date().toISOString()
         } : null,
-        sessionState: {
-          isPaused: session.isPaused,
-          pauseReason: session.pauseReason
-        }
+        sessionState: sessionManager.getPauseState(sessionId)
       });
 
     } catch (error) {
       logger.error('Failed to execute interactive command:', error);
-      res.status(500).json({
+      res.status(CommandExecutor.isInvalidCommand(error) ? 400 : 500).json({
         success: false,
         error: error.message
       });
@@ -154,10 +150,11 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
         });
       }
 
+      // The live view keeps working while the session is paused
       const screenshotResult = await commandExecutor.executeCommand(sessionId, {
         type: 'screenshot',
         payload: {}
-      });
+      }, { bypassPause: true });
 
       res.json({
         success: true,
@@ -165,10 +162,7 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
           base64: screenshotResult.result.screenshot,
           timestamp: new Date().toISOString()
         },
-        sessionState: {
-          isPaused: session.isPaused,
-          pauseReason: session.pauseReason
-        }
+        sessionState: sessionManager.getPauseState(sessionId)
       });
 
     } catch (error) {
@@ -197,8 +191,7 @@ function createInteractiveRoutes(sessionManager, commandExecutor) {
         success: true,
         sessionState: {
           id: session.id,
-          isPaused: session.isPaused || false,
-          pauseReason: session.pauseReason || null,
+          ...sessionManager.getPauseState(sessionId),
           createdAt: session.createdAt,
           status: session.status,
           commandCount: session.commands.length
@@ -1,5 +1,6 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { validateLLMSelection } = require('../llm');
 
 /**
  * Create natural language task routes
@@ -14,7 +15,7 @@ function createNLTaskRoutes(sessionManager, nlTaskService) {
   router.post('/:sessionId/nl-tasks', async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const { task, description, executionMode } = req.body;
+      const { task, description, executionMode, llm, wait } = req.body;
 
       if (!task && !description) {
         return res.status(400).json({
@@ -23,12 +24,49 @@ function createNLTaskRoutes(sessionManager, nlTaskService) {
         });
       }
 
+      const llmError = llm && (llm.provider || llm.model) ? validateLLMSelection(llm) : null;
+      if (llmError) {
+        return res.status(400).json({
+          success: false,
+          error: llmError
+        });
+      }
+
+      if (!sessionManager.getSession(sessionId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      const runningTask = nlTaskService.getRunningTask(sessionId);
+      if (runningTask) {
+        return res.status(409).json({
+          success: false,
+          error: 'A task is already running for this session',
+          task: runningTask
+        });
+      }
+
       const taskDescription = task || description;
       
       logger.info(`Natural language task requested for session ${sessionId}: ${taskDescription}, executionMode: ${executionMode}`);
 
-      // Always return a result, even if there are errors
-      const result = await nlTaskService.processTask(sessionId, taskDescription, executionMode);
+      const taskStatus = nlTaskService.startTask(sessionId, taskDescription, executionMode, {
+        llm: llm ? { provider: llm.provider, model: llm.model, responses: llm.responses } : undefined
+      });
+
+      // Default: return the task ID immediately and let the client poll for status
+      if (wait !== true) {
+        return res.status(202).json({
+          success: true,
+          task: taskStatus,
+          statusUrl: `${req.baseUrl}/${sessionId}/nl-tasks/${taskStatus.taskId}`
+        });
+      }
+
+      // Legacy blocking mode: wait for the task loop to finish
+      const result = await nlTaskService.waitForTask(taskStatus.taskId);
       
       // If the result indicates failure but we have some response, still return success
       if (!result.success && result.fallbackResponse) {
@@ -74,10 +112,7 @@ function createNLTaskRoutes(sessionManager, nlTaskService) {
         });
       }
 
-      // Get natural language tasks from session commands
-      const nlTasks = session.commands.filter(cmd => 
-        cmd.type === 'nl-task' || cmd.type === 'natural-language-task'
-      );
+      const nlTasks = nlTaskService.listTasks(sessionId);
       
       res.json({
         success: true,
@@ -93,6 +128,66 @@ function createNLTaskRoutes(sessionManager, nlTaskService) {
     }
   });
 
+  // Get live status of a natural language task
+  router.get('/:sessionId/nl-tasks/:taskId', async (req, res) => {
+    try {
+      const { sessionId, taskId } = req.params;
+      const status = nlTaskService.getTaskStatus(taskId);
+
+      if (!status || status.sessionId !== sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Task not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        task: status
+      });
+    } catch (error) {
+      logger.error('Failed to get natural language task status:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Cancel a running natural language task
+  router.delete('/:sessionId/nl-tasks/:taskId', async (req, res) => {
+    try {
+      const { sessionId, taskId } = req.params;
+      const status = nlTaskService.getTaskStatus(taskId);
+
+      if (!status || status.sessionId !== sessionId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Task not found'
+        });
+      }
+
+      if (!nlTaskService.cancelTask(taskId)) {
+        return res.status(409).json({
+          success: false,
+          error: `Task already finished with status: ${status.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Task cancellation requested',
+        task: nlTaskService.getTaskStatus(taskId)
+      });
+    } catch (error) {
+      logger.error('Failed to cancel natural language task:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   return router;
 }
 
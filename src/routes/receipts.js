@@ -1,157 +1,112 @@
 const express = require('express');
 const logger = require('../utils/logger');
-const { v4: uuidv4 } = require('uuid');
-const CommandExecutor = require('../services/CommandExecutor');
+
+const EXECUTION_STATUSES = ['queued', 'running', 'completed', 'completed_with_errors', 'failed'];
 
 /**
  * Create receipt routes
  * @param {SessionManager} sessionManager - Session manager instance
+ * @param {ReceiptRunner} receiptRunner - Receipt runner instance
  * @returns {express.Router} Express router
  */
-function createReceiptRoutes(sessionManager) {
+function createReceiptRoutes(sessionManager, receiptRunner) {
   const router = express.Router();
-  const commandExecutor = new CommandExecutor(sessionManager);
 
   // Run a receipt
   router.post('/run', async (req, res) => {
     try {
-      const receipt = req.body;
-      
-      // Validate receipt format
-      if (!receipt || typeof receipt !== 'object') {
+      // The body is either the receipt itself or { receipt, variables, keepSession }
+      const wrapped = req.body && typeof req.body.receipt === 'object' && !req.body.tasks;
+      const receipt = wrapped ? req.body.receipt : req.body;
+      const variables = (wrapped && req.body.variables) || {};
+      const keepSession = wrapped && req.body.keepSession === true;
+
+      const validationError = receiptRunner.validateReceipt(receipt, variables);
+      if (validationError) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid receipt format: must be a JSON object'
+          error: validationError
         });
       }
-      
-      if (!receipt.version) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid receipt: missing version field'
+
+      const metadata = {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      };
+
+      const execution = receiptRunner.startExecution(receipt, metadata, variables, req.user, { keepSession });
+      const statusUrl = `${req.baseUrl}/execution/${execution.executionId}`;
+
+      // Legacy blocking mode: wait for all tasks before responding
+      if (req.query.wait === 'true') {
+        const finished = await receiptRunner.waitForExecution(execution.executionId);
+
+        return res.json({
+          success: true,
+          sessionId: finished.sessionId,
+          executionId: finished.executionId,
+          status: finished.status,
+          statusUrl,
+          receipt: {
+            version: receipt.version,
+            createdAt: receipt.createdAt,
+            executedAt: finished.completedAt
+          },
+          variables: finished.variables,
+          summary: finished.summary,
+          results: finished.tasks
         });
       }
-      
-      if (!Array.isArray(receipt.tasks)) {
+
+      res.status(202).json({
+        success: true,
+        sessionId: execution.sessionId,
+        executionId: execution.executionId,
+        status: execution.status,
+        statusUrl
+      });
+
+    } catch (error) {
+      logger.error('Failed to execute receipt:', error);
+      res.status(error.message.startsWith('Session quota reached') ? 429 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List receipt executions
+  router.get('/executions', (req, res) => {
+    try {
+      const { status, from, to, sessionId } = req.query;
+
+      if (status && !EXECUTION_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid receipt: tasks must be an array'
+          error: `Invalid status. Expected one of: ${EXECUTION_STATUSES.join(', ')}`
         });
       }
-      
-      // Validate each task
-      for (let i = 0; i < receipt.tasks.length; i++) {
-        const task = receipt.tasks[i];
-        if (!task.id) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid task at index ${i}: missing id`
-          });
-        }
-        if (!task.type) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid task at index ${i}: missing type`
-          });
-        }
-        if (!task.params || !task.params.query) {
+
+      for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(new Date(value).getTime())) {
           return res.status(400).json({
             success: false,
-            error: `Invalid task at index ${i}: missing params.query`
-          });
-        }
-      }
-      
-      // Create a new session for the receipt execution
-      const metadata = {
-        userAgent: req.get('User-Agent'),
-        ip: req.ip,
-        source: 'receipt',
-        receiptInfo: {
-          version: receipt.version,
-          createdAt: receipt.createdAt,
-          taskCount: receipt.tasks.length
-        }
-      };
-      
-      const session = sessionManager.createSession(metadata);
-      logger.info(`Created session ${session.id} for receipt execution with ${receipt.tasks.length} tasks`);
-      
-      // Execute tasks sequentially
-      const results = [];
-      let hasErrors = false;
-      
-      for (let i = 0; i < receipt.tasks.length; i++) {
-        const task = receipt.tasks[i];
-        
-        try {
-          logger.info(`Executing task ${i + 1}/${receipt.tasks.length}: ${task.params.query}`);
-          
-          // Convert receipt task to command format
-          const commandData = {
-            type: task.type || 'natural_language_task',
-            payload: {
-              query: task.params.query,
-              taskId: task.id
-            },
-            timeout: 30000 // 30 second timeout per task
-          };
-          
-          const result = await commandExecutor.executeCommand(session.id, commandData);
-          
-          results.push({
-            taskId: task.id,
-            taskIndex: i,
-            query: task.params.query,
-            status: 'completed',
-            result: result.result,
-            commandId: result.commandId,
-            completedAt: result.completedAt
-          });
-          
-          logger.info(`Task ${i + 1} completed successfully`);
-          
-        } catch (error) {
-          logger.error(`Task ${i + 1} failed:`, error);
-          hasErrors = true;
-          
-          results.push({
-            taskId: task.id,
-            taskIndex: i,
-            query: task.params.query,
-            status: 'failed',
-            error: error.message,
-            failedAt: new Date().toISOString()
+            error: `Invalid ${name} date: ${value}`
           });
-          
-          // Continue with next task even if this one failed
         }
       }
-      
-      const executionSummary = {
-        totalTasks: receipt.tasks.length,
-        completedTasks: results.filter(r => r.status === 'completed').length,
-        failedTasks: results.filter(r => r.status === 'failed').length,
-        hasErrors
-      };
-      
-      logger.info(`Receipt execution completed for session ${session.id}:`, executionSummary);
-      
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const executions = receiptRunner.listExecutions({ status, from, to, sessionId, limit, user: req.user });
+
       res.json({
         success: true,
-        sessionId: session.id,
-        executionId: uuidv4(),
-        receipt: {
-          version: receipt.version,
-          createdAt: receipt.createdAt,
-          executedAt: new Date().toISOString()
-        },
-        summary: executionSummary,
-        results: results
+        executions,
+        count: executions.length
       });
-      
+
     } catch (error) {
-      logger.error('Failed to execute receipt:', error);
+      logger.error('Failed to list executions:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -160,17 +115,24 @@ function createReceiptRoutes(sessionManager) {
   });
 
   // Get receipt execution status
-  router.get('/execution/:executionId', async (req, res) => {
+  router.get('/execution/:executionId', (req, res) => {
     try {
       const { executionId } = req.params;
-      
-      // This is a placeholder for now - you could store execution results
-      // in a database or cache to retrieve them later
-      res.status(404).json({
-        success: false,
-        error: 'Execution tracking not implemented yet'
+      const execution = receiptRunner.getExecution(executionId);
+
+      // Executions of other tenants look like unknown executions
+      if (!execution || !sessionManager.canAccess(execution, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Execution not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        execution
       });
-      
+
     } catch (error) {
       logger.error('Failed to get execution status:', error);
       res.status(500).json({
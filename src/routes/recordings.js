@@ -0,0 +1,124 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+const REPLAY_STATUSES = ['queued', 'running', 'passed', 'failed'];
+
+/**
+ * Create recording replay routes
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {RecordingReplayer} recordingReplayer - Recording replayer instance
+ * @returns {express.Router} Express router
+ */
+function createRecordingRoutes(sessionManager, recordingReplayer) {
+  const router = express.Router();
+
+  // Replay a recording on a new session
+  router.post('/replay', async (req, res) => {
+    try {
+      // The body is either the recording itself or { recording, options }
+      const wrapped = req.body && typeof req.body.recording === 'object' && !req.body.steps;
+      const recording = wrapped ? req.body.recording : req.body;
+      const options = (wrapped && req.body.options) || {};
+
+      const validationError = recordingReplayer.validateReplay(recording, options);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const metadata = {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      };
+
+      const replay = recordingReplayer.startReplay(recording, options, metadata, req.user);
+      const statusUrl = `${req.baseUrl}/replays/${replay.replayId}`;
+
+      if (req.query.wait === 'true') {
+        const finished = await recordingReplayer.waitForReplay(replay.replayId);
+        return res.json({
+          success: true,
+          statusUrl,
+          replay: finished
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        replayId: replay.replayId,
+        sessionId: replay.sessionId,
+        status: replay.status,
+        statusUrl
+      });
+
+    } catch (error) {
+      logger.error('Failed to replay recording:', error);
+      res.status(error.message.startsWith('Session quota reached') ? 429 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List replays
+  router.get('/replays', (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !REPLAY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Expected one of: ${REPLAY_STATUSES.join(', ')}`
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const replays = recordingReplayer.listReplays({ status, limit, user: req.user });
+
+      res.json({
+        success: true,
+        replays,
+        count: replays.length
+      });
+
+    } catch (error) {
+      logger.error('Failed to list replays:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get replay status with per-step results
+  router.get('/replays/:replayId', (req, res) => {
+    try {
+      const replay = recordingReplayer.getReplay(req.params.replayId);
+
+      // Replays of other tenants look like unknown replays
+      if (!replay || !sessionManager.canAccess(replay, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Replay not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        replay
+      });
+
+    } catch (error) {
+      logger.error('Failed to get replay status:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRecordingRoutes;
@@ -0,0 +1,199 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Create receipt schedule routes
+ * @param {SessionManager} sessionManager - Session manager instance
+ * @param {ReceiptScheduler} receiptScheduler - Receipt scheduler instance
+ * @returns {express.Router} Express router
+ */
+function createScheduleRoutes(sessionManager, receiptScheduler) {
+  const router = express.Router();
+
+  const notFound = res => res.status(404).json({
+    success: false,
+    error: 'Schedule not found'
+  });
+
+  // Schedules of other tenants look like unknown schedules
+  const findSchedule = req => {
+    const schedule = receiptScheduler.getSchedule(req.params.scheduleId);
+    return schedule && sessionManager.canAccess(schedule, req.user) ? schedule : null;
+  };
+
+  // List schedules
+  router.get('/', (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !['active', 'paused'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid status. Expected one of: active, paused'
+        });
+      }
+
+      const schedules = receiptScheduler.listSchedules({ status, user: req.user });
+      res.json({
+        success: true,
+        schedules,
+        count: schedules.length
+      });
+    } catch (error) {
+      logger.error('Failed to list schedules:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Create a schedule
+  router.post('/', (req, res) => {
+    try {
+      const validationError = receiptScheduler.validateSchedule(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      // Scheduled runs create their sessions on behalf of the schedule's creator
+      const schedule = receiptScheduler.createSchedule(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        schedule
+      });
+    } catch (error) {
+      logger.error('Failed to create schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get a schedule
+  router.get('/:scheduleId', (req, res) => {
+    const schedule = findSchedule(req);
+    if (!schedule) {
+      return notFound(res);
+    }
+    res.json({
+      success: true,
+      schedule
+    });
+  });
+
+  // Update a schedule
+  const updateSchedule = (req, res) => {
+    try {
+      const { scheduleId } = req.params;
+      const current = findSchedule(req);
+      if (!current) {
+        return notFound(res);
+      }
+
+      const validationError = receiptScheduler.validateSchedule(req.body, { partial: true, current });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      res.json({
+        success: true,
+        schedule: receiptScheduler.updateSchedule(scheduleId, req.body)
+      });
+    } catch (error) {
+      logger.error('Failed to update schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+  router.put('/:scheduleId', updateSchedule);
+  router.patch('/:scheduleId', updateSchedule);
+
+  // Delete a schedule
+  router.delete('/:scheduleId', (req, res) => {
+    if (!findSchedule(req) || !receiptScheduler.deleteSchedule(req.params.scheduleId)) {
+      return notFound(res);
+    }
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  });
+
+  // Pause a schedule
+  router.post('/:scheduleId/pause', (req, res) => {
+    const schedule = findSchedule(req) && receiptScheduler.pauseSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return notFound(res);
+    }
+    res.json({
+      success: true,
+      schedule
+    });
+  });
+
+  // Resume a schedule
+  router.post('/:scheduleId/resume', (req, res) => {
+    const schedule = findSchedule(req) && receiptScheduler.resumeSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return notFound(res);
+    }
+    res.json({
+      success: true,
+      schedule
+    });
+  });
+
+  // Trigger a run immediately
+  router.post('/:scheduleId/run', (req, res) => {
+    try {
+      const run = findSchedule(req) && receiptScheduler.runNow(req.params.scheduleId);
+      if (!run) {
+        return notFound(res);
+      }
+      if (run.status !== 'running') {
+        // Skipped because of max concurrency, or the execution could not start
+        return res.status(run.status === 'skipped' ? 409 : 500).json({
+          success: false,
+          error: run.error,
+          run
+        });
+      }
+      res.status(202).json({
+        success: true,
+        run
+      });
+    } catch (error) {
+      logger.error('Failed to run schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Run history of a schedule
+  router.get('/:scheduleId/runs', (req, res) => {
+    const runs = findSchedule(req) && receiptScheduler.getRuns(req.params.scheduleId);
+    if (!runs) {
+      return notFound(res);
+    }
+    res.json({
+      success: true,
+      runs,
+      count: runs.length
+    });
+  });
+
+  return router;
+}
+
+module.exports = createScheduleRoutes;
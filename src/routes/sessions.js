@@ -1,17 +1,28 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { validateLaunchOptions } = require('../utils/launchOptions');
 
 /**
  * Create session routes
  * @param {SessionManager} sessionManager - Session manager instance
+ * @param {ExtensionPairingManager} extensionPairing - Extension pairing manager instance
  * @returns {express.Router} Express router
  */
-function createSessionRoutes(sessionManager) {
+function createSessionRoutes(sessionManager, extensionPairing) {
   const router = express.Router();
 
   // Create new session
   router.post('/', async (req, res) => {
     try {
+      // Launch options are checked against the operator's allowlist before anything is created
+      const launchError = validateLaunchOptions(req.body.launchOptions);
+      if (launchError) {
+        return res.status(400).json({
+          success: false,
+          error: launchError
+        });
+      }
+
       const metadata = {
         userAgent: req.get('User-Agent'),
         ip: req.ip,
@@ -19,7 +30,8 @@ function createSessionRoutes(sessionManager) {
         ...req.body.metadata
       };
 
-      const session = sessionManager.createSession(metadata);
+      // The session belongs to the caller's tenant and counts against its quota
+      const session = sessionManager.createSession(metadata, req.user, req.body.launchOptions);
       
       res.status(201).json({
         success: true,
@@ -27,13 +39,15 @@ function createSessionRoutes(sessionManager) {
           id: session.id,
           createdAt: session.createdAt,
           status: session.status,
+          owner: session.owner,
+          launchOptions: session.launchOptions,
           metadata: session.metadata,
           debug: session.metadata.debug
         }
       });
     } catch (error) {
       logger.error('Failed to create session:', error);
-      res.status(500).json({
+      res.status(error.message.startsWith('Session quota reached') ? 429 : 500).json({
         success: false,
         error: error.message
       });
@@ -62,6 +76,9 @@ function createSessionRoutes(sessionManager) {
           status: session.status,
           isConnected: session.isConnected,
           commandCount: session.commands.length,
+          owner: session.owner || null,
+          pairing: extensionPairing.getPairing(session),
+          launchOptions: session.launchOptions || null,
           metadata: session.metadata,
           connectionInfo: session.connectionInfo
         }
@@ -75,16 +92,17 @@ function createSessionRoutes(sessionManager) {
     }
   });
 
-  // List all active sessions
+  // List the active sessions the caller may access
   router.get('/', async (req, res) => {
     try {
-      const sessions = sessionManager.listActiveSessions();
+      const sessions = sessionManager.listActiveSessions(req.user);
       const statistics = sessionManager.getStatistics();
       
       res.json({
         success: true,
         sessions,
         statistics,
+        quota: sessionManager.getTenantUsage(req.user.tenant),
         count: sessions.length
       });
     } catch (error) {
@@ -182,7 +200,7 @@ function createSessionRoutes(sessionManager) {
 
       // Update session metadata
       session.metadata = { ...session.metadata, ...metadata };
-      session.lastActivity = new Date();
+      sessionManager.updateLastActivity(sessionId);
       
       logger.info(`Updated session ${sessionId} metadata:`, metadata);
       
@@ -204,6 +222,47 @@ function createSessionRoutes(sessionManager) {
     }
   });
 
+  // Issue a single-use pairing token for the extension; redeeming it re-pairs a paired session
+  router.post('/:sessionId/pairing', (req, res) => {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const { pairingToken, expiresAt } = extensionPairing.createPairingToken(sessionId);
+    res.status(201).json({
+      success: true,
+      sessionId,
+      pairingToken,
+      expiresAt
+    });
+  });
+
+  // Unpair the session's extension and disconnect it
+  router.delete('/:sessionId/pairing', (req, res) => {
+    const { sessionId } = req.params;
+    if (!sessionManager.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    if (!extensionPairing.unpair(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session is not paired with an extension'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Extension unpaired successfully'
+    });
+  });
+
   // Get session statistics
   router.get('/_stats', async (req, res) => {
     try {
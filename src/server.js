@@ -6,6 +6,7 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('./utils/logger');
 const config = require('./utils/config');
+const { isAllowedOrigin } = require('./utils/origins');
 
 // Import route handlers
 const sessionRoutes = require('./routes/sessions');
@@ -13,29 +14,32 @@ const commandRoutes = require('./routes/commands');
 const nlTaskRoutes = require('./routes/nlTasks');
 const interactiveRoutes = require('./routes/interactive');
 const receiptRoutes = require('./routes/receipts');
+const scheduleRoutes = require('./routes/schedules');
+const eventRoutes = require('./routes/events');
+const recordingRoutes = require('./routes/recordings');
+const adminRoutes = require('./routes/admin');
 
 // Import services
 const SessionManager = require('./services/SessionManager');
 const WebSocketManager = require('./services/WebSocketManager');
+const ScreencastSocketManager = require('./services/ScreencastSocketManager');
 const NaturalLanguageTaskService = require('./services/NaturalLanguageTaskService');
+const ReceiptRunner = require('./services/ReceiptRunner');
+const ReceiptScheduler = require('./services/ReceiptScheduler');
+const RecordingReplayer = require('./services/RecordingReplayer');
+const IdentityManager = require('./services/IdentityManager');
+const ExtensionPairingManager = require('./services/ExtensionPairingManager');
 
-// Simple user store (in production, this would be a database)
-const users = new Map();
-const sessions = new Map(); // Store user sessions and receipts
 const userReceipts = new Map(); // Store receipts per user
 
-// Initialize default users (optional, can be disabled)
-if (process.env.ENABLE_AUTH === 'true') {
-  users.set('demo', { password: 'demo123', name: 'Demo User' });
-  users.set('admin', { password: 'admin123', name: 'Administrator' });
-}
-
 class BrowserAutomationService {
   constructor() {
     this.app = express();
     this.server = createServer(this.app);
     this.sessionManager = new SessionManager();
-    this.wsManager = new WebSocketManager(this.sessionManager);
+    this.extensionPairing = new ExtensionPairingManager(this.sessionManager);
+    this.wsManager = new WebSocketManager(this.sessionManager, this.extensionPairing);
+    this.identity = new IdentityManager();
     
     this.setupMiddleware();
     this.setupAuthRoutes();
@@ -44,23 +48,38 @@ class BrowserAutomationService {
     this.setupGracefulShutdown();
   }
 
+  /**
+   * Get the login token or API key sent with a request
+   * EventSource cannot set headers, so GET requests may also pass ?access_token=.
+   * @private
+   */
+  getCredential(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-api-key'] ||
+      req.headers['x-session-token'] ||
+      req.cookies?.sessionToken ||
+      (req.method === 'GET' ? req.query.access_token : undefined);
+  }
+
   // Authentication middleware
   authenticateUser(req, res, next) {
-    // Skip auth if not enabled
-    if (process.env.ENABLE_AUTH !== 'true') {
-      req.user = { username: 'guest', name: 'Guest User' };
+    // Everybody acts as admin if auth is not enabled
+    if (!this.identity.enabled) {
+      req.user = { username: 'guest', name: 'Guest User', role: 'admin', tenant: SessionManager.DEFAULT_TENANT };
       return next();
     }
 
-    const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
-    
-    if (sessionToken && sessions.has(sessionToken)) {
-      req.user = sessions.get(sessionToken);
+    const user = this.identity.authenticate(this.getCredential(req));
+    if (user) {
+      req.user = user;
       return next();
     }
 
     // For API endpoints, return 401
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
       return res.status(401).json({ 
         success: false, 
         message: 'Authentication required' 
@@ -68,7 +87,49 @@ class BrowserAutomationService {
     }
 
     // For web pages, continue as guest
-    req.user = { username: 'guest', name: 'Guest User' };
+    req.user = { username: 'guest', name: 'Guest User', role: 'viewer', tenant: SessionManager.DEFAULT_TENANT };
+    next();
+  }
+
+  /**
+   * Middleware that requires at least the given role
+   * @param {string} role - viewer, operator or admin
+   * @returns {Function} Express middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (req.user && IdentityManager.hasRole(req.user.role, role)) {
+        return next();
+      }
+      res.status(403).json({
+        success: false,
+        message: `Insufficient permissions: ${role} role required`
+      });
+    };
+  }
+
+  /**
+   * Middleware that lets viewers read and requires operators for changes
+   * @private
+   */
+  authorizeByMethod(req, res, next) {
+    const role = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'viewer' : 'operator';
+    return this.requireRole(role)(req, res, next);
+  }
+
+  /**
+   * Middleware that hides sessions of other tenants
+   * Unknown sessions pass through so the routes keep answering 404 themselves.
+   * @private
+   */
+  authorizeSession(req, res, next) {
+    const session = this.sessionManager.getSession(req.params.sessionId);
+    if (session && !this.sessionManager.canAccess(session, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
     next();
   }
 
@@ -77,35 +138,7 @@ class BrowserAutomationService {
     this.app.use(cors({
       origin: (origin, callback) => {
         // Allow requests with no origin (like mobile apps or curl requests)
-        if (!origin) return callback(null, true);
-        
-        const allowedOrigins = (process.env.ALLOWED_ORIGINS || 'http://localhost:3000').split(',');
-        
-        // Check for exact matches first
-        let isAllowed = allowedOrigins.includes(origin);
-        
-        // If not exact match, check for pattern matches
-        if (!isAllowed) {
-          isAllowed = allowedOrigins.some(allowedOrigin => {
-            // Handle chrome-extension:// pattern
-            if (allowedOrigin === 'chrome-extension://' && origin.startsWith('chrome-extension://')) {
-              return true;
-            }
-            // Handle moz-extension:// pattern
-            if (allowedOrigin === 'moz-extension://' && origin.startsWith('moz-extension://')) {
-              return true;
-            }
-            // Handle wildcard patterns
-            if (allowedOrigin.includes('*')) {
-              const pattern = allowedOrigin.replace(/\*/g, '.*');
-              const regex = new RegExp(`^${pattern}$`);
-              return regex.test(origin);
-            }
-            return false;
-          });
-        }
-        
-        callback(null, isAllowed);
+        callback(null, !origin || isAllowedOrigin(origin));
       },
       credentials: true
     }));
@@ -162,37 +195,43 @@ class BrowserAutomationService {
         });
       }
 
-      const user = users.get(username);
-      if (!user || user.password !== password) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
-
-      // Create session token
-      const sessionToken = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const userSession = {
-        username: user.username || username,
-        name: user.name,
-        loginTime: new Date().toISOString()
-      };
-
-      sessions.set(sessionToken, userSession);
+      this.identity.login(username, password)
+        .then(login => {
+          if (!login) {
+            return res.status(401).json({
+              success: false,
+              message: 'Invalid credentials'
+            });
+          }
 
-      res.json({
-        success: true,
-        user: userSession,
-        sessionToken
-      });
+          res.json({
+            success: true,
+            user: {
+              username: login.user.username,
+              name: login.user.name,
+              role: login.user.role,
+              tenant: login.user.tenant,
+              loginTime: login.user.lastLoginAt
+            },
+            sessionToken: login.token,
+            expiresAt: login.expiresAt
+          });
+        })
+        .catch(error => {
+          logger.error('Login failed:', error);
+          res.status(500).json({
+            success: false,
+            message: 'Login failed'
+          });
+        });
     });
 
     // Logout endpoint
     this.app.post('/api/auth/logout', (req, res) => {
-      const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+      const sessionToken = this.getCredential(req);
       
       if (sessionToken) {
-        sessions.delete(sessionToken);
+        this.identity.logout(sessionToken);
       }
 
       res.json({ success: true, message: 'Logged out successfully' });
@@ -275,17 +314,30 @@ class BrowserAutomationService {
         uptime: process.uptime(),
         version: require('../package.json').version,
         activeSessions: this.sessionManager.getActiveSessionCount(),
-        wsConnections: this.wsManager.getConnectionCount()
+        wsConnections: this.wsManager.getConnectionCount(),
+        screencastViewers: this.screencastManager.getConnectionCount(),
+        browserPool: this.commandExecutor.serverBrowser.getPoolMetrics()
       });
     });
 
-    // Apply authentication middleware to API routes
-    this.app.use('/api/sessions', this.authenticateUser.bind(this));
-    this.app.use('/api/nl-tasks', this.authenticateUser.bind(this));
-    this.app.use('/api/commands', this.authenticateUser.bind(this));
+    // Apply authentication and role checks to API routes
+    const authenticate = this.authenticateUser.bind(this);
+    const authorize = this.authorizeByMethod.bind(this);
+    for (const prefix of ['/api/sessions', '/api/nl-tasks', '/api/commands', '/api/receipts', '/api/recordings']) {
+      this.app.use(prefix, authenticate, authorize);
+    }
+    this.app.use('/api/sessions/:sessionId', this.authorizeSession.bind(this));
+    this.app.use('/api/sessions/:sessionId/debug', this.requireRole('admin'));
+    // Exported storage states and HARs carry cookies (httpOnly ones too), which would let a viewer take over logins
+    for (const path of ['storage-state', 'har']) {
+      this.app.use(`/api/sessions/:sessionId/${path}`, this.requireRole('operator'));
+    }
+
+    // User and API key management
+    this.app.use('/api/admin', authenticate, this.requireRole('admin'), adminRoutes(this.identity));
 
     // API routes
-    this.app.use('/api/sessions', sessionRoutes(this.sessionManager));
+    this.app.use('/api/sessions', sessionRoutes(this.sessionManager, this.extensionPairing));
     const commandRouter = commandRoutes(this.sessionManager);
     this.app.use('/api/sessions', commandRouter);
     
@@ -301,11 +353,21 @@ class BrowserAutomationService {
     // Natural language task routes
     this.app.use('/api/sessions', nlTaskRoutes(this.sessionManager, this.nlTaskService));
     
+    // Client event stream routes
+    this.app.use('/api/sessions', eventRoutes(this.sessionManager));
+
     // Interactive control routes
     this.app.use('/api/sessions', interactiveRoutes(this.sessionManager, this.commandExecutor));
     
     // Receipt execution routes
-    this.app.use('/api/receipts', receiptRoutes(this.sessionManager));
+    this.receiptRunner = new ReceiptRunner(this.sessionManager, this.commandExecutor, this.nlTaskService);
+    this.receiptScheduler = new ReceiptScheduler(this.receiptRunner);
+    this.app.use('/api/receipts/schedules', scheduleRoutes(this.sessionManager, this.receiptScheduler));
+    this.app.use('/api/receipts', receiptRoutes(this.sessionManager, this.receiptRunner));
+
+    // Recording replay routes
+    this.recordingReplayer = new RecordingReplayer(this.sessionManager, this.commandExecutor);
+    this.app.use('/api/recordings', recordingRoutes(this.sessionManager, this.recordingReplayer));
     
     // Serve screenshots
     this.app.use('/screenshots', express.static(path.join(__dirname, '..', 'public', 'screenshots')));
@@ -362,15 +424,12 @@ class BrowserAutomationService {
           currentVersion = manifest.version || currentVersion;
         }
         
-        // For demonstration purposes, always return a newer version to show update functionality
-        // In production, you would check against GitHub releases or another version source
-        const latestVersion = '1.0.2'; // Simulate a newer version available
-        
+        // The bundled extension is the latest; older builds cannot pair and have to update
         res.json({
-          version: latestVersion,
+          version: currentVersion,
           releaseDate: new Date().toISOString(),
           downloadUrl: '/extension/download',
-          releaseNotes: 'Latest version with new features: global status indicator, enhanced connection monitoring, and version notifications.'
+          releaseNotes: 'Connecting now requires pairing: a single-use pairing token from the session owner, then a signed credential for reconnects.'
         });
       } catch (error) {
         logger.error('Error checking extension version:', error);
@@ -418,9 +477,9 @@ class BrowserAutomationService {
   }
 
   setupWebSocket() {
+    // Both socket servers share the HTTP server, so upgrades are routed by path here
     const wss = new WebSocket.Server({ 
-      server: this.server,
-      path: '/ws',
+      noServer: true,
       verifyClient: this.wsManager.verifyClient.bind(this.wsManager)
     });
 
@@ -428,7 +487,34 @@ class BrowserAutomationService {
       this.wsManager.handleConnection(ws, req);
     });
 
-    logger.info('WebSocket server initialized on /ws');
+    this.screencastManager = new ScreencastSocketManager(this.sessionManager, this.commandExecutor, this.identity);
+    const screencastWss = new WebSocket.Server({
+      noServer: true,
+      verifyClient: this.screencastManager.verifyClient.bind(this.screencastManager)
+    });
+
+    screencastWss.on('connection', (ws, req) => {
+      this.screencastManager.handleConnection(ws, req);
+    });
+
+    const socketServers = {
+      '/ws': wss,
+      '/ws/screencast': screencastWss
+    };
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const socketServer = socketServers[pathname];
+      if (!socketServer) {
+        socket.destroy();
+        return;
+      }
+      socketServer.handleUpgrade(req, socket, head, ws => {
+        socketServer.emit('connection', ws, req);
+      });
+    });
+
+    logger.info('WebSocket server initialized on /ws and /ws/screencast');
   }
 
   setupGracefulShutdown() {
@@ -442,6 +528,7 @@ class BrowserAutomationService {
 
       // Close WebSocket connections
       await this.wsManager.closeAllConnections();
+      this.screencastManager.closeAllConnections();
       
       // Cleanup command executor (closes all server browsers)
       if (this.commandExecutor) {
@@ -453,6 +540,18 @@ class BrowserAutomationService {
         this.nlTaskService.cleanupOldScreenshots();
       }
       
+      // Stop scheduled receipt runs and persist execution history
+      if (this.receiptScheduler) {
+        this.receiptScheduler.stop();
+      }
+      if (this.receiptRunner) {
+        this.receiptRunner.cleanup();
+      }
+      if (this.recordingReplayer) {
+        this.recordingReplayer.cleanup();
+      }
+      this.identity.cleanup();
+      
       // Cleanup sessions
       await this.sessionManager.cleanup();
       
@@ -466,10 +565,15 @@ class BrowserAutomationService {
 
   start() {
     const port = config.PORT;
+    this.receiptScheduler.start();
+    this.commandExecutor.serverBrowser.start();
+    this.identity.bootstrap({ username: config.ADMIN_USERNAME, password: config.ADMIN_PASSWORD })
+      .catch(error => logger.error('Failed to create initial admin:', error));
     this.server.listen(port, () => {
       logger.info(`Browser Automation Service started on port ${port}`);
       logger.info(`Health check: http://localhost:${port}/health`);
       logger.info(`WebSocket endpoint: ws://localhost:${port}/ws`);
+      logger.info(`Screencast endpoint: ws://localhost:${port}/ws/screencast`);
     });
   }
 }
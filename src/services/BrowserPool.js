@@ -0,0 +1,341 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Browser Pool
+ * Keeps warm Chrome instances for server-side sessions and hands out an
+ * isolated incognito context per session, so the first command of a session
+ * does not wait for Chrome to start.
+ *
+ * Every lease (pooled context or dedicated browser) takes a slot of the global
+ * concurrency limit; callers beyond the limit wait in a FIFO queue until a slot
+ * frees up or the acquire timeout passes. A pooled browser is recycled once it
+ * has served `maxUses` contexts and they are all closed, or right away when it
+ * crashes; the pool then launches a replacement to stay at `size` browsers.
+ */
+class BrowserPool {
+  /**
+   * @param {Function} launcher - async (browserKey) => Puppeteer browser, used for pooled browsers
+   * @param {Object} [options] - Pool options (defaults from config.BROWSER_POOL_*)
+   * @param {number} [options.size] - Browsers kept warm
+   * @param {number} [options.maxConcurrency] - Leases held at the same time across all browsers
+   * @param {number} [options.contextsPerBrowser] - Contexts a pooled browser hosts at most
+   * @param {number} [options.maxUses] - Contexts a pooled browser serves before it is recycled
+   * @param {number} [options.acquireTimeout] - Longest wait for a free slot in ms
+   */
+  constructor(launcher, options = {}) {
+    this.launcher = launcher;
+    this.size = options.size ?? config.BROWSER_POOL_SIZE;
+    this.maxConcurrency = options.maxConcurrency ?? config.BROWSER_POOL_MAX_CONCURRENCY;
+    this.contextsPerBrowser = options.contextsPerBrowser ?? config.BROWSER_POOL_CONTEXTS_PER_BROWSER;
+    this.maxUses = options.maxUses ?? config.BROWSER_POOL_MAX_USES;
+    this.acquireTimeout = options.acquireTimeout ?? config.BROWSER_POOL_ACQUIRE_TIMEOUT;
+
+    this.entries = []; // { id, browser, ready, contexts, leases, uses, retiring, closing }
+    this.dedicated = new Set(); // leases of browsers launched outside the pool
+    this.waiters = []; // { resolve, reject, timer }
+    this.activeLeases = 0;
+    this.nextId = 1;
+    this.started = false;
+    this.stats = { launched: 0, recycled: 0, crashed: 0, timeouts: 0 };
+  }
+
+  /**
+   * Launch the warm browsers and keep replacing recycled ones
+   */
+  start() {
+    this.started = true;
+    this.fillWarm();
+  }
+
+  /**
+   * Get an incognito context of a pooled browser
+   * @param {Object} [contextOptions] - Puppeteer BrowserContextOptions (e.g. proxyServer)
+   * @param {Object} [hooks] - Lease hooks
+   * @param {Function} [hooks.onLost] - Called when the browser behind the lease crashes
+   * @returns {Promise<Object>} Lease { browser, context, release() }
+   * @throws {Error} If no slot frees up in time or the browser fails to launch
+   */
+  async acquireContext(contextOptions = {}, hooks = {}) {
+    await this.acquireSlot();
+
+    const entry = this.pickEntry();
+    entry.leases++;
+    entry.uses++;
+    if (entry.uses >= this.maxUses) {
+      entry.retiring = true; // No new contexts; closed when its last context is released
+    }
+
+    let context;
+    try {
+      await entry.ready;
+      context = await entry.browser.createBrowserContext(contextOptions);
+    } catch (error) {
+      entry.leases--;
+      this.releaseSlot();
+      this.maybeCloseEntry(entry);
+      throw error;
+    }
+
+    const lease = {
+      browser: entry.browser,
+      context,
+      entry,
+      onLost: hooks.onLost,
+      released: false,
+      release: async () => {
+        if (lease.released) {
+          return;
+        }
+        lease.released = true;
+        entry.contexts.delete(lease);
+        await context.close().catch(() => {}); // Gone already if the browser crashed
+        entry.leases--;
+        this.releaseSlot();
+        this.maybeCloseEntry(entry);
+      }
+    };
+    entry.contexts.add(lease);
+    return lease;
+  }
+
+  /**
+   * Run a browser outside the pool (e.g. for a persistent profile) within the concurrency limit
+   * @param {Function} launch - async () => Puppeteer browser
+   * @param {Object} [hooks] - Lease hooks
+   * @param {Function} [hooks.onLost] - Called when the browser crashes
+   * @returns {Promise<Object>} Lease { browser, context: null, release() }
+   */
+  async acquireDedicated(launch, hooks = {}) {
+    await this.acquireSlot();
+
+    let browser;
+    try {
+      browser = await launch();
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+
+    const lease = {
+      browser,
+      context: null,
+      released: false,
+      release: async () => {
+        if (lease.released) {
+          return;
+        }
+        lease.released = true;
+        this.dedicated.delete(lease);
+        await browser.close().catch(() => {});
+        this.releaseSlot();
+      }
+    };
+    this.dedicated.add(lease);
+    browser.on('disconnected', () => {
+      if (!lease.released) {
+        this.stats.crashed++;
+        logger.warn('Dedicated browser disconnected unexpectedly');
+        lease.released = true;
+        this.dedicated.delete(lease);
+        this.releaseSlot();
+        hooks.onLost?.();
+      }
+    });
+    return lease;
+  }
+
+  /**
+   * Pool metrics for /health
+   * @returns {Object} Pool configuration, browser and lease counts and lifetime counters
+   */
+  getMetrics() {
+    const ready = this.entries.filter(entry => entry.browser && !entry.closing);
+    return {
+      size: this.size,
+      maxConcurrency: this.maxConcurrency,
+      browsers: ready.length,
+      launching: this.entries.filter(entry => !entry.browser).length,
+      warm: ready.filter(entry => entry.leases === 0 && !entry.retiring).length,
+      contexts: this.entries.reduce((sum, entry) => sum + entry.leases, 0),
+      dedicated: this.dedicated.size,
+      active: this.activeLeases,
+      waiting: this.waiters.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stop the pool: reject waiting callers and close every browser
+   */
+  async drain() {
+    this.started = false;
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+
+    const browsers = [];
+    for (const entry of this.entries.splice(0)) {
+      entry.closing = true;
+      browsers.push(entry.ready.then(() => entry.browser.close()).catch(() => {}));
+    }
+    for (const lease of this.dedicated) {
+      browsers.push(lease.release());
+    }
+    await Promise.all(browsers);
+    this.activeLeases = 0;
+  }
+
+  /**
+   * Take a concurrency slot, waiting in line if all are in use
+   * @private
+   */
+  acquireSlot() {
+    if (this.activeLeases < this.maxConcurrency && this.waiters.length === 0) {
+      this.activeLeases++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        this.stats.timeouts++;
+        reject(new Error(`No browser available within ${this.acquireTimeout} ms (${this.maxConcurrency} in use)`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Hand a freed slot to the next waiting caller
+   * @private
+   */
+  releaseSlot() {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(); // The slot passes on, activeLeases stays the same
+    } else {
+      this.activeLeases = Math.max(0, this.activeLeases - 1);
+    }
+  }
+
+  /**
+   * Least busy pooled browser with room for a context, launching one if none has
+   * @private
+   */
+  pickEntry() {
+    const candidates = this.entries
+      .filter(entry => !entry.retiring && !entry.closing && entry.leases < this.contextsPerBrowser)
+      .sort((a, b) => a.leases - b.leases);
+    return candidates[0] || this.launchEntry();
+  }
+
+  /**
+   * Launch a pooled browser
+   * @private
+   */
+  launchEntry() {
+    const entry = {
+      id: `pool-${this.nextId++}`,
+      browser: null,
+      contexts: new Set(),
+      leases: 0,
+      uses: 0,
+      retiring: false,
+      closing: false
+    };
+    entry.ready = (async () => {
+      const browser = await this.launcher(entry.id);
+      this.stats.launched++;
+      entry.browser = browser;
+      browser.on('disconnected', () => this.handleDisconnect(entry));
+      logger.info(`Pooled browser ${entry.id} ready`);
+    })();
+    entry.ready.catch(error => {
+      logger.error(`Pooled browser ${entry.id} failed to launch: ${error.message}`);
+      this.removeEntry(entry);
+    });
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Launch browsers until `size` of them can take new contexts
+   * @private
+   */
+  fillWarm() {
+    if (!this.started) {
+      return;
+    }
+    const available = this.entries.filter(entry => !entry.retiring && !entry.closing).length;
+    for (let i = available; i < this.size; i++) {
+      // Failures are logged by launchEntry; the next recycle or acquire tries again
+      this.launchEntry().ready.catch(() => {});
+    }
+  }
+
+  /**
+   * Close a pooled browser that is retired or idle beyond the pool size
+   * @private
+   */
+  maybeCloseEntry(entry) {
+    if (entry.leases > 0 || entry.closing || !this.entries.includes(entry)) {
+      return;
+    }
+    const spare = this.entries.filter(other => !other.retiring && !other.closing).length > this.size;
+    if (!entry.retiring && !spare) {
+      return;
+    }
+
+    entry.closing = true;
+    this.removeEntry(entry);
+    if (entry.retiring) {
+      this.stats.recycled++;
+      logger.info(`Recycling pooled browser ${entry.id} after ${entry.uses} contexts`);
+    }
+    entry.ready.then(() => entry.browser.close()).catch(error => {
+      logger.warn(`Could not close pooled browser ${entry.id}: ${error.message}`);
+    });
+    this.fillWarm();
+  }
+
+  /**
+   * Drop a crashed browser, tell its lease holders and launch a replacement
+   * @private
+   */
+  handleDisconnect(entry) {
+    if (entry.closing) {
+      return;
+    }
+    entry.closing = true;
+    this.stats.crashed++;
+    this.removeEntry(entry);
+    logger.warn(`Pooled browser ${entry.id} disconnected with ${entry.leases} contexts`);
+
+    for (const lease of entry.contexts) {
+      if (!lease.released) {
+        lease.released = true;
+        entry.leases--;
+        this.releaseSlot();
+        lease.onLost?.();
+      }
+    }
+    entry.contexts.clear();
+    this.fillWarm();
+  }
+
+  /**
+   * @private
+   */
+  removeEntry(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+  }
+}
+
+module.exports = BrowserPool;
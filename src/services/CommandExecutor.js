@@ -2,6 +2,30 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 const ServerBrowserManager = require('./ServerBrowserManager');
+const { validateStorageState } = require('../utils/storageState');
+const commandRegistry = require('../utils/commandRegistry');
+const {
+  classifyError,
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  getRetryDelay,
+  validateIdempotencyKey
+} = require('../utils/retryPolicy');
+const { validateBatch, DEFAULT_WAIT_TIMEOUT } = require('../utils/commandBatch');
+const { substituteVariables, collectPlaceholders, getPath } = require('../receipts/expressions');
+
+const URL_POLL_INTERVAL = 500; // How often waitFor.url checks the page URL
+const INVALID_COMMAND = 'INVALID_COMMAND'; // Error code of commands rejected by validateCommand
+
+/**
+ * Error for a command that is rejected before it runs
+ * @private
+ */
+function invalidCommand(message) {
+  const error = new Error(message);
+  error.code = INVALID_COMMAND;
+  return error;
+}
 
 class CommandExecutor {
   constructor(sessionManager) {
@@ -10,72 +34,110 @@ class CommandExecutor {
     this.pendingCommands = new Map(); // commandId -> command info
     this.commandResults = new Map(); // commandId -> result
     this.serverBrowser = new ServerBrowserManager(); // Server-side browser manager
+    this.statusesBeforeRecovery = new Map(); // sessionId -> status to restore once the browser is back
+    this.idempotentCommands = new Map(); // sessionId -> Map(idempotency key -> { fingerprint, execution, expiresAt })
+
+    // Keep session status, history and events in step with server-side browser crashes
+    this.serverBrowser.on('browser_lost', event => this.handleBrowserLost(event));
+    this.serverBrowser.on('browser_recovered', event => this.handleBrowserRecovered(event));
+    this.serverBrowser.on('browser_recovery_failed', event => this.handleBrowserRecoveryFailed(event));
+
+    // Deleted and expired sessions give their server-side browser back to the pool
+    this.unsubscribeSessionEvents = this.sessionManager.events.subscribeAll(event => {
+      if (event.type === 'session_deleted') {
+        this.cleanupSession(event.sessionId).catch(error => {
+          logger.error(`Failed to clean up deleted session ${event.sessionId}:`, error);
+        });
+      }
+    });
   }
 
   /**
-   * Execute a command for a session
-   * @param {string} sessionId - Session ID
-   * @param {Object} commandData - Command data
-   * @returns {Promise<Object>} Command execution result
+   * Decide whether a session's commands run in the extension or the server browser
+   * @param {Object} session - Session
+   * @returns {boolean} True for the extension, false for the server-side browser
+   * @throws {Error} If extension execution is required but the extension is not connected
    */
-  async executeCommand(sessionId, commandData) {
-    const session = this.sessionManager.getSession(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-
-    // Validate command
-    this.validateCommand(commandData);
-
+  shouldUseExtension(session) {
     // Check if extension is connected
-    const connection = this.sessionManager.getConnection(sessionId);
+    const connection = this.sessionManager.getConnection(session.id);
     const hasExtensionConnection = connection && connection.readyState === 1;
 
     // Get execution mode preference from session metadata
     const preferredExecutionMode = session.metadata?.preferredExecutionMode || 'auto';
     
-    logger.info(`Executing command ${commandData.type} for session ${sessionId}, preferredMode: ${preferredExecutionMode}, extensionConnected: ${hasExtensionConnection}`);
+    logger.info(`Execution mode for session ${session.id}: preferredMode: ${preferredExecutionMode}, extensionConnected: ${hasExtensionConnection}`);
 
     // Decide execution strategy based on preference and availability
-    let useExtension = false;
-    
     switch (preferredExecutionMode) {
       case 'extension':
         if (hasExtensionConnection && session.isConnected) {
-          useExtension = true;
-        } else {
-          throw new Error('Extension execution requested but extension is not connected');
+          return true;
         }
-        break;
+        throw new Error('Extension execution requested but extension is not connected');
         
       case 'server':
-        useExtension = false;
-        break;
+        return false;
         
       case 'auto':
       default:
         // Auto mode: prefer extension if connected, fallback to server
-        useExtension = hasExtensionConnection && session.isConnected;
-        break;
+        return Boolean(hasExtensionConnection && session.isConnected);
     }
+  }
 
-    if (useExtension) {
-      // Use extension-based execution
-      logger.info(`Using extension-based execution for session ${sessionId}`);
-      return await this.executeViaExtension(sessionId, commandData);
-    } else {
-      // Use server-side browser execution
-      logger.info(`Using server-side browser execution for session ${sessionId}`);
-      return await this.executeViaServerBrowser(sessionId, commandData);
+  /**
+   * Execute a command for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} commandData - Command data
+   * @param {Object} [commandData.retry] - Retry policy { maxRetries, backoff, delay, maxDelay, retryOn }
+   * @param {string} [commandData.idempotencyKey] - Resubmissions with this key return the first execution's result
+   * @param {Object} [options] - Execution options
+   * @param {boolean} [options.bypassPause=false] - Run even while the session is paused (manual control)
+   * @returns {Promise<Object>} Command execution result; `replayed: true` if it came from an earlier execution
+   */
+  async executeCommand(sessionId, commandData, options = {}) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
     }
+
+    // Validate command
+    this.validateCommand(commandData);
+
+    const { idempotencyKey } = commandData;
+    if (idempotencyKey) {
+      const previous = this.findIdempotentCommand(sessionId, idempotencyKey, commandData);
+      if (previous) {
+        logger.info(`Replaying result of command with idempotency key ${idempotencyKey} for session ${sessionId}`);
+        return { ...(await previous.execution), replayed: true };
+      }
+    }
+
+    const execution = this.executeWithRetries(session, commandData, options);
+    if (idempotencyKey) {
+      this.rememberIdempotentCommand(sessionId, idempotencyKey, commandData, execution);
+    }
+    return execution;
   }
 
   /**
-   * Execute command via browser extension
+   * Run a command, retrying transient failures as its retry policy allows
+   * Every attempt reuses the same command object; retryCount counts the retries.
+   * Attempts sent to the extension get their own message ID, so a late result
+   * of an earlier attempt cannot answer a retry.
    * @private
    */
-  async executeViaExtension(sessionId, commandData) {
-    // Create command object
+  async executeWithRetries(session, commandData, options) {
+    const sessionId = session.id;
+
+    // Commands queue while a human has taken over the session
+    if (session.isPaused && !options.bypassPause) {
+      logger.info(`Session ${sessionId} is paused, queueing command ${commandData.type} until resume`);
+      await this.sessionManager.waitWhilePaused(sessionId, { kind: 'command' });
+    }
+
+    const policy = resolveRetryPolicy(commandData.retry);
     const command = {
       id: uuidv4(),
       sessionId,
@@ -84,29 +146,374 @@ class CommandExecutor {
       timeout: commandData.timeout || config.COMMAND_TIMEOUT,
       createdAt: new Date(),
       status: 'pending',
-      retryCount: 0
+      retryCount: 0,
+      ...(commandData.idempotencyKey ? { idempotencyKey: commandData.idempotencyKey } : {})
     };
 
+    // Add to session commands
+    this.sessionManager.addCommand(sessionId, command);
+
+    for (;;) {
+      let result = null;
+      let failure = null;
+      try {
+        result = await this.executeAttempt(session, command);
+        failure = result.success === false ? new Error(result.error || 'Command failed') : null;
+      } catch (error) {
+        failure = error;
+      }
+
+      if (!failure) {
+        return { ...result, retryCount: command.retryCount };
+      }
+
+      const errorClass = classifyError(failure.message);
+      if (command.retryCount >= policy.maxRetries || !policy.retryOn.includes(errorClass)) {
+        if (result) {
+          return { ...result, retryCount: command.retryCount };
+        }
+        throw failure;
+      }
+
+      command.retryCount++;
+      const delay = getRetryDelay(policy, command.retryCount);
+      logger.warn(`Retrying command ${command.id} (${command.type}) in ${delay} ms, retry ${command.retryCount} of ${policy.maxRetries} after ${errorClass}: ${failure.message}`);
+      this.publishCommandEvent(command, 'command_retry', {
+        retry: command.retryCount,
+        errorClass,
+        error: failure.message,
+        delayMs: delay
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Run one attempt of a command in the extension or the server-side browser
+   * @private
+   */
+  async executeAttempt(session, command) {
+    const useExtension = this.shouldUseExtension(session);
+
+    if (useExtension && !commandRegistry.supports(command.type, 'extension')) {
+      throw new Error(`${command.type} is only supported by the server-side browser`);
+    }
+
+    if (useExtension) {
+      // Use extension-based execution
+      logger.info(`Using extension-based execution for session ${session.id}`);
+      return await this.executeViaExtension(command);
+    } else {
+      // Use server-side browser execution
+      logger.info(`Using server-side browser execution for session ${session.id}`);
+      return await this.executeViaServerBrowser(command);
+    }
+  }
+
+  /**
+   * Earlier command of a session with the same idempotency key
+   * @private
+   * @throws {Error} If the key was used for a different command
+   */
+  findIdempotentCommand(sessionId, idempotencyKey, commandData) {
+    const commands = this.idempotentCommands.get(sessionId);
+    if (!commands) {
+      return null;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of commands.entries()) {
+      if (entry.expiresAt <= now) {
+        commands.delete(key);
+      }
+    }
+
+    const entry = commands.get(idempotencyKey);
+    if (entry && entry.fingerprint !== this.fingerprintCommand(commandData)) {
+      throw new Error(`Idempotency key ${idempotencyKey} was already used for a different command`);
+    }
+    return entry || null;
+  }
+
+  /**
+   * Keep a command's execution so resubmissions with its key can be answered from it
+   * @private
+   */
+  rememberIdempotentCommand(sessionId, idempotencyKey, commandData, execution) {
+    if (!this.idempotentCommands.has(sessionId)) {
+      this.idempotentCommands.set(sessionId, new Map());
+    }
+    this.idempotentCommands.get(sessionId).set(idempotencyKey, {
+      fingerprint: this.fingerprintCommand(commandData),
+      execution,
+      expiresAt: Date.now() + config.IDEMPOTENCY_KEY_TTL
+    });
+    execution.catch(() => {}); // Failures reach the caller; resubmissions get the same error
+  }
+
+  /**
+   * @private
+   */
+  fingerprintCommand(commandData) {
+    return JSON.stringify({ type: commandData.type, payload: commandData.payload || {} });
+  }
+
+  /**
+   * Execute an ordered list of commands in one call
+   * Every step runs through executeCommand, so pausing, retries and both
+   * execution paths apply as for single commands. After a step's command,
+   * its waitFor condition is awaited and its capture paths are read from the
+   * result into variables that later steps use as {{placeholders}}.
+   * @param {string} sessionId - Session ID
+   * @param {Object} batch - Batch request
+   * @param {Array} batch.steps - Steps { id, type, payload, timeout, retry, waitFor, capture }
+   * @param {string} [batch.mode='stop_on_error'] - stop_on_error skips the steps after a failed one, continue runs them
+   * @param {Object} [batch.variables] - Initial variable values
+   * @returns {Promise<Object>} { mode, status, timings, variables, summary, steps }
+   * @throws {Error} If the session does not exist or the batch is invalid
+   */
+  async executeBatch(sessionId, batch) {
+    if (!this.sessionManager.getSession(sessionId)) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const batchError = validateBatch(batch);
+    if (batchError) {
+      throw new Error(batchError);
+    }
+    // Reject malformed commands before anything runs. Payloads that still wait for
+    // captured variables are checked when their step runs (executeCommand validates).
+    batch.steps.forEach((step, index) => {
+      const payload = substituteVariables(step.payload || {}, batch.variables || {});
+      try {
+        this.validateCommand({ type: step.type, payload, retry: step.retry }, {
+          payload: collectPlaceholders(payload).size === 0
+        });
+      } catch (error) {
+        throw new Error(`Invalid batch step ${index}: ${error.message}`);
+      }
+    });
+
+    const mode = batch.mode || 'stop_on_error';
+    const variables = { ...batch.variables };
+    const startedAt = new Date();
+    const steps = batch.steps.map((step, index) => ({
+      index,
+      id: step.id || null,
+      type: step.type,
+      status: 'pending',
+      skipReason: null,
+      commandId: null,
+      result: null,
+      error: null,
+      retryCount: 0,
+      captured: null,
+      startedAt: null,
+      durationMs: null,
+      commandMs: null,
+      waitMs: null
+    }));
+
+    logger.info(`Executing batch of ${steps.length} commands for session ${sessionId} (${mode})`);
+
+    let stoppedBy = null;
+    for (let i = 0; i < steps.length; i++) {
+      if (stoppedBy !== null) {
+        steps[i].status = 'skipped';
+        steps[i].skipReason = `Batch stopped after step ${stoppedBy} failed`;
+        continue;
+      }
+
+      await this.executeBatchStep(sessionId, batch.steps[i], steps[i], variables);
+      if (steps[i].status === 'failed' && mode === 'stop_on_error') {
+        stoppedBy = i;
+      }
+    }
+
+    const summary = {
+      totalSteps: steps.length,
+      completedSteps: steps.filter(step => step.status === 'completed').length,
+      failedSteps: steps.filter(step => step.status === 'failed').length,
+      skippedSteps: steps.filter(step => step.status === 'skipped').length
+    };
+    let status = 'completed';
+    if (summary.failedSteps > 0) {
+      status = summary.completedSteps === 0 ? 'failed' : 'completed_with_errors';
+    }
+    const completedAt = new Date();
+
+    logger.info(`Batch for session ${sessionId} finished with status: ${status}`, summary);
+
+    return {
+      mode,
+      status,
+      startedAt: startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      durationMs: completedAt - startedAt,
+      variables,
+      summary,
+      steps
+    };
+  }
+
+  /**
+   * Run one batch step and fill in its record
+   * Failures are recorded on the step instead of thrown.
+   * @private
+   */
+  async executeBatchStep(sessionId, step, record, variables) {
+    const startedAt = Date.now();
+    record.status = 'running';
+    record.startedAt = new Date(startedAt).toISOString();
+
+    try {
+      let result;
+      try {
+        result = await this.executeCommand(sessionId, {
+          type: step.type,
+          payload: substituteVariables(step.payload || {}, variables),
+          timeout: step.timeout,
+          retry: step.retry
+        });
+      } finally {
+        record.commandMs = Date.now() - startedAt;
+      }
+      record.commandId = result.commandId;
+      record.result = result.result ?? null;
+      record.retryCount = result.retryCount || 0;
+      if (result.success === false) {
+        throw new Error(result.error || 'Command failed');
+      }
+
+      if (step.waitFor) {
+        const waitStart = Date.now();
+        try {
+          await this.waitForCondition(sessionId, step.waitFor);
+        } finally {
+          record.waitMs = Date.now() - waitStart;
+        }
+      }
+
+      if (step.capture) {
+        const captured = {};
+        for (const [name, path] of Object.entries(step.capture)) {
+          const value = getPath(record.result, path);
+          if (value === undefined) {
+            throw new Error(`Cannot capture ${name}: the result has no value at ${path}`);
+          }
+          captured[name] = value;
+        }
+        record.captured = captured;
+        Object.assign(variables, captured);
+      }
+
+      record.status = 'completed';
+    } catch (error) {
+      logger.warn(`Batch step ${record.index} (${step.type}) failed for session ${sessionId}: ${error.message}`);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+  }
+
+  /**
+   * Wait for a batch step's waitFor condition
+   * Selectors are awaited with waitForElement and URLs by polling the URL of
+   * the active tab, which is not recorded as a command of the session.
+   * @private
+   * @throws {Error} If the condition is not met within its timeout
+   */
+  async waitForCondition(sessionId, waitFor) {
+    if (waitFor.delay !== undefined) {
+      await new Promise(resolve => setTimeout(resolve, waitFor.delay));
+      return;
+    }
+
+    const timeout = waitFor.timeout ?? DEFAULT_WAIT_TIMEOUT;
+    if (waitFor.selector !== undefined) {
+      const result = await this.executeCommand(sessionId, {
+        type: 'waitForElement',
+        payload: { selector: waitFor.selector, timeout },
+        timeout: timeout + config.COMMAND_TIMEOUT
+      });
+      if (result.success === false || !result.result?.found) {
+        throw new Error(`Timed out after ${timeout} ms waiting for ${waitFor.selector}`);
+      }
+      return;
+    }
+
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const url = await this.readPageUrl(sessionId);
+      if (url.includes(waitFor.url)) {
+        return;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeout} ms waiting for a URL containing ${waitFor.url}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, URL_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Read the URL of a session's active tab without recording a command
+   * Polls would otherwise fill the session's command list and event stream.
+   * @private
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string>} URL, empty if the session has no page yet
+   */
+  async readPageUrl(sessionId) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    if (!this.shouldUseExtension(session)) {
+      return this.serverBrowser.getPage(sessionId)?.url() || '';
+    }
+
+    // The extension can only be asked through a command; this one stays out of the session
+    const result = await this.executeViaExtension({
+      id: uuidv4(),
+      sessionId,
+      type: 'getTitle',
+      payload: {},
+      timeout: config.COMMAND_TIMEOUT,
+      createdAt: new Date(),
+      status: 'pending',
+      retryCount: 0,
+      unrecorded: true
+    });
+    return String(result.result?.url || '');
+  }
+
+  /**
+   * Execute command via browser extension
+   * @private
+   */
+  async executeViaExtension(command) {
+    const { sessionId } = command;
+    command.status = 'pending';
+
     // Check queue size
     const queue = this.getCommandQueue(sessionId);
     if (queue.length >= config.MAX_COMMAND_QUEUE_SIZE) {
       throw new Error(`Command queue full for session: ${sessionId}`);
     }
 
-    // Add to session commands
-    this.sessionManager.addCommand(sessionId, command);
-
-    // Add to pending commands
+    // Add to pending commands; results come back under the attempt's message ID
+    command.messageId = command.retryCount > 0 ? `${command.id}:${command.retryCount}` : command.id;
     this.pendingCommands.set(command.id, command);
 
     // Send command to extension via WebSocket
     const connection = this.sessionManager.getConnection(sessionId);
+    this.publishCommandEvent(command, 'command_started', { executedBy: 'extension' });
 
     try {
       // Send command to extension
       const message = {
         type: 'command',
-        id: command.id,
+        id: command.messageId,
         command: {
           type: command.type,
           payload: command.payload,
@@ -119,19 +526,21 @@ class CommandExecutor {
       logger.debug(`Command sent to extension: ${command.id}`, { sessionId, type: command.type });
 
       // Set timeout for command
-      const timeoutPromise = this.createCommandTimeout(command.id, command.timeout);
+      const timeoutPromise = this.createCommandTimeout(command, command.timeout);
 
       // Wait for result or timeout
       const result = await Promise.race([
-        this.waitForCommandResult(command.id),
+        this.waitForCommandResult(command),
         timeoutPromise
       ]);
 
+      this.publishCommandEvent(command, 'command_finished', { executedBy: 'extension', success: true });
       return result;
     } catch (error) {
       this.pendingCommands.delete(command.id);
       command.status = 'failed';
       command.error = error.message;
+      this.publishCommandEvent(command, 'command_finished', { executedBy: 'extension', success: false, error: error.message });
       throw error;
     }
   }
@@ -140,22 +549,10 @@ class CommandExecutor {
    * Execute command via server-side browser
    * @private
    */
-  async executeViaServerBrowser(sessionId, commandData) {
+  async executeViaServerBrowser(command) {
+    const { sessionId } = command;
     try {
-      // Create command object for tracking
-      const command = {
-        id: uuidv4(),
-        sessionId,
-        type: commandData.type,
-        payload: commandData.payload || {},
-        timeout: commandData.timeout || config.COMMAND_TIMEOUT,
-        createdAt: new Date(),
-        status: 'executing',
-        retryCount: 0
-      };
-
-      // Add to session commands for tracking
-      this.sessionManager.addCommand(sessionId, command);
+      command.status = 'executing';
 
       logger.debug(`Executing server-side command: ${command.id}`, { 
         sessionId, 
@@ -163,19 +560,41 @@ class CommandExecutor {
       });
 
       // Execute command using server browser
-      const result = await this.serverBrowser.executeCommand(sessionId, {
-        type: command.type,
-        payload: command.payload
+      this.publishCommandEvent(command, 'command_started', { executedBy: 'server' });
+      // The session's launch options and tenant apply if this command starts its browser.
+      // A command that hangs fails after its timeout; the page call itself cannot be aborted.
+      let timer = null;
+      const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Command timeout after ${command.timeout}ms`)), command.timeout);
       });
+      const session = this.sessionManager.getSession(sessionId);
+      let result;
+      try {
+        result = await Promise.race([
+          this.serverBrowser.executeCommand(sessionId, {
+            type: command.type,
+            payload: command.payload
+          }, { launchOptions: session?.launchOptions, tenant: session?.owner?.tenant }),
+          timeoutPromise
+        ]);
+      } finally {
+        clearTimeout(timer);
+      }
 
       command.status = result.success ? 'completed' : 'failed';
       command.completedAt = new Date();
       command.result = result.result;
       command.error = result.error;
+      this.publishCommandEvent(command, 'command_finished', {
+        executedBy: 'server',
+        success: result.success,
+        error: result.error
+      });
 
       // Store result
       this.commandResults.set(command.id, {
         commandId: command.id,
+        sessionId,
         success: result.success,
         result: result.result,
         error: result.error,
@@ -198,19 +617,101 @@ class CommandExecutor {
       };
     } catch (error) {
       logger.error(`Server browser execution failed for session ${sessionId}:`, error);
+      command.status = 'failed';
+      command.error = error.message;
+      this.publishCommandEvent(command, 'command_finished', { executedBy: 'server', success: false, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Publish a command lifecycle event to the session's event stream
+   * Results are left out; screenshots would make events too large.
+   * Unrecorded internal commands publish nothing.
+   * @private
+   */
+  publishCommandEvent(command, type, data) {
+    if (command.unrecorded) {
+      return;
+    }
+    this.sessionManager.events.publish(command.sessionId, type, {
+      commandId: command.id,
+      commandType: command.type,
+      ...data,
+      ...(type === 'command_finished' ? { durationMs: Date.now() - command.createdAt.getTime() } : {})
+    });
+  }
+
+  /**
+   * Mark a session degraded while its crashed server-side browser is relaunched
+   * @private
+   */
+  handleBrowserLost({ sessionId, reason }) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+    if (session.status !== 'degraded') {
+      this.statusesBeforeRecovery.set(sessionId, session.status);
+      this.sessionManager.updateSessionStatus(sessionId, 'degraded');
+    }
+    this.sessionManager.events.publish(sessionId, 'browser_lost', { reason });
+  }
+
+  /**
+   * Record a successful browser recovery and restore the session's status
+   * @private
+   */
+  handleBrowserRecovered({ sessionId, ...details }) {
+    if (!this.sessionManager.getSession(sessionId)) {
+      return;
+    }
+    this.sessionManager.updateSessionStatus(sessionId, this.statusesBeforeRecovery.get(sessionId) || 'active');
+    this.statusesBeforeRecovery.delete(sessionId);
+
+    const where = details.restoredUrl ? ` at ${details.restoredUrl}` : '';
+    this.sessionManager.addToHistory(sessionId, {
+      role: 'system',
+      event: 'browser_recovered',
+      content: `The browser crashed (${details.reason}) and was restarted${where} with ${details.restoredCookies} cookies restored. Check the current page before continuing.`,
+      timestamp: details.recoveredAt,
+      recovery: details
+    });
+    this.sessionManager.events.publish(sessionId, 'browser_recovered', details);
+  }
+
+  /**
+   * Record a failed browser recovery; the session stays degraded and the next command tries again
+   * @private
+   */
+  handleBrowserRecoveryFailed({ sessionId, ...details }) {
+    if (!this.sessionManager.getSession(sessionId)) {
+      return;
+    }
+    this.sessionManager.addToHistory(sessionId, {
+      role: 'system',
+      event: 'browser_recovery_failed',
+      content: `The browser crashed (${details.reason}) and could not be restarted: ${details.error}`,
+      timestamp: new Date().toISOString(),
+      recovery: details
+    });
+    this.sessionManager.events.publish(sessionId, 'browser_recovery_failed', details);
+  }
+
   /**
    * Handle command result from extension
-   * @param {string} commandId - Command ID
+   * @param {string} messageId - Message ID of the attempt: the command ID, plus `:<retry>` for retries
    * @param {Object} result - Command result
    */
-  handleCommandResult(commandId, result) {
+  handleCommandResult(messageId, result) {
+    const commandId = String(messageId).split(':')[0];
     const command = this.pendingCommands.get(commandId);
     if (!command) {
-      logger.warn(`Received result for unknown command: ${commandId}`);
+      logger.warn(`Received result for unknown command: ${messageId}`);
+      return;
+    }
+    if (command.messageId !== messageId) {
+      logger.warn(`Ignoring late result of an earlier attempt of command ${commandId}: ${messageId}`);
       return;
     }
 
@@ -222,6 +723,8 @@ class CommandExecutor {
     // Store result for retrieval
     this.commandResults.set(commandId, {
       commandId,
+      messageId,
+      sessionId: command.sessionId,
       success: result.success,
       result: result.result,
       error: result.error,
@@ -240,11 +743,12 @@ class CommandExecutor {
   /**
    * Cancel a pending command
    * @param {string} commandId - Command ID
+   * @param {string} [sessionId] - Only cancel the command if it belongs to this session
    * @returns {boolean} True if command was cancelled
    */
-  cancelCommand(commandId) {
+  cancelCommand(commandId, sessionId) {
     const command = this.pendingCommands.get(commandId);
-    if (!command) {
+    if (!command || (sessionId !== undefined && command.sessionId !== sessionId)) {
       return false;
     }
 
@@ -256,7 +760,7 @@ class CommandExecutor {
     if (connection && connection.readyState === 1) {
       const message = {
         type: 'cancel_command',
-        commandId
+        commandId: command.messageId || commandId
       };
       connection.send(JSON.stringify(message));
     }
@@ -270,12 +774,15 @@ class CommandExecutor {
   /**
    * Get command status
    * @param {string} commandId - Command ID
+   * @param {string} [sessionId] - Only find the command if it belongs to this session
    * @returns {Object|null} Command status or null if not found
    */
-  getCommandStatus(commandId) {
+  getCommandStatus(commandId, sessionId) {
+    const inSession = record => sessionId === undefined || record.sessionId === sessionId;
+
     // Check pending commands first
     const pendingCommand = this.pendingCommands.get(commandId);
-    if (pendingCommand) {
+    if (pendingCommand && inSession(pendingCommand)) {
       return {
         id: pendingCommand.id,
         status: pendingCommand.status,
@@ -287,9 +794,10 @@ class CommandExecutor {
 
     // Check completed commands
     const result = this.commandResults.get(commandId);
-    if (result) {
+    if (result && inSession(result)) {
       return {
         id: commandId,
+        sessionId: result.sessionId,
         status: result.success ? 'completed' : 'failed',
         completedAt: result.completedAt,
         result: result.result,
@@ -336,95 +844,68 @@ class CommandExecutor {
     }));
   }
 
+  /**
+   * Whether an error rejected a command before it ran (see validateCommand)
+   * Routes answer these with 400.
+   * @param {Error} error - Error thrown by executeCommand
+   * @returns {boolean} True for invalid commands
+   */
+  static isInvalidCommand(error) {
+    return Boolean(error) && error.code === INVALID_COMMAND;
+  }
+
   /**
    * Validate command data
    * @param {Object} commandData - Command data to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.payload=true] - Check the payload; batches skip payloads with unresolved placeholders
+   * @throws {Error} Marked as an invalid command (see isInvalidCommand)
    */
-  validateCommand(commandData) {
+  validateCommand(commandData, options = {}) {
     if (!commandData.type) {
-      throw new Error('Command type is required');
-    }
-
-    const validTypes = [
-      // Original extension commands
-      'navigate', 'screenshot', 'extract', 'execute', 'click', 'type', 'scroll',
-      // New server-side commands
-      'getTitle', 'getUrl', 'getText', 'getAttribute', 'waitForElement', 'evaluate',
-      // Human-like coordinate commands
-      'click_coordinate', 'hover_coordinate', 'get_text', 'get_page_elements', 'key_press', 'type_text', 'keyboard_input'
-    ];
-    if (!validTypes.includes(commandData.type)) {
-      throw new Error(`Invalid command type: ${commandData.type}`);
-    }
-
-    // Type-specific validation
-    switch (commandData.type) {
-      case 'navigate':
-        if (!commandData.payload?.url) {
-          throw new Error('URL is required for navigate command');
-        }
-        break;
-      case 'extract':
-        if (!commandData.payload?.selector) {
-          throw new Error('Selector is required for extract command');
-        }
-        break;
-      case 'execute':
-        if (!commandData.payload?.script) {
-          throw new Error('Script is required for execute command');
-        }
-        break;
-      case 'click':
-        if (!commandData.payload?.selector) {
-          throw new Error('Selector is required for click command');
-        }
-        break;
-      case 'type':
-        if (!commandData.payload?.selector || !commandData.payload?.text) {
-          throw new Error('Selector and text are required for type command');
-        }
-        break;
-      case 'getText':
-        if (!commandData.payload?.selector) {
-          throw new Error('Selector is required for getText command');
-        }
-        break;
-      case 'getAttribute':
-        if (!commandData.payload?.selector || !commandData.payload?.attribute) {
-          throw new Error('Selector and attribute are required for getAttribute command');
-        }
-        break;
-      case 'waitForElement':
-        if (!commandData.payload?.selector) {
-          throw new Error('Selector is required for waitForElement command');
-        }
-        break;
-      case 'evaluate':
-        if (!commandData.payload?.script) {
-          throw new Error('Script is required for evaluate command');
-        }
-        break;
-      case 'click_coordinate':
-        if (typeof commandData.payload?.x !== 'number' || typeof commandData.payload?.y !== 'number') {
-          throw new Error('Valid x and y coordinates are required for click_coordinate command');
-        }
-        break;
-      case 'hover_coordinate':
-        if (typeof commandData.payload?.x !== 'number' || typeof commandData.payload?.y !== 'number') {
-          throw new Error('Valid x and y coordinates are required for hover_coordinate command');
-        }
-        break;
-      case 'type_text':
-        if (!commandData.payload?.text) {
-          throw new Error('Text is required for type_text command');
-        }
-        break;
-      case 'keyboard_input':
-        if (!commandData.payload?.input) {
-          throw new Error('Input text is required for keyboard_input command');
-        }
-        break;
+      throw invalidCommand('Command type is required');
+    }
+
+    if (!commandRegistry.getCommand(commandData.type)) {
+      throw invalidCommand(`Invalid command type: ${commandData.type}`);
     }
+
+    // Payloads that need more than the registry schema
+    const checkPayload = options.payload !== false;
+    if (checkPayload && commandData.type === 'add_network_rule') {
+      const ruleError = this.serverBrowser.network.validateRule(commandData.payload);
+      if (ruleError) {
+        throw invalidCommand(`Invalid network rule: ${ruleError}`);
+      }
+    } else if (checkPayload && commandData.type === 'import_storage_state') {
+      const stateError = validateStorageState(commandData.payload?.storageState);
+      if (stateError) {
+        throw invalidCommand(`Invalid storage state: ${stateError}`);
+      }
+    }
+
+    const payloadError = checkPayload ? commandRegistry.validatePayload(commandData.type, commandData.payload) : null;
+    if (payloadError) {
+      throw invalidCommand(payloadError);
+    }
+
+    const retryError = validateRetryPolicy(commandData.retry);
+    if (retryError) {
+      throw invalidCommand(retryError);
+    }
+    const keyError = validateIdempotencyKey(commandData.idempotencyKey);
+    if (keyError) {
+      throw invalidCommand(keyError);
+    }
+  }
+
+  /**
+   * Get the HAR recorded for a session by the server-side browser
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} HAR document, null when no recording was started
+   */
+  getHar(sessionId) {
+    return this.serverBrowser.network.getHar(sessionId);
   }
 
   /**
@@ -440,24 +921,25 @@ class CommandExecutor {
   }
 
   /**
-   * Wait for command result
-   * @param {string} commandId - Command ID
+   * Wait for the result of the current attempt of a command sent to the extension
+   * @param {Object} command - Command sent to the extension
    * @returns {Promise<Object>} Command result
    */
-  waitForCommandResult(commandId) {
+  waitForCommandResult(command) {
+    const { messageId } = command;
     return new Promise((resolve, reject) => {
       const checkResult = () => {
-        const result = this.commandResults.get(commandId);
-        if (result) {
-          this.commandResults.delete(commandId); // Clean up
+        const result = this.commandResults.get(command.id);
+        if (result && result.messageId === messageId) {
+          this.commandResults.delete(command.id); // Clean up
           if (result.success) {
             resolve(result);
           } else {
             reject(new Error(result.error || 'Command failed'));
           }
         } else {
-          // Check if command still pending
-          if (this.pendingCommands.has(commandId)) {
+          // Check if this attempt is still pending
+          if (this.pendingCommands.get(command.id)?.messageId === messageId) {
             setTimeout(checkResult, 100); // Check again in 100ms
           } else {
             reject(new Error('Command was cancelled or lost'));
@@ -469,17 +951,20 @@ class CommandExecutor {
     });
   }
 
+
   /**
-   * Create command timeout promise
-   * @param {string} commandId - Command ID
+   * Create command timeout promise for the current attempt of a command
+   * @param {Object} command - Command sent to the extension
    * @param {number} timeout - Timeout in milliseconds
    * @returns {Promise} Timeout promise
    */
-  createCommandTimeout(commandId, timeout) {
+  createCommandTimeout(command, timeout) {
+    const { messageId } = command;
     return new Promise((_, reject) => {
       setTimeout(() => {
-        if (this.pendingCommands.has(commandId)) {
-          this.pendingCommands.delete(commandId);
+        // A retry of the command may be pending by now; only time out this attempt
+        if (this.pendingCommands.get(command.id)?.messageId === messageId) {
+          this.pendingCommands.delete(command.id);
           reject(new Error(`Command timeout after ${timeout}ms`));
         }
       }, timeout);
@@ -503,6 +988,8 @@ class CommandExecutor {
     
     // Close server browser for this session
     await this.serverBrowser.closeBrowser(sessionId);
+    this.statusesBeforeRecovery.delete(sessionId);
+    this.idempotentCommands.delete(sessionId);
     
     logger.debug(`Cleaned up commands and browser for session: ${sessionId}`);
   }
@@ -511,8 +998,10 @@ class CommandExecutor {
    * Cleanup all resources
    */
   async cleanup() {
+    this.unsubscribeSessionEvents();
+
     // Close all server browsers
-    await this.serverBrowser.closeAll();
+    await this.serverBrowser.cleanup();
     
     // Clear all pending commands
     this.pendingCommands.clear();
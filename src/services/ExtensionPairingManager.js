@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+const CREDENTIAL_VERSION = 'v1';
+const EXTENSION_ID_PATTERN = /^[a-zA-Z0-9._-]{8,128}$/;
+
+/**
+ * SHA-256 hex digest, used to keep pairing tokens without the token itself
+ * @private
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Extension Pairing Manager
+ * Controls which browser extension may attach to a session over /ws.
+ *
+ * The session owner requests a short-lived, single-use pairing token. The
+ * extension connects once with it and its own extension ID and receives a
+ * credential signed with HMAC-SHA256 that binds the session, the pairing and
+ * the extension ID. Reconnects must present that credential from the same
+ * extension. Issuing a new pairing token and redeeming it re-pairs the session,
+ * which invalidates the credentials of the previous pairing.
+ */
+class ExtensionPairingManager {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {Object} [options] - Pairing options
+   * @param {number} [options.pairingTtl] - Pairing token lifetime in ms (defaults to config.EXTENSION_PAIRING_TTL)
+   * @param {string} [options.secret] - Credential signing secret (defaults to config.EXTENSION_CREDENTIAL_SECRET)
+   */
+  constructor(sessionManager, options = {}) {
+    this.sessionManager = sessionManager;
+    this.pairingTtl = options.pairingTtl || config.EXTENSION_PAIRING_TTL;
+    this.secret = options.secret || config.EXTENSION_CREDENTIAL_SECRET;
+    if (!this.secret) {
+      // Without a configured secret, credentials only last until the next restart
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('EXTENSION_CREDENTIAL_SECRET is not set; extensions have to pair again after a restart');
+    }
+    this.pairingTokens = new Map(); // token hash -> { sessionId, expiresAt }
+  }
+
+  /**
+   * Issue a pairing token for a session, replacing any unused token of that session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { pairingToken, expiresAt }
+   */
+  createPairingToken(sessionId) {
+    this.pruneTokens();
+    for (const [hash, record] of this.pairingTokens.entries()) {
+      if (record.sessionId === sessionId) {
+        this.pairingTokens.delete(hash);
+      }
+    }
+
+    const pairingToken = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.pairingTtl).toISOString();
+    this.pairingTokens.set(sha256(pairingToken), { sessionId, expiresAt });
+
+    logger.info(`Pairing token issued for session ${sessionId}`, { expiresAt });
+    return { pairingToken, expiresAt };
+  }
+
+  /**
+   * Pair a session with an extension; the pairing token is used up even if pairing fails
+   * @param {string} sessionId - Session ID
+   * @param {string} pairingToken - Pairing token from createPairingToken
+   * @param {string} extensionId - Identity the extension will reconnect with
+   * @returns {string|null} Signed credential for reconnects, or null if pairing failed
+   */
+  redeemPairingToken(sessionId, pairingToken, extensionId) {
+    if (typeof pairingToken !== 'string' || !pairingToken) {
+      return null;
+    }
+    const hash = sha256(pairingToken);
+    const record = this.pairingTokens.get(hash);
+    this.pairingTokens.delete(hash);
+
+    const session = this.sessionManager.getSession(sessionId);
+    if (!record || record.sessionId !== sessionId || !session ||
+      new Date(record.expiresAt).getTime() <= Date.now() || !this.isValidExtensionId(extensionId)) {
+      return null;
+    }
+
+    const replaced = session.pairing?.extensionId;
+    session.pairing = {
+      pairingId: uuidv4(),
+      extensionId,
+      pairedAt: new Date().toISOString()
+    };
+    this.sessionManager.persistSession(sessionId);
+
+    if (replaced && replaced !== extensionId) {
+      logger.info(`Session ${sessionId} re-paired from extension ${replaced} to ${extensionId}`);
+    } else {
+      logger.info(`Session ${sessionId} paired with extension ${extensionId}`);
+    }
+    return this.signCredential({ sessionId, pairingId: session.pairing.pairingId, extensionId });
+  }
+
+  /**
+   * Check a reconnect credential against the session's current pairing
+   * @param {string} sessionId - Session ID
+   * @param {string} credential - Credential from redeemPairingToken
+   * @param {string} extensionId - Identity of the connecting extension
+   * @returns {boolean} True if the credential is valid for this session and extension
+   */
+  verifyCredential(sessionId, credential, extensionId) {
+    const claims = this.readCredential(credential);
+    const pairing = this.sessionManager.getSession(sessionId)?.pairing;
+    return Boolean(claims && pairing &&
+      claims.sessionId === sessionId &&
+      claims.pairingId === pairing.pairingId &&
+      claims.extensionId === pairing.extensionId &&
+      extensionId === pairing.extensionId);
+  }
+
+  /**
+   * Remove a session's pairing and disconnect its extension
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if the session was paired
+   */
+  unpair(sessionId) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session?.pairing) {
+      return false;
+    }
+
+    delete session.pairing;
+    this.sessionManager.persistSession(sessionId);
+    const connection = this.sessionManager.getConnection(sessionId);
+    if (connection && connection.readyState === 1) { // OPEN
+      connection.close(1008, 'Extension unpaired');
+    }
+
+    logger.info(`Session ${sessionId} unpaired`);
+    return true;
+  }
+
+  /**
+   * Public view of a session's pairing
+   * @param {Object} session - Session object
+   * @returns {Object|null} { extensionId, pairedAt } or null if not paired
+   */
+  getPairing(session) {
+    if (!session?.pairing) {
+      return null;
+    }
+    return {
+      extensionId: session.pairing.extensionId,
+      pairedAt: session.pairing.pairedAt
+    };
+  }
+
+  /**
+   * Whether a string can serve as extension ID
+   * @param {string} extensionId - Extension ID
+   * @returns {boolean} True if valid
+   */
+  isValidExtensionId(extensionId) {
+    return typeof extensionId === 'string' && EXTENSION_ID_PATTERN.test(extensionId);
+  }
+
+  /**
+   * Sign credential claims as v1.<payload>.<signature>
+   * @private
+   */
+  signCredential(claims) {
+    const payload = Buffer.from(JSON.stringify({ ...claims, issuedAt: new Date().toISOString() })).toString('base64url');
+    return `${CREDENTIAL_VERSION}.${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Verify a credential's signature and return its claims
+   * @private
+   */
+  readCredential(credential) {
+    if (typeof credential !== 'string') {
+      return null;
+    }
+    const [version, payload, signature] = credential.split('.');
+    if (version !== CREDENTIAL_VERSION || !payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * HMAC-SHA256 of a credential payload
+   * @private
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(`${CREDENTIAL_VERSION}.${payload}`).digest('base64url');
+  }
+
+  /**
+   * Drop expired pairing tokens
+   * @private
+   */
+  pruneTokens() {
+    const now = Date.now();
+    for (const [hash, record] of this.pairingTokens.entries()) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        this.pairingTokens.delete(hash);
+      }
+    }
+  }
+}
+
+module.exports = ExtensionPairingManager;
@@ -0,0 +1,529 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { createUserStore, createApiKeyStore, createAuthTokenStore } = require('../stores');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in ascending order of privileges
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,64}$/;
+const TENANT_PATTERN = /^[a-zA-Z0-9._-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'bas_';
+
+/**
+ * SHA-256 hex digest, used to store tokens and API keys without the secret itself
+ * @private
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Tenant of a user; users without one form a tenant of their own
+ * @private
+ */
+function tenantOf(user) {
+  return user.tenant || user.username;
+}
+
+/**
+ * Identity Manager
+ * Keeps user accounts with scrypt-hashed passwords, login tokens and API keys
+ * for machine clients. Every identity has a role: viewers may read, operators
+ * may also run sessions, commands and receipts, and admins may manage users
+ * and keys. Users belong to a tenant, which owns the sessions they create.
+ * Tokens and keys are stored as hashes only.
+ */
+class IdentityManager {
+  /**
+   * @param {Object} [options] - Identity options
+   * @param {boolean} [options.enabled] - Enforce authentication (defaults to config.AUTH_ENABLED)
+   * @param {Object} [options.userStore] - User store (defaults to createUserStore())
+   * @param {Object} [options.apiKeyStore] - API key store (defaults to createApiKeyStore())
+   * @param {Object} [options.tokenStore] - Login token store (defaults to createAuthTokenStore())
+   * @param {number} [options.tokenTtl] - Login token lifetime in ms
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : config.AUTH_ENABLED;
+    this.userStore = options.userStore || createUserStore();
+    this.apiKeyStore = options.apiKeyStore || createApiKeyStore();
+    this.tokenStore = options.tokenStore || createAuthTokenStore();
+    this.tokenTtl = options.tokenTtl || config.AUTH_TOKEN_TTL;
+    this.users = new Map(); // username -> user record
+    this.apiKeys = new Map(); // keyId -> API key record
+    this.apiKeyHashes = new Map(); // key hash -> keyId
+    this.tokens = new Map(); // token hash -> token record
+
+    this.restore();
+  }
+
+  /**
+   * Load users, keys and unexpired tokens from the stores
+   * @private
+   */
+  restore() {
+    for (const user of this.userStore.load()) {
+      this.users.set(user.username, user);
+    }
+    for (const apiKey of this.apiKeyStore.load()) {
+      this.apiKeys.set(apiKey.keyId, apiKey);
+      this.apiKeyHashes.set(apiKey.keyHash, apiKey.keyId);
+    }
+    for (const token of this.tokenStore.load()) {
+      this.tokens.set(token.tokenHash, token);
+    }
+    this.pruneTokens();
+  }
+
+  /**
+   * Whether a role grants at least the privileges of another role
+   * @param {string} role - Role to check
+   * @param {string} required - Minimum role
+   * @returns {boolean} True if role is at least required
+   */
+  static hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+  }
+
+  /**
+   * Create the initial admin if there are no users yet
+   * @param {Object} credentials - Admin credentials
+   * @param {string} credentials.username - Admin username
+   * @param {string} credentials.password - Admin password; nothing is created without one
+   * @returns {Promise<Object|null>} Created user or null
+   */
+  async bootstrap({ username, password }) {
+    if (this.users.size > 0) {
+      return null;
+    }
+    if (!password) {
+      if (this.enabled) {
+        logger.warn('Authentication is enabled but no users exist. Set ADMIN_PASSWORD to create the initial admin.');
+      }
+      return null;
+    }
+
+    const user = await this.createUser({ username, password, name: 'Administrator', role: 'admin' });
+    logger.info(`Created initial admin user: ${username}`);
+    return user;
+  }
+
+  /**
+   * Validate user input
+   * @param {Object} input - User fields
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate fields that are present (updates)
+   * @returns {string|null} Error message or null if valid
+   */
+  validateUser(input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return 'Invalid user: must be a JSON object';
+    }
+    if (!options.partial && (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username))) {
+      return 'Invalid user: username must be 3-64 letters, digits, dots, dashes or underscores';
+    }
+    if ((!options.partial || input.password !== undefined) &&
+      (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH)) {
+      return `Invalid user: password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (input.role !== undefined && !ROLES.includes(input.role)) {
+      return `Invalid user: role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      return 'Invalid user: name must be a string';
+    }
+    if (input.tenant !== undefined && (typeof input.tenant !== 'string' || !TENANT_PATTERN.test(input.tenant))) {
+      return 'Invalid user: tenant must be 1-64 letters, digits, dots, dashes or underscores';
+    }
+    if (input.disabled !== undefined && typeof input.disabled !== 'boolean') {
+      return 'Invalid user: disabled must be a boolean';
+    }
+    return null;
+  }
+
+  /**
+   * Hash a password with scrypt and a random salt
+   * @private
+   * @returns {Promise<string>} "scrypt:<salt>:<hash>"
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @private
+   */
+  async verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+      return false;
+    }
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+  }
+
+  /**
+   * User without its password hash
+   * @private
+   */
+  toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return { ...rest, tenant: tenantOf(user) };
+  }
+
+  /**
+   * Create a user
+   * @param {Object} input - Validated user fields: username, password, name, role (default viewer),
+   *   tenant (defaults to the username)
+   * @returns {Promise<Object>} Created user
+   * @throws {Error} If the username is taken
+   */
+  async createUser(input) {
+    if (this.users.has(input.username)) {
+      throw new Error(`User already exists: ${input.username}`);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+      username: input.username,
+      name: input.name || input.username,
+      role: input.role || 'viewer',
+      tenant: input.tenant || input.username,
+      disabled: input.disabled === true,
+      passwordHash: await this.hashPassword(input.password),
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+
+    this.users.set(user.username, user);
+    this.userStore.save(user);
+    logger.info(`User created: ${user.username} (${user.role})`);
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Update a user; changing the password or disabling the user signs it out everywhere
+   * @param {string} username - Username
+   * @param {Object} changes - Validated fields: name, role, tenant, password, disabled
+   * @returns {Promise<Object|null>} Updated user or null if not found
+   * @throws {Error} If the change would leave no active admin
+   */
+  async updateUser(username, changes) {
+    const user = this.users.get(username);
+    if (!user) {
+      return null;
+    }
+
+    const demoted = (changes.role !== undefined && changes.role !== 'admin') || changes.disabled === true;
+    if (demoted && this.isLastAdmin(user)) {
+      throw new Error('Cannot remove the last active admin');
+    }
+
+    if (changes.name !== undefined) user.name = changes.name;
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.tenant !== undefined) user.tenant = changes.tenant;
+    if (changes.disabled !== undefined) user.disabled = changes.disabled;
+    if (changes.password !== undefined) {
+      user.passwordHash = await this.hashPassword(changes.password);
+    }
+    if (changes.password !== undefined || changes.disabled === true) {
+      this.revokeTokens(username);
+    }
+    user.updatedAt = new Date().toISOString();
+
+    this.userStore.save(user);
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Delete a user together with its tokens and API keys
+   * @param {string} username - Username
+   * @returns {boolean} True if the user was deleted
+   * @throws {Error} If the user is the last active admin
+   */
+  deleteUser(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      return false;
+    }
+    if (this.isLastAdmin(user)) {
+      throw new Error('Cannot remove the last active admin');
+    }
+
+    this.users.delete(username);
+    this.userStore.remove(username);
+    this.revokeTokens(username);
+    for (const apiKey of Array.from(this.apiKeys.values())) {
+      if (apiKey.username === username) {
+        this.revokeApiKey(apiKey.keyId);
+      }
+    }
+    logger.info(`User deleted: ${username}`);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  isLastAdmin(user) {
+    if (user.role !== 'admin' || user.disabled) {
+      return false;
+    }
+    return Array.from(this.users.values()).filter(other => other.role === 'admin' && !other.disabled).length === 1;
+  }
+
+  /**
+   * Get a user by username
+   * @param {string} username - Username
+   * @returns {Object|null} User without password hash
+   */
+  getUser(username) {
+    const user = this.users.get(username);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * List users
+   * @returns {Array} Users without password hashes
+   */
+  listUsers() {
+    return Array.from(this.users.values()).map(user => this.toPublicUser(user));
+  }
+
+  /**
+   * Check credentials and issue a login token
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} { token, expiresAt, user } or null for invalid credentials
+   */
+  async login(username, password) {
+    const user = this.users.get(username);
+    if (!user || user.disabled || !(await this.verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+
+    this.pruneTokens();
+    const token = crypto.randomBytes(32).toString('hex');
+    const record = {
+      tokenHash: sha256(token),
+      username,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.tokenTtl).toISOString()
+    };
+    this.tokens.set(record.tokenHash, record);
+    this.tokenStore.save(record);
+
+    user.lastLoginAt = record.createdAt;
+    this.userStore.save(user);
+
+    return { token, expiresAt: record.expiresAt, user: this.toPublicUser(user) };
+  }
+
+  /**
+   * Invalidate a login token
+   * @param {string} token - Login token
+   * @returns {boolean} True if the token existed
+   */
+  logout(token) {
+    const tokenHash = sha256(String(token));
+    if (!this.tokens.delete(tokenHash)) {
+      return false;
+    }
+    this.tokenStore.remove(tokenHash);
+    return true;
+  }
+
+  /**
+   * Invalidate all login tokens of a user
+   * @private
+   */
+  revokeTokens(username) {
+    for (const [tokenHash, record] of Array.from(this.tokens.entries())) {
+      if (record.username === username) {
+        this.tokens.delete(tokenHash);
+        this.tokenStore.remove(tokenHash);
+      }
+    }
+  }
+
+  /**
+   * Drop expired login tokens
+   * @private
+   */
+  pruneTokens() {
+    const now = Date.now();
+    for (const [tokenHash, record] of Array.from(this.tokens.entries())) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        this.tokens.delete(tokenHash);
+        this.tokenStore.remove(tokenHash);
+      }
+    }
+  }
+
+  /**
+   * Validate API key input
+   * @param {Object} input - API key fields: name, username, role, expiresAt
+   * @returns {string|null} Error message or null if valid
+   */
+  validateApiKey(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return 'Invalid API key: must be a JSON object';
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return 'Invalid API key: name is required';
+    }
+    const owner = this.users.get(input.username);
+    if (!owner) {
+      return `Invalid API key: unknown user ${input.username}`;
+    }
+    if (input.role !== undefined && !ROLES.includes(input.role)) {
+      return `Invalid API key: role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (input.role !== undefined && !IdentityManager.hasRole(owner.role, input.role)) {
+      return `Invalid API key: role cannot exceed the owner's role (${owner.role})`;
+    }
+    if (input.expiresAt !== undefined) {
+      const expiresAt = new Date(input.expiresAt).getTime();
+      if (isNaN(expiresAt) || expiresAt <= Date.now()) {
+        return 'Invalid API key: expiresAt must be a future date';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * API key record without its hash
+   * @private
+   */
+  toPublicApiKey(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return { ...rest };
+  }
+
+  /**
+   * Create an API key; the key itself is only returned here
+   * @param {Object} input - Validated fields: name, username, role (defaults to the owner's), expiresAt
+   * @returns {Object} { apiKey, key }
+   */
+  createApiKey(input) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = {
+      keyId: uuidv4(),
+      name: input.name.trim(),
+      username: input.username,
+      role: input.role || this.users.get(input.username).role,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: sha256(key),
+      createdAt: new Date().toISOString(),
+      expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+      lastUsedAt: null
+    };
+
+    this.apiKeys.set(apiKey.keyId, apiKey);
+    this.apiKeyHashes.set(apiKey.keyHash, apiKey.keyId);
+    this.apiKeyStore.save(apiKey);
+    logger.info(`API key created: ${apiKey.name} for ${apiKey.username} (${apiKey.role})`);
+    return { apiKey: this.toPublicApiKey(apiKey), key };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - API key ID
+   * @returns {boolean} True if the key existed
+   */
+  revokeApiKey(keyId) {
+    const apiKey = this.apiKeys.get(keyId);
+    if (!apiKey) {
+      return false;
+    }
+    this.apiKeys.delete(keyId);
+    this.apiKeyHashes.delete(apiKey.keyHash);
+    this.apiKeyStore.remove(keyId);
+    logger.info(`API key revoked: ${apiKey.name} (${keyId})`);
+    return true;
+  }
+
+  /**
+   * List API keys
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.username] - Only keys of this user
+   * @returns {Array} API keys without hashes
+   */
+  listApiKeys(filters = {}) {
+    return Array.from(this.apiKeys.values())
+      .filter(apiKey => !filters.username || apiKey.username === filters.username)
+      .map(apiKey => this.toPublicApiKey(apiKey));
+  }
+
+  /**
+   * Resolve a login token or API key to the identity it belongs to
+   * API keys never grant more than their owner's current role.
+   * @param {string} credential - Login token or API key
+   * @returns {Object|null} { username, name, role, tenant, authType, keyId? } or null if invalid
+   */
+  authenticate(credential) {
+    if (!credential || typeof credential !== 'string') {
+      return null;
+    }
+    const hash = sha256(credential);
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      const apiKey = this.apiKeys.get(this.apiKeyHashes.get(hash));
+      const owner = apiKey && this.users.get(apiKey.username);
+      if (!owner || owner.disabled || (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now())) {
+        return null;
+      }
+
+      apiKey.lastUsedAt = new Date().toISOString();
+      this.apiKeyStore.save(apiKey);
+      const role = IdentityManager.hasRole(owner.role, apiKey.role) ? apiKey.role : owner.role;
+      return {
+        username: owner.username,
+        name: owner.name,
+        role,
+        tenant: tenantOf(owner),
+        authType: 'apiKey',
+        keyId: apiKey.keyId
+      };
+    }
+
+    const token = this.tokens.get(hash);
+    if (!token) {
+      return null;
+    }
+    const user = this.users.get(token.username);
+    if (!user || user.disabled || new Date(token.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return {
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      tenant: tenantOf(user),
+      authType: 'token',
+      loginTime: token.createdAt
+    };
+  }
+
+  /**
+   * Flush users, keys and tokens to their stores
+   */
+  cleanup() {
+    this.userStore.close();
+    this.apiKeyStore.close();
+    this.tokenStore.close();
+  }
+}
+
+IdentityManager.ROLES = ROLES;
+
+module.exports = IdentityManager;
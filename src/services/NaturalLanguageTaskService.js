@@ -1,20 +1,323 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { createLLMProvider, validateLLMSelection } = require('../llm');
 
 class NaturalLanguageTaskService {
-  constructor(sessionManager, commandExecutor) {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {CommandExecutor} commandExecutor - Command executor instance
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.llmProvider] - Default LLM provider (defaults to config.LLM_PROVIDER)
+   */
+  constructor(sessionManager, commandExecutor, options = {}) {
     this.sessionManager = sessionManager;
     this.commandExecutor = commandExecutor;
-    this.genAI = new GoogleGenerativeAI(config.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+    this.defaultProvider = options.llmProvider || createLLMProvider();
+    this.providerCache = new Map(); // "provider:model" -> provider instance
+    this.tasks = new Map(); // taskId -> background task job
     this.screenshotStorage = new Map(); // Store screenshots temporarily
     this.setupScreenshotDirectory();
   }
 
+  /**
+   * Resolve the LLM provider for a task
+   * @param {Object} [llm] - Provider selection { provider, model, responses }
+   * @returns {Object} Provider instance
+   * @throws {Error} If the selection is not allowed (see validateLLMSelection)
+   */
+  resolveProvider(llm) {
+    if (!llm || (!llm.provider && !llm.model)) {
+      return this.defaultProvider;
+    }
+
+    const selectionError = validateLLMSelection(llm);
+    if (selectionError) {
+      throw new Error(selectionError);
+    }
+
+    const name = llm.provider || config.LLM_PROVIDER;
+
+    // Scripted mock providers carry per-task state and are never shared
+    if (name === 'mock') {
+      return createLLMProvider('mock', {
+        model: llm.model,
+        responses: llm.responses,
+        defaultResponse: llm.defaultResponse
+      });
+    }
+
+    // Least recently used providers are dropped once the cache is full
+    const cacheKey = `${name}:${llm.model || ''}`;
+    const provider = this.providerCache.get(cacheKey) || createLLMProvider(name, { model: llm.model });
+    this.providerCache.delete(cacheKey);
+    this.providerCache.set(cacheKey, provider);
+    if (this.providerCache.size > config.LLM_PROVIDER_CACHE_SIZE) {
+      this.providerCache.delete(this.providerCache.keys().next().value);
+    }
+    return provider;
+  }
+
+  /**
+   * Send a prompt (and optional screenshot) to a task's provider
+   * @param {Object} task - Task context { sessionId, provider } created by processTask
+   * @private
+   */
+  async generateText(task, prompt, screenshotBase64 = null) {
+    const { provider } = task;
+    const images = screenshotBase64 ? [{ data: screenshotBase64, mimeType: 'image/png' }] : [];
+    return provider.generate({ prompt, images });
+  }
+
+  /**
+   * Start a natural language task in the background
+   * @param {string} sessionId - Session ID
+   * @param {string} taskDescription - Natural language description of the task
+   * @param {string} executionMode - Execution mode: 'auto', 'extension', or 'server'
+   * @param {Object} [options] - Task options passed to processTask
+   * @returns {Object} Task status (see getTaskStatus)
+   */
+  startTask(sessionId, taskDescription, executionMode = 'auto', options = {}) {
+    if (this.getRunningTask(sessionId)) {
+      throw new Error(`A task is already running for session: ${sessionId}`);
+    }
+
+    this.pruneTasks();
+
+    const job = {
+      taskId: uuidv4(),
+      sessionId,
+      taskDescription,
+      executionMode,
+      status: 'queued',
+      iteration: 0,
+      milestones: [],
+      latestScreenshot: null,
+      cancelRequested: false,
+      pauseController: null, // Set while the task waits for a paused session
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null
+    };
+    this.tasks.set(job.taskId, job);
+    this.publishTaskEvent(job, 'task_created', { taskDescription, executionMode });
+
+    job.promise = this.processTask(sessionId, taskDescription, executionMode, { ...options, job })
+      .then(result => {
+        job.result = result;
+        job.error = result.error || null;
+        job.status = job.cancelRequested ? 'cancelled' : (result.success ? 'completed' : 'failed');
+        job.completedAt = new Date().toISOString();
+        logger.info(`Natural language task ${job.taskId} finished with status: ${job.status}`);
+        this.publishTaskEvent(job, 'task_finished', {
+          status: job.status,
+          error: job.error,
+          response: result.response || null,
+          iterations: job.iteration
+        });
+        return result;
+      });
+
+    return this.getTaskStatus(job.taskId);
+  }
+
+  /**
+   * Wait for a background task to finish
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object|null>} Task result or null if the task is unknown
+   */
+  async waitForTask(taskId) {
+    const job = this.tasks.get(taskId);
+    return job ? job.promise : null;
+  }
+
+  /**
+   * Get the live status of a task
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} Task status or null if not found
+   */
+  getTaskStatus(taskId) {
+    const job = this.tasks.get(taskId);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      taskId: job.taskId,
+      sessionId: job.sessionId,
+      taskDescription: job.taskDescription,
+      executionMode: job.executionMode,
+      status: job.status,
+      iteration: job.iteration,
+      milestones: job.milestones,
+      latestScreenshot: job.latestScreenshot,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      error: job.error,
+      result: job.result
+    };
+  }
+
+  /**
+   * List tasks for a session (newest first)
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Array of task statuses without full results
+   */
+  listTasks(sessionId) {
+    return Array.from(this.tasks.values())
+      .filter(job => job.sessionId === sessionId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(job => {
+        const { result, ...status } = this.getTaskStatus(job.taskId);
+        return status;
+      });
+  }
+
+  /**
+   * Get the task currently running for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Task status or null if idle
+   */
+  getRunningTask(sessionId) {
+    for (const job of this.tasks.values()) {
+      if (job.sessionId === sessionId && !job.completedAt) {
+        return this.getTaskStatus(job.taskId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Request cancellation of a running task
+   * The loop stops at the next action boundary.
+   * @param {string} taskId - Task ID
+   * @returns {boolean} True if cancellation was requested
+   */
+  cancelTask(taskId) {
+    const job = this.tasks.get(taskId);
+    if (!job || job.completedAt) {
+      return false;
+    }
+
+    job.cancelRequested = true;
+    job.status = 'cancelling';
+    this.publishTaskEvent(job, 'task_status', { status: job.status });
+    if (job.pauseController) {
+      job.pauseController.abort();
+    }
+    logger.info(`Cancellation requested for natural language task ${taskId}`);
+    return true;
+  }
+
+  /**
+   * Block a task while its session is paused
+   * Cancelling the task stops the wait.
+   * @private
+   */
+  async waitForResume(sessionId, job) {
+    logger.info(`Session ${sessionId} is paused, task waiting for resume`);
+    const controller = new AbortController();
+    if (job) {
+      job.pauseController = controller;
+    }
+    this.updateTaskProgress(job, { status: 'paused' });
+    try {
+      await this.sessionManager.waitWhilePaused(sessionId, { kind: 'task', signal: controller.signal });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw error;
+      }
+    } finally {
+      if (job) {
+        job.pauseController = null;
+      }
+      this.updateTaskProgress(job, { status: 'running' });
+    }
+  }
+
+  /**
+   * Remove finished tasks older than the retention period
+   */
+  pruneTasks() {
+    const maxAge = config.NL_TASK_RETENTION * 1000;
+    const now = Date.now();
+    for (const [taskId, job] of this.tasks.entries()) {
+      if (job.completedAt && now - new Date(job.completedAt).getTime() > maxAge) {
+        this.tasks.delete(taskId);
+      }
+    }
+  }
+
+  /**
+   * Check whether a task has been cancelled
+   * @private
+   */
+  isTaskCancelled(job) {
+    return Boolean(job && job.cancelRequested);
+  }
+
+  /**
+   * Apply progress fields to a background task
+   * @private
+   */
+  updateTaskProgress(job, fields) {
+    if (!job) {
+      return;
+    }
+    const previous = {
+      status: job.status,
+      iteration: job.iteration,
+      screenshotId: job.latestScreenshot?.screenshotId,
+      milestones: job.milestones
+    };
+
+    // Keep the 'cancelling' status while still recording progress
+    const { status, ...progress } = fields;
+    Object.assign(job, job.cancelRequested ? progress : fields);
+
+    // Tell event stream subscribers what changed
+    if (job.status !== previous.status) {
+      this.publishTaskEvent(job, 'task_status', { status: job.status });
+    }
+    if (job.iteration !== previous.iteration) {
+      this.publishTaskEvent(job, 'task_iteration', { iteration: job.iteration });
+    }
+    if (job.latestScreenshot && job.latestScreenshot.screenshotId !== previous.screenshotId) {
+      this.publishTaskEvent(job, 'screenshot', job.latestScreenshot);
+    }
+    for (const milestone of job.milestones.filter(item => !previous.milestones.includes(item))) {
+      this.publishTaskEvent(job, 'milestone_reached', { milestone });
+    }
+  }
+
+  /**
+   * Publish an event about a background task to the session's event stream
+   * @private
+   */
+  publishTaskEvent(job, type, data = {}) {
+    this.sessionManager.events.publish(job.sessionId, type, { taskId: job.taskId, ...data });
+  }
+
+  /**
+   * Reduce a screenshot result to what status consumers need
+   * @private
+   */
+  summarizeScreenshot(screenshot) {
+    if (!screenshot || !screenshot.url) {
+      return null;
+    }
+    return {
+      screenshotId: screenshot.screenshotId,
+      url: screenshot.url,
+      timestamp: screenshot.timestamp
+    };
+  }
+
   setupScreenshotDirectory() {
     this.screenshotDir = path.join(process.cwd(), 'public', 'screenshots');
     if (!fs.existsSync(this.screenshotDir)) {
@@ -27,18 +330,24 @@ class NaturalLanguageTaskService {
    * @param {string} sessionId - Session ID
    * @param {string} taskDescription - Natural language description of the task
    * @param {string} executionMode - Execution mode: 'auto', 'extension', or 'server'
+   * @param {Object} [options] - Task options
+   * @param {Object} [options.llm] - LLM selection { provider, model }; falls back to session.metadata.llm
+   * @param {Object} [options.job] - Background job record to report progress to (see startTask)
    * @returns {Promise<Object>} Task execution result with AI analysis
    */
-  async processTask(sessionId, taskDescription, executionMode = 'auto') {
+  async processTask(sessionId, taskDescription, executionMode = 'auto', options = {}) {
+    const job = options.job || null;
     try {
-      // Set current session ID for context
-      this.setCurrentSessionId(sessionId);
-      
       const session = this.sessionManager.getSession(sessionId);
       if (!session) {
         throw new Error(`Session not found: ${sessionId}`);
       }
 
+      // Everything the LLM helpers need travels with the task, so concurrent tasks never share a provider
+      const provider = this.resolveProvider(options.llm || session.metadata?.llm);
+      const task = { sessionId, provider };
+      this.updateTaskProgress(job, { status: 'running', startedAt: new Date().toISOString() });
+
       logger.info(`Processing natural language task for session ${sessionId}: ${taskDescription}, executionMode: ${executionMode}`);
 
       // Store execution mode preference in session metadata for use by command executor
@@ -52,26 +361,27 @@ class NaturalLanguageTaskService {
       logger.info(`Processing natural language task for session ${sessionId}: ${taskDescription}`);
 
       // First check if we need to navigate somewhere before analyzing the page
-      let analysis = await this.analyzeTaskForInitialNavigation(history, taskDescription);
+      let analysis = await this.analyzeTaskForInitialNavigation(history, taskDescription, task);
       let screenshotResult;
       
       // If initial analysis suggests navigation, do that first
       if (analysis.requiresAction && analysis.actions && analysis.actions.length > 0 && 
           analysis.actions[0].type === 'navigate') {
         logger.info('Initial task requires navigation, performing navigation first');
-        const navResult = await this.executeTaskActions(sessionId, [analysis.actions[0]]);
+        const navResult = await this.executeTaskActions(sessionId, [analysis.actions[0]], job);
         
         // Wait for page to load
         await new Promise(resolve => setTimeout(resolve, 3000));
         
         // Now take screenshot and analyze the loaded page
         screenshotResult = await this.takeScreenshot(sessionId);
-        analysis = await this.analyzeTaskWithElements(history, screenshotResult.base64, sessionId);
+        analysis = await this.analyzeTaskWithElements(history, screenshotResult.base64, task);
       } else {
         // No navigation needed, analyze current page
         screenshotResult = await this.takeScreenshot(sessionId);
-        analysis = await this.analyzeTaskWithElements(history, screenshotResult.base64, sessionId);
+        analysis = await this.analyzeTaskWithElements(history, screenshotResult.base64, task);
       }
+      this.updateTaskProgress(job, { latestScreenshot: this.summarizeScreenshot(screenshotResult) });
       
       // Add AI's initial response to history
       const initialResponse = (analysis.thought ? `Thinking: ${analysis.thought}\n\n` : '') + (analysis.response || '');
@@ -92,17 +402,23 @@ class NaturalLanguageTaskService {
       // Iterative execution until task is complete or no progress for too long
       while (analysis.requiresAction && analysis.actions && analysis.actions.length > 0 && 
              iterationsSinceProgress < maxIterationsWithoutProgress && 
-             iterationCount < absoluteMaxIterations) {
+             iterationCount < absoluteMaxIterations &&
+             !this.isTaskCancelled(job)) {
         iterationCount++;
         iterationsSinceProgress++;
         logger.info(`Iteration ${iterationCount} (${iterationsSinceProgress} since progress): Executing ${analysis.actions.length} actions`);
         
         try {
-          const iterationResult = await this.executeTaskActions(sessionId, analysis.actions);
+          const iterationResult = await this.executeTaskActions(sessionId, analysis.actions, job);
           executionResult.push(...iterationResult);
           
           // Take screenshot after actions
           afterScreenshot = await this.takeScreenshot(sessionId);
+          this.updateTaskProgress(job, {
+            iteration: iterationCount,
+            latestScreenshot: this.summarizeScreenshot(afterScreenshot),
+            milestones: this.filterUserFacingMilestones(progressTracker.completedMilestones)
+          });
           
           if (afterScreenshot.base64 && !afterScreenshot.error) {
             history = this.sessionManager.getHistory(sessionId);
@@ -151,7 +467,7 @@ class NaturalLanguageTaskService {
               if ((isStuckOnInput || isStuckTyping || isRepeatingResponses || isStuckInFallback || subtaskPatterns.hasRepeatedSubtask) && 
                   iterationsSinceProgress <= 5) { // Only use fallback if not too many iterations without progress
                 logger.info(`Detected repetitive behavior (${subtaskPatterns.description}), using advanced fallback logic`);
-                const fallbackAnalysis = this.handleAdvancedFallback(history, taskDescription, iterationsSinceProgress, subtaskPatterns);
+                const fallbackAnalysis = this.handleAdvancedFallback(history, taskDescription, iterationsSinceProgress, subtaskPatterns, task);
                 if (fallbackAnalysis.requiresAction && fallbackAnalysis.actions.length > 0) {
                   analysis = fallbackAnalysis;
                   continue; // Skip AI analysis and use fallback
@@ -159,7 +475,7 @@ class NaturalLanguageTaskService {
               } else if (iterationsSinceProgress > 5) {
                 // After many iterations without progress, try a completely different approach
                 logger.info('Too many iterations without progress, trying alternative search strategy');
-                const alternativeAnalysis = this.handleAlternativeSearch(history, taskDescription);
+                const alternativeAnalysis = this.handleAlternativeSearch(history, taskDescription, task);
                 if (alternativeAnalysis.requiresAction && alternativeAnalysis.actions.length > 0) {
                   analysis = alternativeAnalysis;
                   continue;
@@ -172,7 +488,7 @@ class NaturalLanguageTaskService {
               history, 
               afterScreenshot.base64, 
               taskDescription,
-              sessionId
+              task
             );
             
             if (continueAnalysis.description) {
@@ -213,7 +529,7 @@ class NaturalLanguageTaskService {
                   history, 
                   currentScreenshot.base64, 
                   taskDescription,
-                  sessionId
+                  task
                 );
                 
                 if (fallbackAnalysis.description) {
@@ -243,8 +559,11 @@ class NaturalLanguageTaskService {
       // Add final completion message based on progress and stopping reason
       let completionMessage = '';
       let interventionRequest = null;
+      const cancelled = this.isTaskCancelled(job);
       
-      if (iterationsSinceProgress >= maxIterationsWithoutProgress) {
+      if (cancelled) {
+        completionMessage = `Task cancelled after ${iterationCount} iterations.`;
+      } else if (iterationsSinceProgress >= maxIterationsWithoutProgress) {
         const userMilestones = this.filterUserFacingMilestones(progressTracker.completedMilestones);
         completionMessage = `I completed ${userMilestones.length} key steps but reached the limit of ${maxIterationsWithoutProgress} iterations without progress. Progress achieved: ${userMilestones.join(', ') || 'Initial setup'}. The task may need additional time or manual completion.`;
         
@@ -293,18 +612,18 @@ class NaturalLanguageTaskService {
       const executionAnalytics = this.buildExecutionAnalytics(finalHistory, executionResult, iterationCount);
 
       return {
-        taskId: uuidv4(),
+        taskId: job ? job.taskId : uuidv4(),
         sessionId,
         taskDescription,
         response: lastMessage.content, // The last thing the assistant said
         
         // Execution Summary
         execution: {
-          status: 'completed',
+          status: cancelled ? 'cancelled' : 'completed',
           iterations: iterationCount,
           maxIterations: 8,
           totalActions: executionResult.length,
-          completionReason: iterationCount >= 8 ? 'max_iterations_reached' : 'task_completed',
+          completionReason: cancelled ? 'cancelled' : (iterationCount >= 8 ? 'max_iterations_reached' : 'task_completed'),
           duration: Date.now() - new Date(this.sessionManager.sessions.get(sessionId)?.createdAt || Date.now()).getTime()
         },
 
@@ -338,7 +657,8 @@ class NaturalLanguageTaskService {
           requiresAction: analysis.requiresAction,
           finalActions: analysis.actions,
           executionResults: executionResult,
-          aiModel: 'gemini-1.5-flash',
+          aiProvider: provider.name,
+          aiModel: provider.model,
           browserEngine: 'chromium'
         },
 
@@ -355,7 +675,7 @@ class NaturalLanguageTaskService {
       logger.error('Error processing natural language task:', error);
       this.sessionManager.addToHistory(sessionId, { role: 'assistant', content: `I encountered an error: ${error.message}` });
       return {
-        taskId: uuidv4(),
+        taskId: job ? job.taskId : uuidv4(),
         sessionId,
         taskDescription,
         history: this.sessionManager.getHistory(sessionId),
@@ -428,11 +748,11 @@ class NaturalLanguageTaskService {
    * Analyze task and current page state using Gemini
    * @private
    */
-  async analyzeTaskAndPage(history, screenshotBase64) {
+  async analyzeTaskAndPage(history, screenshotBase64, task) {
     try {
       // If no screenshot, use text-only analysis
       if (!screenshotBase64) {
-        return await this.analyzeTextOnlyTask(history);
+        return await this.analyzeTextOnlyTask(history, task);
       }
 
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
@@ -460,6 +780,7 @@ HUMAN-LIKE INTERACTION RULES:
 AVAILABLE ACTIONS:
 - navigate: Go to a URL
 - click_coordinate: Click at specific x,y coordinates  
+- click: Click an element by its visible text, role or label when coordinates are unreliable, e.g. {"selector": "role=button[name=\\"Search\\"]"}, {"selector": "text=Accept all"} or {"selector": "label=Email"}
 - scroll: Scroll the page (deltaY: positive=down, negative=up)
 - type_text: Type text at the current cursor position
 - key_press: Press a specific key (Enter, Tab, Escape, etc.)
@@ -487,23 +808,14 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const imagePart = {
-        inlineData: {
-          data: screenshotBase64,
-          mimeType: 'image/png'
-        }
-      };
-
-      // Add timeout to Gemini API call
+      // Add timeout to the LLM call
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Gemini API timeout')), 15000);
+        setTimeout(() => reject(new Error('LLM provider timeout')), 15000);
       });
 
-      const apiCallPromise = this.model.generateContent([prompt, imagePart]);
+      const apiCallPromise = this.generateText(task, prompt, screenshotBase64);
       
-      const result = await Promise.race([apiCallPromise, timeoutPromise]);
-      const response = await result.response;
-      const text = response.text().trim();
+      const text = (await Promise.race([apiCallPromise, timeoutPromise])).trim();
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
@@ -521,7 +833,7 @@ Respond ONLY with valid JSON in this exact format:
    * Analyze task without screenshot (text-only)
    * @private
    */
-  async analyzeTextOnlyTask(history) {
+  async analyzeTextOnlyTask(history, task) {
     try {
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
       const lastUserTask = history.filter(h => h.role === 'user').pop()?.content || '';
@@ -559,9 +871,7 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const result = await this.model.generateContent([prompt]);
-      const response = await result.response;
-      const text = response.text();
+      const text = (await this.generateText(task, prompt));
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
@@ -610,7 +920,7 @@ Respond ONLY with valid JSON in this exact format:
    * Analyze page after action execution
    * @private
    */
-  async analyzePageAfterAction(history, screenshotBase64) {
+  async analyzePageAfterAction(history, screenshotBase64, task) {
     try {
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
       const lastUserTask = history.filter(h => h.role === 'user').pop()?.content || '';
@@ -640,16 +950,7 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const imagePart = {
-        inlineData: {
-          data: screenshotBase64,
-          mimeType: 'image/png'
-        }
-      };
-
-      const result = await this.model.generateContent([prompt, imagePart]);
-      const response = await result.response;
-      const text = response.text();
+      const text = (await this.generateText(task, prompt, screenshotBase64));
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
@@ -671,10 +972,10 @@ Respond ONLY with valid JSON in this exact format:
    * Enhanced continuation analysis with element coordinates
    * @private
    */
-  async analyzePageAfterActionForContinuationWithElements(history, screenshotBase64, originalTask, sessionId) {
+  async analyzePageAfterActionForContinuationWithElements(history, screenshotBase64, originalTask, task) {
     try {
       // Get page elements for coordinate-based interactions
-      const elements = await this.getPageElementsForAnalysis(sessionId);
+      const elements = await this.getPageElementsForAnalysis(task.sessionId);
       
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
 
@@ -752,16 +1053,7 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const imagePart = {
-        inlineData: {
-          data: screenshotBase64,
-          mimeType: 'image/png'
-        }
-      };
-
-      const result = await this.model.generateContent([prompt, imagePart]);
-      const response = await result.response;
-      const text = response.text().trim();
+      const text = (await this.generateText(task, prompt, screenshotBase64)).trim();
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
@@ -775,7 +1067,7 @@ Respond ONLY with valid JSON in this exact format:
       // Handle rate limiting specially
       if (error.status === 429) {
         logger.warn('Rate limited by AI service, using fallback logic');
-        return this.handleRateLimitFallback(history, originalTask);
+        return this.handleRateLimitFallback(history, originalTask, task);
       }
       
       return this.analyzePageAfterActionForContinuation(history, screenshotBase64, originalTask);
@@ -826,30 +1118,33 @@ Respond ONLY with valid JSON in this exact format:
     }
   }
 
-  /**
-   * Get current session ID from processing context
-   * @private
-   */
-  getCurrentSessionId() {
-    return this.currentSessionId || 'unknown';
-  }
-
-  /**
-   * Set current session ID for processing context
-   * @private
-   */
-  setCurrentSessionId(sessionId) {
-    this.currentSessionId = sessionId;
-  }
-
   /**
    * Execute the actions determined by AI analysis
    * @private
    */
-  async executeTaskActions(sessionId, actions) {
+  async executeTaskActions(sessionId, actions, job = null) {
     const results = [];
     
     for (const action of actions) {
+      // Stop between actions when the task has been cancelled
+      if (this.isTaskCancelled(job)) {
+        logger.info(`Task cancelled, skipping remaining actions for session ${sessionId}`);
+        break;
+      }
+
+      // Wait while a human has taken over; the planned actions are stale afterwards
+      if (this.sessionManager.getPauseState(sessionId)?.isPaused) {
+        await this.waitForResume(sessionId, job);
+        if (!this.isTaskCancelled(job)) {
+          logger.info(`Session ${sessionId} resumed, skipping ${actions.length - results.length} stale actions`);
+          this.sessionManager.addToHistory(sessionId, {
+            role: 'user',
+            content: 'I paused the automation and took manual control of the browser. I have resumed it now; check the current page before continuing.'
+          });
+        }
+        break;
+      }
+
       try {
         logger.info(`Executing action: ${action.type}`, { sessionId, action });
         
@@ -904,7 +1199,8 @@ Respond ONLY with valid JSON in this exact format:
    * Summarize page content with screenshot
    * @private
    */
-  async summarizePageWithScreenshot(sessionId, taskDescription, screenshotBase64) {
+  async summarizePageWithScreenshot(task, taskDescription, screenshotBase64) {
+    const { sessionId } = task;
     try {
         const contentResult = await this.commandExecutor.executeCommand(sessionId, {
             type: 'get_text',
@@ -937,20 +1233,11 @@ Respond with a JSON object in this format:
   "headlines": ["Headline 1", "Headline 2", ...]
 }
 `;
-        const imagePart = {
-            inlineData: {
-              data: screenshotBase64,
-              mimeType: 'image/png'
-            }
-        };
-
-        const result = await this.model.generateContent([prompt, imagePart]);
-        const response = await result.response;
-        const text = response.text().trim();
+        const text = (await this.generateText(task, prompt, screenshotBase64)).trim();
         return this._parseGeminiResponse(text);
     } catch (error) {
         logger.error('Error summarizing page (with screenshot):', error);
-        return this.summarizePageTextOnly(sessionId, taskDescription); // Fallback to text only
+        return this.summarizePageTextOnly(task, taskDescription); // Fallback to text only
     }
   }
 
@@ -958,7 +1245,8 @@ Respond with a JSON object in this format:
    * Summarize page content without screenshot
    * @private
    */
-  async summarizePageTextOnly(sessionId, taskDescription) {
+  async summarizePageTextOnly(task, taskDescription) {
+    const { sessionId } = task;
     try {
         const contentResult = await this.commandExecutor.executeCommand(sessionId, {
             type: 'get_text',
@@ -989,9 +1277,7 @@ Respond with a JSON object in this format:
   "headlines": ["Headline 1", "Headline 2", ...]
 }
 `;
-        const result = await this.model.generateContent([prompt]);
-        const response = await result.response;
-        const text = response.text().trim();
+        const text = (await this.generateText(task, prompt)).trim();
         return this._parseGeminiResponse(text);
     } catch (error) {
         logger.error('Error summarizing page (text-only):', error);
@@ -1101,10 +1387,10 @@ Respond with a JSON object in this format:
    * Enhanced task processing that combines screenshots with element analysis
    * @private
    */
-  async analyzeTaskWithElements(history, screenshotBase64, sessionId) {
+  async analyzeTaskWithElements(history, screenshotBase64, task) {
     try {
       // Get page elements for coordinate-based interactions
-      const elements = await this.getPageElementsForAnalysis(sessionId);
+      const elements = await this.getPageElementsForAnalysis(task.sessionId);
       
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
       const lastUserTask = history.filter(h => h.role === 'user').pop()?.content || '';
@@ -1151,26 +1437,17 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const imagePart = {
-        inlineData: {
-          data: screenshotBase64,
-          mimeType: 'image/png'
-        }
-      };
-
-      const result = await this.model.generateContent([prompt, imagePart]);
-      const response = await result.response;
-      const text = response.text().trim();
+      const text = (await this.generateText(task, prompt, screenshotBase64)).trim();
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
         logger.warn('Failed to parse enhanced analysis response, falling back');
-        return this.analyzeTaskAndPage(history, screenshotBase64);
+        return this.analyzeTaskAndPage(history, screenshotBase64, task);
       }
       return parsed;
     } catch (error) {
       logger.error('Error in enhanced task analysis:', error);
-      return this.analyzeTaskAndPage(history, screenshotBase64);
+      return this.analyzeTaskAndPage(history, screenshotBase64, task);
     }
   }
 
@@ -1178,7 +1455,7 @@ Respond ONLY with valid JSON in this exact format:
    * Analyze task to determine if initial navigation is needed
    * @private
    */
-  async analyzeTaskForInitialNavigation(history, taskDescription) {
+  async analyzeTaskForInitialNavigation(history, taskDescription, task) {
     try {
       const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
 
@@ -1212,9 +1489,7 @@ Respond ONLY with valid JSON in this exact format:
 }
 `;
 
-      const result = await this.model.generateContent([prompt]);
-      const response = await result.response;
-      const text = response.text().trim();
+      const text = (await this.generateText(task, prompt)).trim();
       
       const parsed = this._parseGeminiResponse(text);
       if (parsed.error) {
@@ -1306,13 +1581,12 @@ Respond ONLY with valid JSON in this exact format:
         interventionRequest: interventionRequest.requestId
       });
 
-      // Emit via WebSocket if connected
-      if (session.wsConnection) {
-        session.wsConnection.send(JSON.stringify({
-          type: 'intervention_request',
-          data: interventionRequest
-        }));
-      }
+      // Let dashboards know a human is needed
+      this.sessionManager.events.publish(sessionId, 'intervention_requested', {
+        requestId: interventionRequest.requestId,
+        reason,
+        context
+      });
 
       logger.warn(`Manual intervention requested for session ${sessionId}: ${reason}`);
       
@@ -1357,6 +1631,10 @@ Respond ONLY with valid JSON in this exact format:
     }
 
     logger.info(`Manual intervention resolved for session ${sessionId}: ${response.message || 'Completed'}`);
+    this.sessionManager.events.publish(sessionId, 'intervention_resolved', {
+      requestId,
+      taskCompleted: Boolean(response.taskCompleted)
+    });
     
     return true;
   }
@@ -1365,14 +1643,14 @@ Respond ONLY with valid JSON in this exact format:
    * Handle advanced fallback logic for repetitive behavior patterns
    * @private
    */
-  async handleAdvancedFallback(history, taskDescription, iterationsSinceProgress, subtaskPatterns) {
+  async handleAdvancedFallback(history, taskDescription, iterationsSinceProgress, subtaskPatterns, task) {
     // Analyze patterns to determine the best fallback strategy
     const totalPatterns = Object.values(subtaskPatterns).reduce((sum, count) => sum + count, 0);
     
     // If we have many repeated patterns, try a different approach
     if (totalPatterns > 5 || iterationsSinceProgress > 10) {
       // Suggest manual intervention
-      const sessionId = this.getCurrentSessionId();
+      const { sessionId } = task;
       if (sessionId) {
         await this.requestManualIntervention(sessionId,
           'Automated task execution stuck in repetitive pattern, unable to progress',
@@ -1448,11 +1726,8 @@ Respond ONLY with valid JSON in this exact format:
    * Handle rate limit fallback with potential manual intervention
    * @private
    */
-  async handleRateLimitFallback(history, originalTask) {
-    // Extract sessionId from history
-    const sessionId = history.length > 0 && history[0].sessionId 
-      ? history[0].sessionId 
-      : this.getCurrentSessionId();
+  async handleRateLimitFallback(history, originalTask, task) {
+    const { sessionId } = task;
     
     // Check if we've been rate limited multiple times recently
     const session = this.sessionManager.sessions.get(sessionId);
@@ -1643,9 +1918,9 @@ Respond ONLY with valid JSON in this exact format:
    * Handle alternative search strategy when normal flow isn't working
    * @private
    */
-  async handleAlternativeSearch(history, taskDescription) {
+  async handleAlternativeSearch(history, taskDescription, task) {
     // Try a different approach for the search
-    const sessionId = this.getCurrentSessionId();
+    const { sessionId } = task;
     
     // For flight searches, try direct navigation approach
     if (taskDescription.toLowerCase().includes('flight')) {
@@ -1803,14 +2078,6 @@ Respond ONLY with valid JSON in this exact format:
     return {}; // Placeholder
   }
 
-  /**
-   * Get current session ID from context
-   * @private
-   */
-  getCurrentSessionId() {
-    return this.currentSessionId || null;
-  }
-
   /**
    * Initialize progress tracker for task execution
    * @private
@@ -0,0 +1,569 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { version } = require('../../package.json');
+
+const NETWORK_COMMANDS = [
+  'add_network_rule', 'remove_network_rule', 'list_network_rules', 'clear_network_rules',
+  'start_har', 'stop_har'
+];
+
+const RULE_ACTIONS = ['block', 'headers', 'mock'];
+
+// Response bodies are only captured for textual content
+const TEXT_MIME_PATTERN = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)|[^;]*\+(json|xml))/i;
+
+/**
+ * Compile a URL pattern into a RegExp
+ * Patterns wrapped in slashes are regular expressions ("/\\.png$/"),
+ * anything else is a glob where * matches any characters ("*://*.doubleclick.net/*").
+ * @param {string} pattern - URL pattern
+ * @returns {RegExp} Compiled pattern
+ * @throws {Error} If the regular expression is invalid
+ */
+function compileUrlPattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Convert a header object into HAR name/value pairs
+ * @private
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Per-session network rules and HAR recording for server-side browser pages
+ */
+class NetworkManager {
+  constructor(options = {}) {
+    this.maxHarEntries = options.maxHarEntries || config.HAR_MAX_ENTRIES;
+    this.maxContentSize = options.maxContentSize || config.HAR_MAX_CONTENT_SIZE;
+    this.sessions = new Map(); // sessionId -> { rules, pages: Map(page -> attach promise), har }
+  }
+
+  /**
+   * Get or create the network state of a session
+   * @private
+   */
+  getState(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { rules: [], pages: new Map(), har: null });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Start applying rules and recording to a page of a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} page - Puppeteer page
+   * @returns {Promise<void>} Resolves once interception is set up (same promise for repeated calls)
+   */
+  attachPage(sessionId, page) {
+    const state = this.getState(sessionId);
+    if (state.pages.has(page)) {
+      return state.pages.get(page);
+    }
+
+    page.on('request', request => this.handleRequest(sessionId, request));
+    page.on('response', response => this.recordResponse(sessionId, response));
+    page.on('requestfinished', request => this.recordFinished(sessionId, request));
+    page.on('requestfailed', request => this.recordFailed(sessionId, request));
+    page.once('close', () => state.pages.delete(page));
+
+    const attached = state.rules.length > 0 ? page.setRequestInterception(true) : Promise.resolve();
+    state.pages.set(page, attached);
+    return attached;
+  }
+
+  /**
+   * Validate a network rule
+   * @param {Object} rule - Rule definition
+   * @returns {string|null} Error message or null when valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return 'Rule must be an object';
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      return `action must be one of: ${RULE_ACTIONS.join(', ')}`;
+    }
+    if (typeof rule.urlPattern !== 'string' || !rule.urlPattern) {
+      return 'urlPattern is required';
+    }
+    try {
+      compileUrlPattern(rule.urlPattern);
+    } catch (error) {
+      return `Invalid urlPattern: ${error.message}`;
+    }
+    for (const field of ['resourceTypes', 'methods']) {
+      if (rule[field] !== undefined &&
+          (!Array.isArray(rule[field]) || !rule[field].every(value => typeof value === 'string'))) {
+        return `${field} must be an array of strings`;
+      }
+    }
+    if (rule.action === 'headers' &&
+        (!rule.headers || typeof rule.headers !== 'object' || Object.keys(rule.headers).length === 0)) {
+      return 'headers is required for headers rules';
+    }
+    if (rule.action === 'mock') {
+      const response = rule.response || {};
+      if (typeof response !== 'object') {
+        return 'response must be an object';
+      }
+      if (response.status !== undefined &&
+          (!Number.isInteger(response.status) || response.status < 100 || response.status > 599)) {
+        return 'response.status must be an HTTP status code';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add a rule to a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} rule - Rule definition
+   * @returns {Promise<Object>} Stored rule
+   * @throws {Error} If the rule is invalid
+   */
+  async addRule(sessionId, rule) {
+    const validationError = this.validateRule(rule);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const state = this.getState(sessionId);
+    const stored = {
+      id: rule.id || uuidv4(),
+      action: rule.action,
+      urlPattern: rule.urlPattern,
+      resourceTypes: rule.resourceTypes,
+      methods: rule.methods && rule.methods.map(method => method.toUpperCase()),
+      headers: rule.action === 'headers' ? rule.headers : undefined,
+      response: rule.action === 'mock' ? (rule.response || {}) : undefined,
+      createdAt: new Date().toISOString()
+    };
+    Object.defineProperty(stored, 'matcher', { value: compileUrlPattern(rule.urlPattern) });
+
+    const existingIndex = state.rules.findIndex(existing => existing.id === stored.id);
+    if (existingIndex >= 0) {
+      state.rules[existingIndex] = stored;
+    } else {
+      state.rules.push(stored);
+    }
+
+    await this.updateInterception(state);
+    logger.info(`Added ${stored.action} network rule ${stored.id} for session ${sessionId}`);
+    return stored;
+  }
+
+  /**
+   * Remove a rule from a session
+   * @param {string} sessionId - Session ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async removeRule(sessionId, ruleId) {
+    const state = this.getState(sessionId);
+    const index = state.rules.findIndex(rule => rule.id === ruleId);
+    if (index < 0) {
+      return false;
+    }
+    state.rules.splice(index, 1);
+    await this.updateInterception(state);
+    return true;
+  }
+
+  /**
+   * Remove all rules of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<number>} Number of removed rules
+   */
+  async clearRules(sessionId) {
+    const state = this.getState(sessionId);
+    const removed = state.rules.length;
+    state.rules = [];
+    await this.updateInterception(state);
+    return removed;
+  }
+
+  /**
+   * List the rules of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Array} Rules in evaluation order
+   */
+  listRules(sessionId) {
+    const state = this.sessions.get(sessionId);
+    return state ? [...state.rules] : [];
+  }
+
+  /**
+   * Enable request interception only while rules exist, so pages without
+   * rules are not slowed down by paused requests
+   * @private
+   */
+  async updateInterception(state) {
+    const enabled = state.rules.length > 0;
+    await Promise.all(Array.from(state.pages.keys()).map(async page => {
+      try {
+        await page.setRequestInterception(enabled);
+      } catch (error) {
+        logger.warn(`Could not update request interception: ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Apply rules to an intercepted request
+   * The first matching block or mock rule wins; matching header rules are merged.
+   * @private
+   */
+  async handleRequest(sessionId, request) {
+    this.recordRequest(sessionId, request);
+
+    const state = this.sessions.get(sessionId);
+    if (!state || state.rules.length === 0 || request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const url = request.url();
+    const method = request.method();
+    const resourceType = request.resourceType();
+    const matching = state.rules.filter(rule =>
+      rule.matcher.test(url) &&
+      (!rule.resourceTypes || rule.resourceTypes.includes(resourceType)) &&
+      (!rule.methods || rule.methods.includes(method))
+    );
+
+    try {
+      const decisive = matching.find(rule => rule.action !== 'headers');
+      if (decisive && decisive.action === 'block') {
+        await request.abort('blockedbyclient');
+        return;
+      }
+      if (decisive && decisive.action === 'mock') {
+        await request.respond(this.buildMockResponse(decisive.response));
+        return;
+      }
+
+      const headerRules = matching.filter(rule => rule.action === 'headers');
+      if (headerRules.length > 0) {
+        const headers = { ...request.headers() };
+        for (const rule of headerRules) {
+          for (const [name, value] of Object.entries(rule.headers)) {
+            headers[name.toLowerCase()] = String(value);
+          }
+        }
+        await request.continue({ headers });
+        return;
+      }
+
+      await request.continue();
+    } catch (error) {
+      logger.warn(`Failed to handle intercepted request ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a Puppeteer respond() payload from a mock rule response
+   * @private
+   */
+  buildMockResponse(response) {
+    const hasJson = response.json !== undefined;
+    return {
+      status: response.status || 200,
+      headers: response.headers || {},
+      contentType: response.contentType || (hasJson ? 'application/json' : 'text/plain'),
+      body: hasJson ? JSON.stringify(response.json) : (response.body || '')
+    };
+  }
+
+  /**
+   * Start recording a HAR for a session (restarts a running recording)
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options] - Recording options
+   * @param {boolean} [options.captureContent=false] - Store textual response bodies
+   * @returns {Object} Recording status
+   */
+  startHar(sessionId, options = {}) {
+    const state = this.getState(sessionId);
+    state.har = {
+      recording: true,
+      captureContent: options.captureContent === true,
+      startedAt: new Date().toISOString(),
+      stoppedAt: null,
+      entries: [],
+      pending: new Map(), // request -> entry
+      dropped: 0
+    };
+    logger.info(`HAR recording started for session ${sessionId}`);
+    return this.getHarStatus(sessionId);
+  }
+
+  /**
+   * Stop the HAR recording of a session; the HAR stays downloadable
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Recording status, null when nothing was recorded
+   */
+  stopHar(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state || !state.har) {
+      return null;
+    }
+    if (state.har.recording) {
+      state.har.recording = false;
+      state.har.stoppedAt = new Date().toISOString();
+      state.har.pending.clear();
+      logger.info(`HAR recording stopped for session ${sessionId}`);
+    }
+    return this.getHarStatus(sessionId);
+  }
+
+  /**
+   * Summarize the HAR recording of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Recording status
+   */
+  getHarStatus(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state || !state.har) {
+      return null;
+    }
+    const { recording, captureContent, startedAt, stoppedAt, entries, dropped } = state.har;
+    return {
+      recording,
+      captureContent,
+      startedAt,
+      stoppedAt,
+      entryCount: entries.length,
+      droppedEntries: dropped
+    };
+  }
+
+  /**
+   * Build the HAR 1.2 document of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} HAR document, null when nothing was recorded
+   */
+  getHar(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state || !state.har) {
+      return null;
+    }
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'browser-automation-service', version },
+        pages: [],
+        entries: state.har.entries.map(({ startTime, responseTime, ...entry }) => entry)
+      }
+    };
+  }
+
+  /**
+   * Record the start of a request
+   * @private
+   */
+  recordRequest(sessionId, request) {
+    const har = this.sessions.get(sessionId)?.har;
+    if (!har || !har.recording) {
+      return;
+    }
+    if (har.entries.length >= this.maxHarEntries) {
+      har.dropped++;
+      return;
+    }
+
+    const url = request.url();
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (error) {
+      // data: and other non-standard URLs have no query string
+    }
+
+    const headers = request.headers();
+    const postData = request.postData();
+    const startTime = Date.now();
+    const entry = {
+      startedDateTime: new Date(startTime).toISOString(),
+      time: 0,
+      request: {
+        method: request.method(),
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(headers),
+        queryString,
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+        ...(postData ? { postData: { mimeType: headers['content-type'] || '', text: postData } } : {})
+      },
+      response: {
+        status: 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _resourceType: request.resourceType(),
+      startTime,
+      responseTime: null
+    };
+
+    har.entries.push(entry);
+    har.pending.set(request, entry);
+  }
+
+  /**
+   * Record response headers
+   * @private
+   */
+  recordResponse(sessionId, response) {
+    const har = this.sessions.get(sessionId)?.har;
+    const entry = har && har.pending.get(response.request());
+    if (!entry) {
+      return;
+    }
+
+    const headers = response.headers();
+    entry.responseTime = Date.now();
+    entry.response.status = response.status();
+    entry.response.statusText = response.statusText();
+    entry.response.headers = toHarHeaders(headers);
+    entry.response.redirectURL = headers.location || '';
+    entry.response.content.mimeType = headers['content-type'] || '';
+    entry.serverIPAddress = response.remoteAddress()?.ip;
+    entry.timings.wait = entry.responseTime - entry.startTime;
+  }
+
+  /**
+   * Complete an entry once its body has loaded
+   * @private
+   */
+  async recordFinished(sessionId, request) {
+    const har = this.sessions.get(sessionId)?.har;
+    const entry = har && har.pending.get(request);
+    if (!entry) {
+      return;
+    }
+    har.pending.delete(request);
+
+    const response = request.response();
+    // Redirects have no body
+    if (response && !(entry.response.status >= 300 && entry.response.status < 400)) {
+      try {
+        const body = await response.buffer();
+        entry.response.content.size = body.length;
+        entry.response.bodySize = body.length;
+        if (har.captureContent && body.length <= this.maxContentSize &&
+            TEXT_MIME_PATTERN.test(entry.response.content.mimeType)) {
+          entry.response.content.text = body.toString('utf8');
+        }
+      } catch (error) {
+        // Body is not available for some requests (e.g. evicted from the buffer)
+      }
+    }
+    this.completeEntry(entry);
+  }
+
+  /**
+   * Complete an entry for a failed or blocked request
+   * @private
+   */
+  recordFailed(sessionId, request) {
+    const har = this.sessions.get(sessionId)?.har;
+    const entry = har && har.pending.get(request);
+    if (!entry) {
+      return;
+    }
+    har.pending.delete(request);
+    entry.response._error = request.failure()?.errorText || 'Request failed';
+    this.completeEntry(entry);
+  }
+
+  /**
+   * Fill in total and receive timings
+   * @private
+   */
+  completeEntry(entry) {
+    const now = Date.now();
+    entry.timings.receive = entry.responseTime ? now - entry.responseTime : 0;
+    entry.time = now - entry.startTime;
+  }
+
+  /**
+   * Forget the pages of a session whose browser is gone
+   * Rules and the HAR recording stay and apply to the pages of its next browser.
+   * @param {string} sessionId - Session ID
+   */
+  detachPages(sessionId) {
+    this.sessions.get(sessionId)?.pages.clear();
+  }
+
+  /**
+   * Forget all network state of a session
+   * @param {string} sessionId - Session ID
+   */
+  clearSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Execute a network command
+   * @param {string} sessionId - Session ID
+   * @param {Object} command - Command with type and payload
+   * @returns {Promise<Object>} Command result
+   */
+  async executeCommand(sessionId, command) {
+    const payload = command.payload || {};
+
+    switch (command.type) {
+      case 'add_network_rule':
+        return { rule: await this.addRule(sessionId, payload) };
+
+      case 'remove_network_rule':
+        if (!(await this.removeRule(sessionId, payload.ruleId))) {
+          throw new Error(`Unknown network rule: ${payload.ruleId}`);
+        }
+        return { removed: payload.ruleId, rules: this.listRules(sessionId) };
+
+      case 'list_network_rules':
+        return { rules: this.listRules(sessionId) };
+
+      case 'clear_network_rules':
+        return { removed: await this.clearRules(sessionId) };
+
+      case 'start_har':
+        return { har: this.startHar(sessionId, payload) };
+
+      case 'stop_har': {
+        const har = this.stopHar(sessionId);
+        if (!har) {
+          throw new Error('No HAR recording for this session');
+        }
+        return { har };
+      }
+
+      default:
+        throw new Error(`Unknown network command: ${command.type}`);
+    }
+  }
+}
+
+NetworkManager.NETWORK_COMMANDS = NETWORK_COMMANDS;
+NetworkManager.compileUrlPattern = compileUrlPattern;
+
+module.exports = NetworkManager;
@@ -0,0 +1,466 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { createExecutionStore } = require('../stores');
+const {
+  validateReceipt,
+  normalizeReceipt,
+  resolveVariables,
+  orderTasks,
+  substituteVariables,
+  evaluateCondition
+} = require('../receipts');
+
+/**
+ * Receipt Runner
+ * Executes receipts in the background and keeps a history of executions
+ * with per-task status, timings and results. All tasks of a run share one
+ * session: natural language tasks go through NaturalLanguageTaskService,
+ * raw commands through CommandExecutor. The session and its browser are
+ * deleted when the run finishes unless the caller keeps them.
+ */
+class ReceiptRunner {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {CommandExecutor} commandExecutor - Command executor instance
+   * @param {NaturalLanguageTaskService} nlTaskService - Natural language task service
+   * @param {Object} [options] - Runner options
+   * @param {Object} [options.store] - Execution store (defaults to createExecutionStore())
+   * @param {number} [options.historyLimit] - Max number of stored executions
+   */
+  constructor(sessionManager, commandExecutor, nlTaskService, options = {}) {
+    this.sessionManager = sessionManager;
+    this.commandExecutor = commandExecutor;
+    this.nlTaskService = nlTaskService;
+    this.store = options.store || createExecutionStore();
+    this.historyLimit = options.historyLimit || config.RECEIPT_HISTORY_LIMIT;
+    this.executions = new Map(); // executionId -> execution record
+    this.promises = new Map(); // executionId -> running promise
+
+    this.restoreExecutions();
+  }
+
+  /**
+   * Load persisted executions. Runs that were interrupted by a restart are
+   * marked as failed, since their session state is gone.
+   * @private
+   */
+  restoreExecutions() {
+    for (const execution of this.store.load()) {
+      if (execution.status === 'queued' || execution.status === 'running') {
+        execution.status = 'failed';
+        execution.error = 'Execution interrupted by server restart';
+        execution.completedAt = execution.completedAt || new Date().toISOString();
+        for (const task of execution.tasks) {
+          if (task.status === 'pending' || task.status === 'running') {
+            task.status = 'failed';
+            task.error = execution.error;
+          }
+        }
+        this.store.save(execution);
+      }
+      this.executions.set(execution.executionId, execution);
+    }
+  }
+
+  /**
+   * Validate a receipt and the variable values supplied for a run
+   * @param {Object} receipt - Receipt object (v1 or v2)
+   * @param {Object} [variables] - Variable values for the run
+   * @returns {string|null} Error message or null if valid
+   */
+  validateReceipt(receipt, variables = {}) {
+    const error = validateReceipt(receipt);
+    if (error) {
+      return error;
+    }
+
+    try {
+      const normalized = normalizeReceipt(receipt);
+      const values = resolveVariables(normalized, variables);
+
+      // Reject malformed raw commands before anything runs
+      for (const task of normalized.tasks) {
+        if (task.kind === 'command') {
+          try {
+            this.commandExecutor.validateCommand({ type: task.type, payload: substituteVariables(task.params, values) });
+          } catch (commandError) {
+            return `Invalid task ${task.id}: ${commandError.message}`;
+          }
+        }
+      }
+    } catch (variableError) {
+      return variableError.message;
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a receipt execution in the background
+   * @param {Object} receipt - Validated receipt
+   * @param {Object} [metadata] - Session metadata (user agent, ip, ...)
+   * @param {Object} [variables] - Variable values for the run
+   * @param {Object} [owner] - User the run's session belongs to ({ username, tenant })
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.keepSession=false] - Keep the run's session and browser after it finished
+   * @returns {Object} Execution record (already 'running')
+   * @throws {Error} If the owner's tenant has reached its session quota
+   */
+  startExecution(receipt, metadata = {}, variables = {}, owner = null, options = {}) {
+    const normalized = normalizeReceipt(receipt);
+    const values = resolveVariables(normalized, variables);
+
+    const session = this.sessionManager.createSession({
+      ...metadata,
+      source: 'receipt',
+      receiptInfo: {
+        version: receipt.version,
+        createdAt: receipt.createdAt,
+        taskCount: normalized.tasks.length
+      }
+    }, owner);
+
+    const execution = {
+      executionId: uuidv4(),
+      sessionId: session.id,
+      owner: { ...session.owner },
+      keepSession: options.keepSession === true,
+      status: 'queued',
+      receipt: {
+        version: normalized.version,
+        createdAt: normalized.createdAt,
+        name: normalized.name,
+        taskCount: normalized.tasks.length
+      },
+      variables: values,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      durationMs: null,
+      summary: null,
+      error: null,
+      tasks: normalized.tasks.map((task, index) => ({
+        taskId: task.id,
+        taskIndex: index,
+        type: task.type,
+        query: task.params.query !== undefined ? String(substituteVariables(task.params.query, values)) : null,
+        status: 'pending',
+        skipReason: null,
+        startedAt: null,
+        completedAt: null,
+        durationMs: null,
+        commandId: null,
+        nlTaskId: null,
+        result: null,
+        error: null
+      }))
+    };
+
+    this.executions.set(execution.executionId, execution);
+    this.store.save(execution);
+    this.pruneExecutions();
+
+    logger.info(`Created session ${session.id} for receipt execution ${execution.executionId} with ${normalized.tasks.length} tasks`);
+
+    const promise = this.runExecution(execution, normalized)
+      .catch(error => {
+        logger.error(`Receipt execution ${execution.executionId} failed:`, { error: error.message });
+        execution.status = 'failed';
+        execution.error = error.message;
+        this.finishExecution(execution);
+      })
+      .finally(() => this.releaseSession(execution))
+      .finally(() => this.promises.delete(execution.executionId));
+    this.promises.set(execution.executionId, promise);
+
+    return this.getExecution(execution.executionId);
+  }
+
+  /**
+   * Close the browser of a finished run and delete its session, unless the run keeps them
+   * @private
+   */
+  async releaseSession(execution) {
+    if (execution.keepSession) {
+      return;
+    }
+    try {
+      await this.commandExecutor.cleanupSession(execution.sessionId);
+      await this.sessionManager.deleteSession(execution.sessionId);
+    } catch (error) {
+      logger.warn(`Could not release session ${execution.sessionId} of receipt execution ${execution.executionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for an execution to finish
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<Object|null>} Final execution record
+   */
+  async waitForExecution(executionId) {
+    const promise = this.promises.get(executionId);
+    if (promise) {
+      await promise;
+    }
+    return this.getExecution(executionId);
+  }
+
+  /**
+   * Execute receipt tasks one at a time in dependency order
+   * @private
+   */
+  async runExecution(execution, normalized) {
+    execution.status = 'running';
+    execution.startedAt = new Date().toISOString();
+    this.store.save(execution);
+
+    const records = {};
+    execution.tasks.forEach(record => { records[record.taskId] = record; });
+
+    const ordered = orderTasks(normalized.tasks);
+    let stoppedBy = null;
+
+    for (let i = 0; i < ordered.length; i++) {
+      const task = ordered[i];
+      const record = records[task.id];
+
+      const skipReason = this.getSkipReason(task, records, stoppedBy);
+      if (skipReason) {
+        logger.info(`Skipping task ${task.id}: ${skipReason}`);
+        record.status = 'skipped';
+        record.skipReason = skipReason;
+        this.store.save(execution);
+        continue;
+      }
+
+      record.status = 'running';
+      record.startedAt = new Date().toISOString();
+      this.store.save(execution);
+
+      try {
+        logger.info(`Executing task ${i + 1}/${ordered.length}: ${task.id} (${task.type})`);
+
+        const params = substituteVariables(task.params, execution.variables);
+        const outcome = task.kind === 'nl'
+          ? await this.executeNaturalLanguageTask(execution.sessionId, task, params, record)
+          : await this.executeRawCommand(execution.sessionId, task, params);
+
+        record.status = 'completed';
+        record.result = outcome.result;
+        record.commandId = outcome.commandId || null;
+        logger.info(`Task ${task.id} completed successfully`);
+      } catch (error) {
+        logger.error(`Task ${task.id} failed:`, { error: error.message });
+        record.status = 'failed';
+        record.error = error.message;
+        if (!task.continueOnError) {
+          stoppedBy = task.id;
+        }
+      }
+
+      record.completedAt = new Date().toISOString();
+      record.durationMs = new Date(record.completedAt) - new Date(record.startedAt);
+      this.store.save(execution);
+    }
+
+    const { completedTasks, failedTasks } = this.summarize(execution);
+    if (failedTasks === 0) {
+      execution.status = 'completed';
+    } else {
+      execution.status = completedTasks === 0 ? 'failed' : 'completed_with_errors';
+    }
+    this.finishExecution(execution);
+
+    logger.info(`Receipt execution ${execution.executionId} finished with status: ${execution.status}`, execution.summary);
+  }
+
+  /**
+   * Run a raw browser command
+   * @private
+   */
+  async executeRawCommand(sessionId, task, params) {
+    const result = await this.commandExecutor.executeCommand(sessionId, {
+      type: task.type,
+      payload: params,
+      timeout: task.timeout
+    });
+    if (result.success === false) {
+      throw new Error(result.error);
+    }
+    return { commandId: result.commandId, result: result.result };
+  }
+
+  /**
+   * Run a natural language task in the shared session
+   * The task is started as a regular background NL task, so it also shows up
+   * under /api/sessions/:sessionId/nl-tasks. On timeout it is cancelled.
+   * @private
+   */
+  async executeNaturalLanguageTask(sessionId, task, params, record) {
+    const job = this.nlTaskService.startTask(sessionId, String(params.query), params.executionMode || 'auto', { llm: params.llm });
+    record.nlTaskId = job.taskId;
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), task.timeout);
+    });
+    const result = await Promise.race([this.nlTaskService.waitForTask(job.taskId), timedOut]);
+    clearTimeout(timer);
+
+    if (!result) {
+      this.nlTaskService.cancelTask(job.taskId);
+      await this.nlTaskService.waitForTask(job.taskId);
+      throw new Error(`Natural language task timeout after ${task.timeout}ms`);
+    }
+    if (!result.success) {
+      throw new Error(result.error || 'Natural language task failed');
+    }
+
+    return {
+      result: {
+        response: result.response,
+        status: result.execution?.status,
+        completionReason: result.execution?.completionReason,
+        iterations: result.iterations,
+        totalActions: result.execution?.totalActions,
+        finalScreenshot: result.screenshots?.final?.url || null
+      }
+    };
+  }
+
+  /**
+   * Decide whether a task has to be skipped
+   * @private
+   * @returns {string|null} Reason for skipping or null to run the task
+   */
+  getSkipReason(task, records, stoppedBy) {
+    if (stoppedBy) {
+      return `Run stopped after task ${stoppedBy} failed`;
+    }
+
+    const unmet = task.dependsOn.find(id => records[id].status !== 'completed');
+    if (unmet) {
+      return `Dependency ${unmet} did not complete`;
+    }
+
+    if (!evaluateCondition(task.when, records)) {
+      return 'Condition not met';
+    }
+
+    return null;
+  }
+
+  /**
+   * Record completion time and summary for an execution
+   * @private
+   */
+  finishExecution(execution) {
+    execution.completedAt = new Date().toISOString();
+    execution.durationMs = execution.startedAt
+      ? new Date(execution.completedAt) - new Date(execution.startedAt)
+      : 0;
+    execution.summary = this.summarize(execution);
+    this.store.save(execution);
+  }
+
+  /**
+   * Build task counters for an execution
+   * @private
+   */
+  summarize(execution) {
+    const completedTasks = execution.tasks.filter(t => t.status === 'completed').length;
+    const failedTasks = execution.tasks.filter(t => t.status === 'failed').length;
+    const skippedTasks = execution.tasks.filter(t => t.status === 'skipped').length;
+    return {
+      totalTasks: execution.tasks.length,
+      completedTasks,
+      failedTasks,
+      skippedTasks,
+      hasErrors: failedTasks > 0
+    };
+  }
+
+  /**
+   * Get an execution by ID
+   * @param {string} executionId - Execution ID
+   * @returns {Object|null} Execution record
+   */
+  getExecution(executionId) {
+    const execution = this.executions.get(executionId);
+    if (!execution) {
+      return null;
+    }
+    return {
+      ...execution,
+      summary: execution.summary || this.summarize(execution)
+    };
+  }
+
+  /**
+   * List executions, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - Only executions with this status
+   * @param {string|Date} [filters.from] - Only executions created at or after this date
+   * @param {string|Date} [filters.to] - Only executions created at or before this date
+   * @param {string} [filters.sessionId] - Only executions that used this session
+   * @param {Object} [filters.user] - Only executions this user may access (see SessionManager.canAccess)
+   * @param {number} [filters.limit] - Max number of results
+   * @returns {Array} Execution summaries (without task results)
+   */
+  listExecutions(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    let executions = Array.from(this.executions.values())
+      .filter(execution => {
+        const createdAt = new Date(execution.createdAt).getTime();
+        if (filters.status && execution.status !== filters.status) return false;
+        if (filters.sessionId && execution.sessionId !== filters.sessionId) return false;
+        if (filters.user && !this.sessionManager.canAccess(execution, filters.user)) return false;
+        if (from !== null && createdAt < from) return false;
+        if (to !== null && createdAt > to) return false;
+        return true;
+      })
+      .reverse(); // Map keeps insertion (creation) order
+
+    if (filters.limit) {
+      executions = executions.slice(0, filters.limit);
+    }
+
+    return executions.map(execution => {
+      const { tasks, ...rest } = execution;
+      return { ...rest, summary: execution.summary || this.summarize(execution) };
+    });
+  }
+
+  /**
+   * Drop the oldest finished executions beyond the history limit
+   * @private
+   */
+  pruneExecutions() {
+    if (this.executions.size <= this.historyLimit) {
+      return;
+    }
+
+    const finished = Array.from(this.executions.values())
+      .filter(execution => execution.completedAt);
+
+    let excess = this.executions.size - this.historyLimit;
+    for (const execution of finished) {
+      if (excess <= 0) break;
+      this.executions.delete(execution.executionId);
+      this.store.remove(execution.executionId);
+      excess--;
+    }
+  }
+
+  /**
+   * Flush execution history to the store
+   */
+  cleanup() {
+    this.store.close();
+  }
+}
+
+module.exports = ReceiptRunner;
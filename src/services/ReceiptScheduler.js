@@ -0,0 +1,425 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { parseCron, nextCronDate } = require('../utils/cron');
+const { createScheduleStore } = require('../stores');
+
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'failed', 'skipped'];
+
+/**
+ * Receipt Scheduler
+ * Stores receipts with cron schedules and starts them through the
+ * ReceiptRunner when they are due. Each schedule keeps a short run history
+ * that links to the runner's execution records.
+ */
+class ReceiptScheduler {
+  /**
+   * @param {ReceiptRunner} receiptRunner - Receipt runner instance
+   * @param {Object} [options] - Scheduler options
+   * @param {Object} [options.store] - Schedule store (defaults to createScheduleStore())
+   * @param {number} [options.tickInterval] - How often due schedules are checked in ms
+   * @param {number} [options.runHistory] - Runs kept per schedule
+   */
+  constructor(receiptRunner, options = {}) {
+    this.receiptRunner = receiptRunner;
+    this.store = options.store || createScheduleStore();
+    this.tickInterval = options.tickInterval || config.SCHEDULER_TICK_INTERVAL;
+    this.runHistory = options.runHistory || config.SCHEDULE_RUN_HISTORY;
+    this.schedules = new Map(); // scheduleId -> schedule
+    this.active = new Map(); // scheduleId -> Set of running executionIds
+    this.timer = null;
+
+    this.restoreSchedules();
+  }
+
+  /**
+   * Load persisted schedules. Runs that were in flight when the server
+   * stopped are marked as failed; missed runs are not caught up.
+   * @private
+   */
+  restoreSchedules() {
+    const now = new Date();
+    for (const schedule of this.store.load()) {
+      for (const run of schedule.runs || []) {
+        if (!FINISHED_STATUSES.includes(run.status)) {
+          run.status = 'failed';
+          run.error = 'Run interrupted by server restart';
+        }
+      }
+      if (schedule.status === 'active' && (!schedule.nextRunAt || new Date(schedule.nextRunAt) <= now)) {
+        this.planNextRun(schedule, now);
+      }
+      this.schedules.set(schedule.scheduleId, schedule);
+      this.store.save(schedule);
+    }
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    logger.info(`Receipt scheduler started with ${this.schedules.size} schedules`);
+  }
+
+  /**
+   * Stop checking for due schedules and persist state
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.store.flush();
+  }
+
+  /**
+   * Validate schedule fields
+   * @param {Object} input - Schedule fields
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate the fields present (updates)
+   * @param {Object} [options.current] - Existing schedule for partial updates
+   * @returns {string|null} Error message or null if valid
+   */
+  validateSchedule(input, options = {}) {
+    const { partial = false, current = null } = options;
+
+    if (!input || typeof input !== 'object') {
+      return 'Invalid schedule: must be a JSON object';
+    }
+
+    if (!partial || input.cron !== undefined) {
+      try {
+        nextCronDate(parseCron(input.cron));
+      } catch (error) {
+        return `Invalid cron: ${error.message}`;
+      }
+    }
+
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      return 'Invalid schedule: name must be a string';
+    }
+
+    if (input.jitterSeconds !== undefined &&
+        (!Number.isInteger(input.jitterSeconds) || input.jitterSeconds < 0 || input.jitterSeconds > 3600)) {
+      return 'Invalid schedule: jitterSeconds must be an integer between 0 and 3600';
+    }
+
+    if (input.maxConcurrency !== undefined &&
+        (!Number.isInteger(input.maxConcurrency) || input.maxConcurrency < 1 || input.maxConcurrency > 10)) {
+      return 'Invalid schedule: maxConcurrency must be an integer between 1 and 10';
+    }
+
+    if (!partial || input.receipt !== undefined || input.variables !== undefined) {
+      const receipt = input.receipt !== undefined ? input.receipt : current?.receipt;
+      const variables = input.variables !== undefined ? input.variables : (current?.variables || {});
+      if (!receipt) {
+        return 'Invalid schedule: missing receipt';
+      }
+      const receiptError = this.receiptRunner.validateReceipt(receipt, variables);
+      if (receiptError) {
+        return receiptError;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} input - Validated schedule fields
+   * @param {Object} [owner] - User whose tenant owns the sessions of scheduled runs
+   * @returns {Object} Created schedule
+   */
+  createSchedule(input, owner = null) {
+    const now = new Date().toISOString();
+    const schedule = {
+      scheduleId: uuidv4(),
+      name: input.name || input.receipt.name || input.receipt.metadata?.name || null,
+      cron: input.cron,
+      receipt: input.receipt,
+      variables: input.variables || {},
+      jitterSeconds: input.jitterSeconds || 0,
+      maxConcurrency: input.maxConcurrency || 1,
+      status: input.paused ? 'paused' : 'active',
+      owner: owner ? { username: owner.username, tenant: owner.tenant } : null,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      scheduledFor: null,
+      nextRunAt: null,
+      runs: []
+    };
+
+    if (schedule.status === 'active') {
+      this.planNextRun(schedule);
+    }
+
+    this.schedules.set(schedule.scheduleId, schedule);
+    this.store.save(schedule);
+    logger.info(`Created receipt schedule ${schedule.scheduleId} (${schedule.cron}), next run at ${schedule.nextRunAt}`);
+
+    return this.getSchedule(schedule.scheduleId);
+  }
+
+  /**
+   * Update a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} input - Validated schedule fields to change
+   * @returns {Object|null} Updated schedule or null if not found
+   */
+  updateSchedule(scheduleId, input) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    for (const field of ['name', 'cron', 'receipt', 'variables', 'jitterSeconds', 'maxConcurrency']) {
+      if (input[field] !== undefined) {
+        schedule[field] = input[field];
+      }
+    }
+    schedule.updatedAt = new Date().toISOString();
+
+    if (schedule.status === 'active' && (input.cron !== undefined || input.jitterSeconds !== undefined)) {
+      this.planNextRun(schedule);
+    }
+
+    this.store.save(schedule);
+    return this.getSchedule(scheduleId);
+  }
+
+  /**
+   * Delete a schedule (running executions are not interrupted)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {boolean} True if the schedule existed
+   */
+  deleteSchedule(scheduleId) {
+    if (!this.schedules.delete(scheduleId)) {
+      return false;
+    }
+    this.active.delete(scheduleId);
+    this.store.remove(scheduleId);
+    logger.info(`Deleted receipt schedule ${scheduleId}`);
+    return true;
+  }
+
+  /**
+   * Pause a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Updated schedule or null if not found
+   */
+  pauseSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    schedule.status = 'paused';
+    schedule.scheduledFor = null;
+    schedule.nextRunAt = null;
+    schedule.updatedAt = new Date().toISOString();
+    this.store.save(schedule);
+    logger.info(`Paused receipt schedule ${scheduleId}`);
+    return this.getSchedule(scheduleId);
+  }
+
+  /**
+   * Resume a paused schedule from now on
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Updated schedule or null if not found
+   */
+  resumeSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    if (schedule.status !== 'active') {
+      schedule.status = 'active';
+      this.planNextRun(schedule);
+      schedule.updatedAt = new Date().toISOString();
+      this.store.save(schedule);
+      logger.info(`Resumed receipt schedule ${scheduleId}, next run at ${schedule.nextRunAt}`);
+    }
+    return this.getSchedule(scheduleId);
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Schedule or null if not found
+   */
+  getSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    const { runs, ...rest } = schedule;
+    return {
+      ...rest,
+      runningCount: this.getRunningCount(scheduleId),
+      lastRun: runs.length > 0 ? runs[runs.length - 1] : null
+    };
+  }
+
+  /**
+   * List all schedules
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - 'active' or 'paused'
+   * @param {Object} [filters.user] - Only schedules this user may access (see SessionManager.canAccess)
+   * @returns {Array} Schedules
+   */
+  listSchedules(filters = {}) {
+    return Array.from(this.schedules.keys())
+      .map(scheduleId => this.getSchedule(scheduleId))
+      .filter(schedule => !filters.status || schedule.status === filters.status)
+      .filter(schedule => !filters.user || this.receiptRunner.sessionManager.canAccess(schedule, filters.user));
+  }
+
+  /**
+   * Get the run history of a schedule, newest first
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Array|null} Runs or null if the schedule is unknown
+   */
+  getRuns(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    return schedule ? [...schedule.runs].reverse() : null;
+  }
+
+  /**
+   * Start all schedules that are due
+   * @param {Date} [now] - Current time
+   */
+  tick(now = new Date()) {
+    for (const schedule of this.schedules.values()) {
+      if (schedule.status !== 'active' || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+        continue;
+      }
+
+      const scheduledFor = schedule.scheduledFor;
+      this.planNextRun(schedule, now);
+      this.triggerRun(schedule, { trigger: 'schedule', scheduledFor });
+    }
+  }
+
+  /**
+   * Run a schedule immediately, outside of its cron plan
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Run record or null if the schedule is unknown
+   */
+  runNow(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    return this.triggerRun(schedule, { trigger: 'manual', scheduledFor: null });
+  }
+
+  /**
+   * Start one run of a schedule, honoring its max concurrency
+   * @private
+   */
+  triggerRun(schedule, { trigger, scheduledFor }) {
+    const run = {
+      runId: uuidv4(),
+      trigger,
+      scheduledFor,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      executionId: null,
+      sessionId: null,
+      status: 'running',
+      error: null
+    };
+
+    schedule.lastRunAt = run.startedAt;
+    this.addRun(schedule, run);
+
+    if (this.getRunningCount(schedule.scheduleId) >= schedule.maxConcurrency) {
+      run.status = 'skipped';
+      run.error = `Max concurrency of ${schedule.maxConcurrency} reached`;
+      run.completedAt = run.startedAt;
+      logger.warn(`Skipping run of schedule ${schedule.scheduleId}: ${run.error}`);
+      this.store.save(schedule);
+      return run;
+    }
+
+    try {
+      const execution = this.receiptRunner.startExecution(
+        schedule.receipt,
+        { scheduleId: schedule.scheduleId, userAgent: 'receipt-scheduler' },
+        schedule.variables,
+        schedule.owner
+      );
+      run.executionId = execution.executionId;
+      run.sessionId = execution.sessionId;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.completedAt = new Date().toISOString();
+      logger.error(`Failed to start run of schedule ${schedule.scheduleId}:`, { error: error.message });
+      this.store.save(schedule);
+      return run;
+    }
+
+    const running = this.active.get(schedule.scheduleId) || new Set();
+    running.add(run.executionId);
+    this.active.set(schedule.scheduleId, running);
+    this.store.save(schedule);
+
+    logger.info(`Started ${trigger} run of schedule ${schedule.scheduleId} as execution ${run.executionId}`);
+
+    run.promise = this.receiptRunner.waitForExecution(run.executionId).then(execution => {
+      running.delete(run.executionId);
+      run.status = execution ? execution.status : 'failed';
+      run.error = execution ? execution.error : 'Execution record missing';
+      run.completedAt = new Date().toISOString();
+      if (this.schedules.has(schedule.scheduleId)) {
+        this.store.save(schedule);
+      }
+      return run;
+    });
+
+    return run;
+  }
+
+  /**
+   * Append a run and trim the history
+   * @private
+   */
+  addRun(schedule, run) {
+    // Keep the promise off the persisted record
+    Object.defineProperty(run, 'promise', { enumerable: false, writable: true, value: null });
+    schedule.runs.push(run);
+    if (schedule.runs.length > this.runHistory) {
+      schedule.runs.splice(0, schedule.runs.length - this.runHistory);
+    }
+  }
+
+  /**
+   * Number of executions of a schedule that are still running
+   * @private
+   */
+  getRunningCount(scheduleId) {
+    const running = this.active.get(scheduleId);
+    return running ? running.size : 0;
+  }
+
+  /**
+   * Compute the next cron slot and the jittered start time
+   * @private
+   */
+  planNextRun(schedule, from = new Date()) {
+    const slot = nextCronDate(schedule.cron, from);
+    const jitterMs = Math.floor(Math.random() * (schedule.jitterSeconds || 0) * 1000);
+    schedule.scheduledFor = slot.toISOString();
+    schedule.nextRunAt = new Date(slot.getTime() + jitterMs).toISOString();
+  }
+}
+
+module.exports = ReceiptScheduler;
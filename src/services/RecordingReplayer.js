@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { createReplayStore } = require('../stores');
+const { validateRecording, validateReplayOptions, matchAssertion } = require('../recordings');
+const { compareScreenshots } = require('../utils/imageDiff');
+
+/**
+ * Recording Replayer
+ * Runs recordings (see src/recordings) step by step on a fresh session without
+ * any AI calls. After each step it checks the step's assertions and compares a
+ * new screenshot with the recorded one. Replays run in the background and are
+ * kept in a history with per-step results.
+ */
+class RecordingReplayer {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {CommandExecutor} commandExecutor - Command executor instance
+   * @param {Object} [options] - Replayer options
+   * @param {Object} [options.store] - Replay store (defaults to createReplayStore())
+   * @param {number} [options.historyLimit] - Max number of stored replays
+   * @param {string} [options.screenshotDir] - Where actual and diff screenshots are written
+   */
+  constructor(sessionManager, commandExecutor, options = {}) {
+    this.sessionManager = sessionManager;
+    this.commandExecutor = commandExecutor;
+    this.store = options.store || createReplayStore();
+    this.historyLimit = options.historyLimit || config.REPLAY_HISTORY_LIMIT;
+    this.screenshotDir = options.screenshotDir || path.join(process.cwd(), 'public', 'screenshots');
+    this.replays = new Map(); // replayId -> replay record
+    this.promises = new Map(); // replayId -> running promise
+
+    this.restoreReplays();
+  }
+
+  /**
+   * Load persisted replays; runs interrupted by a restart are marked as failed
+   * @private
+   */
+  restoreReplays() {
+    for (const replay of this.store.load()) {
+      if (replay.status === 'queued' || replay.status === 'running') {
+        replay.status = 'failed';
+        replay.error = 'Replay interrupted by server restart';
+        replay.completedAt = replay.completedAt || new Date().toISOString();
+        for (const step of replay.steps) {
+          if (step.status === 'pending' || step.status === 'running') {
+            step.status = 'skipped';
+            step.error = replay.error;
+          }
+        }
+        this.store.save(replay);
+      }
+      this.replays.set(replay.replayId, replay);
+    }
+  }
+
+  /**
+   * Validate a recording and replay options
+   * @param {Object} recording - Recording
+   * @param {Object} [options] - Replay options
+   * @returns {string|null} Error message or null if valid
+   */
+  validateReplay(recording, options = {}) {
+    const error = validateRecording(recording) || validateReplayOptions(options);
+    if (error) {
+      return error;
+    }
+
+    for (let i = 0; i < recording.steps.length; i++) {
+      const step = recording.steps[i];
+      try {
+        this.commandExecutor.validateCommand({ type: step.type, payload: step.payload || {} });
+      } catch (commandError) {
+        return `Invalid step ${i}: ${commandError.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start replaying a recording on a new session
+   * @param {Object} recording - Validated recording
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.stopOnFailure=true] - Skip the remaining steps after a failed step
+   * @param {boolean} [options.compareScreenshots=true] - Diff screenshots of steps that have one
+   * @param {number} [options.screenshotThreshold] - Max share of differing pixels (0-1)
+   * @param {number} [options.pixelTolerance] - Max color channel difference of equal pixels (0-255)
+   * @param {number} [options.settleMs] - Wait after each step before checking it
+   * @param {boolean} [options.keepSession=false] - Keep the session's browser open afterwards
+   * @param {Object} [metadata] - Session metadata (user agent, ip, ...)
+   * @param {Object} [owner] - User the replay's session belongs to ({ username, tenant })
+   * @returns {Object} Replay record
+   * @throws {Error} If the owner's tenant has reached its session quota
+   */
+  startReplay(recording, options = {}, metadata = {}, owner = null) {
+    const settings = {
+      stopOnFailure: options.stopOnFailure !== false,
+      compareScreenshots: options.compareScreenshots !== false,
+      screenshotThreshold: options.screenshotThreshold ?? config.REPLAY_SCREENSHOT_THRESHOLD,
+      pixelTolerance: options.pixelTolerance ?? config.REPLAY_PIXEL_TOLERANCE,
+      settleMs: options.settleMs ?? config.REPLAY_SETTLE_TIME,
+      keepSession: options.keepSession === true
+    };
+
+    const session = this.sessionManager.createSession({
+      ...metadata,
+      source: 'replay',
+      replayOf: recording.source?.sessionId || null
+    }, owner);
+
+    const replay = {
+      replayId: uuidv4(),
+      sessionId: session.id,
+      owner: { ...session.owner },
+      status: 'queued',
+      recording: {
+        version: recording.version,
+        recordedAt: recording.recordedAt || null,
+        sourceSessionId: recording.source?.sessionId || null,
+        stepCount: recording.steps.length
+      },
+      options: settings,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      durationMs: null,
+      summary: null,
+      error: null,
+      steps: recording.steps.map((step, index) => ({
+        index,
+        type: step.type,
+        status: 'pending',
+        startedAt: null,
+        durationMs: null,
+        commandId: null,
+        error: null,
+        assertions: [],
+        screenshot: null
+      }))
+    };
+
+    this.replays.set(replay.replayId, replay);
+    this.store.save(replay);
+    this.pruneReplays();
+
+    logger.info(`Replaying recording with ${recording.steps.length} steps on session ${session.id} (replay ${replay.replayId})`);
+
+    const promise = this.runReplay(replay, recording)
+      .catch(error => {
+        logger.error(`Replay ${replay.replayId} failed:`, { error: error.message });
+        replay.status = 'failed';
+        replay.error = error.message;
+        this.finishReplay(replay);
+      })
+      .finally(() => this.promises.delete(replay.replayId));
+    this.promises.set(replay.replayId, promise);
+
+    return this.getReplay(replay.replayId);
+  }
+
+  /**
+   * Wait for a replay to finish
+   * @param {string} replayId - Replay ID
+   * @returns {Promise<Object|null>} Final replay record
+   */
+  async waitForReplay(replayId) {
+    const promise = this.promises.get(replayId);
+    if (promise) {
+      await promise;
+    }
+    return this.getReplay(replayId);
+  }
+
+  /**
+   * Run the steps of a replay in order
+   * @private
+   */
+  async runReplay(replay, recording) {
+    replay.status = 'running';
+    replay.startedAt = new Date().toISOString();
+    this.store.save(replay);
+
+    let stoppedAt = null;
+    try {
+      for (const record of replay.steps) {
+        if (stoppedAt !== null) {
+          record.status = 'skipped';
+          record.error = `Replay stopped after step ${stoppedAt} failed`;
+          continue;
+        }
+
+        await this.runStep(replay, recording.steps[record.index], record);
+        this.store.save(replay);
+
+        if (record.status === 'failed' && replay.options.stopOnFailure) {
+          stoppedAt = record.index;
+        }
+      }
+    } finally {
+      if (!replay.options.keepSession) {
+        await this.commandExecutor.cleanupSession(replay.sessionId);
+      }
+    }
+
+    replay.status = replay.steps.some(step => step.status === 'failed') ? 'failed' : 'passed';
+    this.finishReplay(replay);
+    logger.info(`Replay ${replay.replayId} finished with status: ${replay.status}`, replay.summary);
+  }
+
+  /**
+   * Run one step: the command, then its assertions and screenshot diff
+   * @private
+   */
+  async runStep(replay, step, record) {
+    record.status = 'running';
+    record.startedAt = new Date().toISOString();
+    const started = Date.now();
+
+    try {
+      if (step.delayMs) {
+        await this.sleep(step.delayMs);
+      }
+
+      const result = await this.commandExecutor.executeCommand(replay.sessionId, {
+        type: step.type,
+        payload: step.payload || {}
+      });
+      record.commandId = result.commandId || null;
+      if (result.success === false) {
+        throw new Error(result.error || `${step.type} failed`);
+      }
+
+      if ((step.assertions && step.assertions.length > 0) || step.screenshot) {
+        await this.sleep(replay.options.settleMs);
+      }
+
+      for (const assertion of step.assertions || []) {
+        record.assertions.push(await this.checkAssertion(replay.sessionId, assertion));
+      }
+      if (step.screenshot && replay.options.compareScreenshots) {
+        record.screenshot = await this.compareStepScreenshot(replay, step, record);
+      }
+
+      const failedAssertion = record.assertions.find(assertion => !assertion.passed);
+      if (failedAssertion) {
+        throw new Error(`Assertion failed: ${failedAssertion.message}`);
+      }
+      if (record.screenshot && !record.screenshot.passed) {
+        throw new Error(`Screenshot differs: ${record.screenshot.message}`);
+      }
+
+      record.status = 'passed';
+    } catch (error) {
+      logger.warn(`Replay ${replay.replayId} step ${record.index} (${step.type}) failed: ${error.message}`);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - started;
+  }
+
+  /**
+   * Check an assertion against the current page
+   * @private
+   * @returns {Promise<Object>} Assertion with passed, actual and message
+   */
+  async checkAssertion(sessionId, assertion) {
+    const run = async (type, payload = {}) => {
+      const result = await this.commandExecutor.executeCommand(sessionId, { type, payload });
+      if (result.success === false) {
+        throw new Error(result.error || `${type} failed`);
+      }
+      return result.result || {};
+    };
+    const describe = () => {
+      const matcher = ['equals', 'contains', 'matches'].find(name => assertion[name] !== undefined);
+      return `${assertion.type}${assertion.selector ? ` of ${assertion.selector}` : ''} ${matcher} "${assertion[matcher]}"`;
+    };
+
+    try {
+      let actual;
+      switch (assertion.type) {
+        case 'url':
+          actual = (await run('getTitle')).url;
+          break;
+        case 'title':
+          actual = (await run('getTitle')).title;
+          break;
+        case 'text':
+          actual = (await run('getText', { selector: assertion.selector })).text;
+          break;
+        case 'element': {
+          const found = (await run('waitForElement', { selector: assertion.selector, timeout: assertion.timeout ?? 5000 })).found === true;
+          return { ...assertion, passed: found, actual: found, message: `element ${assertion.selector} ${found ? 'exists' : 'not found'}` };
+        }
+      }
+
+      const passed = matchAssertion(assertion, actual);
+      return { ...assertion, passed, actual, message: passed ? describe() : `${describe()}, got "${actual}"` };
+    } catch (error) {
+      return { ...assertion, passed: false, actual: null, message: `${assertion.type}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Take a screenshot and compare it with the recorded one
+   * The actual screenshot and a diff image are saved under /screenshots.
+   * @private
+   * @returns {Promise<Object>} { passed, diffRatio, diffPixels, threshold, message, actualUrl, diffUrl }
+   */
+  async compareStepScreenshot(replay, step, record) {
+    const result = await this.commandExecutor.executeCommand(replay.sessionId, { type: 'screenshot', payload: {} });
+    const actual = result.result?.screenshot;
+    if (result.success === false || !actual) {
+      return { passed: false, message: result.error || 'Could not take a screenshot' };
+    }
+
+    const prefix = `replay_${replay.replayId}_step${record.index}`;
+    const actualUrl = this.saveScreenshot(`${prefix}_actual.png`, Buffer.from(actual.split(',').pop(), 'base64'));
+
+    let comparison;
+    try {
+      comparison = compareScreenshots(step.screenshot, actual, { pixelTolerance: replay.options.pixelTolerance });
+    } catch (error) {
+      // Formats we cannot decode (e.g. JPEG from the extension) are not compared
+      return { passed: true, compared: false, message: error.message, actualUrl };
+    }
+
+    const threshold = replay.options.screenshotThreshold;
+    const passed = !comparison.sizeMismatch && comparison.diffRatio <= threshold;
+    const percent = (comparison.diffRatio * 100).toFixed(2);
+    return {
+      passed,
+      compared: true,
+      diffPixels: comparison.diffPixels,
+      diffRatio: comparison.diffRatio,
+      threshold,
+      message: comparison.sizeMismatch || `${percent}% of pixels differ (threshold ${(threshold * 100).toFixed(2)}%)`,
+      actualUrl,
+      diffUrl: comparison.diffImage ? this.saveScreenshot(`${prefix}_diff.png`, comparison.diffImage) : null
+    };
+  }
+
+  /**
+   * Write an image to the screenshot directory
+   * @private
+   * @returns {string|null} Public URL or null if it could not be written
+   */
+  saveScreenshot(filename, data) {
+    try {
+      fs.mkdirSync(this.screenshotDir, { recursive: true });
+      fs.writeFileSync(path.join(this.screenshotDir, filename), data);
+      return `/screenshots/${filename}`;
+    } catch (error) {
+      logger.warn(`Could not save replay screenshot ${filename}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  sleep(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+
+  /**
+   * Record completion time and summary for a replay
+   * @private
+   */
+  finishReplay(replay) {
+    replay.completedAt = new Date().toISOString();
+    replay.durationMs = replay.startedAt
+      ? new Date(replay.completedAt) - new Date(replay.startedAt)
+      : 0;
+    replay.summary = this.summarize(replay);
+    this.store.save(replay);
+  }
+
+  /**
+   * Build step counters for a replay
+   * @private
+   */
+  summarize(replay) {
+    const count = status => replay.steps.filter(step => step.status === status).length;
+    return {
+      totalSteps: replay.steps.length,
+      passedSteps: count('passed'),
+      failedSteps: count('failed'),
+      skippedSteps: count('skipped')
+    };
+  }
+
+  /**
+   * Get a replay by ID
+   * @param {string} replayId - Replay ID
+   * @returns {Object|null} Replay record
+   */
+  getReplay(replayId) {
+    const replay = this.replays.get(replayId);
+    if (!replay) {
+      return null;
+    }
+    return {
+      ...replay,
+      summary: replay.summary || this.summarize(replay)
+    };
+  }
+
+  /**
+   * List replays, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - Only replays with this status
+   * @param {Object} [filters.user] - Only replays this user may access (see SessionManager.canAccess)
+   * @param {number} [filters.limit] - Max number of results
+   * @returns {Array} Replay summaries (without step results)
+   */
+  listReplays(filters = {}) {
+    let replays = Array.from(this.replays.values())
+      .filter(replay => !filters.status || replay.status === filters.status)
+      .filter(replay => !filters.user || this.sessionManager.canAccess(replay, filters.user))
+      .reverse(); // Map keeps insertion (creation) order
+
+    if (filters.limit) {
+      replays = replays.slice(0, filters.limit);
+    }
+
+    return replays.map(replay => {
+      const { steps, ...rest } = replay;
+      return { ...rest, summary: replay.summary || this.summarize(replay) };
+    });
+  }
+
+  /**
+   * Drop the oldest finished replays beyond the history limit
+   * @private
+   */
+  pruneReplays() {
+    let excess = this.replays.size - this.historyLimit;
+    for (const replay of Array.from(this.replays.values())) {
+      if (excess <= 0) break;
+      if (replay.completedAt) {
+        this.replays.delete(replay.replayId);
+        this.store.remove(replay.replayId);
+        excess--;
+      }
+    }
+  }
+
+  /**
+   * Flush replay history to the store
+   */
+  cleanup() {
+    this.store.close();
+  }
+}
+
+module.exports = RecordingReplayer;
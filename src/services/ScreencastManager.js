@@ -0,0 +1,268 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+const OPTION_LIMITS = {
+  quality: [1, 100],
+  fps: [1, 30],
+  maxWidth: [100, 3840],
+  maxHeight: [100, 2160]
+};
+
+/**
+ * Validate screencast options
+ * @param {Object} options - { quality, fps, maxWidth, maxHeight }, all optional
+ * @returns {string|null} Error message or null when valid
+ */
+function validateScreencastOptions(options) {
+  if (!options || typeof options !== 'object') {
+    return 'Screencast options must be an object';
+  }
+  for (const [name, [min, max]] of Object.entries(OPTION_LIMITS)) {
+    const value = options[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      return `${name} must be an integer between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Live JPEG screencast of the active tab of server-side browser sessions
+ *
+ * Chrome pushes a frame through CDP (Page.startScreencast) whenever the page
+ * changes and waits for an ack before sending the next one. Frames are
+ * forwarded to every subscriber of the session, throttled to the configured FPS.
+ * The screencast only runs while a session has subscribers and follows the
+ * active tab.
+ */
+class ScreencastManager {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> { page, tabId, cdp, subscribers, options, lastFrameAt, updates }
+  }
+
+  /**
+   * Get or create the screencast state of a session
+   * @private
+   */
+  getState(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, {
+        page: null,
+        tabId: null,
+        cdp: null,
+        subscribers: new Set(),
+        options: {
+          quality: config.SCREENCAST_QUALITY,
+          fps: config.SCREENCAST_FPS,
+          maxWidth: config.SCREENCAST_MAX_WIDTH,
+          maxHeight: config.SCREENCAST_MAX_HEIGHT
+        },
+        lastFrameAt: 0,
+        updates: Promise.resolve()
+      });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Subscribe to the screencast of a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} listener - Called with { type: 'frame' | 'status', ... } messages
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(sessionId, listener) {
+    const state = this.getState(sessionId);
+    state.subscribers.add(listener);
+    if (state.subscribers.size === 1) {
+      this.queueRestart(sessionId, state); // Reports the status once started
+    } else {
+      listener(this.describe(state));
+    }
+
+    return () => {
+      if (state.subscribers.delete(listener) && state.subscribers.size === 0) {
+        this.queueRestart(sessionId, state);
+      }
+    };
+  }
+
+  /**
+   * Change the screencast options of a session (shared by all its subscribers)
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { quality, fps, maxWidth, maxHeight }
+   * @returns {Promise<Object>} Effective options
+   * @throws {Error} If the options are invalid
+   */
+  async updateOptions(sessionId, options) {
+    const validationError = validateScreencastOptions(options);
+    if (validationError) {
+      throw new Error(`Invalid screencast options: ${validationError}`);
+    }
+    const state = this.getState(sessionId);
+    for (const name of Object.keys(OPTION_LIMITS)) {
+      if (options[name] !== undefined) {
+        state.options[name] = options[name];
+      }
+    }
+    await this.queueRestart(sessionId, state);
+    return { ...state.options };
+  }
+
+  /**
+   * Point the screencast of a session at a page (the active tab)
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} page - Puppeteer page, null when the session has no tab
+   * @param {string|null} [tabId] - Tab ID of the page
+   */
+  setPage(sessionId, page, tabId = null) {
+    const state = this.getState(sessionId);
+    if (state.page === page) {
+      return state.updates;
+    }
+    state.page = page;
+    state.tabId = tabId;
+    return this.queueRestart(sessionId, state);
+  }
+
+  /**
+   * Stop the current screencast and start a new one if anybody is watching
+   * Restarts are serialized so CDP sessions never overlap.
+   * @private
+   */
+  queueRestart(sessionId, state) {
+    state.updates = state.updates.then(async () => {
+      await this.stop(state);
+      if (state.page && state.subscribers.size > 0) {
+        await this.start(sessionId, state);
+      }
+      this.broadcast(state, this.describe(state));
+    });
+    return state.updates;
+  }
+
+  /**
+   * Start streaming frames of the session's page
+   * @private
+   */
+  async start(sessionId, state) {
+    const page = state.page;
+    try {
+      const cdp = await page.createCDPSession();
+      cdp.on('Page.screencastFrame', frame => this.handleFrame(state, cdp, frame));
+      state.cdp = cdp;
+      await cdp.send('Page.startScreencast', {
+        format: 'jpeg',
+        quality: state.options.quality,
+        maxWidth: state.options.maxWidth,
+        maxHeight: state.options.maxHeight
+      });
+      logger.debug(`Screencast started for session ${sessionId} (${state.tabId})`);
+    } catch (error) {
+      state.cdp = null;
+      logger.warn(`Could not start screencast for session ${sessionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop streaming and detach from the page
+   * @private
+   */
+  async stop(state) {
+    const cdp = state.cdp;
+    if (!cdp) {
+      return;
+    }
+    state.cdp = null;
+    try {
+      await cdp.send('Page.stopScreencast');
+      await cdp.detach();
+    } catch (error) {
+      // Page already closed
+    }
+  }
+
+  /**
+   * Acknowledge a frame and forward it unless it comes too soon for the FPS limit
+   * @private
+   */
+  handleFrame(state, cdp, frame) {
+    cdp.send('Page.screencastFrameAck', { sessionId: frame.sessionId }).catch(() => {});
+    if (state.cdp !== cdp) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - state.lastFrameAt < 1000 / state.options.fps) {
+      return;
+    }
+    state.lastFrameAt = now;
+
+    this.broadcast(state, {
+      type: 'frame',
+      tabId: state.tabId,
+      format: 'jpeg',
+      data: frame.data,
+      metadata: frame.metadata
+    });
+  }
+
+  /**
+   * Send a message to every subscriber of a session
+   * @private
+   */
+  broadcast(state, message) {
+    for (const listener of state.subscribers) {
+      try {
+        listener(message);
+      } catch (error) {
+        logger.warn(`Screencast subscriber failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Describe the screencast state for subscribers
+   * @private
+   */
+  describe(state) {
+    return {
+      type: 'status',
+      streaming: state.cdp !== null,
+      tabId: state.tabId,
+      options: { ...state.options }
+    };
+  }
+
+  /**
+   * Get the number of subscribers of a session
+   * @param {string} sessionId - Session ID
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount(sessionId) {
+    const state = this.sessions.get(sessionId);
+    return state ? state.subscribers.size : 0;
+  }
+
+  /**
+   * The session's browser is gone: stop streaming but keep the subscribers
+   * so the screencast resumes if the browser is launched again
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  clearSession(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) {
+      return Promise.resolve();
+    }
+    if (state.subscribers.size === 0) {
+      this.sessions.delete(sessionId);
+    }
+    state.page = null;
+    state.tabId = null;
+    return this.queueRestart(sessionId, state);
+  }
+}
+
+ScreencastManager.validateScreencastOptions = validateScreencastOptions;
+
+module.exports = ScreencastManager;
@@ -0,0 +1,293 @@
+const WebSocket = require('ws');
+const url = require('url');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const IdentityManager = require('./IdentityManager');
+
+// Input messages from viewers and the commands they run
+const INPUT_COMMANDS = {
+  click: message => ({ type: 'click_coordinate', payload: { x: message.x, y: message.y } }),
+  type: message => ({ type: 'type_text', payload: { text: message.text } }),
+  key: message => ({ type: 'key_press', payload: { key: message.key } })
+};
+
+/**
+ * WebSocket endpoint for live screencast viewers (/ws/screencast?sessionId=...)
+ *
+ * Viewers receive JPEG frames of the session's server-side browser and can
+ * send input back on the same socket: clicks, typed text and key presses run
+ * as click_coordinate, type_text and key_press commands. Like manual control
+ * through the interactive API, input is not held back while the session is paused.
+ * With authentication enabled, viewers pass ?access_token= (a login token or API
+ * key), may only watch sessions of their own tenant and need the operator role for input.
+ */
+class ScreencastSocketManager {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {CommandExecutor} commandExecutor - Command executor instance
+   * @param {IdentityManager} [identity] - Identity manager used to authenticate viewers
+   */
+  constructor(sessionManager, commandExecutor, identity = null) {
+    this.sessionManager = sessionManager;
+    this.commandExecutor = commandExecutor;
+    this.identity = identity;
+    this.screencast = commandExecutor.serverBrowser.screencast;
+    this.connections = new Map(); // websocket -> { sessionId, user, unsubscribe, input, isAlive }
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * Verify viewer connection
+   * @param {Object} info - Connection info
+   * @returns {boolean} True if connection is allowed
+   */
+  verifyClient(info) {
+    const queryParams = url.parse(info.req.url, true).query;
+    const session = queryParams.sessionId && this.sessionManager.getSession(queryParams.sessionId);
+    if (!session) {
+      logger.warn(`Screencast connection rejected: invalid sessionId ${queryParams.sessionId}`);
+      return false;
+    }
+
+    if (this.identity?.enabled) {
+      const user = this.identity.authenticate(queryParams.access_token || info.req.headers['x-api-key']);
+      if (!user || !this.sessionManager.canAccess(session, user)) {
+        logger.warn(`Screencast connection rejected: no access to session ${queryParams.sessionId}`);
+        return false;
+      }
+      info.req.user = user;
+    }
+    return true;
+  }
+
+  /**
+   * Handle new viewer connection
+   * Query parameters quality, fps, maxWidth and maxHeight change the session's screencast options.
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} req - HTTP request object
+   */
+  async handleConnection(ws, req) {
+    const queryParams = url.parse(req.url, true).query;
+    const sessionId = queryParams.sessionId;
+
+    let useExtension;
+    try {
+      useExtension = this.commandExecutor.shouldUseExtension(this.sessionManager.getSession(sessionId));
+    } catch (error) {
+      useExtension = true;
+    }
+    if (useExtension) {
+      this.sendMessage(ws, { type: 'error', error: 'Screencast is only available for server-side browser sessions' });
+      ws.close(1008, 'Server-side browser required');
+      return;
+    }
+
+    const connectionInfo = { sessionId, user: req.user || null, unsubscribe: null, input: Promise.resolve(), isAlive: true };
+    this.connections.set(ws, connectionInfo);
+    ws.on('message', data => this.handleMessage(ws, data));
+    ws.on('close', () => this.handleDisconnection(ws));
+    ws.on('error', error => logger.error(`Screencast socket error for session ${sessionId}:`, error));
+    ws.on('pong', () => { connectionInfo.isAlive = true; });
+
+    const options = this.parseOptions(queryParams);
+    if (Object.keys(options).length > 0) {
+      try {
+        await this.screencast.updateOptions(sessionId, options);
+      } catch (error) {
+        this.sendMessage(ws, { type: 'error', error: error.message });
+      }
+    }
+
+    if (!this.connections.has(ws)) {
+      return; // Closed while applying the options
+    }
+
+    const stopFrames = this.screencast.subscribe(sessionId, message => {
+      // Slow viewers skip frames instead of queueing them
+      if (message.type === 'frame' && ws.bufferedAmount > config.SCREENCAST_MAX_BUFFERED) {
+        return;
+      }
+      this.sendMessage(ws, message);
+    });
+    const stopEvents = this.sessionManager.events.subscribe(sessionId, event => {
+      if (event.type === 'session_deleted') {
+        ws.close(1000, 'Session deleted');
+      }
+    });
+    connectionInfo.unsubscribe = () => {
+      stopFrames();
+      stopEvents();
+    };
+
+    this.startHeartbeat();
+    logger.info(`Screencast viewer connected for session: ${sessionId}`, { remoteAddress: req.socket.remoteAddress });
+  }
+
+  /**
+   * Pick screencast options from query parameters
+   * @private
+   */
+  parseOptions(queryParams) {
+    const options = {};
+    for (const name of ['quality', 'fps', 'maxWidth', 'maxHeight']) {
+      if (queryParams[name] !== undefined) {
+        options[name] = Number(queryParams[name]);
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Handle a message from a viewer
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Buffer} data - Message data
+   */
+  handleMessage(ws, data) {
+    const connectionInfo = this.connections.get(ws);
+    if (!connectionInfo) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendMessage(ws, { type: 'error', error: 'Invalid message format' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'ping':
+        this.sendMessage(ws, { type: 'pong' });
+        break;
+
+      case 'options':
+        this.screencast.updateOptions(connectionInfo.sessionId, this.pickOptions(message))
+          .catch(error => this.sendMessage(ws, { type: 'error', id: message.id, error: error.message }));
+        break;
+
+      default:
+        if (INPUT_COMMANDS[message.type]) {
+          if (connectionInfo.user && !IdentityManager.hasRole(connectionInfo.user.role, 'operator')) {
+            this.sendMessage(ws, { type: 'error', id: message.id, error: 'Insufficient permissions: operator role required' });
+            break;
+          }
+          // Input runs in order, one command at a time per viewer
+          connectionInfo.input = connectionInfo.input.then(() => this.handleInput(ws, connectionInfo.sessionId, message));
+        } else {
+          this.sendMessage(ws, { type: 'error', id: message.id, error: `Unknown message type: ${message.type}` });
+        }
+    }
+  }
+
+  /**
+   * Pick screencast options from an options message
+   * @private
+   */
+  pickOptions(message) {
+    const { quality, fps, maxWidth, maxHeight } = message;
+    return Object.fromEntries(Object.entries({ quality, fps, maxWidth, maxHeight }).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Run a viewer input event as a command
+   * @private
+   */
+  async handleInput(ws, sessionId, message) {
+    const command = INPUT_COMMANDS[message.type](message);
+    try {
+      const result = await this.commandExecutor.executeCommand(sessionId, command, { bypassPause: true });
+      this.sendMessage(ws, {
+        type: 'input_result',
+        id: message.id,
+        command: command.type,
+        success: result.success !== false,
+        ...(result.error ? { error: result.error } : {})
+      });
+    } catch (error) {
+      this.sendMessage(ws, { type: 'input_result', id: message.id, command: command.type, success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Handle viewer disconnection
+   * @param {WebSocket} ws - WebSocket connection
+   */
+  handleDisconnection(ws) {
+    const connectionInfo = this.connections.get(ws);
+    if (!connectionInfo) {
+      return;
+    }
+    this.connections.delete(ws);
+    if (connectionInfo.unsubscribe) {
+      connectionInfo.unsubscribe();
+    }
+    if (this.connections.size === 0) {
+      this.stopHeartbeat();
+    }
+    logger.info(`Screencast viewer disconnected for session: ${connectionInfo.sessionId}`);
+  }
+
+  /**
+   * Send message to WebSocket
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {Object} message - Message object
+   */
+  sendMessage(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        ws.send(JSON.stringify(message));
+      } catch (error) {
+        logger.error('Failed to send screencast message:', error);
+      }
+    }
+  }
+
+  /**
+   * Terminate viewers that stopped answering pings (runs while viewers are connected)
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeatInterval) {
+      return;
+    }
+    this.heartbeatInterval = setInterval(() => {
+      for (const [ws, connectionInfo] of this.connections.entries()) {
+        if (!connectionInfo.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        connectionInfo.isAlive = false;
+        ws.ping();
+      }
+    }, config.WS_HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * Get viewer count
+   * @returns {number} Number of connected viewers
+   */
+  getConnectionCount() {
+    return this.connections.size;
+  }
+
+  /**
+   * Close all viewer connections
+   */
+  closeAllConnections() {
+    for (const ws of this.connections.keys()) {
+      ws.close(1001, 'Service shutdown');
+    }
+    this.stopHeartbeat();
+  }
+}
+
+module.exports = ScreencastSocketManager;
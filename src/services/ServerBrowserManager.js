@@ -1,159 +1,502 @@
+const { EventEmitter } = require('events');
 const puppeteer = require('puppeteer');
 const logger = require('../utils/logger');
+const NetworkManager = require('./NetworkManager');
+const StorageStateManager = require('./StorageStateManager');
+const ScreencastManager = require('./ScreencastManager');
+const BrowserPool = require('./BrowserPool');
+const commandRegistry = require('../utils/commandRegistry');
+const { resolveLaunchOptions, getProfileDir } = require('../utils/launchOptions');
+const { DEFAULT_TENANT } = require('./SessionManager');
 
-class ServerBrowserManager {
-  constructor() {
-    this.browsers = new Map(); // sessionId -> browser instance
-    this.pages = new Map(); // sessionId -> page instance
+const TAB_COMMANDS = ['list_tabs', 'new_tab', 'switch_tab', 'close_tab'];
+
+/**
+ * Server-side browsers of sessions
+ *
+ * Emits 'browser_lost' ({ sessionId, reason }) when a session's browser or tab
+ * crashes, then relaunches it and emits 'browser_recovered' ({ sessionId,
+ * reason, lostAt, recoveredAt, attempts, restoredUrl, restoredCookies }) or
+ * 'browser_recovery_failed' ({ sessionId, reason, error, attempts }).
+ */
+class ServerBrowserManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {Object} [options.pool] - BrowserPool options (size, maxConcurrency, contextsPerBrowser, maxUses, acquireTimeout)
+   */
+  constructor(options = {}) {
+    super();
+    this.pool = new BrowserPool(key => this.startChrome(key), options.pool); // Warm browsers and concurrency limit
+    this.leases = new Map(); // sessionId -> pool lease of the session's browser
+    this.browsers = new Map(); // sessionId -> incognito browser context, or browser for persistent profiles
+    this.pages = new Map(); // sessionId -> active page instance
+    this.tabs = new Map(); // sessionId -> { pages: Map(tabId -> page), activeTabId, nextId }
+    this.network = new NetworkManager(); // Network rules and HAR recording
+    this.storage = new StorageStateManager(); // Cookie and web storage import/export
+    this.screencast = new ScreencastManager(); // Live JPEG frames of the active tab
+    this.launchSettings = new Map(); // sessionId -> resolved launch options
+    this.profileSessions = new Map(); // '<tenant>/<profile>' -> sessionId using the persistent profile
+    this.preparedPages = new WeakMap(); // page -> promise of the applied page settings
+    this.snapshots = new Map(); // sessionId -> { url, storageState } after the last successful command
+    this.recoveries = new Map(); // sessionId -> { reason, lostAt, settings, snapshot, attempts, promise }
+    this.launches = new Map(); // sessionId -> promise of the browser launch in progress
   }
 
   /**
-   * Launch a browser for a session with minimal configuration
+   * Start the browser for a session: an incognito context of a pooled browser,
+   * or a browser of its own for a persistent profile
+   * Concurrent callers for a session share one launch.
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options] - Validated launch options of the session (see utils/launchOptions)
+   * @param {string} [tenant] - Tenant of the session; persistent profiles are looked up within it
+   * @returns {Promise<{browser: Object, page: Object}>} Browser context (or browser) and page of the session
    */
-  async launchBrowser(sessionId) {
-    try {
-      logger.info(`Launching browser for session: ${sessionId}`);
-      
-      // Create writable tmp directories for Chrome (solution from puppeteer/puppeteer#11023)
-      const fs = require('fs');
-      const path = require('path');
-      const tmpDir = path.join('/tmp', 'chrome-session', sessionId);
-      const userDataDir = path.join(tmpDir, 'user-data');
-      const crashDir = path.join(tmpDir, 'crash-dumps');
-      
-      try {
-        fs.mkdirSync(tmpDir, { recursive: true });
-        fs.mkdirSync(userDataDir, { recursive: true });
-        fs.mkdirSync(crashDir, { recursive: true });
-        fs.mkdirSync(path.join(userDataDir, 'crashpad-db'), { recursive: true });
-        
-        // Ensure directories are writable
-        fs.chmodSync(tmpDir, 0o777);
-        fs.chmodSync(userDataDir, 0o777);
-        fs.chmodSync(crashDir, 0o777);
-      } catch (e) {
-        logger.warn(`Could not create chrome directories ${tmpDir}: ${e.message}`);
-      }
+  launchBrowser(sessionId, options = {}, tenant = DEFAULT_TENANT) {
+    if (this.launches.has(sessionId)) {
+      return this.launches.get(sessionId);
+    }
 
-      const crashpadDb = '/tmp/crashpad-db';
+    const launch = (async () => {
       try {
-        fs.mkdirSync(crashpadDb, { recursive: true });
-        fs.chmodSync(crashpadDb, 0o777);
-      } catch (e) {
-        logger.warn(`Could not create crashpad db dir ${crashpadDb}: ${e.message}`);
-      }
-
-      // Configuration with proper tmp directories for Docker
-      const launchOptions = {
-        headless: 'new',
-        userDataDir: userDataDir,
-        args: [
-          '--headless=new',
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-extensions',
-          // \'--disable-plugins\', // Might be needed for some sites, let's test without it first
-          '--disable-default-apps',
-          '--disable-translate',
-          '--disable-sync',
-          '--no-first-run',
-          '--no-zygote',
-          // \'--single-process\', // Removed for stability
-          '--disable-background-networking',
-          '--disable-background-timer-throttling',
-          '--disable-renderer-backgrounding',
-          '--disable-backgrounding-occluded-windows',
-          '--window-size=1920,1080',
-          '--disable-web-security', // Consider if this is truly needed long-term
-          //'--disable-features=VizDisplayCompositor', // This can cause issues with screenshots
-          '--mute-audio',
-          `--user-data-dir=${userDataDir}`,
-          '--disable-crash-reporter', // Disable Chrome\'s own crash reporting
-          '--disable-breakpad',
-          '--no-crash-upload',
-          // \'--disable-crashpad\', // Let Chrome manage its crashpad
-          // Removed hardcoded crashpad handler and database paths
-          // \'--crashpad-handler=/usr/lib/chromium/chrome_crashpad_handler\',
-          // `--database=${crashpadDb}`
-        ],
-        timeout: 15000, // Increased timeout to 15 seconds
-        env: {
-          ...process.env,
-          NO_SANDBOX: '1',
-          CHROME_CRASH_REPORTER_DISABLE: '1',
-          BREAKPAD_DISABLE: '1',
-          CHROME_CRASHPAD_HANDLER_DISABLE: '1',
-          TMPDIR: '/tmp'
+        const launched = await this.startSessionBrowser(sessionId, options, tenant);
+        if (this.launches.get(sessionId) !== launch) {
+          // The session was closed while its browser started
+          await this.closeBrowser(sessionId);
+          throw new Error('Session closed during browser launch');
         }
-      };
-
-      // Try to find a working browser executable
-      const executablePaths = [
-        '/opt/google/chrome/chrome', // Priority for Google Chrome stable
-        '/usr/bin/google-chrome-stable',
-        '/usr/bin/google-chrome', 
-        '/usr/bin/chromium',
-        '/usr/bin/chromium-browser'
-      ];
-
-      let executablePath = null;
-      for (const path of executablePaths) {
-        if (fs.existsSync(path)) {
-          executablePath = path;
-          logger.info(`Using browser: ${path}`);
-          break;
+        return launched;
+      } finally {
+        if (this.launches.get(sessionId) === launch) {
+          this.launches.delete(sessionId);
         }
       }
+    })();
+    this.launches.set(sessionId, launch);
+    return launch;
+  }
+
+  /**
+   * @private
+   */
+  async startSessionBrowser(sessionId, options, tenant) {
+    const settings = { ...resolveLaunchOptions(options || {}), tenant };
+    try {
+      logger.info(`Starting browser for session: ${sessionId}`);
+      let lease;
+      const onLost = () => this.handleLostBrowser(sessionId, lease, 'Browser disconnected');
 
-      if (executablePath) {
-        launchOptions.executablePath = executablePath;
+      if (settings.profile) {
+        // Chrome locks its profile, so a persistent profile can only serve one browser at a time
+        const profileKey = `${tenant}/${settings.profile}`;
+        const holder = this.profileSessions.get(profileKey);
+        if (holder && holder !== sessionId) {
+          throw new Error(`Profile ${settings.profile} is in use by session ${holder}`);
+        }
+        this.profileSessions.set(profileKey, sessionId);
+        lease = await this.pool.acquireDedicated(() => this.startChrome(sessionId, settings), { onLost });
       } else {
-        logger.info('Using Puppeteer bundled browser');
+        lease = await this.pool.acquireContext(settings.proxy ? { proxyServer: settings.proxy } : {}, { onLost });
       }
 
-      // Launch with aggressive timeout
-      const browser = await Promise.race([
-        puppeteer.launch(launchOptions),
-        new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Browser launch timeout')), 15000); // Increased timeout
-        })
-      ]);
+      // Store references and track tabs opened by pages (popups, target=_blank links)
+      const target = lease.context || lease.browser;
+      this.leases.set(sessionId, lease);
+      this.browsers.set(sessionId, target);
+      this.launchSettings.set(sessionId, settings);
+      this.tabs.set(sessionId, { pages: new Map(), activeTabId: null, nextId: 1 });
+      target.on('targetcreated', created => this.trackTarget(sessionId, created));
 
-      logger.info(`Browser launched for session: ${sessionId}, path: ${browser.process() ? browser.process().spawnfile : 'N/A'}`);
-      
-      // Create page
-      const page = await browser.newPage();
-      await page.setViewport({ width: 1920, height: 1080 });
-      page.setDefaultTimeout(30000);
-      page.setDefaultNavigationTimeout(30000);
+      if (settings.geolocation) {
+        // Pages may only read the emulated position with the permission granted
+        const browserSession = await lease.browser.target().createCDPSession();
+        await browserSession.send('Browser.grantPermissions', {
+          permissions: ['geolocation'],
+          ...(lease.context ? { browserContextId: lease.context.id } : {})
+        });
+      }
 
-      // Store references
-      this.browsers.set(sessionId, browser);
-      this.pages.set(sessionId, page);
+      // Create page
+      const { page } = await this.openTab(sessionId);
 
-      return { browser, page };
+      return { browser: target, page };
     } catch (error) {
       logger.error(`Browser launch failed for session ${sessionId}:`, error.message);
       
       // Cleanup
-      this.browsers.delete(sessionId);
-      this.pages.delete(sessionId);
+      const lease = this.leases.get(sessionId);
+      this.forgetSession(sessionId);
+      this.releaseLaunchSettings(sessionId);
+      if (lease) {
+        lease.release().catch(() => {});
+      }
       
       throw error;
     }
   }
 
+  /**
+   * Launch a Chrome instance
+   * @private
+   * @param {string} key - Name of the browser's tmp directory (session ID or pool browser ID)
+   * @param {Object} [settings] - Resolved launch options; a profile selects the user data directory of the settings' tenant
+   * @returns {Promise<Object>} Puppeteer browser
+   */
+  async startChrome(key, settings = resolveLaunchOptions()) {
+    // Create writable tmp directories for Chrome (solution from puppeteer/puppeteer#11023)
+    const fs = require('fs');
+    const path = require('path');
+    const tmpDir = path.join('/tmp', 'chrome-session', key);
+    const userDataDir = settings.profile ? getProfileDir(settings.profile, settings.tenant) : path.join(tmpDir, 'user-data');
+    const crashDir = path.join(tmpDir, 'crash-dumps');
+    
+    try {
+      fs.mkdirSync(tmpDir, { recursive: true });
+      fs.mkdirSync(userDataDir, { recursive: true });
+      fs.mkdirSync(crashDir, { recursive: true });
+      fs.mkdirSync(path.join(userDataDir, 'crashpad-db'), { recursive: true });
+      
+      // Ensure directories are writable
+      fs.chmodSync(tmpDir, 0o777);
+      fs.chmodSync(userDataDir, 0o777);
+      fs.chmodSync(crashDir, 0o777);
+    } catch (e) {
+      logger.warn(`Could not create chrome directories ${tmpDir}: ${e.message}`);
+    }
+
+    const crashpadDb = '/tmp/crashpad-db';
+    try {
+      fs.mkdirSync(crashpadDb, { recursive: true });
+      fs.chmodSync(crashpadDb, 0o777);
+    } catch (e) {
+      logger.warn(`Could not create crashpad db dir ${crashpadDb}: ${e.message}`);
+    }
+
+    // Configuration with proper tmp directories for Docker
+    const launchOptions = {
+      headless: 'new',
+      userDataDir: userDataDir,
+      args: [
+        '--headless=new',
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-extensions',
+        // \'--disable-plugins\', // Might be needed for some sites, let's test without it first
+        '--disable-default-apps',
+        '--disable-translate',
+        '--disable-sync',
+        '--no-first-run',
+        '--no-zygote',
+        // \'--single-process\', // Removed for stability
+        '--disable-background-networking',
+        '--disable-background-timer-throttling',
+        '--disable-renderer-backgrounding',
+        '--disable-backgrounding-occluded-windows',
+        `--window-size=${settings.viewport.width},${settings.viewport.height}`,
+        '--disable-web-security', // Consider if this is truly needed long-term
+        //'--disable-features=VizDisplayCompositor', // This can cause issues with screenshots
+        '--mute-audio',
+        `--user-data-dir=${userDataDir}`,
+        '--disable-crash-reporter', // Disable Chrome\'s own crash reporting
+        '--disable-breakpad',
+        '--no-crash-upload',
+        // \'--disable-crashpad\', // Let Chrome manage its crashpad
+        // Removed hardcoded crashpad handler and database paths
+        // \'--crashpad-handler=/usr/lib/chromium/chrome_crashpad_handler\',
+        // `--database=${crashpadDb}`
+        ...(settings.locale ? [`--lang=${settings.locale}`] : []),
+        ...(settings.proxy ? [`--proxy-server=${settings.proxy}`] : [])
+      ],
+      timeout: 15000, // Increased timeout to 15 seconds
+      env: {
+        ...process.env,
+        NO_SANDBOX: '1',
+        CHROME_CRASH_REPORTER_DISABLE: '1',
+        BREAKPAD_DISABLE: '1',
+        CHROME_CRASHPAD_HANDLER_DISABLE: '1',
+        TMPDIR: '/tmp'
+      }
+    };
+
+    // Try to find a working browser executable
+    const executablePaths = [
+      '/opt/google/chrome/chrome', // Priority for Google Chrome stable
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome', 
+      '/usr/bin/chromium',
+      '/usr/bin/chromium-browser'
+    ];
+
+    let executablePath = null;
+    for (const path of executablePaths) {
+      if (fs.existsSync(path)) {
+        executablePath = path;
+        logger.info(`Using browser: ${path}`);
+        break;
+      }
+    }
+
+    if (executablePath) {
+      launchOptions.executablePath = executablePath;
+    } else {
+      logger.info('Using Puppeteer bundled browser');
+    }
+
+    // Launch with aggressive timeout
+    const browser = await Promise.race([
+      puppeteer.launch(launchOptions),
+      new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('Browser launch timeout')), 15000); // Increased timeout
+      })
+    ]);
+
+    logger.info(`Browser ${key} launched, path: ${browser.process() ? browser.process().spawnfile : 'N/A'}`);
+    return browser;
+  }
+
+  /**
+   * Open a new tab in the session's browser
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options] - Tab options
+   * @param {boolean} [options.activate=true] - Make the new tab the active tab
+   * @returns {Promise<{tabId: string, page: Object}>} New tab
+   */
+  async openTab(sessionId, options = {}) {
+    const browser = this.getBrowser(sessionId);
+    const page = await browser.newPage();
+    await this.preparePage(sessionId, page);
+    await this.network.attachPage(sessionId, page);
+    await this.storage.attachPage(sessionId, page);
+
+    const tabId = this.registerTab(sessionId, page);
+    if (options.activate !== false) {
+      this.setActiveTab(sessionId, tabId);
+    }
+    return { tabId, page };
+  }
+
+  /**
+   * Apply the session's viewport, emulation and default timeouts to a page, once per page
+   * @private
+   */
+  preparePage(sessionId, page) {
+    if (!this.preparedPages.has(page)) {
+      this.preparedPages.set(page, this.applyPageSettings(page, this.launchSettings.get(sessionId) || resolveLaunchOptions()));
+    }
+    return this.preparedPages.get(page);
+  }
+
+  /**
+   * @private
+   */
+  async applyPageSettings(page, settings) {
+    await page.setViewport(settings.viewport);
+    page.setDefaultTimeout(30000);
+    page.setDefaultNavigationTimeout(30000);
+
+    if (settings.userAgent) {
+      await page.setUserAgent(settings.userAgent);
+    }
+    if (settings.timezone) {
+      await page.emulateTimezone(settings.timezone);
+    }
+    if (settings.locale) {
+      // --lang only sets the UI language; navigator.language, Intl and Accept-Language need overrides
+      const client = await page.createCDPSession();
+      await client.send('Emulation.setLocaleOverride', { locale: settings.locale });
+      await page.setExtraHTTPHeaders({ 'Accept-Language': settings.locale });
+    }
+    if (settings.geolocation) {
+      await page.setGeolocation(settings.geolocation);
+    }
+  }
+
+  /**
+   * Forget a session's launch settings and release its persistent profile
+   * @private
+   */
+  releaseLaunchSettings(sessionId) {
+    const settings = this.launchSettings.get(sessionId);
+    this.launchSettings.delete(sessionId);
+    for (const [profileKey, holder] of this.profileSessions.entries()) {
+      if (holder === sessionId) {
+        this.profileSessions.delete(profileKey);
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Track pages opened by the browser itself (window.open, target=_blank)
+   * @private
+   */
+  async trackTarget(sessionId, target) {
+    if (target.type() !== 'page') {
+      return;
+    }
+    try {
+      const page = await target.page();
+      if (page && this.tabs.has(sessionId)) {
+        const tabId = this.registerTab(sessionId, page);
+        logger.info(`Tracking tab ${tabId} for session ${sessionId}`);
+      }
+    } catch (error) {
+      logger.warn(`Could not track new tab for session ${sessionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register a page as a tab of a session (idempotent)
+   * @private
+   * @returns {string|null} Tab ID
+   */
+  registerTab(sessionId, page) {
+    const state = this.tabs.get(sessionId);
+    if (!state) {
+      return null;
+    }
+
+    for (const [tabId, existing] of state.pages.entries()) {
+      if (existing === page) {
+        return tabId;
+      }
+    }
+
+    const tabId = `tab-${state.nextId++}`;
+    state.pages.set(tabId, page);
+    page.once('close', () => this.unregisterTab(sessionId, tabId));
+    // Puppeteer reports renderer crashes as page errors; the session gets a fresh browser
+    const lease = this.leases.get(sessionId);
+    page.on('error', error => {
+      logger.error(`${tabId} of session ${sessionId} crashed: ${error.message}`);
+      this.handleLostBrowser(sessionId, lease, `Tab crashed: ${error.message}`);
+    });
+    // Popups get the same emulation as tabs opened through openTab
+    this.preparePage(sessionId, page).catch(error => {
+      logger.warn(`Could not apply launch options to ${tabId} of session ${sessionId}: ${error.message}`);
+    });
+    this.network.attachPage(sessionId, page).catch(error => {
+      logger.warn(`Could not apply network rules to ${tabId} of session ${sessionId}: ${error.message}`);
+    });
+    this.storage.attachPage(sessionId, page);
+    return tabId;
+  }
+
+  /**
+   * Forget a closed tab; the most recently opened remaining tab becomes active
+   * @private
+   */
+  unregisterTab(sessionId, tabId) {
+    const state = this.tabs.get(sessionId);
+    if (!state || !state.pages.delete(tabId)) {
+      return;
+    }
+    if (state.activeTabId === tabId) {
+      const remaining = Array.from(state.pages.keys());
+      this.setActiveTab(sessionId, remaining.length > 0 ? remaining[remaining.length - 1] : null);
+    }
+  }
+
+  /**
+   * Make a tab the target of commands without a tabId
+   * @private
+   */
+  setActiveTab(sessionId, tabId) {
+    const state = this.tabs.get(sessionId);
+    state.activeTabId = tabId;
+    if (tabId) {
+      this.pages.set(sessionId, state.pages.get(tabId));
+    } else {
+      this.pages.delete(sessionId);
+    }
+    this.screencast.setPage(sessionId, this.getPage(sessionId), tabId);
+  }
+
   /**
    * Get browser page for a session
+   * @param {string} sessionId - Session ID
+   * @param {string} [tabId] - Tab ID (defaults to the active tab)
    */
-  getPage(sessionId) {
+  getPage(sessionId, tabId) {
+    if (tabId) {
+      const state = this.tabs.get(sessionId);
+      return (state && state.pages.get(tabId)) || null;
+    }
     return this.pages.get(sessionId) || null;
   }
 
   /**
-   * Get browser instance for a session
+   * Describe a tab for command results
+   * @private
+   */
+  async describeTab(sessionId, tabId) {
+    const page = this.getPage(sessionId, tabId);
+    let title = '';
+    try {
+      title = await page.title();
+    } catch (error) {
+      // Page may be navigating or closing
+    }
+    return {
+      tabId,
+      url: page.url(),
+      title,
+      active: this.tabs.get(sessionId).activeTabId === tabId
+    };
+  }
+
+  /**
+   * Execute a tab management command
+   * @private
+   */
+  async executeTabCommand(sessionId, command) {
+    const payload = command.payload || {};
+    const state = this.tabs.get(sessionId);
+
+    switch (command.type) {
+      case 'list_tabs': {
+        const tabs = [];
+        for (const tabId of state.pages.keys()) {
+          tabs.push(await this.describeTab(sessionId, tabId));
+        }
+        return { tabs, activeTabId: state.activeTabId };
+      }
+
+      case 'new_tab': {
+        const { tabId, page } = await this.openTab(sessionId, { activate: payload.activate });
+        if (payload.url) {
+          const fullUrl = payload.url.startsWith('http') ? payload.url : `https://${payload.url}`;
+          await page.goto(fullUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        }
+        return await this.describeTab(sessionId, tabId);
+      }
+
+      case 'switch_tab': {
+        const page = this.getPage(sessionId, payload.tabId);
+        if (!page) {
+          throw new Error(`Unknown tab: ${payload.tabId}`);
+        }
+        this.setActiveTab(sessionId, payload.tabId);
+        await page.bringToFront();
+        return await this.describeTab(sessionId, payload.tabId);
+      }
+
+      case 'close_tab': {
+        const tabId = payload.tabId || state.activeTabId;
+        const page = this.getPage(sessionId, tabId);
+        if (!page) {
+          throw new Error(`Unknown tab: ${tabId}`);
+        }
+        await page.close();
+        this.unregisterTab(sessionId, tabId);
+        return { closed: tabId, activeTabId: state.activeTabId };
+      }
+    }
+  }
+
+  /**
+   * Get the browser context (or dedicated browser) of a session
    */
   getBrowser(sessionId) {
     return this.browsers.get(sessionId) || null;
@@ -161,331 +504,420 @@ class ServerBrowserManager {
 
   /**
    * Execute a command for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} command - Command { type, payload }
+   * @param {Object} [options] - Execution options
+   * @param {Object} [options.launchOptions] - Launch options used if the session's browser is not running yet
+   * @param {string} [options.tenant] - Tenant of the session, for its persistent profile
    */
-  async executeCommand(sessionId, command) {
+  async executeCommand(sessionId, command, options = {}) {
     try {
       logger.debug(`Executing command ${command.type} for session ${sessionId}`);
       
-      // Get or create browser/page
-      let page = this.getPage(sessionId);
-      if (!page) {
-        const { page: newPage } = await this.launchBrowser(sessionId);
-        page = newPage;
+      // Get or create browser; a session whose browser crashed gets it back first
+      if (this.recoveries.has(sessionId)) {
+        await this.recoverSession(sessionId);
+      } else if (!this.getBrowser(sessionId)) {
+        await this.launchBrowser(sessionId, options.launchOptions, options.tenant);
       }
 
-      // Execute command based on type
-      switch (command.type) {
-        case 'navigate':
-          const url = command.payload.url;
-          const fullUrl = url.startsWith('http') ? url : `https://${url}`;
-          await page.goto(fullUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-          return {
-            success: true,
-            result: {
-              url: page.url(),
-              title: await page.title(),
-              timestamp: new Date().toISOString()
-            }
-          };
+      const lease = this.leases.get(sessionId);
+      let result;
+      try {
+        result = await this.runCommand(sessionId, command);
+      } catch (error) {
+        if (!this.isBrowserLost(sessionId, lease)) {
+          throw error;
+        }
+        // The browser died under the command: bring it back and run the command once more
+        logger.warn(`Browser of session ${sessionId} died during ${command.type}, retrying after recovery`);
+        this.handleLostBrowser(sessionId, lease, `Crashed during ${command.type}: ${error.message}`);
+        await this.recoverSession(sessionId);
+        result = await this.runCommand(sessionId, command);
+        result.result = { ...result.result, recovered: true };
+      }
 
-        case 'screenshot':
-          const screenshot = await page.screenshot({ 
-            encoding: 'base64',
-            fullPage: false,
-            type: 'png'
-          });
-          return {
-            success: true,
-            result: {
-              screenshot: `data:image/png;base64,${screenshot}`,
-              timestamp: new Date().toISOString()
-            }
-          };
+      await this.captureSnapshot(sessionId);
+      return result;
+    } catch (error) {
+      logger.error(`Server browser command failed for session ${sessionId}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Run a command in the session's running browser
+   * @private
+   * @returns {Promise<Object>} { success: true, result }
+   * @throws {Error} If the command fails
+   */
+  async runCommand(sessionId, command) {
+    if (NetworkManager.NETWORK_COMMANDS.includes(command.type)) {
+      return {
+        success: true,
+        result: {
+          ...(await this.network.executeCommand(sessionId, command)),
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    if (StorageStateManager.STORAGE_COMMANDS.includes(command.type)) {
+      const pages = Array.from(this.tabs.get(sessionId).pages.values());
+      return {
+        success: true,
+        result: {
+          ...(await this.storage.executeCommand(sessionId, command, this.getBrowser(sessionId), pages)),
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
 
-        case 'click':
-          const selector = command.payload.selector || command.payload.element;
+    if (TAB_COMMANDS.includes(command.type)) {
+      return {
+        success: true,
+        result: {
+          ...(await this.executeTabCommand(sessionId, command)),
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    // Commands run in the active tab unless payload.tabId picks another one
+    const tabId = command.payload?.tabId;
+    let page = this.getPage(sessionId, tabId);
+    if (!page) {
+      if (tabId) {
+        throw new Error(`Unknown tab: ${tabId}`);
+      }
+      ({ page } = await this.openTab(sessionId));
+    }
+
+    // Execute command based on type
+    switch (command.type) {
+      case 'navigate':
+        const url = command.payload.url;
+        const fullUrl = url.startsWith('http') ? url : `https://${url}`;
+        await page.goto(fullUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        return {
+          success: true,
+          result: {
+            url: page.url(),
+            title: await page.title(),
+            timestamp: new Date().toISOString()
+          }
+        };
+
+      case 'screenshot':
+        const screenshot = await page.screenshot({ 
+          encoding: 'base64',
+          fullPage: false,
+          type: 'png'
+        });
+        return {
+          success: true,
+          result: {
+            screenshot: `data:image/png;base64,${screenshot}`,
+            timestamp: new Date().toISOString()
+          }
+        };
+
+      case 'click':
+        const selector = command.payload.selector || command.payload.element;
+        
+        // Try to click the element with fallback strategies
+        let clicked = false;
+        let clickedSelector = '';
+        
+        try {
+          // First try the exact selector or locator
+          const target = await this.waitForElementHandle(page, selector, 5000);
+          await target.click();
+          clicked = true;
+          clickedSelector = selector;
+        } catch (error) {
+          // Broken and ambiguous selectors need fixing, not a guess
+          if (!error.message.includes('Element not found')) {
+            throw error;
+          }
+          // If exact selector fails, try fallback strategies for common cases
+          logger.warn(`Primary selector failed: ${selector}, trying fallbacks`);
           
-          // Try to click the element with fallback strategies
-          let clicked = false;
-          let clickedSelector = '';
+          // Common fallback selectors for cookie consent
+          const fallbackSelectors = [
+            'button[id*="accept"]',
+            'button[class*="accept"]', 
+            'button[data-testid*="accept"]',
+            '[role="button"][aria-label*="accept"]',
+            '.cookie-consent button',
+            '#cookie-consent button',
+            '[class*="cookie"] button',
+            '[id*="cookie"] button',
+            'button' // Last resort: any button
+          ];
           
-          try {
-            // First try the exact selector
-            await page.waitForSelector(selector, { timeout: 5000 });
-            await page.click(selector);
-            clicked = true;
-            clickedSelector = selector;
-          } catch (error) {
-            // If exact selector fails, try fallback strategies for common cases
-            logger.warn(`Primary selector failed: ${selector}, trying fallbacks`);
-            
-            // Common fallback selectors for cookie consent
-            const fallbackSelectors = [
-              'button[id*="accept"]',
-              'button[class*="accept"]', 
-              'button[data-testid*="accept"]',
-              '[role="button"][aria-label*="accept"]',
-              '.cookie-consent button',
-              '#cookie-consent button',
-              '[class*="cookie"] button',
-              '[id*="cookie"] button',
-              'button' // Last resort: any button
-            ];
-            
-            for (const fallback of fallbackSelectors) {
-              try {
-                const elements = await page.$$(fallback);
-                if (elements.length > 0) {
-                  // Check if any button has consent-related text
-                  for (const element of elements) {
-                    const text = await page.evaluate(el => el.textContent, element);
-                    if (text && (
-                      text.toLowerCase().includes('accept') ||
-                      text.toLowerCase().includes('agree') ||
-                      text.toLowerCase().includes('allow') ||
-                      text.toLowerCase().includes('ok') ||
-                      text.toLowerCase().includes('continue')
-                    )) {
-                      await element.click();
-                      clicked = true;
-                      clickedSelector = `${fallback} (fallback: "${text.trim()}")`;
-                      break;
-                    }
+          for (const fallback of fallbackSelectors) {
+            try {
+              const elements = await page.$$(fallback);
+              if (elements.length > 0) {
+                // Check if any button has consent-related text
+                for (const element of elements) {
+                  const text = await page.evaluate(el => el.textContent, element);
+                  if (text && (
+                    text.toLowerCase().includes('accept') ||
+                    text.toLowerCase().includes('agree') ||
+                    text.toLowerCase().includes('allow') ||
+                    text.toLowerCase().includes('ok') ||
+                    text.toLowerCase().includes('continue')
+                  )) {
+                    await element.click();
+                    clicked = true;
+                    clickedSelector = `${fallback} (fallback: "${text.trim()}")`;
+                    break;
                   }
-                  if (clicked) break;
                 }
-              } catch (fallbackError) {
-                // Continue to next fallback
-                logger.debug(`Fallback selector failed: ${fallback}`);
+                if (clicked) break;
               }
+            } catch (fallbackError) {
+              // Continue to next fallback
+              logger.debug(`Fallback selector failed: ${fallback}`);
             }
-            
-            // If still not clicked, try evaluating xpath for text-based selection
-            if (!clicked) {
-              try {
-                const result = await page.evaluate(() => {
-                  // Look for buttons with accept-related text
-                  const buttons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], a[onclick]'));
-                  for (const button of buttons) {
-                    const text = button.textContent.toLowerCase();
-                    if (text.includes('accept') || text.includes('agree') || text.includes('allow') || text.includes('ok')) {
-                      button.click();
-                      return { success: true, text: button.textContent.trim() };
-                    }
+          }
+          
+          // If still not clicked, try evaluating xpath for text-based selection
+          if (!clicked) {
+            try {
+              const result = await page.evaluate(() => {
+                // Look for buttons with accept-related text
+                const buttons = Array.from(document.querySelectorAll('button, [role="button"], div[onclick], a[onclick]'));
+                for (const button of buttons) {
+                  const text = button.textContent.toLowerCase();
+                  if (text.includes('accept') || text.includes('agree') || text.includes('allow') || text.includes('ok')) {
+                    button.click();
+                    return { success: true, text: button.textContent.trim() };
                   }
-                  return { success: false };
-                });
-                
-                if (result.success) {
-                  clicked = true;
-                  clickedSelector = `JavaScript fallback (clicked: "${result.text}")`;
                 }
-              } catch (jsError) {
-                logger.debug('JavaScript fallback also failed');
+                return { success: false };
+              });
+              
+              if (result.success) {
+                clicked = true;
+                clickedSelector = `JavaScript fallback (clicked: "${result.text}")`;
               }
+            } catch (jsError) {
+              logger.debug('JavaScript fallback also failed');
             }
           }
-          
-          if (!clicked) {
-            throw new Error(`Could not find clickable element with selector: ${selector}`);
+        }
+        
+        if (!clicked) {
+          throw new Error(`Could not find clickable element with selector: ${selector}`);
+        }
+        
+        return {
+          success: true,
+          result: {
+            clicked: clickedSelector,
+            timestamp: new Date().toISOString()
           }
-          
-          return {
-            success: true,
-            result: {
-              clicked: clickedSelector,
-              timestamp: new Date().toISOString()
-            }
-          };
+        };
 
-        case 'type':
-          const typeSelector = command.payload.selector || command.payload.element;
-          const text = command.payload.text || command.payload.value;
-          await page.waitForSelector(typeSelector, { timeout: 10000 });
-          await page.type(typeSelector, text);
-          return {
-            success: true,
-            result: {
-              typed: text,
-              into: typeSelector,
-              timestamp: new Date().toISOString()
-            }
-          };
-
-        case 'get_text':
-          const bodyText = await page.evaluate(() => document.body.innerText);
-          return {
-              success: true,
-              result: {
-                  text: bodyText,
-                  timestamp: new Date().toISOString()
-              }
-          };
+      case 'type':
+        const typeSelector = command.payload.selector || command.payload.element;
+        const text = command.payload.text || command.payload.value;
+        const field = await this.waitForElementHandle(page, typeSelector, 10000);
+        await field.type(text);
+        return {
+          success: true,
+          result: {
+            typed: text,
+            into: typeSelector,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        case 'click_coordinate':
-          const x = command.payload.x;
-          const y = command.payload.y;
-          await page.mouse.click(x, y);
-          return {
-            success: true,
-            result: {
-              clicked: `coordinates (${x}, ${y})`,
-              timestamp: new Date().toISOString()
-            }
-          };
+      case 'click_coordinate':
+        const x = command.payload.x;
+        const y = command.payload.y;
+        await page.mouse.click(x, y);
+        return {
+          success: true,
+          result: {
+            clicked: `coordinates (${x}, ${y})`,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        case 'scroll':
-          const deltaY = command.payload.deltaY || 300;
-          const deltaX = command.payload.deltaX || 0;
-          await page.mouse.wheel({ deltaX, deltaY });
+      case 'scroll':
+        if (command.payload.selector || command.payload.x !== undefined || command.payload.y !== undefined) {
+          // Scrolling to a position or inside an element has no mouse equivalent
           return {
             success: true,
             result: {
-              scrolled: `deltaX: ${deltaX}, deltaY: ${deltaY}`,
+              ...(await page.evaluate(commandRegistry.pageExpression('scroll', command.payload))),
               timestamp: new Date().toISOString()
             }
           };
+        }
+        const deltaY = command.payload.deltaY || 300;
+        const deltaX = command.payload.deltaX || 0;
+        await page.mouse.wheel({ deltaX, deltaY });
+        return {
+          success: true,
+          result: {
+            scrolled: `deltaX: ${deltaX}, deltaY: ${deltaY}`,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        case 'key_press':
-          const key = command.payload.key;
+      case 'key_press':
+        const key = command.payload.key;
+        
+        // Handle key combinations like "Control+a", "Ctrl+a", etc.
+        if (key.includes('+')) {
+          const parts = key.split('+');
+          const modifiers = parts.slice(0, -1).map(mod => commandRegistry.MODIFIER_KEYS[mod.toLowerCase()] || mod);
+          const mainKey = parts[parts.length - 1];
           
-          // Handle key combinations like "Control+a", "Ctrl+a", etc.
-          if (key.includes('+')) {
-            const parts = key.split('+');
-            const modifiers = parts.slice(0, -1).map(mod => {
-              // Normalize modifier names
-              switch (mod.toLowerCase()) {
-                case 'ctrl':
-                case 'control': return 'Control';
-                case 'shift': return 'Shift';
-                case 'alt': return 'Alt';
-                case 'meta':
-                case 'cmd': return 'Meta';
-                default: return mod;
-              }
-            });
-            const mainKey = parts[parts.length - 1];
-            
-            // Press modifiers down
-            for (const modifier of modifiers) {
-              await page.keyboard.down(modifier);
-            }
-            
-            // Press main key
-            await page.keyboard.press(mainKey);
-            
-            // Release modifiers
-            for (const modifier of modifiers.reverse()) {
-              await page.keyboard.up(modifier);
-            }
-          } else {
-            // Single key press
-            await page.keyboard.press(key);
+          // Press modifiers down
+          for (const modifier of modifiers) {
+            await page.keyboard.down(modifier);
           }
           
-          return {
-            success: true,
-            result: {
-              pressed: key,
-              timestamp: new Date().toISOString()
-            }
-          };
-
-        case 'type_text':
-          const textToType = command.payload.text;
-          await page.keyboard.type(textToType);
-          return {
-            success: true,
-            result: {
-              typed: textToType,
-              timestamp: new Date().toISOString()
-            }
-          };
-
-        case 'keyboard_input':
-          const inputText = command.payload.input;
-          await page.keyboard.type(inputText);
-          return {
-            success: true,
-            result: {
-              typed: inputText,
-              timestamp: new Date().toISOString()
-            }
-          };
+          // Press main key
+          await page.keyboard.press(mainKey);
+          
+          // Release modifiers
+          for (const modifier of modifiers.reverse()) {
+            await page.keyboard.up(modifier);
+          }
+        } else {
+          // Single key press
+          await page.keyboard.press(key);
+        }
+        
+        return {
+          success: true,
+          result: {
+            pressed: key,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        case 'get_page_elements':
-          // Get interactive elements with their positions for AI analysis
-          const elements = await page.evaluate(() => {
-            const clickableElements = Array.from(document.querySelectorAll(
-              'button, input, a, [role="button"], [onclick], select, textarea, [tabindex]'
-            ));
-            
-            return clickableElements.map((el, index) => {
-              const rect = el.getBoundingClientRect();
-              const isVisible = rect.width > 0 && rect.height > 0 && 
-                               getComputedStyle(el).visibility !== 'hidden' &&
-                               getComputedStyle(el).display !== 'none';
-              
-              return {
-                id: index,
-                tagName: el.tagName.toLowerCase(),
-                text: el.textContent?.trim().substring(0, 100) || '',
-                type: el.type || '',
-                placeholder: el.placeholder || '',
-                ariaLabel: el.getAttribute('aria-label') || '',
-                className: el.className || '',
-                x: Math.round(rect.left + rect.width / 2),
-                y: Math.round(rect.top + rect.height / 2),
-                width: Math.round(rect.width),
-                height: Math.round(rect.height),
-                visible: isVisible
-              };
-            }).filter(el => el.visible && el.x > 0 && el.y > 0);
-          });
+      case 'type_text':
+        const textToType = command.payload.text;
+        await page.keyboard.type(textToType);
+        return {
+          success: true,
+          result: {
+            typed: textToType,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-          return {
-            success: true,
-            result: {
-              elements,
-              timestamp: new Date().toISOString()
-            }
-          };
+      case 'keyboard_input':
+        const inputText = command.payload.input;
+        await page.keyboard.type(inputText);
+        return {
+          success: true,
+          result: {
+            typed: inputText,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        case 'hover_coordinate':
-          const hoverX = command.payload.x;
-          const hoverY = command.payload.y;
-          await page.mouse.move(hoverX, hoverY);
-          return {
-            success: true,
-            result: {
-              hovered: `coordinates (${hoverX}, ${hoverY})`,
-              timestamp: new Date().toISOString()
-            }
-          };
+      case 'hover_coordinate':
+        const hoverX = command.payload.x;
+        const hoverY = command.payload.y;
+        await page.mouse.move(hoverX, hoverY);
+        return {
+          success: true,
+          result: {
+            hovered: `coordinates (${hoverX}, ${hoverY})`,
+            timestamp: new Date().toISOString()
+          }
+        };
 
-        default:
+      default: {
+        if (commandRegistry.getCommand(command.type)?.kind !== 'page') {
           throw new Error(`Unknown command type: ${command.type}`);
+        }
+        // Page commands run the registry's implementation inside the page, as in the extension
+        const result = await commandRegistry.executePageCommand(command.type, command.payload || {},
+          (type, payload) => page.evaluate(commandRegistry.pageExpression(type, payload)));
+        return { success: true, result };
       }
-    } catch (error) {
-      logger.error(`Server browser command failed for session ${sessionId}:`, error.message);
-      return {
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      };
     }
   }
 
+  /**
+   * Wait for the element a CSS selector or locator points at
+   * @private
+   * @param {Object} page - Puppeteer page
+   * @param {string} selector - CSS selector or locator
+   * @param {number} timeout - Longest wait in ms
+   * @returns {Promise<Object>} Puppeteer ElementHandle
+   * @throws {Error} If nothing matches in time, or the locator is malformed or ambiguous
+   */
+  async waitForElementHandle(page, selector, timeout) {
+    const start = Date.now();
+    for (;;) {
+      try {
+        return await page.evaluateHandle(commandRegistry.locateExpression(selector));
+      } catch (error) {
+        // Keep waiting while the element is missing or the page is navigating
+        const transient = /Element not found|Execution context was destroyed|Cannot find context/.test(error.message);
+        if (!transient || Date.now() - start >= timeout) {
+          throw error;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Whether the browser a command ran in is gone
+   * @private
+   */
+  isBrowserLost(sessionId, lease) {
+    return Boolean(lease) && (this.leases.get(sessionId) !== lease || lease.browser.connected === false);
+  }
+
+  /**
+   * Remember where the session is, so a crashed browser can be brought back there
+   * @private
+   */
+  async captureSnapshot(sessionId) {
+    const browser = this.getBrowser(sessionId);
+    const page = this.getPage(sessionId);
+    if (!browser || !page) {
+      return;
+    }
+    try {
+      // Cookies and imported but not yet restored web storage; reading every tab's storage per command is too slow
+      const storageState = await this.storage.exportState(sessionId, browser, []);
+      this.snapshots.set(sessionId, { url: page.url(), storageState });
+    } catch (error) {
+      logger.debug(`Could not snapshot session ${sessionId}: ${error.message}`);
+    }
+  }
   /**
    * Close browser for a session
    */
   async closeBrowser(sessionId) {
     try {
-      const browser = this.getBrowser(sessionId);
-      if (browser) {
-        await browser.close();
-        this.browsers.delete(sessionId);
-        this.pages.delete(sessionId);
+      this.launches.delete(sessionId);
+      this.recoveries.delete(sessionId);
+      this.snapshots.delete(sessionId);
+      const lease = this.leases.get(sessionId);
+      this.forgetSession(sessionId); // Also drops network and storage state kept for a recovery
+      if (lease) {
+        this.releaseLaunchSettings(sessionId);
+        await lease.release();
         logger.info(`Browser closed for session: ${sessionId}`);
       }
     } catch (error) {
@@ -493,19 +925,169 @@ class ServerBrowserManager {
     }
   }
 
+  /**
+   * Drop the browser state of a session without closing anything
+   * @private
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options] - { keepState: keep network rules, HAR recording and pending storage for the next browser }
+   */
+  forgetSession(sessionId, options = {}) {
+    this.leases.delete(sessionId);
+    this.browsers.delete(sessionId);
+    this.pages.delete(sessionId);
+    this.tabs.delete(sessionId);
+    if (options.keepState) {
+      this.network.detachPages(sessionId);
+      this.storage.detachPages(sessionId);
+    } else {
+      this.network.clearSession(sessionId);
+      this.storage.clearSession(sessionId);
+    }
+    this.screencast.clearSession(sessionId);
+  }
+
+  /**
+   * The browser or a tab of a session crashed: drop it and start recovering
+   * @private
+   * @param {string} sessionId - Session ID
+   * @param {Object} lease - Pool lease the crash was reported for
+   * @param {string} reason - What happened
+   */
+  handleLostBrowser(sessionId, lease, reason) {
+    if (!lease || this.leases.get(sessionId) !== lease) {
+      return; // Already handled, or the session has moved on to another browser
+    }
+    logger.warn(`Browser of session ${sessionId} was lost: ${reason}`);
+
+    const settings = this.launchSettings.get(sessionId);
+    this.forgetSession(sessionId, { keepState: true });
+    this.releaseLaunchSettings(sessionId);
+    lease.release().catch(() => {}); // Frees the slot; closes the context if only a tab crashed
+
+    this.recoveries.set(sessionId, {
+      reason,
+      lostAt: new Date().toISOString(),
+      settings,
+      snapshot: this.snapshots.get(sessionId) || null,
+      attempts: 0,
+      promise: null
+    });
+    this.emit('browser_lost', { sessionId, reason });
+    this.recoverSession(sessionId).catch(() => {}); // Failures are reported through 'browser_recovery_failed'
+  }
+
+  /**
+   * Relaunch the browser of a session that lost it and restore its last URL and cookies
+   * Network rules, the HAR recording and pending storage were kept and apply to the new pages.
+   * Concurrent callers share one attempt; after a failure the next call tries again.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Recovery details, or null if the session needs no recovery
+   * @throws {Error} If the browser could not be relaunched
+   */
+  recoverSession(sessionId) {
+    const recovery = this.recoveries.get(sessionId);
+    if (!recovery) {
+      return Promise.resolve(null);
+    }
+    if (recovery.promise) {
+      return recovery.promise;
+    }
+
+    recovery.attempts++;
+    recovery.promise = (async () => {
+      try {
+        await this.launchBrowser(sessionId, recovery.settings, recovery.settings?.tenant);
+        if (this.recoveries.get(sessionId) !== recovery) {
+          // The session was closed while its browser restarted
+          await this.closeBrowser(sessionId);
+          throw new Error('Session closed during browser recovery');
+        }
+
+        const restored = await this.restoreSnapshot(sessionId, recovery.snapshot);
+        this.recoveries.delete(sessionId);
+        const details = {
+          reason: recovery.reason,
+          lostAt: recovery.lostAt,
+          recoveredAt: new Date().toISOString(),
+          attempts: recovery.attempts,
+          ...restored
+        };
+        logger.info(`Browser of session ${sessionId} recovered`, details);
+        this.emit('browser_recovered', { sessionId, ...details });
+        return details;
+      } catch (error) {
+        recovery.promise = null;
+        logger.error(`Browser recovery failed for session ${sessionId}:`, error.message);
+        this.emit('browser_recovery_failed', { sessionId, reason: recovery.reason, error: error.message, attempts: recovery.attempts });
+        throw error;
+      }
+    })();
+    return recovery.promise;
+  }
+
+  /**
+   * Bring a relaunched browser back to a snapshot; restore failures do not fail the recovery
+   * @private
+   * @returns {Promise<Object>} { restoredUrl, restoredCookies }
+   */
+  async restoreSnapshot(sessionId, snapshot) {
+    const restored = { restoredUrl: null, restoredCookies: 0 };
+    if (!snapshot) {
+      return restored;
+    }
+
+    const browser = this.getBrowser(sessionId);
+    const page = this.getPage(sessionId);
+    if (snapshot.storageState) {
+      try {
+        const imported = await this.storage.importState(sessionId, browser, [page], snapshot.storageState);
+        restored.restoredCookies = imported.cookies;
+      } catch (error) {
+        logger.warn(`Could not restore storage of session ${sessionId}: ${error.message}`);
+      }
+    }
+    if (snapshot.url && /^https?:/.test(snapshot.url)) {
+      try {
+        await page.goto(snapshot.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        restored.restoredUrl = page.url();
+      } catch (error) {
+        logger.warn(`Could not reopen ${snapshot.url} in session ${sessionId}: ${error.message}`);
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Start keeping warm browsers in the pool
+   */
+  start() {
+    this.pool.start();
+  }
+
+  /**
+   * Browser pool metrics
+   * @returns {Object} See BrowserPool.getMetrics
+   */
+  getPoolMetrics() {
+    return this.pool.getMetrics();
+  }
+
   /**
    * Cleanup all browsers
    */
   async cleanup() {
     logger.info('Cleaning up all browsers...');
-    const sessionIds = Array.from(this.browsers.keys());
+    const sessionIds = Array.from(new Set([...this.leases.keys(), ...this.launches.keys(), ...this.recoveries.keys()]));
     
     await Promise.all(
       sessionIds.map(sessionId => this.closeBrowser(sessionId))
     );
+    await this.pool.drain();
     
+    this.leases.clear();
     this.browsers.clear();
     this.pages.clear();
+    this.tabs.clear();
     logger.info('Browser cleanup completed');
   }
 }
@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+const config = require('../utils/config');
+
+/**
+ * Per-session event stream for dashboards and other web clients
+ *
+ * Services publish events (command start/finish, NL task progress, screenshots,
+ * interventions, pause/resume); subscribers receive them live. The most recent
+ * events of each session are buffered so reconnecting clients can catch up
+ * from the last event ID they saw.
+ */
+class SessionEventBus extends EventEmitter {
+  /**
+   * @param {Object} [options] - Bus options
+   * @param {number} [options.bufferSize] - Events kept per session for replay
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.bufferSize = options.bufferSize || config.EVENT_BUFFER_SIZE;
+    this.buffers = new Map(); // sessionId -> recent events
+    this.sequence = 0;
+  }
+
+  /**
+   * Publish an event for a session
+   * @param {string} sessionId - Session ID
+   * @param {string} type - Event type, e.g. 'command_started'
+   * @param {Object} [data] - Event payload
+   * @returns {Object} Published event { id, sessionId, type, timestamp, data }
+   */
+  publish(sessionId, type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      sessionId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    if (!this.buffers.has(sessionId)) {
+      this.buffers.set(sessionId, []);
+    }
+    const buffer = this.buffers.get(sessionId);
+    buffer.push(event);
+    if (buffer.length > this.bufferSize) {
+      buffer.splice(0, buffer.length - this.bufferSize);
+    }
+
+    this.emit(`session:${sessionId}`, event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Subscribe to the events of a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} listener - Called with each event
+   * @param {Object} [options] - Subscription options
+   * @param {number} [options.lastEventId] - Replay buffered events newer than this ID first
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(sessionId, listener, options = {}) {
+    if (options.lastEventId !== undefined) {
+      for (const event of this.getRecentEvents(sessionId, options.lastEventId)) {
+        listener(event);
+      }
+    }
+
+    const channel = `session:${sessionId}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  /**
+   * Subscribe to the events of all sessions, e.g. for services that clean up after deleted sessions
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeAll(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * Get buffered events of a session
+   * @param {string} sessionId - Session ID
+   * @param {number} [afterId=0] - Only events with a higher ID
+   * @returns {Array} Events, oldest first
+   */
+  getRecentEvents(sessionId, afterId = 0) {
+    return (this.buffers.get(sessionId) || []).filter(event => event.id > afterId);
+  }
+
+  /**
+   * Number of clients subscribed to a session
+   * @param {string} sessionId - Session ID
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount(sessionId) {
+    return this.listenerCount(`session:${sessionId}`);
+  }
+
+  /**
+   * Drop the buffered events of a session
+   * @param {string} sessionId - Session ID
+   */
+  clearSession(sessionId) {
+    this.buffers.delete(sessionId);
+  }
+}
+
+module.exports = SessionEventBus;
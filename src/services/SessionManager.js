@@ -1,23 +1,101 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { createSessionStore } = require('../stores');
+const SessionEventBus = require('./SessionEventBus');
+
+// Tenant of sessions created without an owner and of guests when auth is disabled
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Parse per-tenant session quotas like 'acme:20,beta:5'
+ * @private
+ */
+function parseTenantQuotas(value) {
+  const quotas = new Map();
+  for (const entry of String(value || '').split(',')) {
+    const [tenant, limit] = entry.split(':').map(part => part && part.trim());
+    if (tenant && parseInt(limit) > 0) {
+      quotas.set(tenant, parseInt(limit));
+    }
+  }
+  return quotas;
+}
 
 class SessionManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} [options.store] - Session store backend (defaults to config.SESSION_STORE)
+   * @param {number} [options.maxSessionsPerTenant] - Default concurrent session quota per tenant
+   * @param {string|Map} [options.tenantQuotas] - Per-tenant quota overrides (defaults to config.TENANT_SESSION_QUOTAS)
+   */
+  constructor(options = {}) {
     this.sessions = new Map();
     this.connections = new Map(); // sessionId -> WebSocket connection
+    this.pauseWaiters = new Map(); // sessionId -> Set of { kind, resolve, reject } waiting for resume
+    this.events = new SessionEventBus(); // Client-facing event stream
+    this.store = options.store || createSessionStore();
+    this.maxSessionsPerTenant = options.maxSessionsPerTenant || config.MAX_SESSIONS_PER_TENANT;
+    this.tenantQuotas = options.tenantQuotas instanceof Map
+      ? options.tenantQuotas
+      : parseTenantQuotas(options.tenantQuotas ?? config.TENANT_SESSION_QUOTAS);
     this.cleanupIntervalId = null;
+    this.restoreSessions();
     this.startCleanupInterval();
   }
 
+  /**
+   * Reload persisted sessions from the store
+   * Expired sessions are removed from the store instead of being restored.
+   */
+  restoreSessions() {
+    let restoredCount = 0;
+    for (const session of this.store.load()) {
+      if (this.isExpired(session)) {
+        this.store.remove(session.id);
+        continue;
+      }
+
+      // Connections do not survive a restart; the extension has to reconnect
+      session.isConnected = false;
+      session.connectionInfo = null;
+      if (session.status === 'connected') {
+        session.status = 'disconnected';
+      }
+
+      this.sessions.set(session.id, session);
+      restoredCount++;
+    }
+
+    if (restoredCount > 0) {
+      logger.info(`Restored ${restoredCount} sessions from store`);
+    }
+  }
+
+  /**
+   * Persist the current state of a session to the store
+   * @param {string} sessionId - Session ID
+   */
+  persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      this.store.save(session);
+    }
+  }
+
   /**
    * Create a new browser session
    * @param {Object} metadata - Session metadata (user, browser info, etc.)
+   * @param {Object} [owner] - Authenticated user creating the session ({ username, tenant })
+   * @param {Object} [launchOptions] - Validated launch options for the server-side browser
    * @returns {Object} Session object
+   * @throws {Error} If the owner's tenant has reached its session quota
    */
-  createSession(metadata = {}) {
-    if (this.sessions.size >= config.MAX_SESSIONS) {
-      throw new Error(`Maximum sessions limit reached (${config.MAX_SESSIONS})`);
+  createSession(metadata = {}, owner = null, launchOptions = null) {
+    const tenant = owner?.tenant || DEFAULT_TENANT;
+    const usage = this.getTenantUsage(tenant);
+    if (usage.active >= usage.quota) {
+      throw new Error(`Session quota reached for tenant ${tenant} (${usage.quota})`);
     }
 
     const sessionId = uuidv4();
@@ -31,6 +109,11 @@ class SessionManager {
         ip: metadata.ip || 'Unknown',
         ...metadata
       },
+      owner: {
+        username: owner?.username || null,
+        tenant
+      },
+      launchOptions: launchOptions || null,
       commands: [],
       history: [], // Add history array
       isConnected: false,
@@ -38,7 +121,8 @@ class SessionManager {
     };
 
     this.sessions.set(sessionId, session);
-    logger.info(`Session created: ${sessionId}`, { metadata });
+    this.store.save(session);
+    logger.info(`Session created: ${sessionId}`, { metadata, owner: session.owner });
     
     return session;
   }
@@ -56,13 +140,58 @@ class SessionManager {
     return session || null;
   }
 
+  /**
+   * Tenant that owns a session
+   * @param {Object} session - Session object
+   * @returns {string} Tenant name
+   */
+  getTenant(session) {
+    return session.owner?.tenant || DEFAULT_TENANT;
+  }
+
+  /**
+   * Whether a user may see and drive a session
+   * Admins may access every session, everybody else only the sessions of their own tenant.
+   * Receipt executions, schedules and replays record their owner the same way and use this rule too.
+   * @param {Object} session - Session object, or another record with an owner ({ username, tenant })
+   * @param {Object} user - Authenticated user ({ role, tenant })
+   * @returns {boolean} True if the user may access the session
+   */
+  canAccess(session, user) {
+    if (!user) {
+      return false;
+    }
+    return user.role === 'admin' || this.getTenant(session) === (user.tenant || DEFAULT_TENANT);
+  }
+
+  /**
+   * Concurrent session usage and quota of a tenant
+   * @param {string} tenant - Tenant name
+   * @returns {Object} { tenant, active, quota }
+   */
+  getTenantUsage(tenant) {
+    let active = 0;
+    for (const session of this.sessions.values()) {
+      if (this.getTenant(session) === tenant && !this.isExpired(session)) {
+        active++;
+      }
+    }
+    return {
+      tenant,
+      active,
+      quota: this.tenantQuotas.get(tenant) || this.maxSessionsPerTenant
+    };
+  }
+
   /**
    * List all active sessions
+   * @param {Object} [user] - Only list sessions this user may access
    * @returns {Array} Array of session objects
    */
-  listActiveSessions() {
+  listActiveSessions(user = null) {
     return Array.from(this.sessions.values())
       .filter(session => !this.isExpired(session))
+      .filter(session => !user || this.canAccess(session, user))
       .map(session => ({
         id: session.id,
         createdAt: session.createdAt,
@@ -70,6 +199,7 @@ class SessionManager {
         status: session.status,
         isConnected: session.isConnected,
         commandCount: session.commands.length,
+        owner: session.owner || null,
         metadata: session.metadata
       }));
   }
@@ -168,6 +298,10 @@ class SessionManager {
     
     this.connections.delete(sessionId);
     this.sessions.delete(sessionId);
+    this.store.remove(sessionId);
+    this.releasePauseWaiters(sessionId, new Error(`Session deleted: ${sessionId}`));
+    this.events.publish(sessionId, 'session_deleted');
+    this.events.clearSession(sessionId);
 
     logger.info(`Session deleted: ${sessionId}`);
     return true;
@@ -199,6 +333,131 @@ class SessionManager {
     return session ? session.history || [] : [];
   }
 
+  /**
+   * Pause a session: commands and natural language tasks wait until it is resumed
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason] - Why the session was paused
+   * @returns {Object|null} Pause state or null if the session does not exist
+   */
+  pauseSession(sessionId, reason = 'manual_pause') {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    if (!session.isPaused) {
+      session.pausedAt = new Date();
+    }
+    session.isPaused = true;
+    session.pauseReason = reason;
+    this.updateLastActivity(sessionId);
+    logger.info(`Session paused: ${sessionId} (${reason})`);
+    this.events.publish(sessionId, 'session_paused', { reason });
+    return this.getPauseState(sessionId);
+  }
+
+  /**
+   * Resume a paused session and release everything waiting for it
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Pause state or null if the session does not exist
+   */
+  resumeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    const released = this.releasePauseWaiters(sessionId);
+    session.isPaused = false;
+    session.pauseReason = null;
+    session.pausedAt = null;
+    this.updateLastActivity(sessionId);
+    logger.info(`Session resumed: ${sessionId}, released ${released} waiting operations`);
+    this.events.publish(sessionId, 'session_resumed', { released });
+    return this.getPauseState(sessionId);
+  }
+
+  /**
+   * Wait until a session is not paused (resolves immediately if it is running)
+   * @param {string} sessionId - Session ID
+   * @param {Object} [options] - Wait options
+   * @param {string} [options.kind='command'] - 'command' or 'task', for the queued counts
+   * @param {AbortSignal} [options.signal] - Stops waiting (rejects) when aborted
+   * @returns {Promise<void>} Resolves on resume, rejects if the session is deleted
+   */
+  waitWhilePaused(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.isPaused) {
+      return Promise.resolve();
+    }
+    if (options.signal?.aborted) {
+      return Promise.reject(new Error('Aborted while session was paused'));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this.pauseWaiters.has(sessionId)) {
+        this.pauseWaiters.set(sessionId, new Set());
+      }
+      const waiters = this.pauseWaiters.get(sessionId);
+      const onAbort = () => {
+        waiters.delete(waiter);
+        reject(new Error('Aborted while session was paused'));
+      };
+      const waiter = {
+        kind: options.kind || 'command',
+        resolve: () => {
+          options.signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+        reject: error => {
+          options.signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+      waiters.add(waiter);
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Resolve or reject everything waiting for a session to resume
+   * @private
+   * @returns {number} Number of released waiters
+   */
+  releasePauseWaiters(sessionId, error = null) {
+    const waiters = this.pauseWaiters.get(sessionId);
+    this.pauseWaiters.delete(sessionId);
+    if (!waiters) {
+      return 0;
+    }
+    for (const waiter of waiters) {
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve();
+      }
+    }
+    return waiters.size;
+  }
+
+  /**
+   * Get the pause state of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} { isPaused, pauseReason, pausedAt, queuedCommands, waitingTasks }
+   */
+  getPauseState(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    const waiters = Array.from(this.pauseWaiters.get(sessionId) || []);
+    return {
+      isPaused: session.isPaused || false,
+      pauseReason: session.pauseReason || null,
+      pausedAt: session.pausedAt || null,
+      queuedCommands: waiters.filter(waiter => waiter.kind === 'command').length,
+      waitingTasks: waiters.filter(waiter => waiter.kind === 'task').length
+    };
+  }
+
   /**
    * Update last activity timestamp for a session
    * @param {string} sessionId - Session ID
@@ -207,6 +466,7 @@ class SessionManager {
     const session = this.sessions.get(sessionId);
     if (session) {
       session.lastActivity = new Date();
+      this.store.save(session);
     }
   }
 
@@ -256,11 +516,18 @@ class SessionManager {
 
   /**
    * Cleanup all sessions and intervals
+   * Persisted sessions are kept in the store so they can be restored on the next start.
    */
   async cleanup() {
     this.stopCleanupInterval();
-    for (const sessionId of this.sessions.keys()) {
-      await this.deleteSession(sessionId);
+    for (const connection of this.connections.values()) {
+      if (connection.readyState === 1) {
+        connection.close(1000, 'Service shutdown');
+      }
+    }
+    this.store.close();
+    for (const sessionId of Array.from(this.pauseWaiters.keys())) {
+      this.releasePauseWaiters(sessionId, new Error('Service shutdown'));
     }
     this.sessions.clear();
     this.connections.clear();
@@ -319,4 +586,6 @@ class SessionManager {
   }
 }
 
+SessionManager.DEFAULT_TENANT = DEFAULT_TENANT;
+
 module.exports = SessionManager;
@@ -0,0 +1,293 @@
+const logger = require('../utils/logger');
+const { validateStorageState, normalizeOrigin, createStorageState } = require('../utils/storageState');
+
+const STORAGE_COMMANDS = ['export_storage_state', 'import_storage_state'];
+
+/**
+ * Runs in the page before any page script: restores storage for the current origin
+ * @private
+ */
+function applyStorageState(origins) {
+  const entry = origins[location.origin];
+  if (!entry) {
+    return;
+  }
+  try {
+    for (const { name, value } of entry.localStorage || []) {
+      localStorage.setItem(name, value);
+    }
+    for (const { name, value } of entry.sessionStorage || []) {
+      sessionStorage.setItem(name, value);
+    }
+  } catch (error) {
+    // Storage is disabled for this document
+  }
+}
+
+/**
+ * Runs in the page: reads both storages of the current origin
+ * @private
+ */
+function readStorageState() {
+  const read = storage => Array.from({ length: storage.length }, (_, index) => {
+    const name = storage.key(index);
+    return { name, value: storage.getItem(name) };
+  });
+  return {
+    origin: location.origin,
+    localStorage: read(localStorage),
+    sessionStorage: read(sessionStorage)
+  };
+}
+
+/**
+ * Convert a Puppeteer cookie into a portable cookie
+ * @private
+ */
+function toPortableCookie(cookie) {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.session ? -1 : cookie.expires,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    ...(cookie.sameSite ? { sameSite: cookie.sameSite } : {})
+  };
+}
+
+/**
+ * Convert a portable cookie into Puppeteer cookie data
+ * @private
+ */
+function toPuppeteerCookie(cookie) {
+  const data = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    httpOnly: cookie.httpOnly === true,
+    secure: cookie.secure === true
+  };
+  if (typeof cookie.expires === 'number' && cookie.expires > 0) {
+    data.expires = cookie.expires;
+  }
+  if (cookie.sameSite) {
+    data.sameSite = cookie.sameSite;
+  }
+  return data;
+}
+
+/**
+ * Storage state export/import for server-side browser sessions
+ *
+ * Cookies go straight into the browser. Web storage can only be written from a
+ * document of its origin, so imported origins stay pending and are restored by
+ * a new-document script the first time a tab loads that origin.
+ */
+class StorageStateManager {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> { pending: Map(origin -> entry), pages: Map(page -> scriptId), updates }
+  }
+
+  /**
+   * Get or create the storage state of a session
+   * @private
+   */
+  getState(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { pending: new Map(), pages: new Map(), updates: Promise.resolve() });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Restore pending storage in a page of a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} page - Puppeteer page
+   * @returns {Promise<void>} Resolves once the restore script is installed
+   */
+  attachPage(sessionId, page) {
+    const state = this.getState(sessionId);
+    if (state.pages.has(page)) {
+      return state.updates;
+    }
+    state.pages.set(page, null);
+
+    page.on('framenavigated', frame => {
+      if (frame === page.mainFrame()) {
+        this.markVisited(sessionId, frame.url());
+      }
+    });
+    page.once('close', () => state.pages.delete(page));
+
+    return state.pending.size > 0 ? this.queueUpdate(state, [page]) : state.updates;
+  }
+
+  /**
+   * Reinstall the restore script with the current pending origins
+   * Updates are serialized so script identifiers never get mixed up.
+   * @private
+   */
+  queueUpdate(state, pages = Array.from(state.pages.keys())) {
+    state.updates = state.updates.then(() => Promise.all(pages.map(async page => {
+      try {
+        const scriptId = state.pages.get(page);
+        if (scriptId) {
+          state.pages.set(page, null);
+          await page.removeScriptToEvaluateOnNewDocument(scriptId);
+        }
+        if (state.pending.size > 0 && state.pages.has(page)) {
+          const { identifier } = await page.evaluateOnNewDocument(applyStorageState, Object.fromEntries(state.pending));
+          state.pages.set(page, identifier);
+        }
+      } catch (error) {
+        logger.warn(`Could not update storage restore script: ${error.message}`);
+      }
+    })));
+    return state.updates;
+  }
+
+  /**
+   * A tab loaded an origin: its pending storage has been restored
+   * @private
+   */
+  markVisited(sessionId, url) {
+    const state = this.sessions.get(sessionId);
+    const origin = normalizeOrigin(url);
+    if (state && origin && state.pending.delete(origin)) {
+      logger.info(`Restored storage for ${origin} in session ${sessionId}`);
+      this.queueUpdate(state);
+    }
+  }
+
+  /**
+   * Export cookies and the web storage of all open origins
+   * Origins imported but not visited yet are included as imported.
+   * @param {string} sessionId - Session ID
+   * @param {Object} browser - Puppeteer browser
+   * @param {Array} pages - Open pages of the session
+   * @param {string[]} [onlyOrigins] - Restrict the export to these origins
+   * @returns {Promise<Object>} Storage state
+   */
+  async exportState(sessionId, browser, pages, onlyOrigins) {
+    const cookies = (await browser.cookies()).map(toPortableCookie);
+
+    const origins = new Map();
+    for (const page of pages) {
+      if (!normalizeOrigin(page.url())) {
+        continue;
+      }
+      try {
+        const entry = await page.evaluate(readStorageState);
+        if (!origins.has(entry.origin)) {
+          origins.set(entry.origin, entry);
+        }
+      } catch (error) {
+        logger.warn(`Could not read storage of ${page.url()}: ${error.message}`);
+      }
+    }
+
+    const state = this.sessions.get(sessionId);
+    if (state) {
+      for (const [origin, entry] of state.pending.entries()) {
+        if (!origins.has(origin)) {
+          origins.set(origin, { origin, ...entry });
+        }
+      }
+    }
+
+    return createStorageState(cookies, Array.from(origins.values()), onlyOrigins);
+  }
+
+  /**
+   * Import a storage state into a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} browser - Puppeteer browser
+   * @param {Array} pages - Open pages of the session
+   * @param {Object} storageState - Storage state
+   * @returns {Promise<Object>} Import summary
+   * @throws {Error} If the storage state is invalid
+   */
+  async importState(sessionId, browser, pages, storageState) {
+    const validationError = validateStorageState(storageState);
+    if (validationError) {
+      throw new Error(`Invalid storage state: ${validationError}`);
+    }
+
+    const cookies = storageState.cookies || [];
+    if (cookies.length > 0) {
+      await browser.setCookie(...cookies.map(toPuppeteerCookie));
+    }
+
+    const state = this.getState(sessionId);
+    let applied = 0;
+    for (const { origin, localStorage = [], sessionStorage = [] } of storageState.origins || []) {
+      const entry = { localStorage, sessionStorage };
+
+      // Tabs already showing the origin are written directly
+      const openPage = pages.find(page => normalizeOrigin(page.url()) === origin);
+      if (openPage) {
+        await openPage.evaluate(applyStorageState, { [origin]: entry });
+        state.pending.delete(origin);
+        applied++;
+      } else {
+        state.pending.set(origin, entry);
+      }
+    }
+    await this.queueUpdate(state);
+
+    logger.info(`Imported storage state into session ${sessionId}: ${cookies.length} cookies, ${(storageState.origins || []).length} origins`);
+    return {
+      cookies: cookies.length,
+      origins: (storageState.origins || []).length,
+      appliedOrigins: applied,
+      pendingOrigins: Array.from(state.pending.keys())
+    };
+  }
+
+  /**
+   * Forget the pages of a session whose browser is gone
+   * Pending origins stay and are restored in the pages of its next browser.
+   * @param {string} sessionId - Session ID
+   */
+  detachPages(sessionId) {
+    this.sessions.get(sessionId)?.pages.clear();
+  }
+
+  /**
+   * Forget all storage state of a session
+   * @param {string} sessionId - Session ID
+   */
+  clearSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Execute a storage state command
+   * @param {string} sessionId - Session ID
+   * @param {Object} command - Command with type and payload
+   * @param {Object} browser - Puppeteer browser
+   * @param {Array} pages - Open pages of the session
+   * @returns {Promise<Object>} Command result
+   */
+  async executeCommand(sessionId, command, browser, pages) {
+    const payload = command.payload || {};
+
+    switch (command.type) {
+      case 'export_storage_state':
+        return { storageState: await this.exportState(sessionId, browser, pages, payload.origins) };
+
+      case 'import_storage_state':
+        return { imported: await this.importState(sessionId, browser, pages, payload.storageState) };
+
+      default:
+        throw new Error(`Unknown storage command: ${command.type}`);
+    }
+  }
+}
+
+StorageStateManager.STORAGE_COMMANDS = STORAGE_COMMANDS;
+
+module.exports = StorageStateManager;
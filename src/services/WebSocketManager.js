@@ -2,10 +2,16 @@ const WebSocket = require('ws');
 const url = require('url');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { isAllowedOrigin, isExtensionOrigin } = require('../utils/origins');
 
 class WebSocketManager {
-  constructor(sessionManager) {
+  /**
+   * @param {SessionManager} sessionManager - Session manager instance
+   * @param {ExtensionPairingManager} pairing - Checks pairing tokens and extension credentials
+   */
+  constructor(sessionManager, pairing) {
     this.sessionManager = sessionManager;
+    this.pairing = pairing;
     this.connections = new Map(); // websocket -> connection info
     this.heartbeatInterval = null;
     this.commandExecutor = null; // Will be set by server
@@ -23,12 +29,19 @@ class WebSocketManager {
 
   /**
    * Verify client connection
+   * Extensions connect with ?sessionId=&extensionId= plus either a pairing token
+   * (first connect) or the credential they received when pairing (reconnects).
    * @param {Object} info - Connection info
    * @returns {boolean} True if connection is allowed
    */
   verifyClient(info) {
     const { req } = info;
-    // Only require a valid sessionId, do not check origin
+    const origin = info.origin || req.headers.origin;
+    if (origin && !isExtensionOrigin(origin) && !isAllowedOrigin(origin)) {
+      logger.warn(`Connection rejected: origin not allowed ${origin}`);
+      return false;
+    }
+
     const queryParams = url.parse(req.url, true).query;
     if (!queryParams.sessionId) {
       logger.warn('Connection rejected: missing sessionId parameter');
@@ -40,6 +53,23 @@ class WebSocketManager {
       logger.warn(`Connection rejected: invalid sessionId ${queryParams.sessionId}`);
       return false;
     }
+
+    const { extensionId, pairingToken, credential } = queryParams;
+    if (pairingToken) {
+      const issued = this.pairing.redeemPairingToken(session.id, pairingToken, extensionId);
+      if (!issued) {
+        logger.warn(`Connection rejected: invalid or expired pairing token for session ${session.id}`);
+        return false;
+      }
+      // Handed to the extension in the 'registered' message
+      req.extensionCredential = issued;
+      return true;
+    }
+
+    if (!this.pairing.verifyCredential(session.id, credential, extensionId)) {
+      logger.warn(`Connection rejected: extension ${extensionId} is not paired with session ${session.id}`);
+      return false;
+    }
     return true;
   }
 
@@ -51,13 +81,15 @@ class WebSocketManager {
   handleConnection(ws, req) {
     const queryParams = url.parse(req.url, true).query;
     const sessionId = queryParams.sessionId;
+    const extensionId = queryParams.extensionId;
     const remoteAddress = req.socket.remoteAddress;
 
-    logger.info(`WebSocket connection established for session: ${sessionId}`, { remoteAddress });
+    logger.info(`WebSocket connection established for session: ${sessionId}`, { remoteAddress, extensionId });
 
     // Store connection info
     const connectionInfo = {
       sessionId,
+      extensionId,
       remoteAddress,
       connectedAt: new Date(),
       lastPing: new Date(),
@@ -75,10 +107,11 @@ class WebSocketManager {
       return;
     }
 
-    // Send registration confirmation
+    // Send registration confirmation, with the reconnect credential after pairing
     this.sendMessage(ws, {
       type: 'registered',
       sessionId,
+      ...(req.extensionCredential && { credential: req.extensionCredential }),
       timestamp: new Date().toISOString()
     });
 
@@ -346,6 +379,7 @@ class WebSocketManager {
       if (connectionInfo.sessionId === sessionId) {
         return {
           sessionId: connectionInfo.sessionId,
+          extensionId: connectionInfo.extensionId,
           remoteAddress: connectionInfo.remoteAddress,
           connectedAt: connectionInfo.connectedAt,
           lastPing: connectionInfo.lastPing,
@@ -0,0 +1,53 @@
+const path = require('path');
+const JsonFileStore = require('./JsonFileStore');
+
+/**
+ * File-backed session store.
+ * Live connection details are not persisted; Date fields are restored on load.
+ */
+class FileSessionStore extends JsonFileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {number} [options.flushDelay=500] - Debounce delay for writes in ms
+   */
+  constructor(options = {}) {
+    super({
+      filePath: options.filePath || path.join('data', 'sessions.json'),
+      flushDelay: options.flushDelay,
+      collection: 'sessions',
+      idField: 'id'
+    });
+  }
+
+  /**
+   * @protected
+   */
+  serializeRecord(session) {
+    const plain = super.serializeRecord(session);
+    plain.isConnected = false;
+    plain.connectionInfo = null;
+    return plain;
+  }
+
+  /**
+   * @protected
+   */
+  reviveRecord(session) {
+    const toDate = value => (value ? new Date(value) : value);
+
+    return {
+      ...session,
+      createdAt: toDate(session.createdAt),
+      lastActivity: toDate(session.lastActivity),
+      commands: (session.commands || []).map(command => ({
+        ...command,
+        createdAt: toDate(command.createdAt),
+        completedAt: toDate(command.completedAt)
+      })),
+      history: session.history || []
+    };
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * File-backed record store.
+ * Records are kept in memory and written to a single JSON file. Writes are
+ * debounced so that frequent updates do not hit the disk on every change;
+ * the file is replaced atomically (write to temp file + rename).
+ */
+class JsonFileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file
+   * @param {string} [options.collection='records'] - Top-level key of the record array
+   * @param {string} [options.idField='id'] - Record property used as key
+   * @param {number} [options.flushDelay=500] - Debounce delay for writes in ms
+   */
+  constructor(options = {}) {
+    this.collection = options.collection || 'records';
+    this.filePath = path.resolve(options.filePath || path.join('data', `${this.collection}.json`));
+    this.idField = options.idField || 'id';
+    this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 500;
+    this.records = new Map(); // id -> record
+    this.flushTimer = null;
+  }
+
+  /**
+   * Load all stored records from disk
+   * @returns {Array} Array of records
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const records = Array.isArray(data[this.collection]) ? data[this.collection] : [];
+      for (const record of records) {
+        this.records.set(record[this.idField], this.reviveRecord(record));
+      }
+      logger.info(`Loaded ${this.records.size} ${this.collection} from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Failed to load ${this.collection} from ${this.filePath}:`, { error: error.message });
+    }
+
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Save (insert or update) a record
+   * @param {Object} record - Record object
+   */
+  save(record) {
+    this.records.set(record[this.idField], record);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Remove a record from the store
+   * @param {string} id - Record ID
+   */
+  remove(id) {
+    if (this.records.delete(id)) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Schedule a debounced write of all records
+   * @private
+   */
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write all records to disk immediately
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const payload = JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        [this.collection]: Array.from(this.records.values()).map(record => this.serializeRecord(record))
+      });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, payload);
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to write ${this.collection} to ${this.filePath}:`, { error: error.message });
+    }
+  }
+
+  /**
+   * Flush pending changes and release resources
+   */
+  close() {
+    this.flush();
+    this.records.clear();
+  }
+
+  /**
+   * Convert a record into a plain JSON-safe object
+   * Inline screenshots (data URLs) are stripped, since screenshots are
+   * already written to public/screenshots.
+   * @protected
+   */
+  serializeRecord(record) {
+    return JSON.parse(JSON.stringify(record, (key, value) => {
+      if (typeof value === 'string' && value.startsWith('data:image')) {
+        return undefined;
+      }
+      return value;
+    }));
+  }
+
+  /**
+   * Restore a record loaded from disk
+   * @protected
+   */
+  reviveRecord(record) {
+    return record;
+  }
+}
+
+module.exports = JsonFileStore;
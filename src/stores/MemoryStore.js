@@ -0,0 +1,52 @@
+/**
+ * In-memory record store.
+ * Keeps records for the lifetime of the process only; nothing survives a restart.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.idField='id'] - Record property used as key
+   */
+  constructor(options = {}) {
+    this.idField = options.idField || 'id';
+    this.records = new Map(); // id -> record
+  }
+
+  /**
+   * Load all stored records
+   * @returns {Array} Array of records
+   */
+  load() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Save (insert or update) a record
+   * @param {Object} record - Record object
+   */
+  save(record) {
+    this.records.set(record[this.idField], record);
+  }
+
+  /**
+   * Remove a record from the store
+   * @param {string} id - Record ID
+   */
+  remove(id) {
+    this.records.delete(id);
+  }
+
+  /**
+   * Write pending changes (no-op for the memory store)
+   */
+  flush() {}
+
+  /**
+   * Release store resources
+   */
+  close() {
+    this.records.clear();
+  }
+}
+
+module.exports = MemoryStore;
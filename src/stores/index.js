@@ -0,0 +1,169 @@
+const config = require('../utils/config');
+const MemoryStore = require('./MemoryStore');
+const JsonFileStore = require('./JsonFileStore');
+const FileSessionStore = require('./FileSessionStore');
+
+/**
+ * Create a session store backend
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|FileSessionStore} Session store instance
+ */
+function createSessionStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'id' });
+    case 'file':
+      return new FileSessionStore({
+        filePath: options.filePath || config.SESSION_STORE_PATH,
+        flushDelay: options.flushDelay
+      });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for receipt execution records
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} Execution store instance
+ */
+function createExecutionStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'executionId' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.RECEIPT_EXECUTION_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'executions',
+        idField: 'executionId'
+      });
+    default:
+      throw new Error(`Unknown execution store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for receipt schedules
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} Schedule store instance
+ */
+function createScheduleStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'scheduleId' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.RECEIPT_SCHEDULE_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'schedules',
+        idField: 'scheduleId'
+      });
+    default:
+      throw new Error(`Unknown schedule store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for recording replay records
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} Replay store instance
+ */
+function createReplayStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'replayId' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.REPLAY_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'replays',
+        idField: 'replayId'
+      });
+    default:
+      throw new Error(`Unknown replay store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for user accounts
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} User store instance
+ */
+function createUserStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'username' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.USER_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'users',
+        idField: 'username'
+      });
+    default:
+      throw new Error(`Unknown user store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for API keys (only key hashes are stored)
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} API key store instance
+ */
+function createApiKeyStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'keyId' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.API_KEY_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'apiKeys',
+        idField: 'keyId'
+      });
+    default:
+      throw new Error(`Unknown API key store type: ${type}`);
+  }
+}
+
+/**
+ * Create a store for login tokens (only token hashes are stored)
+ * @param {string} [type] - Store type: 'file' or 'memory' (defaults to config.SESSION_STORE)
+ * @param {Object} [options] - Backend-specific options
+ * @returns {MemoryStore|JsonFileStore} Auth token store instance
+ */
+function createAuthTokenStore(type = config.SESSION_STORE, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore({ idField: 'tokenHash' });
+    case 'file':
+      return new JsonFileStore({
+        filePath: options.filePath || config.AUTH_TOKEN_STORE_PATH,
+        flushDelay: options.flushDelay,
+        collection: 'tokens',
+        idField: 'tokenHash'
+      });
+    default:
+      throw new Error(`Unknown auth token store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createSessionStore,
+  createExecutionStore,
+  createScheduleStore,
+  createReplayStore,
+  createUserStore,
+  createApiKeyStore,
+  createAuthTokenStore,
+  MemoryStore,
+  JsonFileStore,
+  FileSessionStore
+};
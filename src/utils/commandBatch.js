@@ -0,0 +1,143 @@
+const config = require('./config');
+const { collectPlaceholders } = require('../receipts/expressions');
+
+const BATCH_MODES = ['stop_on_error', 'continue'];
+const WAIT_FOR_CONDITIONS = ['selector', 'url', 'delay'];
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const MAX_WAIT_TIMEOUT = 60 * 1000;
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+const STEP_FIELDS = ['id', 'type', 'payload', 'timeout', 'retry', 'waitFor', 'capture'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a step's waitFor condition
+ * @private
+ */
+function validateWaitFor(waitFor) {
+  if (!isPlainObject(waitFor)) {
+    return 'waitFor must be an object';
+  }
+  const conditions = WAIT_FOR_CONDITIONS.filter(name => waitFor[name] !== undefined);
+  if (conditions.length !== 1) {
+    return `waitFor needs exactly one of: ${WAIT_FOR_CONDITIONS.join(', ')}`;
+  }
+  const unknown = Object.keys(waitFor).find(key => ![...WAIT_FOR_CONDITIONS, 'timeout'].includes(key));
+  if (unknown) {
+    return `unknown waitFor field: ${unknown}`;
+  }
+  if (waitFor.selector !== undefined && (typeof waitFor.selector !== 'string' || !waitFor.selector)) {
+    return 'waitFor.selector must be a non-empty string';
+  }
+  if (waitFor.url !== undefined && (typeof waitFor.url !== 'string' || !waitFor.url)) {
+    return 'waitFor.url must be a non-empty string';
+  }
+  for (const name of ['delay', 'timeout']) {
+    const value = waitFor[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_WAIT_TIMEOUT)) {
+      return `waitFor.${name} must be an integer from 0 to ${MAX_WAIT_TIMEOUT} ms`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the structure of a command batch
+ * Command types and payloads are checked by CommandExecutor.validateCommand.
+ * Placeholders may only refer to the batch's initial variables and to
+ * variables captured by earlier steps.
+ * @param {Object} batch - { mode, variables, steps }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBatch(batch) {
+  if (!isPlainObject(batch)) {
+    return 'Invalid batch: must be a JSON object';
+  }
+  if (batch.mode !== undefined && !BATCH_MODES.includes(batch.mode)) {
+    return `Invalid batch: mode must be one of: ${BATCH_MODES.join(', ')}`;
+  }
+  if (batch.variables !== undefined && !isPlainObject(batch.variables)) {
+    return 'Invalid batch: variables must be an object';
+  }
+  for (const name of Object.keys(batch.variables || {})) {
+    if (!NAME_PATTERN.test(name)) {
+      return `Invalid batch: invalid variable name ${name}`;
+    }
+  }
+  if (!Array.isArray(batch.steps) || batch.steps.length === 0) {
+    return 'Invalid batch: steps must be a non-empty array';
+  }
+  if (batch.steps.length > config.MAX_BATCH_STEPS) {
+    return `Invalid batch: at most ${config.MAX_BATCH_STEPS} steps are allowed`;
+  }
+
+  const known = new Set(Object.keys(batch.variables || {}));
+  const ids = new Set();
+  for (let i = 0; i < batch.steps.length; i++) {
+    const step = batch.steps[i];
+    const error = validateStep(step, known, ids);
+    if (error) {
+      return `Invalid batch step ${i}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate one step and register its id and captured variables
+ * @private
+ */
+function validateStep(step, known, ids) {
+  if (!isPlainObject(step)) {
+    return 'must be an object';
+  }
+  const unknown = Object.keys(step).find(key => !STEP_FIELDS.includes(key));
+  if (unknown) {
+    return `unknown field ${unknown}`;
+  }
+  if (step.id !== undefined) {
+    if (typeof step.id !== 'string' || !step.id) {
+      return 'id must be a non-empty string';
+    }
+    if (ids.has(step.id)) {
+      return `duplicate id ${step.id}`;
+    }
+    ids.add(step.id);
+  }
+  if (step.payload !== undefined && !isPlainObject(step.payload)) {
+    return 'payload must be an object';
+  }
+  for (const name of collectPlaceholders(step.payload)) {
+    if (!known.has(name)) {
+      return `references unknown variable {{${name}}}`;
+    }
+  }
+  if (step.waitFor !== undefined) {
+    const waitError = validateWaitFor(step.waitFor);
+    if (waitError) {
+      return waitError;
+    }
+  }
+  if (step.capture !== undefined) {
+    if (!isPlainObject(step.capture)) {
+      return 'capture must be an object of variable names and result paths';
+    }
+    for (const [name, path] of Object.entries(step.capture)) {
+      if (!NAME_PATTERN.test(name)) {
+        return `invalid capture variable name ${name}`;
+      }
+      if (typeof path !== 'string') {
+        return `capture path of ${name} must be a string`;
+      }
+      known.add(name);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  BATCH_MODES,
+  WAIT_FOR_CONDITIONS,
+  DEFAULT_WAIT_TIMEOUT,
+  validateBatch
+};
@@ -0,0 +1,50 @@
+/**
+ * Server-side access to the command registry
+ *
+ * The registry lives in the extension directory so the extension can load it
+ * as is; the server requires the same file and evaluates its source inside
+ * Puppeteer pages to run page commands.
+ */
+
+const fs = require('fs');
+const registry = require('../../extension/commandRegistry');
+
+const REGISTRY_SOURCE = fs.readFileSync(require.resolve('../../extension/commandRegistry'), 'utf8');
+
+/**
+ * Expression that loads the registry into a local `module` object when evaluated
+ * in a page, so the page's globals stay untouched
+ * @private
+ */
+function registryExpression(call) {
+  return `(function () {
+  var module = { exports: {} };
+  ${REGISTRY_SOURCE}
+  return module.exports;
+})().${call}`;
+}
+
+/**
+ * Expression that runs the page implementation of a command when evaluated in a page
+ * @param {string} type - Command type
+ * @param {Object} payload - Command payload
+ * @returns {string} Expression for page.evaluate
+ */
+function pageExpression(type, payload) {
+  return registryExpression(`runInPage(${JSON.stringify(type)}, ${JSON.stringify(payload || {})})`);
+}
+
+/**
+ * Expression that resolves a CSS selector or locator to its element when evaluated in a page
+ * @param {string} selector - CSS selector or locator
+ * @returns {string} Expression for page.evaluateHandle; throws in the page if there is no single match
+ */
+function locateExpression(selector) {
+  return registryExpression(`findElement(${JSON.stringify(selector)})`);
+}
+
+module.exports = {
+  ...registry,
+  pageExpression,
+  locateExpression
+};
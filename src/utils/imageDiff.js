@@ -0,0 +1,81 @@
+const { decodePng, encodePng } = require('./png');
+
+/**
+ * Decode a screenshot given as a data URL, base64 string or buffer
+ * @param {string|Buffer} screenshot - PNG screenshot
+ * @returns {{width: number, height: number, data: Buffer}} RGBA pixels
+ * @throws {Error} If the screenshot is not a supported PNG
+ */
+function decodeScreenshot(screenshot) {
+  if (Buffer.isBuffer(screenshot)) {
+    return decodePng(screenshot);
+  }
+  const match = /^data:image\/([a-z]+);base64,/.exec(screenshot);
+  if (match && match[1] !== 'png') {
+    throw new Error(`Cannot compare ${match[1]} screenshots, only png`);
+  }
+  return decodePng(Buffer.from(match ? screenshot.slice(match[0].length) : screenshot, 'base64'));
+}
+
+/**
+ * Compare two PNG screenshots pixel by pixel
+ * A pixel differs when any channel differs by more than the tolerance.
+ * @param {string|Buffer} baseline - Expected screenshot
+ * @param {string|Buffer} actual - Actual screenshot
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.pixelTolerance=0] - Allowed difference per color channel (0-255)
+ * @returns {Object} { width, height, sizeMismatch, diffPixels, diffRatio, diffImage }
+ *   diffImage is a PNG of the actual screenshot, faded, with differing pixels in red
+ */
+function compareScreenshots(baseline, actual, options = {}) {
+  const tolerance = options.pixelTolerance || 0;
+  const expected = decodeScreenshot(baseline);
+  const image = decodeScreenshot(actual);
+
+  if (expected.width !== image.width || expected.height !== image.height) {
+    return {
+      width: image.width,
+      height: image.height,
+      sizeMismatch: `Expected ${expected.width}x${expected.height}, got ${image.width}x${image.height}`,
+      diffPixels: image.width * image.height,
+      diffRatio: 1,
+      diffImage: null
+    };
+  }
+
+  const diff = Buffer.alloc(image.data.length);
+  let diffPixels = 0;
+  for (let i = 0; i < image.data.length; i += 4) {
+    const differs = Math.abs(expected.data[i] - image.data[i]) > tolerance ||
+      Math.abs(expected.data[i + 1] - image.data[i + 1]) > tolerance ||
+      Math.abs(expected.data[i + 2] - image.data[i + 2]) > tolerance ||
+      Math.abs(expected.data[i + 3] - image.data[i + 3]) > tolerance;
+
+    if (differs) {
+      diffPixels++;
+      diff[i] = 255;
+      diff[i + 1] = 0;
+      diff[i + 2] = 0;
+    } else {
+      const gray = (image.data[i] * 0.3 + image.data[i + 1] * 0.59 + image.data[i + 2] * 0.11) / 4 + 191;
+      diff[i] = gray;
+      diff[i + 1] = gray;
+      diff[i + 2] = gray;
+    }
+    diff[i + 3] = 255;
+  }
+
+  return {
+    width: image.width,
+    height: image.height,
+    sizeMismatch: null,
+    diffPixels,
+    diffRatio: diffPixels / (image.width * image.height),
+    diffImage: encodePng({ width: image.width, height: image.height, data: diff })
+  };
+}
+
+module.exports = {
+  decodeScreenshot,
+  compareScreenshots
+};
@@ -0,0 +1,215 @@
+const path = require('path');
+const { KnownDevices } = require('puppeteer');
+const config = require('./config');
+
+const LAUNCH_OPTION_NAMES = ['viewport', 'device', 'userAgent', 'locale', 'timezone', 'geolocation', 'proxy', 'profile'];
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+const PROFILE_PATTERN = /^[a-zA-Z0-9_-][a-zA-Z0-9._-]{0,63}$/;
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+
+/**
+ * Split a comma-separated config value
+ * @private
+ */
+function parseList(value) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Whether an allowlist contains a value or '*'
+ * @private
+ */
+function allows(list, value) {
+  return list.includes('*') || list.includes(value);
+}
+
+/**
+ * Launch option allowlist configured by the operator
+ * @returns {Object} { options, devices, locales, timezones, proxies, profiles, maxViewport }
+ */
+function getLaunchAllowlist() {
+  const [maxWidth, maxHeight] = config.LAUNCH_MAX_VIEWPORT.split('x').map(Number);
+  return {
+    options: parseList(config.LAUNCH_ALLOWED_OPTIONS),
+    devices: parseList(config.LAUNCH_ALLOWED_DEVICES),
+    locales: parseList(config.LAUNCH_ALLOWED_LOCALES),
+    timezones: parseList(config.LAUNCH_ALLOWED_TIMEZONES),
+    proxies: parseList(config.LAUNCH_ALLOWED_PROXIES),
+    profiles: parseList(config.LAUNCH_ALLOWED_PROFILES),
+    maxViewport: { width: maxWidth || DEFAULT_VIEWPORT.width, height: maxHeight || DEFAULT_VIEWPORT.height }
+  };
+}
+
+/**
+ * Validate a viewport object
+ * @private
+ */
+function validateViewport(viewport, maxViewport) {
+  if (!viewport || typeof viewport !== 'object' || Array.isArray(viewport)) {
+    return 'Invalid launch options: viewport must be an object';
+  }
+  for (const dimension of ['width', 'height']) {
+    const value = viewport[dimension];
+    if (!Number.isInteger(value) || value < 1 || value > maxViewport[dimension]) {
+      return `Invalid launch options: viewport.${dimension} must be an integer from 1 to ${maxViewport[dimension]}`;
+    }
+  }
+  if (viewport.deviceScaleFactor !== undefined &&
+    (typeof viewport.deviceScaleFactor !== 'number' || viewport.deviceScaleFactor < 0.5 || viewport.deviceScaleFactor > 4)) {
+    return 'Invalid launch options: viewport.deviceScaleFactor must be a number from 0.5 to 4';
+  }
+  for (const flag of ['isMobile', 'hasTouch', 'isLandscape']) {
+    if (viewport[flag] !== undefined && typeof viewport[flag] !== 'boolean') {
+      return `Invalid launch options: viewport.${flag} must be a boolean`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a time zone is a valid IANA name
+ * @private
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate launch options for a server-side browser against the allowlist
+ * @param {Object} [input] - Launch options: viewport, device, userAgent, locale, timezone, geolocation, proxy, profile
+ * @param {Object} [allowlist] - Allowlist (defaults to getLaunchAllowlist())
+ * @returns {string|null} Error message or null if valid
+ */
+function validateLaunchOptions(input, allowlist = getLaunchAllowlist()) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return 'Invalid launch options: must be a JSON object';
+  }
+
+  for (const name of Object.keys(input)) {
+    if (!LAUNCH_OPTION_NAMES.includes(name)) {
+      return `Invalid launch options: unknown option ${name}, expected one of: ${LAUNCH_OPTION_NAMES.join(', ')}`;
+    }
+    if (!allowlist.options.includes(name)) {
+      return `Launch option not allowed: ${name}`;
+    }
+  }
+
+  if (input.viewport !== undefined) {
+    const error = validateViewport(input.viewport, allowlist.maxViewport);
+    if (error) {
+      return error;
+    }
+  }
+  if (input.device !== undefined) {
+    if (typeof input.device !== 'string' || !KnownDevices[input.device]) {
+      return `Invalid launch options: unknown device ${input.device}`;
+    }
+    if (!allows(allowlist.devices, input.device)) {
+      return `Launch option not allowed: device ${input.device}`;
+    }
+  }
+  if (input.userAgent !== undefined &&
+    (typeof input.userAgent !== 'string' || !input.userAgent.trim() || input.userAgent.length > 512)) {
+    return 'Invalid launch options: userAgent must be a non-empty string of at most 512 characters';
+  }
+  if (input.locale !== undefined) {
+    if (typeof input.locale !== 'string' || !LOCALE_PATTERN.test(input.locale)) {
+      return 'Invalid launch options: locale must be a language tag like en-US';
+    }
+    if (!allows(allowlist.locales, input.locale)) {
+      return `Launch option not allowed: locale ${input.locale}`;
+    }
+  }
+  if (input.timezone !== undefined) {
+    if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+      return 'Invalid launch options: timezone must be an IANA time zone like Europe/Berlin';
+    }
+    if (!allows(allowlist.timezones, input.timezone)) {
+      return `Launch option not allowed: timezone ${input.timezone}`;
+    }
+  }
+  if (input.geolocation !== undefined) {
+    const { latitude, longitude, accuracy } = input.geolocation || {};
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+      typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      return 'Invalid launch options: geolocation needs latitude (-90 to 90) and longitude (-180 to 180)';
+    }
+    if (accuracy !== undefined && (typeof accuracy !== 'number' || accuracy < 0)) {
+      return 'Invalid launch options: geolocation.accuracy must be a non-negative number';
+    }
+  }
+  if (input.proxy !== undefined) {
+    let proxyUrl = null;
+    try {
+      proxyUrl = typeof input.proxy === 'string' ? new URL(input.proxy) : null;
+    } catch (error) {
+      proxyUrl = null;
+    }
+    if (!proxyUrl || !PROXY_PROTOCOLS.includes(proxyUrl.protocol)) {
+      return 'Invalid launch options: proxy must be an http, https, socks4 or socks5 URL';
+    }
+    if (!allows(allowlist.proxies, input.proxy)) {
+      return `Launch option not allowed: proxy ${input.proxy}`;
+    }
+  }
+  if (input.profile !== undefined) {
+    if (typeof input.profile !== 'string' || !PROFILE_PATTERN.test(input.profile)) {
+      return 'Invalid launch options: profile must be 1-64 letters, digits, dots, dashes or underscores';
+    }
+    if (!allows(allowlist.profiles, input.profile)) {
+      return `Launch option not allowed: profile ${input.profile}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve validated launch options into the settings a browser is launched with
+ * Device presets provide the viewport and user agent; explicit values win.
+ * @param {Object} [options] - Validated launch options
+ * @returns {Object} { viewport, userAgent, locale, timezone, geolocation, proxy, profile }
+ */
+function resolveLaunchOptions(options = {}) {
+  const device = options.device ? KnownDevices[options.device] : null;
+  return {
+    viewport: { ...(options.viewport || device?.viewport || DEFAULT_VIEWPORT) },
+    userAgent: options.userAgent || device?.userAgent || null,
+    locale: options.locale || null,
+    timezone: options.timezone || null,
+    geolocation: options.geolocation ? { accuracy: 0, ...options.geolocation } : null,
+    proxy: options.proxy || null,
+    profile: options.profile || null
+  };
+}
+
+/**
+ * Directory of a persistent browser profile; every tenant has profiles of its own
+ * @param {string} profile - Profile name
+ * @param {string} tenant - Tenant of the session using the profile
+ * @returns {string} Absolute path, <LAUNCH_PROFILE_DIR>/<tenant>/<profile>
+ * @throws {Error} If the tenant cannot name a directory
+ */
+function getProfileDir(profile, tenant) {
+  if (typeof tenant !== 'string' || !PROFILE_PATTERN.test(tenant)) {
+    throw new Error(`Invalid profile tenant: ${tenant}`);
+  }
+  return path.resolve(config.LAUNCH_PROFILE_DIR, tenant, profile);
+}
+
+module.exports = {
+  LAUNCH_OPTION_NAMES,
+  DEFAULT_VIEWPORT,
+  getLaunchAllowlist,
+  validateLaunchOptions,
+  resolveLaunchOptions,
+  getProfileDir
+};
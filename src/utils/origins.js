@@ -0,0 +1,43 @@
+const config = require('./config');
+
+const EXTENSION_ORIGIN_PREFIXES = ['chrome-extension://', 'moz-extension://'];
+
+/**
+ * Whether an origin belongs to a browser extension
+ * @param {string} origin - Origin header value
+ * @returns {boolean} True for chrome-extension:// and moz-extension:// origins
+ */
+function isExtensionOrigin(origin) {
+  return EXTENSION_ORIGIN_PREFIXES.some(prefix => origin.startsWith(prefix));
+}
+
+/**
+ * Whether an origin matches the allowed origins
+ * Entries are exact origins, 'chrome-extension://' or 'moz-extension://' for any
+ * extension of that browser, or patterns with * wildcards.
+ * @param {string} origin - Origin header value
+ * @param {string} [allowedOrigins] - Comma-separated list (defaults to config.ALLOWED_ORIGINS)
+ * @returns {boolean} True if the origin is allowed
+ */
+function isAllowedOrigin(origin, allowedOrigins = config.ALLOWED_ORIGINS) {
+  const allowed = allowedOrigins.split(',').map(entry => entry.trim());
+  if (allowed.includes(origin)) {
+    return true;
+  }
+
+  return allowed.some(allowedOrigin => {
+    if (EXTENSION_ORIGIN_PREFIXES.includes(allowedOrigin)) {
+      return origin.startsWith(allowedOrigin);
+    }
+    if (allowedOrigin.includes('*')) {
+      const pattern = allowedOrigin.replace(/\*/g, '.*');
+      return new RegExp(`^${pattern}$`).test(origin);
+    }
+    return false;
+  });
+}
+
+module.exports = {
+  isExtensionOrigin,
+  isAllowedOrigin
+};
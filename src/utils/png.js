@@ -0,0 +1,175 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG codec for screenshot comparison
+ *
+ * Decodes non-interlaced 8-bit grayscale, RGB and RGBA images (what browsers
+ * produce for screenshots) into RGBA pixels, and encodes RGBA pixels back
+ * into a PNG.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // color type -> channels
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer (as used by PNG chunks)
+ * @private
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ * @private
+ */
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) {
+    return left;
+  }
+  return pb <= pc ? up : upLeft;
+}
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, data: Buffer}} RGBA pixels, 4 bytes per pixel
+ * @throws {Error} If the buffer is not a supported PNG
+ */
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header) {
+    throw new Error('PNG header missing');
+  }
+  const channels = CHANNELS[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(`Unsupported PNG format (bit depth ${header.bitDepth}, color type ${header.colorType}, interlace ${header.interlace})`);
+  }
+
+  const { width, height } = header;
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  // Undo the per-row filters
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? pixels[row - stride + x - channels] : 0;
+      let value = raw[source + x];
+      switch (filter) {
+        case 0: break;
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+      pixels[row + x] = value & 0xff;
+    }
+  }
+
+  // Expand to RGBA
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const gray = channels <= 2;
+    data[i * 4] = pixels[j];
+    data[i * 4 + 1] = gray ? pixels[j] : pixels[j + 1];
+    data[i * 4 + 2] = gray ? pixels[j] : pixels[j + 2];
+    data[i * 4 + 3] = channels === 2 ? pixels[j + 1] : channels === 4 ? pixels[j + 3] : 255;
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Build a PNG chunk
+ * @private
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG image
+ * @param {{width: number, height: number, data: Buffer}} image - RGBA pixels
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride); // filter 0 (none)
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng
+};
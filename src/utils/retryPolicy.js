@@ -0,0 +1,115 @@
+const config = require('./config');
+
+// Checked in order; the first matching class wins
+const ERROR_CLASSES = [
+  ['detached_frame', /detached/i],
+  ['timeout', /timeout|timed out/i],
+  ['navigation', /Execution context was destroyed|Cannot find context with specified id|navigation|net::ERR_ABORTED/i],
+  ['target_closed', /Target closed|Session closed|Connection closed|Protocol error/i],
+  ['unavailable', /No browser available|not connected|No active browser connection/i],
+  ['not_found', /not found|No element|failed to find|Unknown tab/i]
+];
+const ERROR_CLASS_NAMES = [...ERROR_CLASSES.map(([name]) => name), 'other'];
+const DEFAULT_RETRY_ON = ['detached_frame', 'timeout', 'navigation', 'target_closed'];
+const BACKOFF_STRATEGIES = ['fixed', 'exponential'];
+const MAX_RETRIES_LIMIT = 10;
+const MAX_DELAY_LIMIT = 60 * 1000;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Class of a command error, used to decide whether it is worth retrying
+ * @param {string} message - Error message
+ * @returns {string} One of ERROR_CLASS_NAMES
+ */
+function classifyError(message) {
+  const match = ERROR_CLASSES.find(([, pattern]) => pattern.test(String(message || '')));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Validate the retry policy of a command request
+ * @param {Object} [input] - { maxRetries, backoff, delay, maxDelay, retryOn }, all optional
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRetryPolicy(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return 'Invalid retry policy: must be an object';
+  }
+  if (input.maxRetries !== undefined &&
+    (!Number.isInteger(input.maxRetries) || input.maxRetries < 0 || input.maxRetries > MAX_RETRIES_LIMIT)) {
+    return `Invalid retry policy: maxRetries must be an integer from 0 to ${MAX_RETRIES_LIMIT}`;
+  }
+  if (input.backoff !== undefined && !BACKOFF_STRATEGIES.includes(input.backoff)) {
+    return `Invalid retry policy: backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}`;
+  }
+  for (const name of ['delay', 'maxDelay']) {
+    const value = input[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_DELAY_LIMIT)) {
+      return `Invalid retry policy: ${name} must be an integer from 0 to ${MAX_DELAY_LIMIT} ms`;
+    }
+  }
+  if (input.retryOn !== undefined) {
+    if (!Array.isArray(input.retryOn)) {
+      return 'Invalid retry policy: retryOn must be an array';
+    }
+    const unknown = input.retryOn.find(errorClass => !ERROR_CLASS_NAMES.includes(errorClass));
+    if (unknown !== undefined) {
+      return `Invalid retry policy: unknown error class ${unknown}, expected one of: ${ERROR_CLASS_NAMES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in the defaults of a validated retry policy
+ * @param {Object} [input] - Retry policy from the request
+ * @returns {Object} { maxRetries, backoff, delay, maxDelay, retryOn }
+ */
+function resolveRetryPolicy(input = {}) {
+  const policy = input || {};
+  return {
+    maxRetries: policy.maxRetries ?? config.COMMAND_MAX_RETRIES,
+    backoff: policy.backoff || 'exponential',
+    delay: policy.delay ?? config.COMMAND_RETRY_DELAY,
+    maxDelay: policy.maxDelay ?? config.COMMAND_RETRY_MAX_DELAY,
+    retryOn: policy.retryOn || DEFAULT_RETRY_ON
+  };
+}
+
+/**
+ * Wait time before a retry
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} retry - Number of the retry, starting at 1
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(policy, retry) {
+  const delay = policy.backoff === 'exponential' ? policy.delay * 2 ** (retry - 1) : policy.delay;
+  return Math.min(delay, policy.maxDelay);
+}
+
+/**
+ * Validate an idempotency key
+ * @param {*} key - Key from the request body or Idempotency-Key header
+ * @returns {string|null} Error message or null if valid (or absent)
+ */
+function validateIdempotencyKey(key) {
+  if (key === undefined || key === null) {
+    return null;
+  }
+  return typeof key === 'string' && IDEMPOTENCY_KEY_PATTERN.test(key)
+    ? null
+    : 'Invalid idempotency key: must be 1-255 printable ASCII characters without spaces';
+}
+
+module.exports = {
+  ERROR_CLASS_NAMES,
+  DEFAULT_RETRY_ON,
+  classifyError,
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  getRetryDelay,
+  validateIdempotencyKey
+};
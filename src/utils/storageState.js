@@ -0,0 +1,137 @@
+/**
+ * Portable storage state: cookies plus localStorage/sessionStorage per origin
+ *
+ * {
+ *   "version": 1,
+ *   "exportedAt": "2024-01-15T10:00:00.000Z",
+ *   "cookies": [{ "name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite" }],
+ *   "origins": [{ "origin": "https://example.com", "localStorage": [{ "name", "value" }], "sessionStorage": [...] }]
+ * }
+ *
+ * Cookie domains with a leading dot apply to subdomains, `expires` is in Unix
+ * seconds (-1 for session cookies) and `sameSite` is Strict, Lax or None.
+ */
+
+const STORAGE_STATE_VERSION = 1;
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+/**
+ * Check a list of { name, value } storage items
+ * @private
+ */
+function validateItems(items, label) {
+  if (items === undefined) {
+    return null;
+  }
+  if (!Array.isArray(items)) {
+    return `${label} must be an array`;
+  }
+  const invalid = items.findIndex(item =>
+    !item || typeof item.name !== 'string' || typeof item.value !== 'string'
+  );
+  return invalid >= 0 ? `${label}[${invalid}] must have string name and value` : null;
+}
+
+/**
+ * Validate a storage state document
+ * @param {Object} state - Storage state
+ * @returns {string|null} Error message or null when valid
+ */
+function validateStorageState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return 'Storage state must be an object';
+  }
+  if (state.version !== undefined && state.version !== STORAGE_STATE_VERSION) {
+    return `Unsupported storage state version: ${state.version}`;
+  }
+
+  const cookies = state.cookies || [];
+  if (!Array.isArray(cookies)) {
+    return 'cookies must be an array';
+  }
+  for (let i = 0; i < cookies.length; i++) {
+    const cookie = cookies[i];
+    if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+      return `cookies[${i}] must have string name and value`;
+    }
+    if (typeof cookie.domain !== 'string' || !cookie.domain) {
+      return `cookies[${i}].domain is required`;
+    }
+    if (cookie.expires !== undefined && typeof cookie.expires !== 'number') {
+      return `cookies[${i}].expires must be a number`;
+    }
+    if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(cookie.sameSite)) {
+      return `cookies[${i}].sameSite must be one of: ${SAME_SITE_VALUES.join(', ')}`;
+    }
+  }
+
+  const origins = state.origins || [];
+  if (!Array.isArray(origins)) {
+    return 'origins must be an array';
+  }
+  for (let i = 0; i < origins.length; i++) {
+    const entry = origins[i];
+    if (!entry || typeof entry.origin !== 'string' || normalizeOrigin(entry.origin) !== entry.origin) {
+      return `origins[${i}].origin must be an origin like https://example.com`;
+    }
+    const itemsError = validateItems(entry.localStorage, `origins[${i}].localStorage`) ||
+      validateItems(entry.sessionStorage, `origins[${i}].sessionStorage`);
+    if (itemsError) {
+      return itemsError;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the http(s) origin of a URL
+ * @param {string} url - URL or origin
+ * @returns {string|null} Origin, null for other schemes and invalid URLs
+ */
+function normalizeOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a cookie is sent to an origin's host
+ * @param {Object} cookie - Cookie with a domain
+ * @param {string} origin - Origin
+ * @returns {boolean} Whether the cookie domain matches
+ */
+function cookieMatchesOrigin(cookie, origin) {
+  const host = new URL(origin).hostname;
+  const domain = cookie.domain.replace(/^\./, '');
+  return host === domain || (cookie.domain.startsWith('.') && host.endsWith(`.${domain}`));
+}
+
+/**
+ * Build a storage state document
+ * @param {Array} cookies - Portable cookies
+ * @param {Array} origins - Storage per origin
+ * @param {string[]} [onlyOrigins] - Restrict the state to these origins
+ * @returns {Object} Storage state
+ */
+function createStorageState(cookies, origins, onlyOrigins) {
+  const filter = onlyOrigins && onlyOrigins.length > 0 ? onlyOrigins.map(normalizeOrigin).filter(Boolean) : null;
+  return {
+    version: STORAGE_STATE_VERSION,
+    exportedAt: new Date().toISOString(),
+    cookies: filter ? cookies.filter(cookie => filter.some(origin => cookieMatchesOrigin(cookie, origin))) : cookies,
+    origins: filter ? origins.filter(entry => filter.includes(entry.origin)) : origins
+  };
+}
+
+module.exports = {
+  STORAGE_STATE_VERSION,
+  SAME_SITE_VALUES,
+  validateStorageState,
+  normalizeOrigin,
+  cookieMatchesOrigin,
+  createStorageState
+};
@@ -0,0 +1,122 @@
+const { EventEmitter } = require('events');
+const BrowserPool = require('../src/services/BrowserPool');
+
+function createFakeBrowser(key) {
+  const browser = new EventEmitter();
+  browser.key = key;
+  browser.createBrowserContext = jest.fn(async () => ({ close: jest.fn(async () => {}) }));
+  browser.close = jest.fn(async () => { browser.emit('disconnected'); });
+  return browser;
+}
+
+describe('BrowserPool', () => {
+  let pool;
+  let launched;
+
+  const createPool = options => {
+    launched = [];
+    pool = new BrowserPool(async key => {
+      const browser = createFakeBrowser(key);
+      launched.push(browser);
+      return browser;
+    }, { size: 1, maxConcurrency: 4, contextsPerBrowser: 2, maxUses: 10, acquireTimeout: 1000, ...options });
+    return pool;
+  };
+
+  afterEach(async () => {
+    await pool.drain();
+  });
+
+  test('should keep warm browsers and spread contexts over them', async () => {
+    createPool();
+    pool.start();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(pool.getMetrics()).toMatchObject({ size: 1, browsers: 1, warm: 1, launched: 1 });
+
+    const first = await pool.acquireContext();
+    const second = await pool.acquireContext({ proxyServer: 'http://proxy:3128' });
+    expect(first.browser).toBe(launched[0]);
+    expect(second.browser).toBe(launched[0]);
+    expect(launched[0].createBrowserContext).toHaveBeenLastCalledWith({ proxyServer: 'http://proxy:3128' });
+
+    // The first browser is full, so a second one starts
+    const third = await pool.acquireContext();
+    expect(third.browser).toBe(launched[1]);
+    expect(pool.getMetrics()).toMatchObject({ browsers: 2, contexts: 3, active: 3, warm: 0 });
+
+    // Idle browsers beyond the pool size are closed
+    await third.release();
+    expect(launched[1].close).toHaveBeenCalled();
+    expect(pool.getMetrics()).toMatchObject({ browsers: 1, contexts: 2, active: 2 });
+
+    await first.release();
+    await first.release();
+    expect(first.context.close).toHaveBeenCalledTimes(1);
+    expect(pool.getMetrics().active).toBe(1);
+    await second.release();
+  });
+
+  test('should queue callers beyond the concurrency limit', async () => {
+    createPool({ maxConcurrency: 1, acquireTimeout: 30 });
+    const holder = await pool.acquireContext();
+
+    const waiting = pool.acquireContext();
+    expect(pool.getMetrics().waiting).toBe(1);
+    await holder.release();
+    const next = await waiting;
+    expect(pool.getMetrics()).toMatchObject({ waiting: 0, active: 1 });
+
+    await expect(pool.acquireContext()).rejects.toThrow('No browser available within 30 ms (1 in use)');
+    expect(pool.getMetrics()).toMatchObject({ waiting: 0, timeouts: 1 });
+    await next.release();
+  });
+
+  test('should recycle a browser after its maximum number of uses', async () => {
+    createPool({ maxUses: 2 });
+    pool.start();
+
+    const first = await pool.acquireContext();
+    const second = await pool.acquireContext();
+    // The retiring browser takes no new contexts
+    const third = await pool.acquireContext();
+    expect(third.browser).not.toBe(first.browser);
+
+    await first.release();
+    expect(first.browser.close).not.toHaveBeenCalled();
+    await second.release();
+    expect(first.browser.close).toHaveBeenCalled();
+    expect(pool.getMetrics()).toMatchObject({ recycled: 1, crashed: 0 });
+    await third.release();
+  });
+
+  test('should replace crashed browsers and notify their lease holders', async () => {
+    createPool();
+    pool.start();
+
+    const onLost = jest.fn();
+    const lease = await pool.acquireContext({}, { onLost });
+    lease.browser.emit('disconnected');
+
+    expect(onLost).toHaveBeenCalledTimes(1);
+    expect(pool.getMetrics()).toMatchObject({ crashed: 1, active: 0, contexts: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(launched).toHaveLength(2);
+    expect(pool.getMetrics()).toMatchObject({ browsers: 1, warm: 1 });
+
+    // Releasing the lost lease later is harmless
+    await lease.release();
+    expect(pool.getMetrics().active).toBe(0);
+  });
+
+  test('should count dedicated browsers against the limit', async () => {
+    createPool({ maxConcurrency: 1, acquireTimeout: 20 });
+    const onLost = jest.fn();
+    const lease = await pool.acquireDedicated(async () => createFakeBrowser('profile'), { onLost });
+    expect(pool.getMetrics()).toMatchObject({ dedicated: 1, active: 1 });
+    await expect(pool.acquireContext()).rejects.toThrow('No browser available');
+
+    lease.browser.emit('disconnected');
+    expect(onLost).toHaveBeenCalled();
+    expect(pool.getMetrics()).toMatchObject({ dedicated: 0, active: 0, crashed: 1 });
+  });
+});
@@ -0,0 +1,357 @@
+const SessionManager = require('../src/services/SessionManager');
+const CommandExecutor = require('../src/services/CommandExecutor');
+
+describe('CommandExecutor', () => {
+  let sessionManager;
+  let executor;
+  let session;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    executor = new CommandExecutor(sessionManager);
+    session = sessionManager.createSession();
+    sessionManager.updateSessionStatus(session.id, 'active');
+  });
+
+  afterEach(async () => {
+    await executor.cleanup();
+    await sessionManager.cleanup();
+  });
+
+  describe('browser recovery', () => {
+    const recovered = {
+      reason: 'Browser disconnected',
+      lostAt: '2026-01-15T10:00:00.000Z',
+      recoveredAt: '2026-01-15T10:00:02.000Z',
+      attempts: 1,
+      restoredUrl: 'https://shop.example/cart',
+      restoredCookies: 2
+    };
+
+    test('should mark the session degraded until its browser is back', () => {
+      const events = [];
+      sessionManager.events.subscribe(session.id, event => events.push(event));
+
+      executor.serverBrowser.emit('browser_lost', { sessionId: session.id, reason: 'Browser disconnected' });
+      expect(sessionManager.getSession(session.id).status).toBe('degraded');
+
+      executor.serverBrowser.emit('browser_recovered', { sessionId: session.id, ...recovered });
+      expect(sessionManager.getSession(session.id).status).toBe('active');
+      expect(events.map(event => event.type)).toEqual(['browser_lost', 'browser_recovered']);
+
+      expect(sessionManager.getHistory(session.id)).toEqual([{
+        role: 'system',
+        event: 'browser_recovered',
+        content: 'The browser crashed (Browser disconnected) and was restarted at https://shop.example/cart with 2 cookies restored. Check the current page before continuing.',
+        timestamp: recovered.recoveredAt,
+        recovery: recovered
+      }]);
+    });
+
+    test('should record failed recoveries and keep the session degraded', () => {
+      executor.serverBrowser.emit('browser_lost', { sessionId: session.id, reason: 'Tab crashed: Page crashed!' });
+      executor.serverBrowser.emit('browser_recovery_failed', {
+        sessionId: session.id,
+        reason: 'Tab crashed: Page crashed!',
+        error: 'Browser launch timeout',
+        attempts: 1
+      });
+
+      expect(sessionManager.getSession(session.id).status).toBe('degraded');
+      expect(sessionManager.getHistory(session.id)[0]).toMatchObject({
+        role: 'system',
+        event: 'browser_recovery_failed',
+        content: 'The browser crashed (Tab crashed: Page crashed!) and could not be restarted: Browser launch timeout'
+      });
+    });
+  });
+
+  test('should start server browsers with the launch options and tenant of the session', async () => {
+    const tenantSession = sessionManager.createSession({}, { username: 'ana', tenant: 'acme' }, { profile: 'checkout' });
+    sessionManager.updateSessionStatus(tenantSession.id, 'active');
+    executor.serverBrowser.executeCommand = jest.fn(async () => ({ success: true, result: {} }));
+
+    await executor.executeCommand(tenantSession.id, { type: 'getTitle' });
+    expect(executor.serverBrowser.executeCommand).toHaveBeenCalledWith(
+      tenantSession.id,
+      { type: 'getTitle', payload: {} },
+      { launchOptions: { profile: 'checkout' }, tenant: 'acme' }
+    );
+  });
+
+  describe('timeouts', () => {
+    test('should fail server commands that do not finish within their timeout', async () => {
+      const events = [];
+      sessionManager.events.subscribe(session.id, event => events.push(event));
+      executor.serverBrowser.executeCommand = jest.fn(() => new Promise(() => {}));
+
+      await expect(executor.executeCommand(session.id, { type: 'getTitle', timeout: 50 }))
+        .rejects.toThrow('Command timeout after 50ms');
+
+      expect(sessionManager.getSession(session.id).commands[0]).toMatchObject({ status: 'failed', error: 'Command timeout after 50ms' });
+      expect(events[events.length - 1]).toMatchObject({
+        type: 'command_finished',
+        data: { executedBy: 'server', success: false, error: 'Command timeout after 50ms' }
+      });
+    });
+  });
+
+  describe('retries and idempotency', () => {
+    const ok = { success: true, result: { title: 'Cart' }, timestamp: '2026-01-15T10:00:00.000Z' };
+
+    test('should retry transient failures with backoff and report the retry count', async () => {
+      const events = [];
+      sessionManager.events.subscribe(session.id, event => events.push(event));
+      executor.serverBrowser.executeCommand = jest.fn()
+        .mockRejectedValueOnce(new Error('Attempted to use detached Frame'))
+        .mockResolvedValueOnce({ success: false, error: 'Navigation timeout of 30000 ms exceeded' })
+        .mockResolvedValueOnce(ok);
+
+      const result = await executor.executeCommand(session.id, {
+        type: 'getTitle',
+        retry: { maxRetries: 3, backoff: 'exponential', delay: 5 }
+      });
+
+      expect(result).toMatchObject({ success: true, result: { title: 'Cart' }, retryCount: 2 });
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(3);
+      expect(sessionManager.getSession(session.id).commands).toHaveLength(1);
+      expect(events.filter(event => event.type === 'command_retry').map(event => event.data)).toEqual([
+        expect.objectContaining({ retry: 1, errorClass: 'detached_frame', delayMs: 5 }),
+        expect.objectContaining({ retry: 2, errorClass: 'timeout', delayMs: 10 })
+      ]);
+    });
+
+    test('should not let a late result of an earlier attempt answer a retry', async () => {
+      const messages = [];
+      const socket = {
+        readyState: 1,
+        close: jest.fn(),
+        send: jest.fn(message => {
+          messages.push(JSON.parse(message));
+          if (messages.length === 2) {
+            // The first attempt answers only after it timed out and the retry was sent
+            setImmediate(() => {
+              executor.handleCommandResult(messages[0].id, { success: true, result: { title: 'Stale' } });
+              setTimeout(() => executor.handleCommandResult(messages[1].id, { success: true, result: { title: 'Cart' } }), 20);
+            });
+          }
+        })
+      };
+      sessionManager.registerConnection(session.id, socket);
+
+      const result = await executor.executeCommand(session.id, {
+        type: 'getTitle',
+        timeout: 100,
+        retry: { maxRetries: 1, delay: 0 }
+      });
+
+      expect(messages.map(message => message.id)).toEqual([result.commandId, `${result.commandId}:1`]);
+      expect(result).toMatchObject({ success: true, result: { title: 'Cart' }, retryCount: 1 });
+    });
+
+    test('should not retry errors outside the retry policy', async () => {
+      executor.serverBrowser.executeCommand = jest.fn().mockResolvedValue({ success: false, error: 'Element not found: #buy' });
+
+      const result = await executor.executeCommand(session.id, {
+        type: 'click',
+        payload: { selector: '#buy' },
+        retry: { maxRetries: 3, delay: 0 }
+      });
+
+      expect(result).toMatchObject({ success: false, retryCount: 0 });
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject invalid retry policies', async () => {
+      await expect(executor.executeCommand(session.id, { type: 'getTitle', retry: { maxRetries: 50 } }))
+        .rejects.toThrow('Invalid retry policy: maxRetries must be an integer from 0 to 10');
+      await expect(executor.executeCommand(session.id, { type: 'getTitle', retry: { retryOn: ['flaky'] } }))
+        .rejects.toThrow('Invalid retry policy: unknown error class flaky');
+    });
+
+    test('should replay the first result for a repeated idempotency key', async () => {
+      executor.serverBrowser.executeCommand = jest.fn().mockResolvedValue(ok);
+      const command = { type: 'click', payload: { selector: '#buy' }, idempotencyKey: 'order-42' };
+
+      const [first, second] = await Promise.all([
+        executor.executeCommand(session.id, command),
+        executor.executeCommand(session.id, command)
+      ]);
+
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(1);
+      expect(first.replayed).toBeUndefined();
+      expect(second).toEqual({ ...first, replayed: true });
+
+      await expect(executor.executeCommand(session.id, { ...command, payload: { selector: '#cancel' } }))
+        .rejects.toThrow('Idempotency key order-42 was already used for a different command');
+    });
+
+    test('should keep idempotency keys per session', async () => {
+      executor.serverBrowser.executeCommand = jest.fn().mockResolvedValue(ok);
+      const other = sessionManager.createSession();
+      const command = { type: 'getTitle', idempotencyKey: 'title-1' };
+
+      await executor.executeCommand(session.id, command);
+      const result = await executor.executeCommand(other.id, command);
+
+      expect(result.replayed).toBeUndefined();
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('command batches', () => {
+    const results = {
+      navigate: { url: 'https://shop.example/item/7' },
+      getText: { text: '19.99', selector: '.price' },
+      getTitle: { title: 'Checkout', url: 'https://shop.example/checkout' },
+      waitForElement: { found: true, selector: '#pay' },
+      evaluate: { result: { x: 120, y: 48 } }
+    };
+
+    beforeEach(() => {
+      executor.serverBrowser.executeCommand = jest.fn(async (sessionId, command) => (
+        command.payload.selector === '#missing'
+          ? { success: false, error: 'Element not found: #missing' }
+          : { success: true, result: results[command.type] || {} }
+      ));
+      executor.serverBrowser.getPage = jest.fn(() => ({ url: () => 'https://shop.example/checkout' }));
+    });
+
+    test('should run steps in order with waits, captures and timings', async () => {
+      const batch = await executor.executeBatch(session.id, {
+        variables: { item: '7' },
+        steps: [
+          { id: 'open', type: 'navigate', payload: { url: 'https://shop.example/item/{{item}}' } },
+          { id: 'price', type: 'getText', payload: { selector: '.price' }, capture: { price: 'text' } },
+          { type: 'type', payload: { selector: '#note', text: 'Paid {{price}}' }, waitFor: { selector: '#pay', timeout: 500 } },
+          { type: 'click', payload: { selector: '#pay' }, waitFor: { url: '/checkout' } }
+        ]
+      });
+
+      expect(batch).toMatchObject({
+        mode: 'stop_on_error',
+        status: 'completed',
+        variables: { item: '7', price: '19.99' },
+        summary: { totalSteps: 4, completedSteps: 4, failedSteps: 0, skippedSteps: 0 }
+      });
+      expect(batch.steps[1]).toMatchObject({ id: 'price', status: 'completed', captured: { price: '19.99' } });
+      expect(batch.steps[2].waitMs).toEqual(expect.any(Number));
+      batch.steps.forEach(step => {
+        expect(step.durationMs).toBeGreaterThanOrEqual(step.commandMs);
+        expect(step.commandId).toEqual(expect.any(String));
+      });
+
+      const sent = executor.serverBrowser.executeCommand.mock.calls.map(([, command]) => command);
+      expect(sent.map(command => command.type)).toEqual(['navigate', 'getText', 'type', 'waitForElement', 'click']);
+      expect(sent[0].payload.url).toBe('https://shop.example/item/7');
+      expect(sent[2].payload.text).toBe('Paid 19.99');
+    });
+
+    test('should poll the URL without recording commands', async () => {
+      const urls = ['https://shop.example/cart', 'https://shop.example/cart', 'https://shop.example/checkout'];
+      executor.serverBrowser.getPage = jest.fn(() => ({ url: () => urls.shift() }));
+      const events = [];
+      sessionManager.events.subscribe(session.id, event => events.push(event));
+
+      const batch = await executor.executeBatch(session.id, {
+        steps: [{ type: 'click', payload: { selector: '#pay' }, waitFor: { url: '/checkout', timeout: 5000 } }]
+      });
+
+      expect(batch.status).toBe('completed');
+      expect(executor.serverBrowser.getPage).toHaveBeenCalledTimes(3);
+      expect(sessionManager.getSession(session.id).commands.map(command => command.type)).toEqual(['click']);
+      expect(events.filter(event => event.type === 'command_started')).toHaveLength(1);
+    });
+
+    test('should stop on the first failure or continue as requested', async () => {
+      const steps = [
+        { type: 'click', payload: { selector: '#missing' } },
+        { type: 'getTitle' }
+      ];
+
+      const stopped = await executor.executeBatch(session.id, { steps });
+      expect(stopped.status).toBe('failed');
+      expect(stopped.steps.map(step => step.status)).toEqual(['failed', 'skipped']);
+      expect(stopped.steps[0].error).toBe('Element not found: #missing');
+      expect(stopped.steps[1].skipReason).toBe('Batch stopped after step 0 failed');
+
+      const continued = await executor.executeBatch(session.id, { mode: 'continue', steps });
+      expect(continued.status).toBe('completed_with_errors');
+      expect(continued.steps.map(step => step.status)).toEqual(['failed', 'completed']);
+    });
+
+    test('should fail steps whose capture path is missing', async () => {
+      const batch = await executor.executeBatch(session.id, {
+        steps: [{ type: 'getTitle', capture: { heading: 'h1.text' } }]
+      });
+      expect(batch.steps[0]).toMatchObject({
+        status: 'failed',
+        error: 'Cannot capture heading: the result has no value at h1.text'
+      });
+    });
+
+    test('should keep the type of captured values used as a whole field', async () => {
+      const batch = await executor.executeBatch(session.id, {
+        steps: [
+          { type: 'evaluate', payload: { script: 'document.querySelector("#pay").getBoundingClientRect()' }, capture: { x: 'result.x', y: 'result.y' } },
+          { type: 'click_coordinate', payload: { x: '{{x}}', y: '{{ y }}' } },
+          { type: 'type', payload: { selector: '#note', text: 'At {{x}},{{y}}' } }
+        ]
+      });
+
+      expect(batch.status).toBe('completed');
+      expect(batch.variables).toEqual({ x: 120, y: 48 });
+      const sent = executor.serverBrowser.executeCommand.mock.calls.map(([, command]) => command);
+      expect(sent[1].payload).toEqual({ x: 120, y: 48 });
+      expect(sent[2].payload.text).toBe('At 120,48');
+    });
+
+    test('should validate steps with captured placeholders when they run', async () => {
+      const batch = await executor.executeBatch(session.id, {
+        steps: [
+          { type: 'getText', payload: { selector: '.price' }, capture: { price: 'text' } },
+          { type: 'click_coordinate', payload: { x: '{{price}}', y: 10 } }
+        ]
+      });
+
+      expect(batch.status).toBe('completed_with_errors');
+      expect(batch.steps[1]).toMatchObject({
+        status: 'failed',
+        error: expect.stringContaining('Valid x and y coordinates are required')
+      });
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject invalid batches before running anything', async () => {
+      await expect(executor.executeBatch(session.id, { steps: [] }))
+        .rejects.toThrow('Invalid batch: steps must be a non-empty array');
+      await expect(executor.executeBatch(session.id, {
+        steps: [{ type: 'getText', payload: { selector: '{{later}}' } }, { type: 'getTitle', capture: { later: 'title' } }]
+      })).rejects.toThrow('Invalid batch step 0: references unknown variable {{later}}');
+      await expect(executor.executeBatch(session.id, {
+        steps: [{ type: 'getTitle' }, { type: 'click', payload: {} }]
+      })).rejects.toThrow('Invalid batch step 1: Selector is required for click command');
+      expect(executor.serverBrowser.executeCommand).not.toHaveBeenCalled();
+    });
+
+    test('should run steps through a connected extension', async () => {
+      const socket = {
+        readyState: 1,
+        close: jest.fn(),
+        send: jest.fn(message => {
+          const { id, command } = JSON.parse(message);
+          setImmediate(() => executor.handleCommandResult(id, { success: true, result: results[command.type] }));
+        })
+      };
+      sessionManager.registerConnection(session.id, socket);
+
+      const batch = await executor.executeBatch(session.id, {
+        steps: [{ type: 'getTitle', capture: { title: 'title' }, waitFor: { selector: '#pay' } }]
+      });
+
+      expect(batch).toMatchObject({ status: 'completed', variables: { title: 'Checkout' } });
+      expect(socket.send.mock.calls.map(([message]) => JSON.parse(message).command.type)).toEqual(['getTitle', 'waitForElement']);
+      expect(executor.serverBrowser.executeCommand).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const SessionManager = require('../src/services/SessionManager');
+const ExtensionPairingManager = require('../src/services/ExtensionPairingManager');
+const WebSocketManager = require('../src/services/WebSocketManager');
+
+describe('ExtensionPairingManager', () => {
+  const extensionId = 'ext-4f1c9a2e';
+  let sessionManager;
+  let pairing;
+  let session;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    pairing = new ExtensionPairingManager(sessionManager, { secret: 'test-secret' });
+    session = sessionManager.createSession();
+  });
+
+  afterEach(async () => {
+    await sessionManager.cleanup();
+  });
+
+  test('should pair once per token and verify the signed credential', () => {
+    const { pairingToken, expiresAt } = pairing.createPairingToken(session.id);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const credential = pairing.redeemPairingToken(session.id, pairingToken, extensionId);
+    expect(credential).toMatch(/^v1\.[\w-]+\.[\w-]+$/);
+    expect(pairing.getPairing(session)).toEqual({ extensionId, pairedAt: expect.any(String) });
+
+    // Tokens are single-use
+    expect(pairing.redeemPairingToken(session.id, pairingToken, extensionId)).toBeNull();
+
+    expect(pairing.verifyCredential(session.id, credential, extensionId)).toBe(true);
+    expect(pairing.verifyCredential(session.id, credential, 'ext-someone-else')).toBe(false);
+    expect(pairing.verifyCredential(sessionManager.createSession().id, credential, extensionId)).toBe(false);
+    expect(pairing.verifyCredential(session.id, `${credential.slice(0, -2)}xx`, extensionId)).toBe(false);
+    expect(pairing.verifyCredential(session.id, undefined, extensionId)).toBe(false);
+
+    // Credentials signed with another secret are rejected
+    const otherPairing = new ExtensionPairingManager(sessionManager, { secret: 'other-secret' });
+    expect(otherPairing.verifyCredential(session.id, credential, extensionId)).toBe(false);
+  });
+
+  test('should reject expired tokens, tokens of other sessions and invalid extension IDs', () => {
+    const expiring = new ExtensionPairingManager(sessionManager, { secret: 'test-secret', pairingTtl: -1 });
+    expect(expiring.redeemPairingToken(session.id, expiring.createPairingToken(session.id).pairingToken, extensionId)).toBeNull();
+
+    const other = sessionManager.createSession();
+    expect(pairing.redeemPairingToken(other.id, pairing.createPairingToken(session.id).pairingToken, extensionId)).toBeNull();
+    expect(pairing.redeemPairingToken(session.id, pairing.createPairingToken(session.id).pairingToken, 'x')).toBeNull();
+
+    // A new token replaces the unused one
+    const first = pairing.createPairingToken(session.id).pairingToken;
+    const second = pairing.createPairingToken(session.id).pairingToken;
+    expect(pairing.redeemPairingToken(session.id, first, extensionId)).toBeNull();
+    expect(pairing.redeemPairingToken(session.id, second, extensionId)).not.toBeNull();
+  });
+
+  test('should invalidate old credentials when the session is re-paired or unpaired', () => {
+    const oldCredential = pairing.redeemPairingToken(session.id, pairing.createPairingToken(session.id).pairingToken, extensionId);
+    const newCredential = pairing.redeemPairingToken(session.id, pairing.createPairingToken(session.id).pairingToken, 'ext-replacement');
+
+    expect(pairing.verifyCredential(session.id, oldCredential, extensionId)).toBe(false);
+    expect(pairing.verifyCredential(session.id, newCredential, 'ext-replacement')).toBe(true);
+
+    expect(pairing.unpair(session.id)).toBe(true);
+    expect(pairing.unpair(session.id)).toBe(false);
+    expect(pairing.verifyCredential(session.id, newCredential, 'ext-replacement')).toBe(false);
+  });
+
+  describe('WebSocket handshake', () => {
+    let wsManager;
+
+    const connect = (query, origin) => {
+      const req = { url: `/ws?${new URLSearchParams(query)}`, headers: {} };
+      return { allowed: wsManager.verifyClient({ origin, req }), req };
+    };
+
+    beforeEach(() => {
+      wsManager = new WebSocketManager(sessionManager, pairing);
+    });
+
+    afterEach(async () => {
+      await wsManager.closeAllConnections();
+    });
+
+    test('should require a pairing token or a credential', () => {
+      expect(connect({ sessionId: session.id }).allowed).toBe(false);
+      expect(connect({ sessionId: session.id, extensionId, pairingToken: 'guessed' }).allowed).toBe(false);
+
+      const { pairingToken } = pairing.createPairingToken(session.id);
+      const paired = connect({ sessionId: session.id, extensionId, pairingToken }, 'chrome-extension://abcdef');
+      expect(paired.allowed).toBe(true);
+      expect(paired.req.extensionCredential).toMatch(/^v1\./);
+
+      const credential = paired.req.extensionCredential;
+      expect(connect({ sessionId: session.id, extensionId, credential }).allowed).toBe(true);
+      expect(connect({ sessionId: session.id, extensionId: 'ext-someone-else', credential }).allowed).toBe(false);
+    });
+
+    test('should reject web pages from other origins', () => {
+      const { pairingToken } = pairing.createPairingToken(session.id);
+      expect(connect({ sessionId: session.id, extensionId, pairingToken }, 'https://evil.example').allowed).toBe(false);
+      // The rejected handshake did not use up the token
+      expect(connect({ sessionId: session.id, extensionId, pairingToken }).allowed).toBe(true);
+    });
+  });
+});
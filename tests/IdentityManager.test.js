@@ -0,0 +1,111 @@
+const IdentityManager = require('../src/services/IdentityManager');
+const { MemoryStore } = require('../src/stores');
+
+describe('IdentityManager', () => {
+  let identity;
+  let stores;
+
+  const createIdentity = () => new IdentityManager({
+    enabled: true,
+    userStore: stores.users,
+    apiKeyStore: stores.apiKeys,
+    tokenStore: stores.tokens
+  });
+
+  beforeEach(() => {
+    stores = {
+      users: new MemoryStore({ idField: 'username' }),
+      apiKeys: new MemoryStore({ idField: 'keyId' }),
+      tokens: new MemoryStore({ idField: 'tokenHash' })
+    };
+    identity = createIdentity();
+  });
+
+  test('should store hashed passwords and issue login tokens', async () => {
+    const user = await identity.createUser({ username: 'alice', password: 'correct horse', role: 'operator' });
+    expect(user).toMatchObject({ username: 'alice', name: 'alice', role: 'operator', disabled: false });
+    expect(user.passwordHash).toBeUndefined();
+
+    const stored = stores.users.load()[0];
+    expect(stored.passwordHash).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+    expect(JSON.stringify(stored)).not.toContain('correct horse');
+
+    expect(await identity.login('alice', 'wrong password')).toBeNull();
+    const login = await identity.login('alice', 'correct horse');
+    expect(identity.authenticate(login.token)).toMatchObject({ username: 'alice', role: 'operator', authType: 'token' });
+
+    // Tokens survive a restart, but only their hashes are stored
+    expect(JSON.stringify(stores.tokens.load())).not.toContain(login.token);
+    expect(createIdentity().authenticate(login.token)).toMatchObject({ username: 'alice' });
+
+    identity.logout(login.token);
+    expect(identity.authenticate(login.token)).toBeNull();
+  });
+
+  test('should expire login tokens', async () => {
+    identity.tokenTtl = -1;
+    await identity.createUser({ username: 'alice', password: 'correct horse' });
+    const login = await identity.login('alice', 'correct horse');
+    expect(identity.authenticate(login.token)).toBeNull();
+  });
+
+  test('should sign users out when their password changes or they are disabled', async () => {
+    await identity.createUser({ username: 'admin', password: 'admin password', role: 'admin' });
+    await identity.createUser({ username: 'bob', password: 'bob password' });
+    const login = await identity.login('bob', 'bob password');
+
+    await identity.updateUser('bob', { password: 'new password' });
+    expect(identity.authenticate(login.token)).toBeNull();
+    expect(await identity.login('bob', 'bob password')).toBeNull();
+
+    await identity.updateUser('bob', { disabled: true });
+    expect(await identity.login('bob', 'new password')).toBeNull();
+
+    await expect(identity.updateUser('admin', { role: 'viewer' })).rejects.toThrow('Cannot remove the last active admin');
+    expect(() => identity.deleteUser('admin')).toThrow('Cannot remove the last active admin');
+  });
+
+  test('should authenticate API keys with at most their owner\'s role', async () => {
+    await identity.createUser({ username: 'ci', password: 'ci password', role: 'operator', tenant: 'acme' });
+    expect(identity.validateApiKey({ name: 'deploy', username: 'ci', role: 'admin' }))
+      .toBe("Invalid API key: role cannot exceed the owner's role (operator)");
+
+    const { apiKey, key } = identity.createApiKey({ name: 'nightly', username: 'ci' });
+    expect(key).toMatch(/^bas_/);
+    expect(apiKey).toMatchObject({ name: 'nightly', username: 'ci', role: 'operator', prefix: key.slice(0, 10) });
+    expect(apiKey.keyHash).toBeUndefined();
+    expect(identity.authenticate(key))
+      .toMatchObject({ username: 'ci', role: 'operator', tenant: 'acme', authType: 'apiKey', keyId: apiKey.keyId });
+
+    // Demoting the owner limits the key as well
+    await identity.updateUser('ci', { role: 'viewer' });
+    expect(identity.authenticate(key).role).toBe('viewer');
+
+    identity.revokeApiKey(apiKey.keyId);
+    expect(identity.authenticate(key)).toBeNull();
+    expect(identity.authenticate('bas_unknown')).toBeNull();
+  });
+
+  test('should create the initial admin only once', async () => {
+    expect(await identity.bootstrap({ username: 'root', password: '' })).toBeNull();
+    expect(await identity.bootstrap({ username: 'root', password: 'root password' })).toMatchObject({ role: 'admin' });
+    expect(await identity.bootstrap({ username: 'other', password: 'other password' })).toBeNull();
+    expect(identity.listUsers().map(user => user.username)).toEqual(['root']);
+  });
+
+  test('should validate users and compare roles', () => {
+    expect(identity.validateUser({ username: 'a', password: 'long enough' }))
+      .toBe('Invalid user: username must be 3-64 letters, digits, dots, dashes or underscores');
+    expect(identity.validateUser({ username: 'alice', password: 'short' }))
+      .toBe('Invalid user: password must be at least 8 characters');
+    expect(identity.validateUser({ role: 'root' }, { partial: true }))
+      .toBe('Invalid user: role must be one of: viewer, operator, admin');
+    expect(identity.validateUser({ tenant: 'acme corp' }, { partial: true }))
+      .toBe('Invalid user: tenant must be 1-64 letters, digits, dots, dashes or underscores');
+    expect(identity.validateUser({ name: 'Alice' }, { partial: true })).toBeNull();
+
+    expect(IdentityManager.hasRole('admin', 'operator')).toBe(true);
+    expect(IdentityManager.hasRole('viewer', 'operator')).toBe(false);
+    expect(IdentityManager.hasRole(undefined, 'viewer')).toBe(false);
+  });
+});
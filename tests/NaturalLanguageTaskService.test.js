@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/utils/config');
+const SessionManager = require('../src/services/SessionManager');
+const NaturalLanguageTaskService = require('../src/services/NaturalLanguageTaskService');
+const { MockProvider } = require('../src/llm');
+
+/**
+ * Minimal stand-in for CommandExecutor that records commands instead of driving a browser
+ */
+function createFakeExecutor() {
+  return {
+    executed: [],
+    async executeCommand(sessionId, command) {
+      this.executed.push(command);
+      switch (command.type) {
+        case 'screenshot':
+          return { result: { screenshot: `data:image/png;base64,${Buffer.from(`frame-${this.executed.length}`).toString('base64')}` } };
+        case 'get_page_elements':
+          return { result: { elements: [{ tagName: 'button', x: 120, y: 40, text: 'Search' }] } };
+        default:
+          return { success: true, result: {} };
+      }
+    }
+  };
+}
+
+describe('NaturalLanguageTaskService', () => {
+  let sessionManager;
+  let executor;
+  let screenshotDir;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    executor = createFakeExecutor();
+    screenshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nl-screenshots-'));
+  });
+
+  afterEach(async () => {
+    await sessionManager.cleanup();
+    fs.rmSync(screenshotDir, { recursive: true, force: true });
+  });
+
+  function createService(options) {
+    const service = new NaturalLanguageTaskService(sessionManager, executor, options);
+    service.screenshotDir = screenshotDir;
+    return service;
+  }
+
+  const script = [
+    // Initial navigation check
+    { thought: 'Already on the right page', response: 'No navigation needed', requiresAction: false, actions: [] },
+    // First page analysis
+    {
+      thought: 'The search button is visible',
+      response: 'Clicking the search button',
+      requiresAction: true,
+      actions: [{ type: 'click_coordinate', description: 'Click search', payload: { x: 120, y: 40 } }]
+    },
+    // Continuation after the click
+    { description: 'Search results are displayed', taskCompleted: true, requiresAction: false, actions: [] }
+  ];
+
+  test('should run the task loop end-to-end against the scripted mock provider', async () => {
+    const provider = new MockProvider({ responses: [...script] });
+    const service = createService({ llmProvider: provider });
+    const session = sessionManager.createSession();
+
+    const result = await service.processTask(session.id, 'Search for something', 'server');
+
+    expect(result.success).toBe(true);
+    expect(result.iterations).toBe(1);
+    expect(result.response).toBe('Search results are displayed');
+    expect(result.technical).toMatchObject({ aiProvider: 'mock', aiModel: 'mock-scripted' });
+    expect(executor.executed).toContainEqual({ type: 'click_coordinate', payload: { x: 120, y: 40 } });
+    expect(provider.calls).toHaveLength(3);
+    expect(provider.calls[1].imageCount).toBe(1);
+  }, 15000);
+
+  test('should select the provider per task from the request options', async () => {
+    const defaultProvider = new MockProvider();
+    const service = createService({ llmProvider: defaultProvider });
+    const session = sessionManager.createSession();
+
+    const result = await service.processTask(session.id, 'Search for something', 'server', {
+      llm: { provider: 'mock', model: 'scripted-v2', responses: [...script] }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.technical.aiModel).toBe('scripted-v2');
+    expect(defaultProvider.calls).toHaveLength(0);
+  }, 15000);
+
+  test('should fall back to the session provider from metadata', async () => {
+    const service = createService({ llmProvider: new MockProvider() });
+    const session = sessionManager.createSession({ llm: { provider: 'mock', model: 'session-model' } });
+
+    const result = await service.processTask(session.id, 'Look at the page', 'server');
+
+    expect(result.technical.aiModel).toBe('session-model');
+  }, 15000);
+
+  describe('Provider selection', () => {
+    const original = {};
+
+    beforeEach(() => {
+      for (const key of ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_ALLOWED_MODELS', 'LLM_ALLOW_MOCK', 'LLM_PROVIDER_CACHE_SIZE']) {
+        original[key] = config[key];
+      }
+      Object.assign(config, { LLM_PROVIDER: 'ollama', LLM_MODEL: 'llama3' });
+    });
+
+    afterEach(() => {
+      Object.assign(config, original);
+    });
+
+    test('should only allow the mock provider when configured', () => {
+      const service = createService({ llmProvider: new MockProvider() });
+      expect(service.resolveProvider({ provider: 'mock' }).name).toBe('mock');
+
+      config.LLM_ALLOW_MOCK = false;
+      expect(() => service.resolveProvider({ provider: 'mock', responses: [] })).toThrow('LLM provider not allowed: mock');
+    });
+
+    test('should only allow configured models', () => {
+      const service = createService({ llmProvider: new MockProvider() });
+      expect(service.resolveProvider({ model: 'llama3' }).model).toBe('llama3');
+      expect(() => service.resolveProvider({ model: 'mistral' })).toThrow('LLM model not allowed: mistral');
+
+      config.LLM_ALLOWED_MODELS = 'mistral, phi3';
+      expect(service.resolveProvider({ model: 'mistral' }).model).toBe('mistral');
+    });
+
+    test('should keep a bounded cache of the most recently used providers', () => {
+      Object.assign(config, { LLM_ALLOWED_MODELS: '*', LLM_PROVIDER_CACHE_SIZE: 2 });
+      const service = createService({ llmProvider: new MockProvider() });
+
+      const first = service.resolveProvider({ model: 'a' });
+      service.resolveProvider({ model: 'b' });
+      expect(service.resolveProvider({ model: 'a' })).toBe(first);
+      service.resolveProvider({ model: 'c' });
+
+      expect([...service.providerCache.keys()]).toEqual(['ollama:a', 'ollama:c']);
+    });
+  });
+
+  describe('Background tasks', () => {
+    test('should return a task ID immediately and report the final status', async () => {
+      const service = createService({ llmProvider: new MockProvider({ responses: [...script] }) });
+      const session = sessionManager.createSession();
+
+      const started = service.startTask(session.id, 'Search for something', 'server');
+      expect(started.taskId).toBeDefined();
+      expect(started.completedAt).toBeNull();
+      expect(service.getRunningTask(session.id)).toMatchObject({ taskId: started.taskId });
+      expect(() => service.startTask(session.id, 'Another task')).toThrow('already running');
+
+      await service.waitForTask(started.taskId);
+      const status = service.getTaskStatus(started.taskId);
+
+      expect(status.status).toBe('completed');
+      expect(status.iteration).toBe(1);
+      expect(status.latestScreenshot.url).toMatch(/^\/screenshots\//);
+      expect(status.result.taskId).toBe(started.taskId);
+      expect(service.listTasks(session.id)).toHaveLength(1);
+    }, 15000);
+
+    test('should publish progress events to the session event stream', async () => {
+      const service = createService({ llmProvider: new MockProvider({ responses: [...script] }) });
+      const session = sessionManager.createSession();
+      const events = [];
+      sessionManager.events.subscribe(session.id, event => events.push(event));
+
+      const started = service.startTask(session.id, 'Search for something', 'server');
+      await service.waitForTask(started.taskId);
+
+      const types = events.map(event => event.type);
+      expect(types[0]).toBe('task_created');
+      expect(types).toEqual(expect.arrayContaining(['task_status', 'task_iteration', 'screenshot']));
+      expect(events.find(event => event.type === 'screenshot').data.url).toMatch(/^\/screenshots\//);
+      expect(events[events.length - 1]).toMatchObject({
+        type: 'task_finished',
+        data: { taskId: started.taskId, status: 'completed', iterations: 1 }
+      });
+    }, 15000);
+
+    test('should keep each concurrent task on its own provider', async () => {
+      const service = createService({ llmProvider: new MockProvider() });
+      const scriptFor = name => script.map((step, index) => (index === 1 ? { ...step, thought: name } : step));
+      const sessionA = sessionManager.createSession();
+      const sessionB = sessionManager.createSession();
+
+      const taskA = service.startTask(sessionA.id, 'Search for something', 'server', {
+        llm: { provider: 'mock', model: 'A', responses: scriptFor('A') }
+      });
+      const taskB = service.startTask(sessionB.id, 'Search for something', 'server', {
+        llm: { provider: 'mock', model: 'B', responses: scriptFor('B') }
+      });
+      const [resultA, resultB] = await Promise.all([service.waitForTask(taskA.taskId), service.waitForTask(taskB.taskId)]);
+
+      expect(resultA.technical.aiModel).toBe('A');
+      expect(resultB.technical.aiModel).toBe('B');
+      expect(sessionManager.getHistory(sessionA.id).map(m => m.content)).toContainEqual(expect.stringContaining('Thinking: A'));
+      expect(sessionManager.getHistory(sessionB.id).map(m => m.content)).toContainEqual(expect.stringContaining('Thinking: B'));
+    }, 15000);
+
+    test('should stop the loop when the task is cancelled', async () => {
+      const service = createService({ llmProvider: new MockProvider({ responses: [...script] }) });
+      const session = sessionManager.createSession();
+
+      const started = service.startTask(session.id, 'Search for something', 'server');
+      expect(service.cancelTask(started.taskId)).toBe(true);
+
+      const result = await service.waitForTask(started.taskId);
+
+      expect(service.getTaskStatus(started.taskId).status).toBe('cancelled');
+      expect(result.execution.status).toBe('cancelled');
+      expect(executor.executed.map(c => c.type)).not.toContain('click_coordinate');
+      expect(service.cancelTask(started.taskId)).toBe(false);
+    }, 15000);
+  });
+
+  describe('Paused sessions', () => {
+    const waitFor = async condition => {
+      while (!condition()) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    test('should wait at the next action while paused and skip the stale actions', async () => {
+      const service = createService({ llmProvider: new MockProvider({ responses: [...script] }) });
+      const session = sessionManager.createSession();
+      sessionManager.pauseSession(session.id);
+
+      const started = service.startTask(session.id, 'Search for something', 'server');
+      await waitFor(() => service.getTaskStatus(started.taskId).status === 'paused');
+      expect(sessionManager.getPauseState(session.id).waitingTasks).toBe(1);
+
+      sessionManager.resumeSession(session.id);
+      const result = await service.waitForTask(started.taskId);
+
+      expect(result.success).toBe(true);
+      expect(executor.executed.map(c => c.type)).not.toContain('click_coordinate');
+      expect(sessionManager.getHistory(session.id).map(m => m.content))
+        .toContainEqual(expect.stringContaining('took manual control'));
+    }, 15000);
+
+    test('should stop waiting when a paused task is cancelled', async () => {
+      const service = createService({ llmProvider: new MockProvider({ responses: [...script] }) });
+      const session = sessionManager.createSession();
+      sessionManager.pauseSession(session.id);
+
+      const started = service.startTask(session.id, 'Search for something', 'server');
+      await waitFor(() => service.getTaskStatus(started.taskId).status === 'paused');
+      service.cancelTask(started.taskId);
+      await service.waitForTask(started.taskId);
+
+      expect(service.getTaskStatus(started.taskId).status).toBe('cancelled');
+      expect(sessionManager.getPauseState(session.id)).toMatchObject({ isPaused: true, waitingTasks: 0 });
+    }, 15000);
+  });
+});
@@ -0,0 +1,246 @@
+const { EventEmitter } = require('events');
+const NetworkManager = require('../src/services/NetworkManager');
+
+function createFakePage() {
+  const page = new EventEmitter();
+  page.setRequestInterception = jest.fn(async enabled => { page.intercepting = enabled; });
+  return page;
+}
+
+function createFakeRequest(url, options = {}) {
+  const request = {
+    url: () => url,
+    method: () => options.method || 'GET',
+    resourceType: () => options.resourceType || 'document',
+    headers: () => options.headers || { accept: '*/*' },
+    postData: () => options.postData,
+    isInterceptResolutionHandled: () => false,
+    abort: jest.fn(async () => {}),
+    respond: jest.fn(async () => {}),
+    continue: jest.fn(async () => {}),
+    failure: () => ({ errorText: 'net::ERR_BLOCKED_BY_CLIENT' }),
+    response: () => request.fakeResponse || null
+  };
+  return request;
+}
+
+function createFakeResponse(request, options = {}) {
+  const body = Buffer.from(options.body || '');
+  const response = {
+    request: () => request,
+    status: () => options.status || 200,
+    statusText: () => 'OK',
+    headers: () => ({ 'content-type': options.contentType || 'text/html', ...options.headers }),
+    remoteAddress: () => ({ ip: '127.0.0.1', port: 443 }),
+    buffer: async () => body
+  };
+  request.fakeResponse = response;
+  return response;
+}
+
+describe('NetworkManager', () => {
+  const sessionId = 'network-test-session';
+  let network;
+  let page;
+
+  beforeEach(async () => {
+    network = new NetworkManager();
+    page = createFakePage();
+    await network.attachPage(sessionId, page);
+  });
+
+  const send = async request => {
+    page.emit('request', request);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  describe('URL patterns', () => {
+    test('should treat plain patterns as globs', () => {
+      const pattern = NetworkManager.compileUrlPattern('*://*.doubleclick.net/*');
+      expect(pattern.test('https://ads.doubleclick.net/pixel?id=1')).toBe(true);
+      expect(pattern.test('https://example.com/doubleclick.net')).toBe(false);
+    });
+
+    test('should treat slash-delimited patterns as regular expressions', () => {
+      const pattern = NetworkManager.compileUrlPattern('/\\.(png|jpg)$/i');
+      expect(pattern.test('https://example.com/logo.PNG')).toBe(true);
+      expect(pattern.test('https://example.com/logo.svg')).toBe(false);
+    });
+  });
+
+  describe('rules', () => {
+    test('should only enable interception while rules exist', async () => {
+      expect(page.setRequestInterception).not.toHaveBeenCalled();
+
+      const rule = await network.addRule(sessionId, { action: 'block', urlPattern: '*tracker*' });
+      expect(page.intercepting).toBe(true);
+      expect(network.listRules(sessionId)).toEqual([rule]);
+
+      expect(await network.removeRule(sessionId, rule.id)).toBe(true);
+      expect(page.intercepting).toBe(false);
+      expect(await network.removeRule(sessionId, rule.id)).toBe(false);
+    });
+
+    test('should enable interception on pages attached after rules were added', async () => {
+      await network.addRule(sessionId, { action: 'block', urlPattern: '*' });
+      const laterPage = createFakePage();
+      await network.attachPage(sessionId, laterPage);
+      expect(laterPage.intercepting).toBe(true);
+    });
+
+    test('should reject invalid rules', async () => {
+      expect(network.validateRule({ action: 'drop', urlPattern: '*' })).toMatch(/action must be one of/);
+      expect(network.validateRule({ action: 'block' })).toBe('urlPattern is required');
+      expect(network.validateRule({ action: 'block', urlPattern: '/[/' })).toMatch(/Invalid urlPattern/);
+      expect(network.validateRule({ action: 'headers', urlPattern: '*' })).toMatch(/headers is required/);
+      expect(network.validateRule({ action: 'mock', urlPattern: '*', response: { status: 42 } }))
+        .toMatch(/HTTP status code/);
+      await expect(network.addRule(sessionId, { action: 'block', urlPattern: '*', methods: 'GET' }))
+        .rejects.toThrow('methods must be an array of strings');
+    });
+
+    test('should block matching requests and continue the rest', async () => {
+      await network.addRule(sessionId, { action: 'block', urlPattern: '*', resourceTypes: ['image'] });
+
+      const image = createFakeRequest('https://example.com/a.png', { resourceType: 'image' });
+      const script = createFakeRequest('https://example.com/a.js', { resourceType: 'script' });
+      await send(image);
+      await send(script);
+
+      expect(image.abort).toHaveBeenCalledWith('blockedbyclient');
+      expect(image.continue).not.toHaveBeenCalled();
+      expect(script.continue).toHaveBeenCalledWith();
+    });
+
+    test('should merge headers from all matching header rules', async () => {
+      await network.addRule(sessionId, { action: 'headers', urlPattern: 'https://api.example.com/*', headers: { Authorization: 'Bearer t' } });
+      await network.addRule(sessionId, { action: 'headers', urlPattern: '*', headers: { 'X-Test': 1 } });
+
+      const request = createFakeRequest('https://api.example.com/items');
+      await send(request);
+
+      expect(request.continue).toHaveBeenCalledWith({
+        headers: { accept: '*/*', authorization: 'Bearer t', 'x-test': '1' }
+      });
+    });
+
+    test('should respond with mocked responses', async () => {
+      await network.addRule(sessionId, {
+        action: 'mock',
+        urlPattern: '*/api/user',
+        methods: ['get'],
+        response: { status: 201, json: { name: 'Ada' } }
+      });
+
+      const get = createFakeRequest('https://example.com/api/user');
+      const post = createFakeRequest('https://example.com/api/user', { method: 'POST' });
+      await send(get);
+      await send(post);
+
+      expect(get.respond).toHaveBeenCalledWith({
+        status: 201,
+        headers: {},
+        contentType: 'application/json',
+        body: '{"name":"Ada"}'
+      });
+      expect(post.respond).not.toHaveBeenCalled();
+      expect(post.continue).toHaveBeenCalled();
+    });
+
+    test('should leave requests alone that another handler already resolved', async () => {
+      await network.addRule(sessionId, { action: 'block', urlPattern: '*' });
+      const request = createFakeRequest('https://example.com/');
+      request.isInterceptResolutionHandled = () => true;
+      await send(request);
+      expect(request.abort).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HAR recording', () => {
+    test('should record requests only while recording', async () => {
+      await send(createFakeRequest('https://example.com/before'));
+      expect(network.getHar(sessionId)).toBeNull();
+
+      network.startHar(sessionId, { captureContent: true });
+      const request = createFakeRequest('https://example.com/page?q=shoes', { postData: 'a=1', method: 'POST' });
+      await send(request);
+      page.emit('response', createFakeResponse(request, { body: '<html></html>' }));
+      page.emit('requestfinished', request);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const status = network.stopHar(sessionId);
+      expect(status).toMatchObject({ recording: false, captureContent: true, entryCount: 1 });
+      await send(createFakeRequest('https://example.com/after'));
+
+      const har = network.getHar(sessionId);
+      expect(har.log.version).toBe('1.2');
+      expect(har.log.entries).toHaveLength(1);
+
+      const [entry] = har.log.entries;
+      expect(entry.request).toMatchObject({
+        method: 'POST',
+        url: 'https://example.com/page?q=shoes',
+        queryString: [{ name: 'q', value: 'shoes' }],
+        postData: { text: 'a=1' },
+        bodySize: 3
+      });
+      expect(entry.response).toMatchObject({
+        status: 200,
+        content: { size: 13, mimeType: 'text/html', text: '<html></html>' }
+      });
+      expect(entry.serverIPAddress).toBe('127.0.0.1');
+      expect(entry).not.toHaveProperty('startTime');
+    });
+
+    test('should record blocked requests as failed entries', async () => {
+      await network.addRule(sessionId, { action: 'block', urlPattern: '*' });
+      network.startHar(sessionId);
+
+      const request = createFakeRequest('https://tracker.example/pixel');
+      await send(request);
+      page.emit('requestfailed', request);
+
+      const [entry] = network.getHar(sessionId).log.entries;
+      expect(entry.response.status).toBe(0);
+      expect(entry.response._error).toBe('net::ERR_BLOCKED_BY_CLIENT');
+    });
+
+    test('should not capture bodies unless requested', async () => {
+      network.startHar(sessionId);
+      const request = createFakeRequest('https://example.com/');
+      await send(request);
+      page.emit('response', createFakeResponse(request, { body: 'hello' }));
+      page.emit('requestfinished', request);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [entry] = network.getHar(sessionId).log.entries;
+      expect(entry.response.content).toEqual({ size: 5, mimeType: 'text/html' });
+    });
+
+    test('should drop entries beyond the configured limit', async () => {
+      network = new NetworkManager({ maxHarEntries: 2 });
+      await network.attachPage(sessionId, page);
+      network.startHar(sessionId);
+      for (let i = 0; i < 3; i++) {
+        await send(createFakeRequest(`https://example.com/${i}`));
+      }
+      expect(network.stopHar(sessionId)).toMatchObject({ entryCount: 2, droppedEntries: 1 });
+    });
+  });
+
+  describe('commands', () => {
+    test('should manage rules and recordings through commands', async () => {
+      const run = (type, payload) => network.executeCommand(sessionId, { type, payload });
+
+      const { rule } = await run('add_network_rule', { action: 'block', urlPattern: '*.woff2' });
+      expect((await run('list_network_rules')).rules).toHaveLength(1);
+      await expect(run('remove_network_rule', { ruleId: 'missing' })).rejects.toThrow('Unknown network rule: missing');
+      expect((await run('remove_network_rule', { ruleId: rule.id })).rules).toEqual([]);
+      expect(await run('clear_network_rules')).toEqual({ removed: 0 });
+
+      await expect(run('stop_har')).rejects.toThrow('No HAR recording for this session');
+      expect((await run('start_har')).har).toMatchObject({ recording: true, entryCount: 0 });
+      expect((await run('stop_har')).har.recording).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionManager = require('../src/services/SessionManager');
+const ReceiptRunner = require('../src/services/ReceiptRunner');
+const NaturalLanguageTaskService = require('../src/services/NaturalLanguageTaskService');
+const { MockProvider } = require('../src/llm');
+const { MemoryStore, JsonFileStore } = require('../src/stores');
+
+/**
+ * Stand-in for CommandExecutor that records raw commands
+ */
+function createFakeExecutor() {
+  let counter = 0;
+  return {
+    executed: [],
+    cleanedUp: [],
+    validateCommand(command) {
+      if (command.type === 'navigate' && !command.payload?.url) {
+        throw new Error('URL is required for navigate command');
+      }
+    },
+    async executeCommand(sessionId, command) {
+      this.executed.push({ sessionId, command });
+      counter++;
+      if (command.payload?.selector === '#missing') {
+        return { success: false, commandId: `cmd-${counter}`, error: 'Element not found: #missing' };
+      }
+      return { success: true, commandId: `cmd-${counter}`, result: { type: command.type } };
+    },
+    async cleanupSession(sessionId) {
+      this.cleanedUp.push(sessionId);
+    }
+  };
+}
+
+/**
+ * Stand-in for NaturalLanguageTaskService that fails queries containing "fail"
+ */
+function createFakeNlService() {
+  let counter = 0;
+  const jobs = new Map();
+  return {
+    started: [],
+    startTask(sessionId, query, executionMode, options) {
+      this.started.push({ sessionId, query, executionMode, options });
+      const taskId = `nl-${++counter}`;
+      jobs.set(taskId, Promise.resolve(query.includes('fail')
+        ? { success: false, error: `Could not run: ${query}` }
+        : { success: true, response: `done: ${query}`, iterations: 1, execution: { status: 'completed' } }));
+      return { taskId };
+    },
+    waitForTask(taskId) {
+      return jobs.get(taskId);
+    },
+    cancelTask() {
+      return true;
+    }
+  };
+}
+
+const receipt = {
+  version: '1.0',
+  createdAt: '2024-01-15T10:00:00Z',
+  tasks: [
+    { id: 't1', type: 'natural_language_task', params: { query: 'open example.com' } },
+    { id: 't2', type: 'natural_language_task', params: { query: 'fail on purpose' } },
+    { id: 't3', type: 'natural_language_task', params: { query: 'read the title' } }
+  ]
+};
+
+describe('ReceiptRunner', () => {
+  let sessionManager;
+  let executor;
+  let nlService;
+  let runner;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    executor = createFakeExecutor();
+    nlService = createFakeNlService();
+    runner = new ReceiptRunner(sessionManager, executor, nlService, { store: new MemoryStore({ idField: 'executionId' }) });
+  });
+
+  afterEach(async () => {
+    await sessionManager.cleanup();
+  });
+
+  test('should validate receipts', () => {
+    expect(runner.validateReceipt(null)).toMatch(/must be a JSON object/);
+    expect(runner.validateReceipt({ tasks: [] })).toMatch(/missing version/);
+    expect(runner.validateReceipt({ version: '1.0', tasks: [{ id: 'a', type: 'x', params: {} }] }))
+      .toMatch(/index 0: missing params.query/);
+    expect(runner.validateReceipt(receipt)).toBeNull();
+  });
+
+  test('should record per-task status and results', async () => {
+    const started = runner.startExecution(receipt);
+    expect(started.status).toBe('running');
+    expect(sessionManager.getSession(started.sessionId)).toBeDefined();
+
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(execution.status).toBe('completed_with_errors');
+    expect(execution.summary).toEqual({ totalTasks: 3, completedTasks: 2, failedTasks: 1, skippedTasks: 0, hasErrors: true });
+    expect(execution.tasks.map(t => t.status)).toEqual(['completed', 'failed', 'completed']);
+    expect(execution.tasks[0].result).toMatchObject({ response: 'done: open example.com', iterations: 1 });
+    expect(execution.tasks[0].nlTaskId).toBe('nl-1');
+    expect(execution.tasks[1].error).toMatch(/fail on purpose/);
+    expect(execution.tasks[2].durationMs).toBeGreaterThanOrEqual(0);
+    expect(nlService.started.every(task => task.sessionId === started.sessionId)).toBe(true);
+    expect(executor.executed).toHaveLength(0);
+  });
+
+  test('should delete the session of a finished run unless it is kept', async () => {
+    const done = runner.startExecution(receipt);
+    await runner.waitForExecution(done.executionId);
+    expect(executor.cleanedUp).toEqual([done.sessionId]);
+    expect(sessionManager.getSession(done.sessionId)).toBeNull();
+
+    const kept = runner.startExecution(receipt, {}, {}, null, { keepSession: true });
+    const execution = await runner.waitForExecution(kept.executionId);
+    expect(execution.keepSession).toBe(true);
+    expect(executor.cleanedUp).toEqual([done.sessionId]);
+    expect(sessionManager.getSession(kept.sessionId)).toBeDefined();
+  });
+
+  test('should expose progress while running', async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    nlService.waitForTask = () => pending;
+
+    const started = runner.startExecution({ ...receipt, tasks: receipt.tasks.slice(0, 1) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const running = runner.getExecution(started.executionId);
+    expect(running.status).toBe('running');
+    expect(running.tasks[0].status).toBe('running');
+
+    release({ success: true, response: 'done' });
+    const finished = await runner.waitForExecution(started.executionId);
+    expect(finished.status).toBe('completed');
+  });
+
+  test('should list executions with status and date filters', async () => {
+    const first = runner.startExecution({ ...receipt, tasks: receipt.tasks.slice(0, 1) });
+    await runner.waitForExecution(first.executionId);
+    const second = runner.startExecution({ ...receipt, tasks: receipt.tasks.slice(1, 2) });
+    await runner.waitForExecution(second.executionId);
+
+    expect(runner.listExecutions().map(e => e.executionId)).toEqual([second.executionId, first.executionId]);
+    expect(runner.listExecutions({ status: 'failed' }).map(e => e.executionId)).toEqual([second.executionId]);
+    expect(runner.listExecutions({ from: new Date(Date.now() + 60000) })).toHaveLength(0);
+    expect(runner.listExecutions({ to: new Date(Date.now() + 60000) })).toHaveLength(2);
+    expect(runner.listExecutions()[0].tasks).toBeUndefined();
+  });
+
+  test('should run v2 receipts with variables, conditions and dependencies', async () => {
+    const receiptV2 = {
+      version: '2.0',
+      variables: { origin: { required: true }, destination: 'London' },
+      tasks: [
+        { id: 'report', type: 'natural_language_task', dependsOn: ['search'], params: { query: 'summarize results' } },
+        { id: 'search', type: 'natural_language_task', params: { query: 'flights from {{origin}} to {{destination}}' }, timeout: 5000 },
+        { id: 'retry', type: 'natural_language_task', when: { task: 'search', status: 'failed' }, params: { query: 'search elsewhere' } },
+        { id: 'broken', type: 'natural_language_task', params: { query: 'fail here' }, continueOnError: true },
+        { id: 'last', type: 'natural_language_task', when: { task: 'search', path: 'result.response', contains: 'Berlin' }, params: { query: 'done' } }
+      ]
+    };
+
+    expect(runner.validateReceipt(receiptV2)).toBe('Missing required variable: origin');
+
+    const started = runner.startExecution(receiptV2, {}, { origin: 'Berlin' });
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(execution.variables).toEqual({ origin: 'Berlin', destination: 'London' });
+    expect(nlService.started.map(task => task.query))
+      .toEqual(['flights from Berlin to London', 'summarize results', 'fail here', 'done']);
+    expect(execution.tasks.map(t => t.status)).toEqual(['completed', 'completed', 'skipped', 'failed', 'completed']);
+    expect(execution.tasks[2].skipReason).toBe('Condition not met');
+    expect(execution.status).toBe('completed_with_errors');
+    expect(execution.summary.skippedTasks).toBe(1);
+  });
+
+  test('should mix raw commands with natural language steps in one session', async () => {
+    const receiptV2 = {
+      version: '2.0',
+      variables: { site: 'https://example.com' },
+      tasks: [
+        { id: 'open', type: 'navigate', params: { url: '{{site}}' } },
+        { id: 'accept', type: 'click', params: { selector: '#accept' } },
+        { id: 'search', type: 'natural_language_task', params: { query: 'search on {{site}}', executionMode: 'server', llm: { provider: 'mock' } } },
+        { id: 'headline', type: 'extract', dependsOn: ['search'], params: { selector: 'h1' }, timeout: 5000 }
+      ]
+    };
+
+    expect(runner.validateReceipt({ ...receiptV2, tasks: [{ id: 'open', type: 'navigate', params: {} }] }))
+      .toBe('Invalid task open: URL is required for navigate command');
+    expect(runner.validateReceipt(receiptV2)).toBeNull();
+
+    const started = runner.startExecution(receiptV2);
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(execution.status).toBe('completed');
+    expect(executor.executed.map(e => e.command)).toEqual([
+      { type: 'navigate', payload: { url: 'https://example.com' }, timeout: 30000 },
+      { type: 'click', payload: { selector: '#accept' }, timeout: 30000 },
+      { type: 'extract', payload: { selector: 'h1' }, timeout: 5000 }
+    ]);
+    expect(nlService.started).toEqual([{
+      sessionId: started.sessionId,
+      query: 'search on https://example.com',
+      executionMode: 'server',
+      options: { llm: { provider: 'mock' } }
+    }]);
+    expect(executor.executed.every(e => e.sessionId === started.sessionId)).toBe(true);
+    expect(execution.tasks.map(t => t.commandId)).toEqual(['cmd-1', 'cmd-2', null, 'cmd-3']);
+  });
+
+  test('should fail raw command tasks whose command failed', async () => {
+    const started = runner.startExecution({
+      version: '2.0',
+      tasks: [
+        { id: 'open', type: 'navigate', params: { url: 'https://example.com' } },
+        { id: 'accept', type: 'click', params: { selector: '#missing' } },
+        { id: 'read', type: 'getTitle', params: {} }
+      ]
+    });
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(execution.tasks.map(t => t.status)).toEqual(['completed', 'failed', 'skipped']);
+    expect(execution.tasks[1]).toMatchObject({ error: 'Element not found: #missing', result: null });
+    expect(execution.tasks[2].skipReason).toBe('Run stopped after task accept failed');
+    expect(execution.status).toBe('completed_with_errors');
+  });
+
+  test('should cancel natural language tasks that exceed their timeout', async () => {
+    nlService.waitForTask = jest.fn()
+      .mockReturnValueOnce(new Promise(() => {}))
+      .mockResolvedValueOnce({ success: false, error: 'cancelled' });
+    nlService.cancelTask = jest.fn();
+
+    const started = runner.startExecution({
+      version: '2.0',
+      tasks: [{ id: 'slow', type: 'natural_language_task', params: { query: 'take forever' }, timeout: 20 }]
+    });
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(nlService.cancelTask).toHaveBeenCalledWith('nl-1');
+    expect(execution.tasks[0].error).toBe('Natural language task timeout after 20ms');
+  });
+
+  test('should stop v2 runs on errors unless continueOnError is set', async () => {
+    const started = runner.startExecution({
+      version: '2.0',
+      tasks: [
+        { id: 'a', type: 'natural_language_task', params: { query: 'fail first' } },
+        { id: 'b', type: 'natural_language_task', params: { query: 'never runs' } }
+      ]
+    });
+    const execution = await runner.waitForExecution(started.executionId);
+
+    expect(execution.status).toBe('failed');
+    expect(execution.tasks[1].status).toBe('skipped');
+    expect(execution.tasks[1].skipReason).toBe('Run stopped after task a failed');
+  });
+
+  test('should keep history across restarts and fail interrupted runs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-store-'));
+    const filePath = path.join(dir, 'executions.json');
+    const createStore = () => new JsonFileStore({ filePath, collection: 'executions', idField: 'executionId' });
+
+    try {
+      const store = createStore();
+      runner = new ReceiptRunner(sessionManager, executor, nlService, { store });
+      const done = runner.startExecution(receipt);
+      await runner.waitForExecution(done.executionId);
+
+      nlService.waitForTask = () => new Promise(() => {});
+      const interrupted = runner.startExecution(receipt);
+      await new Promise(resolve => setImmediate(resolve));
+      store.flush();
+
+      const restored = new ReceiptRunner(sessionManager, executor, nlService, { store: createStore() });
+      expect(restored.getExecution(done.executionId).status).toBe('completed_with_errors');
+      const failed = restored.getExecution(interrupted.executionId);
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toMatch(/interrupted/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should share conversation history between natural language tasks', async () => {
+    const screenshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-screenshots-'));
+    executor.executeCommand = async (sessionId, command) => {
+      executor.executed.push({ sessionId, command });
+      if (command.type === 'screenshot') {
+        return { result: { screenshot: `data:image/png;base64,${Buffer.from('frame').toString('base64')}` } };
+      }
+      return { commandId: `cmd-${executor.executed.length}`, result: { elements: [] } };
+    };
+
+    try {
+      const provider = new MockProvider();
+      const service = new NaturalLanguageTaskService(sessionManager, executor, { llmProvider: provider });
+      service.screenshotDir = screenshotDir;
+      runner = new ReceiptRunner(sessionManager, executor, service, { store: new MemoryStore({ idField: 'executionId' }) });
+
+      const started = runner.startExecution({
+        version: '2.0',
+        tasks: [
+          { id: 'open', type: 'navigate', params: { url: 'https://example.com' } },
+          { id: 'first', type: 'natural_language_task', params: { query: 'find the login form', executionMode: 'server' } },
+          { id: 'second', type: 'natural_language_task', params: { query: 'now sign in', executionMode: 'server' } }
+        ]
+      }, {}, {}, null, { keepSession: true });
+      const execution = await runner.waitForExecution(started.executionId);
+
+      expect(execution.tasks.map(t => t.status)).toEqual(['completed', 'completed', 'completed']);
+      expect(executor.executed[0].command.type).toBe('navigate');
+
+      const userMessages = sessionManager.getHistory(started.sessionId)
+        .filter(entry => entry.role === 'user')
+        .map(entry => entry.content);
+      expect(userMessages).toEqual(['find the login form', 'now sign in']);
+
+      // The second task is prompted with the first task's conversation
+      const secondTaskPrompt = provider.calls.find(call => call.prompt.includes('now sign in')).prompt;
+      expect(secondTaskPrompt).toContain('find the login form');
+      expect(service.listTasks(started.sessionId)).toHaveLength(2);
+    } finally {
+      fs.rmSync(screenshotDir, { recursive: true, force: true });
+    }
+  }, 15000);
+});
@@ -0,0 +1,188 @@
+const ReceiptScheduler = require('../src/services/ReceiptScheduler');
+const { MemoryStore } = require('../src/stores');
+const { parseCron, nextCronDate } = require('../src/utils/cron');
+
+const receipt = {
+  version: '2.0',
+  variables: { product: { required: true } },
+  tasks: [{ id: 'price', type: 'natural_language_task', params: { query: 'check the price of {{product}}' } }]
+};
+
+/**
+ * Stand-in for ReceiptRunner; executions finish when released
+ */
+function createFakeRunner() {
+  let counter = 0;
+  const pending = new Map();
+  return {
+    started: [],
+    validateReceipt(candidate, variables) {
+      if (!candidate.tasks) return 'Invalid receipt: tasks must be an array';
+      if (!variables.product) return 'Missing required variable: product';
+      return null;
+    },
+    startExecution(candidate, metadata, variables) {
+      const executionId = `exec-${++counter}`;
+      this.started.push({ executionId, metadata, variables });
+      let resolve;
+      pending.set(executionId, { promise: new Promise(r => { resolve = r; }), resolve });
+      return { executionId, sessionId: `session-${counter}`, status: 'running' };
+    },
+    waitForExecution(executionId) {
+      return pending.get(executionId).promise;
+    },
+    finish(executionId, status = 'completed') {
+      pending.get(executionId).resolve({ executionId, status, error: null });
+      return pending.get(executionId).promise;
+    }
+  };
+}
+
+describe('cron', () => {
+  test('should parse lists, ranges, steps and names', () => {
+    const parsed = parseCron('*/15 6-8 * JAN,jun mon-fri');
+    expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+    expect([...parsed.hour]).toEqual([6, 7, 8]);
+    expect([...parsed.month]).toEqual([1, 6]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => parseCron('* * *')).toThrow(/5 fields/);
+    expect(() => parseCron('61 * * * *')).toThrow(/out of range/);
+    expect(() => parseCron('* * * * funday')).toThrow(/Invalid dayOfWeek/);
+    expect(() => parseCron('*/0 * * * *')).toThrow(/step/);
+  });
+
+  test('should find the next matching time', () => {
+    const from = new Date(2024, 0, 15, 7, 59, 30); // Monday
+    expect(nextCronDate('30 7 * * *', from)).toEqual(new Date(2024, 0, 16, 7, 30));
+    expect(nextCronDate('0 8 * * 1-5', from)).toEqual(new Date(2024, 0, 15, 8, 0));
+    expect(nextCronDate('0 9 * * 0', from)).toEqual(new Date(2024, 0, 21, 9, 0));
+    expect(nextCronDate('@monthly', from)).toEqual(new Date(2024, 1, 1, 0, 0));
+    expect(nextCronDate('0 0 29 2 *', from)).toEqual(new Date(2024, 1, 29, 0, 0));
+  });
+
+  test('should match either day field when both are restricted', () => {
+    const from = new Date(2024, 0, 15, 12, 0); // Monday
+    expect(nextCronDate('0 0 20 * 3', from)).toEqual(new Date(2024, 0, 17, 0, 0)); // Wednesday first
+  });
+});
+
+describe('ReceiptScheduler', () => {
+  let runner;
+  let scheduler;
+
+  beforeEach(() => {
+    runner = createFakeRunner();
+    scheduler = new ReceiptScheduler(runner, { store: new MemoryStore({ idField: 'scheduleId' }) });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  const input = { name: 'Morning price check', cron: '0 7 * * *', receipt, variables: { product: 'coffee' } };
+
+  test('should validate schedules', () => {
+    expect(scheduler.validateSchedule({ ...input, cron: 'often' })).toMatch(/Invalid cron/);
+    expect(scheduler.validateSchedule({ ...input, jitterSeconds: -5 })).toMatch(/jitterSeconds/);
+    expect(scheduler.validateSchedule({ ...input, maxConcurrency: 0 })).toMatch(/maxConcurrency/);
+    expect(scheduler.validateSchedule({ ...input, variables: {} })).toBe('Missing required variable: product');
+    expect(scheduler.validateSchedule({ cron: '0 8 * * *' }, { partial: true, current: input })).toBeNull();
+    expect(scheduler.validateSchedule(input)).toBeNull();
+  });
+
+  test('should plan the next run from the cron expression with jitter', () => {
+    const schedule = scheduler.createSchedule({ ...input, jitterSeconds: 120 });
+
+    expect(schedule.status).toBe('active');
+    const slot = new Date(schedule.scheduledFor);
+    expect(slot.getHours()).toBe(7);
+    expect(slot.getMinutes()).toBe(0);
+    const delay = new Date(schedule.nextRunAt) - slot;
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThan(120 * 1000);
+  });
+
+  test('should run due schedules and keep run history', async () => {
+    const schedule = scheduler.createSchedule(input);
+
+    scheduler.tick(new Date(schedule.nextRunAt));
+
+    expect(runner.started).toHaveLength(1);
+    expect(runner.started[0].variables).toEqual({ product: 'coffee' });
+    expect(runner.started[0].metadata.scheduleId).toBe(schedule.scheduleId);
+
+    const updated = scheduler.getSchedule(schedule.scheduleId);
+    expect(new Date(updated.nextRunAt) > new Date(schedule.nextRunAt)).toBe(true);
+    expect(updated.runningCount).toBe(1);
+
+    await runner.finish('exec-1', 'completed_with_errors');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [run] = scheduler.getRuns(schedule.scheduleId);
+    expect(run).toMatchObject({
+      trigger: 'schedule',
+      scheduledFor: schedule.scheduledFor,
+      executionId: 'exec-1',
+      sessionId: 'session-1',
+      status: 'completed_with_errors'
+    });
+    expect(scheduler.getSchedule(schedule.scheduleId).runningCount).toBe(0);
+  });
+
+  test('should skip runs beyond max concurrency', () => {
+    const schedule = scheduler.createSchedule({ ...input, maxConcurrency: 1 });
+
+    expect(scheduler.runNow(schedule.scheduleId).status).toBe('running');
+    const skipped = scheduler.runNow(schedule.scheduleId);
+
+    expect(skipped.status).toBe('skipped');
+    expect(skipped.error).toMatch(/Max concurrency of 1/);
+    expect(runner.started).toHaveLength(1);
+    expect(scheduler.getRuns(schedule.scheduleId).map(run => run.status)).toEqual(['skipped', 'running']);
+  });
+
+  test('should not run paused schedules until resumed', () => {
+    const schedule = scheduler.createSchedule(input);
+    const paused = scheduler.pauseSchedule(schedule.scheduleId);
+
+    expect(paused.status).toBe('paused');
+    expect(paused.nextRunAt).toBeNull();
+    scheduler.tick(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+    expect(runner.started).toHaveLength(0);
+
+    const resumed = scheduler.resumeSchedule(schedule.scheduleId);
+    expect(resumed.status).toBe('active');
+    expect(resumed.nextRunAt).not.toBeNull();
+  });
+
+  test('should update, list and delete schedules', () => {
+    const schedule = scheduler.createSchedule(input);
+
+    const updated = scheduler.updateSchedule(schedule.scheduleId, { cron: '30 6 * * 1-5', maxConcurrency: 2 });
+    expect(updated.maxConcurrency).toBe(2);
+    expect(new Date(updated.scheduledFor).getMinutes()).toBe(30);
+
+    expect(scheduler.listSchedules()).toHaveLength(1);
+    expect(scheduler.listSchedules({ status: 'paused' })).toHaveLength(0);
+
+    expect(scheduler.deleteSchedule(schedule.scheduleId)).toBe(true);
+    expect(scheduler.getSchedule(schedule.scheduleId)).toBeNull();
+    expect(scheduler.deleteSchedule(schedule.scheduleId)).toBe(false);
+  });
+
+  test('should mark interrupted runs as failed after a restart', () => {
+    const store = new MemoryStore({ idField: 'scheduleId' });
+    scheduler = new ReceiptScheduler(runner, { store });
+    const schedule = scheduler.createSchedule(input);
+    scheduler.runNow(schedule.scheduleId);
+
+    const restarted = new ReceiptScheduler(runner, { store });
+    const [run] = restarted.getRuns(schedule.scheduleId);
+    expect(run.status).toBe('failed');
+    expect(run.error).toMatch(/interrupted/);
+    expect(restarted.getSchedule(schedule.scheduleId).runningCount).toBe(0);
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionManager = require('../src/services/SessionManager');
+const RecordingReplayer = require('../src/services/RecordingReplayer');
+const { MemoryStore } = require('../src/stores');
+const { encodePng } = require('../src/utils/png');
+
+/**
+ * Solid color PNG screenshot as a data URL
+ */
+function screenshotOf(color) {
+  const data = Buffer.alloc(4 * 4 * 4);
+  for (let i = 0; i < 16; i++) {
+    data.set(color, i * 4);
+  }
+  return `data:image/png;base64,${encodePng({ width: 4, height: 4, data }).toString('base64')}`;
+}
+
+/**
+ * Stand-in for CommandExecutor with a scripted page
+ */
+function createFakeExecutor(page) {
+  let counter = 0;
+  return {
+    executed: [],
+    cleanedUp: [],
+    validateCommand(command) {
+      if (command.type === 'navigate' && !command.payload?.url) {
+        throw new Error('URL is required for navigate command');
+      }
+    },
+    async executeCommand(sessionId, command) {
+      this.executed.push(command);
+      const commandId = `cmd-${++counter}`;
+      switch (command.type) {
+        case 'navigate':
+          page.url = command.payload.url;
+          return { commandId, result: { url: page.url } };
+        case 'getTitle':
+          return { commandId, result: { title: page.title, url: page.url } };
+        case 'getText':
+          return { commandId, result: { text: page.text[command.payload.selector], selector: command.payload.selector } };
+        case 'waitForElement':
+          return { commandId, result: { found: command.payload.selector in page.text } };
+        case 'screenshot':
+          return { commandId, result: { screenshot: page.screenshot } };
+        case 'click':
+          return command.payload.selector === '#missing'
+            ? { commandId, success: false, error: 'Element not found: #missing' }
+            : { commandId, result: { clicked: true } };
+        default:
+          return { commandId, result: {} };
+      }
+    },
+    async cleanupSession(sessionId) {
+      this.cleanedUp.push(sessionId);
+    }
+  };
+}
+
+describe('RecordingReplayer', () => {
+  let sessionManager;
+  let page;
+  let executor;
+  let replayer;
+  let screenshotDir;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    page = { url: 'about:blank', title: 'Results', text: { h1: 'Results' }, screenshot: screenshotOf([200, 200, 200, 255]) };
+    executor = createFakeExecutor(page);
+    screenshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    replayer = new RecordingReplayer(sessionManager, executor, {
+      store: new MemoryStore({ idField: 'replayId' }),
+      screenshotDir
+    });
+  });
+
+  afterEach(async () => {
+    await sessionManager.cleanup();
+    fs.rmSync(screenshotDir, { recursive: true, force: true });
+  });
+
+  const recording = steps => ({ version: 1, source: { sessionId: 'original' }, steps });
+  const options = { settleMs: 0 };
+
+  test('should replay steps and check their assertions on a new session', async () => {
+    const started = replayer.startReplay(recording([
+      { type: 'navigate', payload: { url: 'https://example.com/results' }, assertions: [{ type: 'url', contains: 'example.com/results' }] },
+      { type: 'click', payload: { selector: 'button' }, assertions: [
+        { type: 'title', equals: 'Results' },
+        { type: 'text', selector: 'h1', matches: '^Res' },
+        { type: 'element', selector: 'h1' }
+      ] }
+    ]), options);
+
+    expect(started.status).toBe('running');
+    expect(sessionManager.getSession(started.sessionId).metadata).toMatchObject({ source: 'replay', replayOf: 'original' });
+
+    const replay = await replayer.waitForReplay(started.replayId);
+    expect(replay.status).toBe('passed');
+    expect(replay.summary).toEqual({ totalSteps: 2, passedSteps: 2, failedSteps: 0, skippedSteps: 0 });
+    expect(replay.steps[1].assertions.map(assertion => assertion.passed)).toEqual([true, true, true]);
+    expect(executor.executed.filter(command => command.type === 'click')).toHaveLength(1);
+    expect(executor.cleanedUp).toEqual([started.sessionId]);
+  });
+
+  test('should stop at the first failed step unless told to continue', async () => {
+    const steps = [
+      { type: 'click', payload: { selector: '#missing' } },
+      { type: 'click', payload: { selector: 'button' }, assertions: [{ type: 'title', equals: 'Checkout' }] },
+      { type: 'click', payload: { selector: 'button' } }
+    ];
+
+    const stopped = await replayer.waitForReplay(replayer.startReplay(recording(steps), options).replayId);
+    expect(stopped.status).toBe('failed');
+    expect(stopped.steps.map(step => step.status)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(stopped.steps[0].error).toBe('Element not found: #missing');
+
+    const continued = await replayer.waitForReplay(
+      replayer.startReplay(recording(steps), { ...options, stopOnFailure: false }).replayId
+    );
+    expect(continued.steps.map(step => step.status)).toEqual(['failed', 'failed', 'passed']);
+    expect(continued.steps[1].error).toBe('Assertion failed: title equals "Checkout", got "Results"');
+  });
+
+  test('should compare screenshots and save actual and diff images', async () => {
+    const steps = [{ type: 'navigate', payload: { url: 'https://example.com' }, screenshot: screenshotOf([200, 200, 200, 255]) }];
+
+    const same = await replayer.waitForReplay(replayer.startReplay(recording(steps), options).replayId);
+    expect(same.steps[0].screenshot).toMatchObject({ passed: true, compared: true, diffPixels: 0, diffRatio: 0 });
+
+    page.screenshot = screenshotOf([0, 0, 0, 255]);
+    const changed = await replayer.waitForReplay(replayer.startReplay(recording(steps), options).replayId);
+    expect(changed.status).toBe('failed');
+    expect(changed.steps[0].screenshot).toMatchObject({ passed: false, diffRatio: 1 });
+    expect(changed.steps[0].error).toBe('Screenshot differs: 100.00% of pixels differ (threshold 2.00%)');
+
+    const { actualUrl, diffUrl } = changed.steps[0].screenshot;
+    expect(fs.existsSync(path.join(screenshotDir, path.basename(actualUrl)))).toBe(true);
+    expect(fs.existsSync(path.join(screenshotDir, path.basename(diffUrl)))).toBe(true);
+
+    const skipped = await replayer.waitForReplay(
+      replayer.startReplay(recording(steps), { ...options, compareScreenshots: false }).replayId
+    );
+    expect(skipped.status).toBe('passed');
+    expect(skipped.steps[0].screenshot).toBeNull();
+  });
+
+  test('should validate recordings against the command executor', () => {
+    expect(replayer.validateReplay(recording([{ type: 'navigate', payload: {} }])))
+      .toBe('Invalid step 0: URL is required for navigate command');
+    expect(replayer.validateReplay(recording([{ type: 'click' }]), { pixelTolerance: 300 }))
+      .toBe('options.pixelTolerance must be a number between 0 and 255');
+    expect(replayer.validateReplay(recording([{ type: 'click' }]))).toBeNull();
+  });
+
+  test('should list replays newest first and keep sessions on request', async () => {
+    const first = replayer.startReplay(recording([{ type: 'click' }]), options);
+    const second = replayer.startReplay(recording([{ type: 'click' }]), { ...options, keepSession: true });
+    await replayer.waitForReplay(first.replayId);
+    await replayer.waitForReplay(second.replayId);
+
+    const replays = replayer.listReplays();
+    expect(replays.map(replay => replay.replayId)).toEqual([second.replayId, first.replayId]);
+    expect(replays[0].steps).toBeUndefined();
+    expect(executor.cleanedUp).toEqual([first.sessionId]);
+  });
+});
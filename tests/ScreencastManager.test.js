@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const ScreencastManager = require('../src/services/ScreencastManager');
+
+/**
+ * Fake CDP session that records commands and lets tests push screencast frames
+ */
+function createFakeCDPSession() {
+  const cdp = new EventEmitter();
+  cdp.sent = [];
+  cdp.send = jest.fn(async (method, params) => { cdp.sent.push({ method, params }); });
+  cdp.detach = jest.fn(async () => {});
+  cdp.pushFrame = (sessionId = 1) => cdp.emit('Page.screencastFrame', {
+    data: Buffer.from(`frame-${sessionId}`).toString('base64'),
+    metadata: { deviceWidth: 1920, deviceHeight: 1080, timestamp: sessionId },
+    sessionId
+  });
+  return cdp;
+}
+
+function createFakePage() {
+  const page = { cdpSessions: [] };
+  page.createCDPSession = jest.fn(async () => {
+    const cdp = createFakeCDPSession();
+    page.cdpSessions.push(cdp);
+    return cdp;
+  });
+  return page;
+}
+
+describe('ScreencastManager', () => {
+  const sessionId = 'screencast-test-session';
+  let screencast;
+
+  beforeEach(() => {
+    screencast = new ScreencastManager();
+  });
+
+  const flush = () => screencast.getState(sessionId).updates;
+
+  test('should only stream while somebody is watching', async () => {
+    const page = createFakePage();
+    await screencast.setPage(sessionId, page, 'tab-1');
+    expect(page.createCDPSession).not.toHaveBeenCalled();
+
+    const messages = [];
+    const unsubscribe = screencast.subscribe(sessionId, message => messages.push(message));
+    await flush();
+
+    const [cdp] = page.cdpSessions;
+    expect(cdp.sent[0]).toEqual({
+      method: 'Page.startScreencast',
+      params: { format: 'jpeg', quality: 60, maxWidth: 1280, maxHeight: 720 }
+    });
+    expect(messages).toEqual([{ type: 'status', streaming: true, tabId: 'tab-1', options: expect.any(Object) }]);
+
+    unsubscribe();
+    await flush();
+    expect(cdp.sent.map(entry => entry.method)).toContain('Page.stopScreencast');
+    expect(cdp.detach).toHaveBeenCalled();
+  });
+
+  test('should acknowledge every frame and forward them within the FPS limit', async () => {
+    const page = createFakePage();
+    await screencast.setPage(sessionId, page, 'tab-1');
+    const frames = [];
+    screencast.subscribe(sessionId, message => message.type === 'frame' && frames.push(message));
+    await flush();
+
+    const [cdp] = page.cdpSessions;
+    cdp.pushFrame(1);
+    cdp.pushFrame(2); // Too soon for 10 FPS
+
+    expect(cdp.send).toHaveBeenCalledWith('Page.screencastFrameAck', { sessionId: 1 });
+    expect(cdp.send).toHaveBeenCalledWith('Page.screencastFrameAck', { sessionId: 2 });
+    expect(frames).toHaveLength(1);
+    expect(frames[0]).toMatchObject({
+      type: 'frame',
+      tabId: 'tab-1',
+      format: 'jpeg',
+      data: Buffer.from('frame-1').toString('base64'),
+      metadata: { deviceWidth: 1920, deviceHeight: 1080 }
+    });
+  });
+
+  test('should follow the active tab', async () => {
+    const first = createFakePage();
+    const second = createFakePage();
+    await screencast.setPage(sessionId, first, 'tab-1');
+    const messages = [];
+    screencast.subscribe(sessionId, message => messages.push(message));
+    await flush();
+
+    await screencast.setPage(sessionId, second, 'tab-2');
+    expect(first.cdpSessions[0].detach).toHaveBeenCalled();
+    expect(second.cdpSessions).toHaveLength(1);
+    expect(messages[messages.length - 1]).toMatchObject({ type: 'status', streaming: true, tabId: 'tab-2' });
+
+    // Frames of the old tab are no longer forwarded
+    first.cdpSessions[0].pushFrame(1);
+    expect(messages.filter(message => message.type === 'frame')).toHaveLength(0);
+  });
+
+  test('should restart the screencast with new options', async () => {
+    const page = createFakePage();
+    await screencast.setPage(sessionId, page, 'tab-1');
+    screencast.subscribe(sessionId, () => {});
+    await flush();
+
+    expect(await screencast.updateOptions(sessionId, { quality: 30, fps: 5 }))
+      .toEqual({ quality: 30, fps: 5, maxWidth: 1280, maxHeight: 720 });
+    expect(page.cdpSessions).toHaveLength(2);
+    expect(page.cdpSessions[1].sent[0].params).toMatchObject({ quality: 30 });
+
+    await expect(screencast.updateOptions(sessionId, { quality: 0 }))
+      .rejects.toThrow('Invalid screencast options: quality must be an integer between 1 and 100');
+  });
+
+  test('should report when the browser goes away', async () => {
+    const page = createFakePage();
+    await screencast.setPage(sessionId, page, 'tab-1');
+    const messages = [];
+    screencast.subscribe(sessionId, message => messages.push(message));
+    await flush();
+
+    await screencast.clearSession(sessionId);
+    expect(messages[messages.length - 1]).toMatchObject({ type: 'status', streaming: false, tabId: null });
+    expect(screencast.getSubscriberCount(sessionId)).toBe(1);
+  });
+});
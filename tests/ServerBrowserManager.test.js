@@ -0,0 +1,451 @@
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+
+process.env.LAUNCH_PROFILE_DIR = path.join(os.tmpdir(), 'server-browser-manager-test-profiles');
+
+/**
+ * Minimal puppeteer stand-in: pages are event emitters and every new page
+ * is announced through 'targetcreated' of its browser context like a real
+ * browser does.
+ */
+function createFakePage(owner, url = 'about:blank') {
+  const page = new EventEmitter();
+  page.currentUrl = url;
+  page.url = () => page.currentUrl;
+  page.title = async () => `Title of ${page.currentUrl}`;
+  page.goto = async target => { page.currentUrl = target; };
+  page.bringToFront = jest.fn(async () => {});
+  page.setViewport = jest.fn(async () => {});
+  page.setUserAgent = jest.fn(async () => {});
+  page.emulateTimezone = jest.fn(async () => {});
+  page.setGeolocation = jest.fn(async () => {});
+  page.setExtraHTTPHeaders = jest.fn(async () => {});
+  page.setRequestInterception = jest.fn(async () => {});
+  page.cdp = { send: jest.fn(async () => {}) };
+  page.createCDPSession = async () => page.cdp;
+  page.setDefaultTimeout = () => {};
+  page.setDefaultNavigationTimeout = () => {};
+  page.close = async () => { page.emit('close'); };
+  page.evaluate = async () => ({ text: 'body text' });
+  page.openPopup = popupUrl => {
+    const popup = createFakePage(owner, popupUrl);
+    owner.emit('targetcreated', { type: () => 'page', page: async () => popup });
+    return popup;
+  };
+  return page;
+}
+
+function addFakePages(owner) {
+  owner.newPage = async () => {
+    const page = createFakePage(owner);
+    owner.emit('targetcreated', { type: () => 'page', page: async () => page });
+    return page;
+  };
+}
+
+function mockCreateFakeBrowser() {
+  const browser = new EventEmitter();
+  addFakePages(browser);
+  browser.contexts = [];
+  browser.createBrowserContext = jest.fn(async options => {
+    const context = new EventEmitter();
+    addFakePages(context);
+    context.id = `context-${browser.contexts.length + 1}`;
+    context.options = options;
+    context.close = jest.fn(async () => {});
+    context.cookieJar = [];
+    context.cookies = async () => context.cookieJar;
+    context.setCookie = jest.fn(async (...cookies) => { context.cookieJar.push(...cookies); });
+    browser.contexts.push(context);
+    return context;
+  });
+  browser.cdp = { send: jest.fn(async () => {}) };
+  browser.target = () => ({ createCDPSession: async () => browser.cdp });
+  browser.process = () => null;
+  browser.close = async () => { browser.emit('disconnected'); };
+  return browser;
+}
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn(async () => mockCreateFakeBrowser()),
+  KnownDevices: jest.requireActual('puppeteer').KnownDevices
+}));
+
+const puppeteer = require('puppeteer');
+const ServerBrowserManager = require('../src/services/ServerBrowserManager');
+const { getProfileDir } = require('../src/utils/launchOptions');
+
+describe('ServerBrowserManager tabs', () => {
+  let manager;
+  const sessionId = 'tabs-test-session';
+
+  beforeEach(() => {
+    manager = new ServerBrowserManager();
+  });
+
+  afterEach(async () => {
+    await manager.cleanup();
+  });
+
+  const run = (type, payload = {}) => manager.executeCommand(sessionId, { type, payload });
+
+  test('should open, list, switch and close tabs', async () => {
+    const first = await run('list_tabs');
+    expect(first.success).toBe(true);
+    expect(first.result.tabs).toHaveLength(1);
+    expect(first.result.activeTabId).toBe('tab-1');
+
+    const opened = await run('new_tab', { url: 'https://example.com' });
+    expect(opened.result).toMatchObject({ tabId: 'tab-2', url: 'https://example.com', active: true });
+
+    const switched = await run('switch_tab', { tabId: 'tab-1' });
+    expect(switched.result).toMatchObject({ tabId: 'tab-1', active: true });
+    expect(manager.getPage(sessionId).bringToFront).toHaveBeenCalled();
+
+    const closed = await run('close_tab');
+    expect(closed.result).toMatchObject({ closed: 'tab-1', activeTabId: 'tab-2' });
+
+    const tabs = await run('list_tabs');
+    expect(tabs.result.tabs.map(tab => tab.tabId)).toEqual(['tab-2']);
+  });
+
+  test('should run commands in the tab given by payload.tabId', async () => {
+    await run('navigate', { url: 'https://first.example' });
+    await run('new_tab', { url: 'https://second.example', activate: false });
+
+    const title = await manager.executeCommand(sessionId, { type: 'navigate', payload: { url: 'https://other.example', tabId: 'tab-2' } });
+    expect(title.result.url).toBe('https://other.example');
+    expect(manager.getPage(sessionId).url()).toBe('https://first.example');
+
+    const unknown = await run('get_text', { tabId: 'tab-99' });
+    expect(unknown.success).toBe(false);
+    expect(unknown.error).toBe('Unknown tab: tab-99');
+  });
+
+  test('should track tabs opened by the page', async () => {
+    await run('list_tabs');
+    manager.getPage(sessionId).openPopup('https://popup.example');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const tabs = await run('list_tabs');
+    expect(tabs.result.tabs).toContainEqual(expect.objectContaining({ tabId: 'tab-2', url: 'https://popup.example', active: false }));
+
+    // Closing the popup from the page side removes it again
+    await manager.getPage(sessionId, 'tab-2').close();
+    expect((await run('list_tabs')).result.tabs).toHaveLength(1);
+  });
+
+  test('should open a fresh tab after the last one was closed', async () => {
+    await run('close_tab');
+    expect(manager.getPage(sessionId)).toBeNull();
+
+    const result = await run('get_text');
+    expect(result.success).toBe(true);
+    expect((await run('list_tabs')).result.activeTabId).toBe('tab-2');
+  });
+});
+
+describe('ServerBrowserManager launch options', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ServerBrowserManager();
+    puppeteer.launch.mockClear();
+  });
+
+  afterEach(async () => {
+    await manager.cleanup();
+  });
+
+  const run = (sessionId, launchOptions, type = 'list_tabs', payload = {}, tenant = 'default') =>
+    manager.executeCommand(sessionId, { type, payload }, { launchOptions, tenant });
+
+  test('should launch with the session options and apply them to every tab', async () => {
+    await run('emulated-session', {
+      device: 'iPhone 13',
+      locale: 'de-DE',
+      timezone: 'Europe/Berlin',
+      geolocation: { latitude: 52.52, longitude: 13.4 },
+      proxy: 'http://proxy.internal:3128'
+    });
+
+    // The session runs in an incognito context of a pooled browser
+    const browser = await puppeteer.launch.mock.results[0].value;
+    const context = manager.getBrowser('emulated-session');
+    expect(browser.createBrowserContext).toHaveBeenCalledWith({ proxyServer: 'http://proxy.internal:3128' });
+    expect(browser.cdp.send).toHaveBeenCalledWith('Browser.grantPermissions', { permissions: ['geolocation'], browserContextId: context.id });
+
+    const page = manager.getPage('emulated-session');
+    expect(page.setViewport).toHaveBeenCalledWith(expect.objectContaining({ width: 390, height: 844, isMobile: true }));
+    expect(page.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('iPhone'));
+    expect(page.emulateTimezone).toHaveBeenCalledWith('Europe/Berlin');
+    expect(page.cdp.send).toHaveBeenCalledWith('Emulation.setLocaleOverride', { locale: 'de-DE' });
+    expect(page.setExtraHTTPHeaders).toHaveBeenCalledWith({ 'Accept-Language': 'de-DE' });
+    expect(page.setGeolocation).toHaveBeenCalledWith({ latitude: 52.52, longitude: 13.4, accuracy: 0 });
+
+    // Popups get the same emulation
+    const popup = page.openPopup('https://popup.example');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(popup.emulateTimezone).toHaveBeenCalledWith('Europe/Berlin');
+    expect(popup.setViewport).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the defaults without launch options', async () => {
+    await run('plain-session');
+
+    expect(puppeteer.launch.mock.calls[0][0].args).toContain('--window-size=1920,1080');
+    const page = manager.getPage('plain-session');
+    expect(page.setViewport).toHaveBeenCalledWith({ width: 1920, height: 1080 });
+    expect(page.setUserAgent).not.toHaveBeenCalled();
+    expect(page.emulateTimezone).not.toHaveBeenCalled();
+  });
+
+  test('should use a persistent profile for one session at a time', async () => {
+    await run('profile-owner', { profile: 'shared-login', locale: 'de-DE', viewport: { width: 1280, height: 720 } });
+    // Profiles get a browser of their own
+    const { args, userDataDir } = puppeteer.launch.mock.calls[0][0];
+    expect(userDataDir).toBe(getProfileDir('shared-login', 'default'));
+    expect(args).toEqual(expect.arrayContaining(['--window-size=1280,720', '--lang=de-DE']));
+    expect(manager.getPoolMetrics()).toMatchObject({ dedicated: 1, contexts: 0, active: 1 });
+
+    const blocked = await run('profile-second', { profile: 'shared-login' });
+    expect(blocked.success).toBe(false);
+    expect(blocked.error).toBe('Profile shared-login is in use by session profile-owner');
+
+    // Closing the owner's browser frees the profile
+    await manager.closeBrowser('profile-owner');
+    expect((await run('profile-second', { profile: 'shared-login' })).success).toBe(true);
+  });
+
+  test('should keep the persistent profiles of tenants apart', async () => {
+    await run('acme-session', { profile: 'shared-login' }, 'list_tabs', {}, 'acme');
+    const other = await run('globex-session', { profile: 'shared-login' }, 'list_tabs', {}, 'globex');
+    expect(other.success).toBe(true);
+
+    const userDataDirs = puppeteer.launch.mock.calls.map(([options]) => options.userDataDir);
+    expect(userDataDirs).toEqual([getProfileDir('shared-login', 'acme'), getProfileDir('shared-login', 'globex')]);
+    expect(userDataDirs[0]).toBe(path.join(process.env.LAUNCH_PROFILE_DIR, 'acme', 'shared-login'));
+
+    // Within a tenant the profile still serves one session at a time
+    const blocked = await run('acme-second', { profile: 'shared-login' }, 'list_tabs', {}, 'acme');
+    expect(blocked.error).toBe('Profile shared-login is in use by session acme-session');
+  });
+});
+
+describe('ServerBrowserManager browser pool', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ServerBrowserManager({ pool: { size: 1, maxConcurrency: 2, acquireTimeout: 50 } });
+    puppeteer.launch.mockClear();
+  });
+
+  afterEach(async () => {
+    await manager.cleanup();
+  });
+
+  const run = sessionId => manager.executeCommand(sessionId, { type: 'list_tabs', payload: {} });
+
+  test('should give sessions their own context of a warm browser', async () => {
+    manager.start();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(manager.getPoolMetrics()).toMatchObject({ browsers: 1, warm: 1, launched: 1 });
+
+    await run('pool-first');
+    await run('pool-second');
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    expect(manager.getBrowser('pool-first')).not.toBe(manager.getBrowser('pool-second'));
+    expect(manager.getPoolMetrics()).toMatchObject({ contexts: 2, active: 2, warm: 0 });
+
+    // Beyond the concurrency limit, sessions wait and give up after the acquire timeout
+    const blocked = await run('pool-third');
+    expect(blocked.success).toBe(false);
+    expect(blocked.error).toBe('No browser available within 50 ms (2 in use)');
+
+    const context = manager.getBrowser('pool-first');
+    await manager.closeBrowser('pool-first');
+    expect(context.close).toHaveBeenCalled();
+    expect((await run('pool-third')).success).toBe(true);
+  });
+
+  test('should start one browser for concurrent commands of a new session', async () => {
+    const results = await Promise.all([run('concurrent-session'), run('concurrent-session'), run('concurrent-session')]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    const browser = await puppeteer.launch.mock.results[0].value;
+    expect(browser.createBrowserContext).toHaveBeenCalledTimes(1);
+    expect(manager.getPoolMetrics()).toMatchObject({ contexts: 1, active: 1 });
+
+    // The session's only lease is released on close
+    await manager.closeBrowser('concurrent-session');
+    expect(browser.contexts[0].close).toHaveBeenCalled();
+    expect(manager.getPoolMetrics()).toMatchObject({ contexts: 0, active: 0 });
+  });
+
+  test('should release a browser whose session closed while it started', async () => {
+    const launch = manager.launchBrowser('closed-session');
+    await manager.closeBrowser('closed-session');
+
+    await expect(launch).rejects.toThrow('Session closed during browser launch');
+    expect(manager.getBrowser('closed-session')).toBeNull();
+    expect(manager.getPoolMetrics()).toMatchObject({ active: 0 });
+  });
+
+  test('should drop the dead browser of a crashed session', async () => {
+    await run('crash-session');
+    const browser = await puppeteer.launch.mock.results[0].value;
+    browser.emit('disconnected');
+
+    expect(manager.getBrowser('crash-session')).toBeNull();
+    expect(manager.getPage('crash-session')).toBeNull();
+    expect(manager.getPoolMetrics().crashed).toBe(1);
+
+    const result = await run('crash-session');
+    expect(result.success).toBe(true);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('ServerBrowserManager crash recovery', () => {
+  const sessionId = 'recovery-session';
+  const cookie = { name: 'sid', value: 'abc', domain: 'shop.example', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' };
+  let manager;
+  let events;
+
+  beforeEach(async () => {
+    manager = new ServerBrowserManager({ pool: { size: 0 } });
+    puppeteer.launch.mockClear();
+    events = [];
+    for (const type of ['browser_lost', 'browser_recovered', 'browser_recovery_failed']) {
+      manager.on(type, event => events.push({ type, ...event }));
+    }
+
+    await run('navigate', { url: 'https://shop.example/cart' });
+    manager.getBrowser(sessionId).cookieJar.push(cookie);
+    await run('list_tabs'); // Snapshot now includes the cookie
+  });
+
+  afterEach(async () => {
+    await manager.cleanup();
+  });
+
+  const run = (type, payload = {}) => manager.executeCommand(sessionId, { type, payload });
+  const launchedBrowser = index => puppeteer.launch.mock.results[index].value;
+
+  test('should relaunch a crashed browser with the last URL and cookies', async () => {
+    (await launchedBrowser(0)).emit('disconnected');
+    const details = await manager.recoverSession(sessionId);
+
+    expect(details).toMatchObject({ reason: 'Browser disconnected', attempts: 1, restoredUrl: 'https://shop.example/cart', restoredCookies: 1 });
+    expect(events.map(event => event.type)).toEqual(['browser_lost', 'browser_recovered']);
+    expect(manager.getPage(sessionId).url()).toBe('https://shop.example/cart');
+    expect(manager.getBrowser(sessionId).setCookie).toHaveBeenCalledWith(expect.objectContaining({ name: 'sid', domain: 'shop.example' }));
+    expect(await manager.recoverSession(sessionId)).toBeNull();
+  });
+
+  test('should retry the command in flight once after recovering', async () => {
+    const browser = await launchedBrowser(0);
+    manager.getPage(sessionId).goto = async () => {
+      browser.connected = false;
+      browser.emit('disconnected');
+      throw new Error('Protocol error: Connection closed');
+    };
+
+    const result = await run('navigate', { url: 'https://shop.example/checkout' });
+    expect(result.success).toBe(true);
+    expect(result.result).toMatchObject({ url: 'https://shop.example/checkout', recovered: true });
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    expect(events.map(event => event.type)).toEqual(['browser_lost', 'browser_recovered']);
+  });
+
+  test('should recover from a crashed tab with a new context', async () => {
+    const context = manager.getBrowser(sessionId);
+    manager.getPage(sessionId).emit('error', new Error('Page crashed!'));
+    await manager.recoverSession(sessionId);
+
+    expect(context.close).toHaveBeenCalled();
+    expect(manager.getBrowser(sessionId)).not.toBe(context);
+    expect(events[0]).toMatchObject({ type: 'browser_lost', reason: 'Tab crashed: Page crashed!' });
+    expect(manager.getPoolMetrics()).toMatchObject({ active: 1, crashed: 0 });
+  });
+
+  test('should keep network rules and the HAR recording of a recovered session', async () => {
+    await run('add_network_rule', { id: 'no-ads', urlPattern: '*://ads.example/*', action: 'block' });
+    await run('start_har');
+    (await launchedBrowser(0)).emit('disconnected');
+    await manager.recoverSession(sessionId);
+
+    const page = manager.getPage(sessionId);
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+    const request = {
+      url: () => 'https://ads.example/banner.js',
+      method: () => 'GET',
+      resourceType: () => 'script',
+      headers: () => ({}),
+      postData: () => undefined,
+      isInterceptResolutionHandled: () => false,
+      abort: jest.fn(async () => {}),
+      continue: jest.fn(async () => {})
+    };
+    page.emit('request', request);
+    expect(request.abort).toHaveBeenCalledWith('blockedbyclient');
+
+    expect((await run('list_network_rules')).result.rules).toEqual([expect.objectContaining({ id: 'no-ads' })]);
+    expect((await run('stop_har')).result.har).toMatchObject({ entryCount: 1 });
+  });
+
+  test('should report failed recoveries and try again on the next command', async () => {
+    puppeteer.launch.mockRejectedValueOnce(new Error('Browser launch timeout'));
+    (await launchedBrowser(0)).emit('disconnected');
+    await expect(manager.recoverSession(sessionId)).rejects.toThrow('Browser launch timeout');
+    expect(events[1]).toMatchObject({ type: 'browser_recovery_failed', error: 'Browser launch timeout', attempts: 1 });
+
+    const result = await run('list_tabs');
+    expect(result.success).toBe(true);
+    expect(events[2]).toMatchObject({ type: 'browser_recovered', attempts: 2, restoredUrl: 'https://shop.example/cart' });
+  });
+});
+
+describe('ServerBrowserManager session cleanup', () => {
+  const SessionManager = require('../src/services/SessionManager');
+  const CommandExecutor = require('../src/services/CommandExecutor');
+  const BrowserPool = require('../src/services/BrowserPool');
+  let sessionManager;
+  let executor;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    executor = new CommandExecutor(sessionManager);
+    const manager = executor.serverBrowser;
+    manager.pool = new BrowserPool(key => manager.startChrome(key), { size: 0, maxConcurrency: 2, acquireTimeout: 50 });
+  });
+
+  afterEach(async () => {
+    await executor.cleanup();
+    await sessionManager.cleanup();
+  });
+
+  const runIn = async session => {
+    sessionManager.updateSessionStatus(session.id, 'active');
+    return executor.executeCommand(session.id, { type: 'list_tabs' });
+  };
+
+  test('should give the browsers of deleted sessions back to the pool', async () => {
+    const first = sessionManager.createSession();
+    const second = sessionManager.createSession();
+    await runIn(first);
+    await runIn(second);
+    expect(executor.serverBrowser.getPoolMetrics()).toMatchObject({ active: 2 });
+
+    await sessionManager.deleteSession(first.id);
+    await sessionManager.deleteSession(second.id);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(executor.serverBrowser.getPoolMetrics()).toMatchObject({ active: 0 });
+    expect(executor.serverBrowser.getBrowser(first.id)).toBeNull();
+
+    const third = await runIn(sessionManager.createSession());
+    expect(third.success).toBe(true);
+    expect(executor.serverBrowser.getPoolMetrics()).toMatchObject({ active: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+const SessionEventBus = require('../src/services/SessionEventBus');
+
+describe('SessionEventBus', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = new SessionEventBus({ bufferSize: 3 });
+  });
+
+  test('should deliver events only to subscribers of the session', () => {
+    const received = [];
+    const other = [];
+    const unsubscribe = bus.subscribe('s1', event => received.push(event));
+    bus.subscribe('s2', event => other.push(event));
+
+    const event = bus.publish('s1', 'command_started', { commandId: 'c1' });
+    expect(event).toMatchObject({ sessionId: 's1', type: 'command_started', data: { commandId: 'c1' } });
+    expect(received).toEqual([event]);
+    expect(other).toEqual([]);
+
+    unsubscribe();
+    bus.publish('s1', 'command_finished');
+    expect(received).toHaveLength(1);
+    expect(bus.getSubscriberCount('s1')).toBe(0);
+  });
+
+  test('should replay buffered events newer than the last event ID', () => {
+    const first = bus.publish('s1', 'task_iteration', { iteration: 1 });
+    bus.publish('s1', 'task_iteration', { iteration: 2 });
+
+    const received = [];
+    bus.subscribe('s1', event => received.push(event.data.iteration), { lastEventId: first.id });
+    bus.publish('s1', 'task_iteration', { iteration: 3 });
+
+    expect(received).toEqual([2, 3]);
+  });
+
+  test('should keep only the most recent events per session', () => {
+    for (let i = 1; i <= 5; i++) {
+      bus.publish('s1', 'task_iteration', { iteration: i });
+    }
+    expect(bus.getRecentEvents('s1').map(event => event.data.iteration)).toEqual([3, 4, 5]);
+
+    bus.clearSession('s1');
+    expect(bus.getRecentEvents('s1')).toEqual([]);
+  });
+});
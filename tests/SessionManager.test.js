@@ -1,4 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const SessionManager = require('../src/services/SessionManager');
+const CommandExecutor = require('../src/services/CommandExecutor');
+const { FileSessionStore } = require('../src/stores');
 
 describe('SessionManager', () => {
   let sessionManager;
@@ -90,6 +95,46 @@ describe('SessionManager', () => {
     });
   });
 
+  describe('Ownership and Tenant Quotas', () => {
+    const alice = { username: 'alice', role: 'operator', tenant: 'acme' };
+    const bob = { username: 'bob', role: 'operator', tenant: 'beta' };
+    const admin = { username: 'root', role: 'admin', tenant: 'ops' };
+
+    test('should tag sessions with their owner and limit access to the tenant', () => {
+      const session = sessionManager.createSession({}, alice);
+      const unowned = sessionManager.createSession();
+
+      expect(session.owner).toEqual({ username: 'alice', tenant: 'acme' });
+      expect(unowned.owner).toEqual({ username: null, tenant: SessionManager.DEFAULT_TENANT });
+      expect(sessionManager.canAccess(session, alice)).toBe(true);
+      expect(sessionManager.canAccess(session, { ...bob, tenant: 'acme' })).toBe(true);
+      expect(sessionManager.canAccess(session, bob)).toBe(false);
+      expect(sessionManager.canAccess(session, admin)).toBe(true);
+      expect(sessionManager.canAccess(session, null)).toBe(false);
+
+      expect(sessionManager.listActiveSessions(bob)).toEqual([]);
+      expect(sessionManager.listActiveSessions(alice).map(s => s.id)).toEqual([session.id]);
+      expect(sessionManager.listActiveSessions(admin)).toHaveLength(2);
+    });
+
+    test('should enforce concurrent session quotas per tenant', async () => {
+      await sessionManager.cleanup();
+      sessionManager = new SessionManager({ maxSessionsPerTenant: 2, tenantQuotas: 'beta:1' });
+
+      const first = sessionManager.createSession({}, alice);
+      sessionManager.createSession({}, alice);
+      expect(() => sessionManager.createSession({}, alice)).toThrow('Session quota reached for tenant acme (2)');
+
+      sessionManager.createSession({}, bob);
+      expect(() => sessionManager.createSession({}, bob)).toThrow('Session quota reached for tenant beta (1)');
+      expect(sessionManager.getTenantUsage('acme')).toEqual({ tenant: 'acme', active: 2, quota: 2 });
+
+      // Ending a session frees its slot
+      await sessionManager.deleteSession(first.id);
+      expect(sessionManager.createSession({}, alice).owner.tenant).toBe('acme');
+    });
+  });
+
   describe('Session Deletion', () => {
     test('should delete existing session', async () => {
       const session = sessionManager.createSession();
@@ -165,4 +210,128 @@ describe('SessionManager', () => {
       expect(updated.connectionInfo).toBeNull();
     });
   });
+
+  describe('Pause Gate', () => {
+    test('should not block running sessions', async () => {
+      const session = sessionManager.createSession();
+      await expect(sessionManager.waitWhilePaused(session.id)).resolves.toBeUndefined();
+      expect(sessionManager.getPauseState(session.id)).toMatchObject({ isPaused: false, queuedCommands: 0 });
+    });
+
+    test('should hold waiters until the session is resumed', async () => {
+      const session = sessionManager.createSession();
+      sessionManager.pauseSession(session.id, 'login_required');
+
+      let released = 0;
+      const command = sessionManager.waitWhilePaused(session.id).then(() => released++);
+      const task = sessionManager.waitWhilePaused(session.id, { kind: 'task' }).then(() => released++);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(released).toBe(0);
+      expect(sessionManager.getPauseState(session.id)).toMatchObject({
+        isPaused: true,
+        pauseReason: 'login_required',
+        queuedCommands: 1,
+        waitingTasks: 1
+      });
+      expect(sessionManager.getPauseState(session.id).pausedAt).toBeInstanceOf(Date);
+
+      sessionManager.resumeSession(session.id);
+      await Promise.all([command, task]);
+      expect(released).toBe(2);
+      expect(sessionManager.getPauseState(session.id)).toMatchObject({ isPaused: false, queuedCommands: 0, waitingTasks: 0 });
+    });
+
+    test('should reject waiters when the session is deleted or the wait is aborted', async () => {
+      const session = sessionManager.createSession();
+      sessionManager.pauseSession(session.id);
+
+      const controller = new AbortController();
+      const aborted = sessionManager.waitWhilePaused(session.id, { signal: controller.signal });
+      controller.abort();
+      await expect(aborted).rejects.toThrow('Aborted while session was paused');
+      expect(sessionManager.getPauseState(session.id).queuedCommands).toBe(0);
+
+      const waiting = sessionManager.waitWhilePaused(session.id);
+      await sessionManager.deleteSession(session.id);
+      await expect(waiting).rejects.toThrow(`Session deleted: ${session.id}`);
+    });
+
+    test('should queue commands until resume unless they bypass the pause', async () => {
+      const executor = new CommandExecutor(sessionManager);
+      executor.serverBrowser.executeCommand = jest.fn(async () => ({ success: true, result: {} }));
+      const session = sessionManager.createSession();
+      sessionManager.pauseSession(session.id);
+
+      const queued = executor.executeCommand(session.id, { type: 'get_text' });
+      await executor.executeCommand(session.id, { type: 'screenshot' }, { bypassPause: true });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(executor.serverBrowser.executeCommand).toHaveBeenCalledTimes(1);
+      expect(sessionManager.getPauseState(session.id).queuedCommands).toBe(1);
+
+      sessionManager.resumeSession(session.id);
+      await expect(queued).resolves.toMatchObject({ success: true });
+      expect(executor.serverBrowser.executeCommand.mock.calls.map(([, command]) => command.type))
+        .toEqual(['screenshot', 'get_text']);
+    });
+  });
+
+  describe('Session Persistence', () => {
+    let storePath;
+
+    beforeEach(() => {
+      storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')), 'sessions.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+    });
+
+    test('should restore sessions, history and commands after restart', async () => {
+      const first = new SessionManager({ store: new FileSessionStore({ filePath: storePath }) });
+      const session = first.createSession({ browser: 'persisted' });
+      first.addToHistory(session.id, { role: 'user', content: 'Open example.com' });
+      first.addCommand(session.id, { id: 'cmd-1', type: 'navigate', payload: { url: 'https://example.com' } });
+      await first.cleanup();
+
+      const second = new SessionManager({ store: new FileSessionStore({ filePath: storePath }) });
+      const restored = second.getSession(session.id);
+
+      expect(restored).toBeTruthy();
+      expect(restored.metadata.browser).toBe('persisted');
+      expect(restored.history).toEqual([{ role: 'user', content: 'Open example.com' }]);
+      expect(restored.commands[0]).toMatchObject({ id: 'cmd-1', type: 'navigate' });
+      expect(restored.createdAt).toBeInstanceOf(Date);
+      expect(restored.isConnected).toBe(false);
+      await second.cleanup();
+    });
+
+    test('should drop expired sessions from the store on startup', async () => {
+      const first = new SessionManager({ store: new FileSessionStore({ filePath: storePath }) });
+      const session = first.createSession();
+      session.lastActivity = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      await first.cleanup();
+
+      const second = new SessionManager({ store: new FileSessionStore({ filePath: storePath }) });
+      expect(second.getSession(session.id)).toBeNull();
+      await second.cleanup();
+
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      expect(stored.sessions).toHaveLength(0);
+    });
+
+    test('should remove deleted sessions from the store', async () => {
+      const store = new FileSessionStore({ filePath: storePath });
+      const manager = new SessionManager({ store });
+      const session = manager.createSession();
+
+      await manager.deleteSession(session.id);
+      store.flush();
+
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      expect(stored.sessions.map(s => s.id)).not.toContain(session.id);
+      await manager.cleanup();
+    });
+  });
 });
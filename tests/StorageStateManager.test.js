@@ -0,0 +1,200 @@
+const { EventEmitter } = require('events');
+const StorageStateManager = require('../src/services/StorageStateManager');
+const { validateStorageState, createStorageState } = require('../src/utils/storageState');
+
+/**
+ * Fake page with per-origin web storage; evaluate() runs the page function
+ * against globals that mimic location/localStorage/sessionStorage.
+ */
+function createFakeStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: index => Array.from(items.keys())[index],
+    getItem: name => (items.has(name) ? items.get(name) : null),
+    setItem: (name, value) => items.set(name, String(value)),
+    items
+  };
+}
+
+function createFakePage(url = 'about:blank') {
+  const page = new EventEmitter();
+  const frame = { url: () => page.currentUrl };
+  page.currentUrl = url;
+  page.storages = new Map(); // origin -> { localStorage, sessionStorage }
+  page.scripts = new Map(); // identifier -> { fn, args }
+  page.nextScriptId = 1;
+  page.url = () => page.currentUrl;
+  page.mainFrame = () => frame;
+
+  page.runInPage = (fn, args) => {
+    const origin = new URL(page.currentUrl).origin;
+    if (!page.storages.has(origin)) {
+      page.storages.set(origin, { localStorage: createFakeStorage(), sessionStorage: createFakeStorage() });
+    }
+    const previous = { location: global.location, localStorage: global.localStorage, sessionStorage: global.sessionStorage };
+    Object.assign(global, { location: { origin }, ...page.storages.get(origin) });
+    try {
+      return fn(...args);
+    } finally {
+      Object.assign(global, previous);
+    }
+  };
+  page.evaluate = async (fn, ...args) => page.runInPage(fn, args);
+  page.evaluateOnNewDocument = jest.fn(async (fn, ...args) => {
+    const identifier = String(page.nextScriptId++);
+    page.scripts.set(identifier, { fn, args });
+    return { identifier };
+  });
+  page.removeScriptToEvaluateOnNewDocument = jest.fn(async identifier => { page.scripts.delete(identifier); });
+  page.goto = async target => {
+    page.currentUrl = target;
+    for (const { fn, args } of page.scripts.values()) {
+      page.runInPage(fn, args);
+    }
+    page.emit('framenavigated', frame);
+  };
+  return page;
+}
+
+function createFakeBrowser(cookies = []) {
+  return {
+    cookies: jest.fn(async () => cookies),
+    setCookie: jest.fn(async () => {})
+  };
+}
+
+describe('storage state validation', () => {
+  test('should accept exported documents', () => {
+    expect(validateStorageState({
+      version: 1,
+      cookies: [{ name: 'sid', value: 'abc', domain: '.example.com', path: '/', expires: -1, sameSite: 'Lax' }],
+      origins: [{ origin: 'https://example.com', localStorage: [{ name: 'token', value: 't' }] }]
+    })).toBeNull();
+    expect(validateStorageState({})).toBeNull();
+  });
+
+  test('should reject malformed documents', () => {
+    expect(validateStorageState(null)).toBe('Storage state must be an object');
+    expect(validateStorageState({ version: 2 })).toBe('Unsupported storage state version: 2');
+    expect(validateStorageState({ cookies: [{ name: 'a', value: 'b' }] })).toBe('cookies[0].domain is required');
+    expect(validateStorageState({ cookies: [{ name: 'a', value: 'b', domain: 'x.com', sameSite: 'lax' }] }))
+      .toMatch(/sameSite must be one of/);
+    expect(validateStorageState({ origins: [{ origin: 'https://example.com/path' }] }))
+      .toMatch(/must be an origin/);
+    expect(validateStorageState({ origins: [{ origin: 'https://example.com', sessionStorage: [{ name: 'a', value: 1 }] }] }))
+      .toBe('origins[0].sessionStorage[0] must have string name and value');
+  });
+
+  test('should filter cookies and origins by origin', () => {
+    const state = createStorageState(
+      [
+        { name: 'a', value: '1', domain: '.example.com' },
+        { name: 'b', value: '2', domain: 'other.com' },
+        { name: 'c', value: '3', domain: 'www.example.com' }
+      ],
+      [{ origin: 'https://app.example.com' }, { origin: 'https://other.com' }],
+      ['https://app.example.com/login']
+    );
+    expect(state.cookies.map(cookie => cookie.name)).toEqual(['a']);
+    expect(state.origins).toEqual([{ origin: 'https://app.example.com' }]);
+  });
+});
+
+describe('StorageStateManager', () => {
+  const sessionId = 'storage-test-session';
+  let manager;
+
+  beforeEach(() => {
+    manager = new StorageStateManager();
+  });
+
+  test('should export cookies and storage of open origins', async () => {
+    const page = createFakePage('https://example.com/account');
+    page.runInPage(() => {
+      localStorage.setItem('token', 'abc');
+      sessionStorage.setItem('step', '2');
+    }, []);
+    const blank = createFakePage();
+    const browser = createFakeBrowser([
+      { name: 'sid', value: 's1', domain: 'example.com', path: '/', expires: -1, session: true, httpOnly: true, secure: true, sameSite: 'Lax', size: 5 }
+    ]);
+
+    const { storageState } = await manager.executeCommand(sessionId, { type: 'export_storage_state' }, browser, [page, blank]);
+
+    expect(storageState.version).toBe(1);
+    expect(storageState.cookies).toEqual([
+      { name: 'sid', value: 's1', domain: 'example.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' }
+    ]);
+    expect(storageState.origins).toEqual([{
+      origin: 'https://example.com',
+      localStorage: [{ name: 'token', value: 'abc' }],
+      sessionStorage: [{ name: 'step', value: '2' }]
+    }]);
+  });
+
+  test('should import cookies and restore storage on the first visit of an origin', async () => {
+    const page = createFakePage();
+    await manager.attachPage(sessionId, page);
+    const browser = createFakeBrowser();
+
+    const { imported } = await manager.executeCommand(sessionId, {
+      type: 'import_storage_state',
+      payload: {
+        storageState: {
+          cookies: [{ name: 'sid', value: 's1', domain: '.example.com', expires: -1, sameSite: 'None', secure: true }],
+          origins: [{ origin: 'https://example.com', localStorage: [{ name: 'token', value: 'abc' }] }]
+        }
+      }
+    }, browser, [page]);
+
+    expect(browser.setCookie).toHaveBeenCalledWith({
+      name: 'sid', value: 's1', domain: '.example.com', path: '/', httpOnly: false, secure: true, sameSite: 'None'
+    });
+    expect(imported).toEqual({ cookies: 1, origins: 1, appliedOrigins: 0, pendingOrigins: ['https://example.com'] });
+
+    // Still exportable before the first visit
+    const before = await manager.exportState(sessionId, browser, [page]);
+    expect(before.origins).toEqual([{ origin: 'https://example.com', localStorage: [{ name: 'token', value: 'abc' }], sessionStorage: [] }]);
+
+    await page.goto('https://example.com/');
+    expect(page.runInPage(() => localStorage.getItem('token'), [])).toBe('abc');
+
+    // Once restored, later visits keep whatever the site stored
+    await manager.getState(sessionId).updates;
+    expect(page.scripts.size).toBe(0);
+    page.runInPage(() => localStorage.setItem('token', 'rotated'), []);
+    await page.goto('https://example.com/again');
+    expect(page.runInPage(() => localStorage.getItem('token'), [])).toBe('rotated');
+  });
+
+  test('should install the restore script in pages attached after the import', async () => {
+    const browser = createFakeBrowser();
+    await manager.importState(sessionId, browser, [], {
+      origins: [{ origin: 'https://example.com', sessionStorage: [{ name: 'cart', value: '3' }] }]
+    });
+
+    const page = createFakePage();
+    await manager.attachPage(sessionId, page);
+    await page.goto('https://example.com/cart');
+    expect(page.runInPage(() => sessionStorage.getItem('cart'), [])).toBe('3');
+  });
+
+  test('should write storage directly into tabs already showing the origin', async () => {
+    const page = createFakePage('https://example.com/');
+    await manager.attachPage(sessionId, page);
+
+    const imported = await manager.importState(sessionId, createFakeBrowser(), [page], {
+      origins: [{ origin: 'https://example.com', localStorage: [{ name: 'theme', value: 'dark' }] }]
+    });
+
+    expect(imported).toMatchObject({ appliedOrigins: 1, pendingOrigins: [] });
+    expect(page.runInPage(() => localStorage.getItem('theme'), [])).toBe('dark');
+    expect(page.evaluateOnNewDocument).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid storage states', async () => {
+    await expect(manager.importState(sessionId, createFakeBrowser(), [], { cookies: 'nope' }))
+      .rejects.toThrow('Invalid storage state: cookies must be an array');
+  });
+});
@@ -0,0 +1,40 @@
+const { validateBatch } = require('../src/utils/commandBatch');
+
+describe('command batches', () => {
+  test('should accept a valid batch', () => {
+    expect(validateBatch({
+      mode: 'continue',
+      variables: { query: 'shoes' },
+      steps: [
+        { id: 'search', type: 'type', payload: { selector: '#q', text: '{{query}}' }, waitFor: { selector: '.results' } },
+        { type: 'getText', payload: { selector: '.count' }, capture: { count: 'text' } },
+        { type: 'click', payload: { selector: '.result[data-count="{{count}}"]' }, waitFor: { url: '/item/', timeout: 5000 } },
+        { type: 'screenshot', waitFor: { delay: 250 } }
+      ]
+    })).toBeNull();
+  });
+
+  test('should validate the batch fields', () => {
+    expect(validateBatch(null)).toBe('Invalid batch: must be a JSON object');
+    expect(validateBatch({ mode: 'atomic', steps: [{ type: 'getTitle' }] }))
+      .toBe('Invalid batch: mode must be one of: stop_on_error, continue');
+    expect(validateBatch({ variables: { 'my-var': 1 }, steps: [{ type: 'getTitle' }] }))
+      .toBe('Invalid batch: invalid variable name my-var');
+    expect(validateBatch({ steps: new Array(101).fill({ type: 'getTitle' }) }))
+      .toBe('Invalid batch: at most 100 steps are allowed');
+  });
+
+  test('should validate steps', () => {
+    const check = step => validateBatch({ steps: [{ type: 'getTitle', id: 'first' }, step] });
+    expect(check({ type: 'getTitle', id: 'first' })).toBe('Invalid batch step 1: duplicate id first');
+    expect(check({ type: 'getTitle', when: {} })).toBe('Invalid batch step 1: unknown field when');
+    expect(check({ type: 'click', payload: { selector: '{{missing}}' } }))
+      .toBe('Invalid batch step 1: references unknown variable {{missing}}');
+    expect(check({ type: 'getTitle', waitFor: { selector: '#a', url: '/b' } }))
+      .toBe('Invalid batch step 1: waitFor needs exactly one of: selector, url, delay');
+    expect(check({ type: 'getTitle', waitFor: { delay: 120000 } }))
+      .toBe('Invalid batch step 1: waitFor.delay must be an integer from 0 to 60000 ms');
+    expect(check({ type: 'getTitle', capture: { 'page title': 'title' } }))
+      .toBe('Invalid batch step 1: invalid capture variable name page title');
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const commandRegistry = require('../src/utils/commandRegistry');
+const NetworkManager = require('../src/services/NetworkManager');
+const StorageStateManager = require('../src/services/StorageStateManager');
+
+const serverSource = fs.readFileSync(path.join(__dirname, '../src/services/ServerBrowserManager.js'), 'utf8');
+const extensionSource = fs.readFileSync(path.join(__dirname, '../extension/background.js'), 'utf8');
+
+/**
+ * Where an executor implements a command outside the registry
+ */
+function hasOwnImplementation(executor, type) {
+  if (executor === 'server') {
+    return serverSource.includes(`case '${type}'`) ||
+      NetworkManager.NETWORK_COMMANDS.includes(type) ||
+      StorageStateManager.STORAGE_COMMANDS.includes(type);
+  }
+  return extensionSource.includes(`case '${type}'`);
+}
+
+describe('commandRegistry', () => {
+  test('should give every command a schema and an implementation for each of its executors', () => {
+    for (const type of commandRegistry.COMMAND_TYPES) {
+      const definition = commandRegistry.getCommand(type);
+      expect(['page', 'input', 'browser']).toContain(definition.kind);
+      expect(definition.payload).toEqual(expect.any(Object));
+      expect(definition.description).toEqual(expect.any(String));
+      expect(definition.executors.every(executor => commandRegistry.EXECUTORS.includes(executor))).toBe(true);
+      if (Object.values(definition.payload).some(field => field.required)) {
+        expect(definition.missing).toEqual(expect.any(String));
+      }
+
+      for (const executor of definition.executors) {
+        const implemented = definition.kind === 'page' ||
+          (definition.kind === 'input' && executor === 'extension')
+          ? typeof definition.page === 'function'
+          : hasOwnImplementation(executor, type);
+        if (!implemented) {
+          throw new Error(`${type} has no ${executor} implementation`);
+        }
+      }
+    }
+  });
+
+  test('should know which executor supports a command', () => {
+    expect(commandRegistry.supports('click', 'extension')).toBe(true);
+    expect(commandRegistry.supports('key_press', 'extension')).toBe(true);
+    expect(commandRegistry.supports('start_har', 'extension')).toBe(false);
+    expect(commandRegistry.supports('start_har', 'server')).toBe(true);
+    expect(commandRegistry.supports('teleport', 'server')).toBe(false);
+    expect(commandRegistry.getCommand('toString')).toBeNull();
+  });
+
+  test('should validate payloads against the schema', () => {
+    expect(commandRegistry.validatePayload('navigate', { url: 'https://example.com' })).toBeNull();
+    expect(commandRegistry.validatePayload('navigate', {})).toBe('URL is required for navigate command');
+    expect(commandRegistry.validatePayload('type', { selector: '#q' })).toBe('Selector and text are required for type command');
+    expect(commandRegistry.validatePayload('click_coordinate', { x: '10', y: 5 }))
+      .toBe('Valid x and y coordinates are required for click_coordinate command');
+    expect(commandRegistry.validatePayload('key_press', undefined)).toBe('Key is required for key_press command');
+    expect(commandRegistry.validatePayload('scroll', { deltaY: 'down' })).toBe('deltaY must be a number for scroll command');
+    expect(commandRegistry.validatePayload('export_storage_state', { origins: 'x' }))
+      .toBe('origins must be an array for export_storage_state command');
+    expect(commandRegistry.validatePayload('switch_tab', { tabId: 3 })).toBeNull();
+    expect(commandRegistry.validatePayload('switch_tab', { tabId: true })).toBe('tabId is required for switch_tab command');
+  });
+
+  test('should parse locators', () => {
+    expect(commandRegistry.parseLocator('#login button')).toEqual({
+      steps: [{ engine: 'css', value: '#login button' }],
+      strict: false
+    });
+    expect(commandRegistry.parseLocator('css=form#login >> role=button[name="Sign >> in"][level=2] >> nth=-1')).toEqual({
+      steps: [
+        { engine: 'css', value: 'form#login' },
+        { engine: 'role', role: 'button', name: { text: 'Sign >> in', exact: true }, level: 2 },
+        { engine: 'nth', index: -1 }
+      ],
+      strict: true
+    });
+    expect(commandRegistry.parseLocator('text=Sign in').steps).toEqual([{ engine: 'text', text: 'Sign in', exact: false }]);
+    expect(commandRegistry.parseLocator("label='Email'").steps).toEqual([{ engine: 'label', text: 'Email', exact: true }]);
+    expect(commandRegistry.parseLocator('role=link[name=Docs]').steps[0].name).toEqual({ text: 'Docs', exact: false });
+    expect(commandRegistry.parseLocator('//div[@id="a"]').steps).toEqual([{ engine: 'xpath', value: '//div[@id="a"]' }]);
+    expect(commandRegistry.parseLocator('xpath=(//li)[2]').strict).toBe(true);
+
+    expect(() => commandRegistry.parseLocator('text=')).toThrow('Invalid locator text=: text= needs a value');
+    expect(() => commandRegistry.parseLocator('#a >> ')).toThrow('Invalid locator #a >> : empty step');
+    expect(() => commandRegistry.parseLocator('nth=first')).toThrow('nth= needs an integer');
+    expect(() => commandRegistry.parseLocator('role=button[name="x"')).toThrow(/expected a role like button/);
+    expect(() => commandRegistry.parseLocator('role=button[name="x"][pressed]')).toThrow('cannot read role options [pressed]');
+    expect(() => commandRegistry.parseLocator('role=heading[level=0]')).toThrow('level must be a positive integer');
+  });
+
+  test('should split locator chains only outside quoted values and brackets', () => {
+    const steps = selector => commandRegistry.parseLocator(selector).steps;
+
+    // An apostrophe inside plain text is not a quote
+    expect(steps("text=Don't >> nth=0")).toEqual([
+      { engine: 'text', text: "Don't", exact: false },
+      { engine: 'nth', index: 0 }
+    ]);
+    expect(steps('text=Say "hi >> nth=1')).toEqual([
+      { engine: 'text', text: 'Say "hi', exact: false },
+      { engine: 'nth', index: 1 }
+    ]);
+
+    // Quoted values, attribute values and role options keep their >>
+    expect(steps("text='Sign >> in' >> nth=1")).toEqual([
+      { engine: 'text', text: 'Sign >> in', exact: true },
+      { engine: 'nth', index: 1 }
+    ]);
+    expect(steps('css=a[title="x >> y"] >> nth=0')[0]).toEqual({ engine: 'css', value: 'a[title="x >> y"]' });
+    expect(steps('xpath=//a[text()="x >> y"]')).toEqual([{ engine: 'xpath', value: '//a[text()="x >> y"]' }]);
+    expect(steps("role=button[name='It\\'s'] >> nth=-1")).toEqual([
+      { engine: 'role', role: 'button', name: { text: "It's", exact: true }, level: null },
+      { engine: 'nth', index: -1 }
+    ]);
+  });
+
+  test('should parse role options and nth steps', () => {
+    const [role] = commandRegistry.parseLocator('role=Heading [level=3][name="a]b"]').steps;
+    expect(role).toEqual({ engine: 'role', role: 'heading', name: { text: 'a]b', exact: true }, level: 3 });
+    expect(commandRegistry.parseLocator("role=tab[name='Plans'][level=1]").steps[0])
+      .toMatchObject({ name: { text: 'Plans', exact: true }, level: 1 });
+    expect(commandRegistry.parseLocator('role=button').steps[0]).toMatchObject({ role: 'button', name: null, level: null });
+
+    expect(commandRegistry.parseLocator('.row >> nth=2').steps[1]).toEqual({ engine: 'nth', index: 2 });
+    expect(commandRegistry.parseLocator('nth= -3').steps).toEqual([{ engine: 'nth', index: -3 }]);
+    expect(() => commandRegistry.parseLocator('.row >> nth=1.5')).toThrow('nth= needs an integer');
+    expect(() => commandRegistry.parseLocator('role=button[level=two]')).toThrow('level must be a positive integer');
+  });
+
+  test('should validate locators in selector fields', () => {
+    expect(commandRegistry.validatePayload('click', { selector: 'role=button[name="Search"]' })).toBeNull();
+    expect(commandRegistry.validatePayload('getText', { selector: 'role=button[title="Search"]' }))
+      .toBe('Invalid locator role=button[title="Search"]: unknown role option title, expected one of: name, level');
+    expect(commandRegistry.validatePayload('scroll', { selector: 'nth=x' })).toMatch(/^Invalid locator nth=x/);
+    // Selector fields without locator support are not parsed
+    expect(commandRegistry.validatePayload('navigate', { url: 'text=' })).toBeNull();
+  });
+
+  test('should run page implementations from the evaluated registry source', async () => {
+    const heading = { getAttribute: name => (name === 'id' ? 'title' : null), textContent: ' Checkout ' };
+    const page = {
+      document: { title: 'Shop', querySelectorAll: selector => (selector === 'h1' ? [heading] : []) },
+      window: { location: { href: 'https://shop.example/' } }
+    };
+
+    const run = (type, payload) => vm.runInNewContext(commandRegistry.pageExpression(type, payload), page);
+    await expect(run('getTitle')).resolves.toEqual({ title: 'Shop', url: 'https://shop.example/' });
+    await expect(run('getAttribute', { selector: 'h1', attribute: 'id' }))
+      .resolves.toEqual({ value: 'title', attribute: 'id', selector: 'h1' });
+    await expect(run('getText', { selector: '#missing' })).rejects.toThrow('Element not found: #missing');
+    expect(page.CommandRegistry).toBeUndefined();
+  });
+
+  test('should poll waiting commands until they find the element or time out', async () => {
+    const runOnce = jest.fn()
+      .mockRejectedValueOnce(new Error('Execution context was destroyed'))
+      .mockResolvedValueOnce({ found: false, selector: '#pay' })
+      .mockResolvedValue({ found: true, selector: '#pay' });
+    const found = await commandRegistry.executePageCommand('waitForElement', { selector: '#pay' }, runOnce);
+    expect(found).toMatchObject({ found: true, selector: '#pay', waitTime: expect.any(Number) });
+    expect(runOnce).toHaveBeenCalledTimes(3);
+
+    const missing = await commandRegistry.executePageCommand('waitForElement', { selector: '#pay', timeout: 0 },
+      async () => ({ found: false, selector: '#pay' }));
+    expect(missing).toMatchObject({ found: false, error: 'Element not found within timeout' });
+
+    const title = await commandRegistry.executePageCommand('getTitle', {}, async () => ({ title: 'Shop' }));
+    expect(title).toEqual({ title: 'Shop', timestamp: expect.any(String) });
+  });
+});
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const puppeteer = require('puppeteer');
+const ServerBrowserManager = require('../src/services/ServerBrowserManager');
+const commandRegistry = require('../src/utils/commandRegistry');
+
+/**
+ * Command conformance suite
+ *
+ * Runs every command that executes in the page through both executors against
+ * the same local fixture and checks that they behave alike: the server path
+ * through ServerBrowserManager, the extension path by loading the registry
+ * into the page and calling it the way extension/background.js does with
+ * chrome.scripting. The locator cases check that both resolve text, role, label,
+ * XPath and chained locators to the same elements. Browser commands (navigation, screenshots, tabs, storage,
+ * network) use executor APIs and are covered by the executors' own tests.
+ *
+ * Needs a runnable Chrome; the suite is skipped without one, unless
+ * REQUIRE_CHROME=true makes a missing Chrome fail the run (set in CI).
+ */
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures/conformance.html'), 'utf8');
+const REGISTRY_SOURCE = fs.readFileSync(require.resolve('../extension/commandRegistry'), 'utf8');
+
+function findChrome() {
+  const candidates = [
+    '/opt/google/chrome/chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/google-chrome',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser'
+  ];
+  const executablePath = candidates.find(candidate => fs.existsSync(candidate)) || puppeteer.executablePath();
+  const probe = spawnSync(executablePath, ['--headless=new', '--no-sandbox', '--version'], { timeout: 10000 });
+  return probe.status === 0 ? executablePath : null;
+}
+
+const chromePath = findChrome();
+if (!chromePath && process.env.REQUIRE_CHROME === 'true') {
+  throw new Error('REQUIRE_CHROME is set but no runnable Chrome was found; install one with `npx puppeteer browsers install chrome`');
+}
+const describeWithChrome = chromePath ? describe : describe.skip;
+
+const pageValue = (page, script) => page.evaluate(script);
+
+const waitForValue = async (page, script, expected) => {
+  for (let i = 0; i < 20 && (await pageValue(page, script)) !== expected; i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return pageValue(page, script);
+};
+
+const centerOf = selector => `(() => {
+  const rect = document.querySelector(${JSON.stringify(selector)}).getBoundingClientRect();
+  return { x: Math.round(rect.left + rect.width / 2), y: Math.round(rect.top + rect.height / 2) };
+})()`;
+
+/**
+ * One case per page or input command
+ * setup: script run in the fixture first; payload: object or (setupResult) => object;
+ * check: async (result, page) => void
+ */
+const CASES = {
+  getTitle: {
+    check: async result => expect(result).toMatchObject({ title: 'Conformance fixture', url: expect.stringMatching(/\/fixture$/) })
+  },
+  getUrl: {
+    check: async result => expect(result.url).toMatch(/\/fixture$/)
+  },
+  getText: {
+    payload: { selector: '#title' },
+    check: async result => expect(result).toMatchObject({ text: 'Command conformance', selector: '#title' })
+  },
+  getAttribute: {
+    payload: { selector: '#link', attribute: 'href' },
+    check: async result => expect(result).toMatchObject({ value: '/next', attribute: 'href' })
+  },
+  get_text: {
+    check: async result => expect(result.text).toContain('Command conformance')
+  },
+  get_page_elements: {
+    check: async result => expect(result.elements).toContainEqual(expect.objectContaining({ elementId: 'button', tagName: 'button' }))
+  },
+  extract: {
+    payload: { selector: 'li', multiple: true },
+    check: async result => {
+      expect(result.count).toBe(3);
+      expect(result.data[1]).toMatchObject({ text: 'Second', tagName: 'li' });
+    }
+  },
+  execute: {
+    payload: { script: 'return document.querySelectorAll("li").length + 1' },
+    check: async result => expect(result.result).toBe(4)
+  },
+  evaluate: {
+    payload: { script: 'document.title.toUpperCase()' },
+    check: async result => expect(result.result).toBe('CONFORMANCE FIXTURE')
+  },
+  waitForElement: {
+    payload: { selector: '#late', timeout: 5000 },
+    check: async result => expect(result).toMatchObject({ found: true, selector: '#late' })
+  },
+  click: {
+    payload: { selector: '#button' },
+    check: async (result, page) => {
+      expect(result.clicked).toBe('#button');
+      expect(await waitForValue(page, 'document.getElementById("clicks").textContent', '1')).toBe('1');
+    }
+  },
+  type: {
+    payload: { selector: '#name', text: 'Ada' },
+    check: async (result, page) => {
+      expect(result).toMatchObject({ typed: 'Ada', into: '#name' });
+      expect(await pageValue(page, 'document.getElementById("name").value')).toBe('Ada');
+    }
+  },
+  scroll: {
+    payload: { deltaY: 400 },
+    check: async (result, page) => {
+      expect(result.scrolled).toBe('deltaX: 0, deltaY: 400');
+      expect(await waitForValue(page, 'window.scrollY', 400)).toBe(400);
+    }
+  },
+  click_coordinate: {
+    setup: centerOf('#button'),
+    payload: center => center,
+    check: async (result, page) => {
+      expect(result.clicked).toMatch(/^coordinates \(\d+, \d+\)$/);
+      expect(await waitForValue(page, 'document.getElementById("clicks").textContent', '1')).toBe('1');
+    }
+  },
+  hover_coordinate: {
+    setup: centerOf('#hover-target'),
+    payload: center => center,
+    check: async (result, page) => {
+      expect(result.hovered).toMatch(/^coordinates/);
+      expect(await waitForValue(page, 'document.getElementById("hovered").textContent', 'yes')).toBe('yes');
+    }
+  },
+  key_press: {
+    setup: 'document.getElementById("q").value = "fares"; document.getElementById("q").focus()',
+    payload: { key: 'Enter' },
+    check: async (result, page) => {
+      expect(result.pressed).toBe('Enter');
+      expect(await waitForValue(page, 'document.getElementById("search").dataset.submitted', 'fares')).toBe('fares');
+    }
+  },
+  type_text: {
+    setup: 'document.getElementById("notes").focus()',
+    payload: { text: 'hello' },
+    check: async (result, page) => {
+      expect(result.typed).toBe('hello');
+      expect(await pageValue(page, 'document.getElementById("notes").value')).toBe('hello');
+    }
+  },
+  keyboard_input: {
+    setup: 'document.getElementById("name").focus()',
+    payload: { input: 'Grace' },
+    check: async (result, page) => {
+      expect(result.typed).toBe('Grace');
+      expect(await pageValue(page, 'document.getElementById("name").value')).toBe('Grace');
+    }
+  }
+};
+
+/**
+ * Locators must resolve to the same elements in both executors
+ * check: async (result, page) => void, or error: message the command fails with
+ */
+const LOCATOR_CASES = [
+  {
+    name: 'role with accessible name from aria-label',
+    type: 'click',
+    payload: { selector: 'role=button[name="Search"]' },
+    check: async (result, page) =>
+      expect(await waitForValue(page, 'document.getElementById("search-button").dataset.clicked', 'yes')).toBe('yes')
+  },
+  {
+    name: 'label with for attribute',
+    type: 'type',
+    payload: { selector: 'label=Email', text: 'me@example.com' },
+    check: async (result, page) => expect(await pageValue(page, 'document.getElementById("email").value')).toBe('me@example.com')
+  },
+  {
+    name: 'label wrapping its control',
+    type: 'type',
+    payload: { selector: 'label="Password"', text: 'secret' },
+    check: async (result, page) => expect(await pageValue(page, 'document.getElementById("password").value')).toBe('secret')
+  },
+  {
+    name: 'chained css and text',
+    type: 'getAttribute',
+    payload: { selector: 'css=#login >> text=Sign in', attribute: 'id' },
+    check: async result => expect(result.value).toBe('login-submit')
+  },
+  {
+    name: 'xpath',
+    type: 'click',
+    payload: { selector: 'xpath=//form[@id="login"]//button' },
+    check: async (result, page) =>
+      expect(await waitForValue(page, 'document.getElementById("login-submit").dataset.clicked', 'yes')).toBe('yes')
+  },
+  {
+    name: 'nth picks one of several matches',
+    type: 'getAttribute',
+    payload: { selector: 'text=Sign in >> nth=-1', attribute: 'id' },
+    check: async result => expect(result.value).toBe('login-submit')
+  },
+  {
+    name: 'heading level',
+    type: 'getText',
+    payload: { selector: 'role=heading[level=1]' },
+    check: async result => expect(result.text).toBe('Command conformance')
+  },
+  {
+    name: 'role matches for extract',
+    type: 'extract',
+    payload: { selector: 'role=listitem', multiple: true },
+    check: async result => expect(result.data.map(item => item.text)).toEqual(['First', 'Second', 'Third'])
+  },
+  {
+    name: 'waiting for text',
+    type: 'waitForElement',
+    payload: { selector: 'text=Arrived late', timeout: 5000 },
+    check: async result => expect(result).toMatchObject({ found: true, count: 1 })
+  },
+  {
+    name: 'ambiguous text',
+    type: 'getText',
+    payload: { selector: 'text=Sign in' },
+    error: 'Locator text=Sign in is ambiguous: 2 elements match (button#nav-sign-in "Sign in", button#login-submit "Sign in")'
+  },
+  {
+    name: 'ambiguous click',
+    type: 'click',
+    payload: { selector: 'role=button[name=sign]' },
+    error: 'Locator role=button[name=sign] is ambiguous: 2 elements match'
+  },
+  {
+    name: 'exact text',
+    type: 'getText',
+    payload: { selector: 'text="Sign"' },
+    error: 'Element not found: text="Sign"'
+  },
+  {
+    name: 'invalid CSS inside a chain',
+    type: 'getText',
+    payload: { selector: '#login >> button[' },
+    error: 'Invalid locator #login >> button[: button[ is not a valid CSS selector'
+  }
+];
+
+describeWithChrome('command conformance', () => {
+  const sessionId = 'conformance-session';
+  let server;
+  let fixtureUrl;
+  let serverBrowser;
+  let extensionBrowser;
+  let extensionPage;
+
+  /**
+   * Executors under test: (type, payload) => result, plus the page they act on
+   */
+  const executors = {
+    server: {
+      run: async (type, payload) => {
+        const response = await serverBrowser.executeCommand(sessionId, { type, payload });
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        return response.result;
+      },
+      open: async () => {
+        const response = await serverBrowser.executeCommand(sessionId, { type: 'navigate', payload: { url: fixtureUrl } });
+        expect(response.success).toBe(true);
+        return serverBrowser.getPage(sessionId);
+      }
+    },
+    extension: {
+      // Same steps as BackgroundService.executePageCommand: inject the registry file, then call it
+      run: (type, payload) => commandRegistry.executePageCommand(type, payload, async (type, payload) => {
+        await extensionPage.evaluate(REGISTRY_SOURCE);
+        return extensionPage.evaluate((type, payload) => self.CommandRegistry.runInPage(type, payload), type, payload);
+      }),
+      open: async () => {
+        await extensionPage.goto(fixtureUrl);
+        return extensionPage;
+      }
+    }
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(FIXTURE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fixtureUrl = `http://127.0.0.1:${server.address().port}/fixture`;
+
+    serverBrowser = new ServerBrowserManager();
+    extensionBrowser = await puppeteer.launch({
+      executablePath: chromePath,
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-dev-shm-usage']
+    });
+    extensionPage = await extensionBrowser.newPage();
+  }, 60000);
+
+  afterAll(async () => {
+    await serverBrowser?.cleanup();
+    await extensionBrowser?.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should cover every page and input command', () => {
+    const inPage = commandRegistry.COMMAND_TYPES.filter(type => commandRegistry.getCommand(type).page);
+    expect(Object.keys(CASES).sort()).toEqual(inPage.sort());
+  });
+
+  for (const executor of commandRegistry.EXECUTORS) {
+    describe(executor, () => {
+      for (const [type, testCase] of Object.entries(CASES)) {
+        test(type, async () => {
+          const page = await executors[executor].open();
+          const setupResult = testCase.setup ? await page.evaluate(testCase.setup) : undefined;
+          const payload = typeof testCase.payload === 'function' ? testCase.payload(setupResult) : testCase.payload || {};
+
+          const result = await executors[executor].run(type, payload);
+          expect(result.timestamp).toEqual(expect.any(String));
+          await testCase.check(result, page);
+        }, 30000);
+      }
+
+      for (const locatorCase of LOCATOR_CASES) {
+        test(`locator: ${locatorCase.name}`, async () => {
+          const page = await executors[executor].open();
+          const running = executors[executor].run(locatorCase.type, locatorCase.payload);
+          if (locatorCase.error) {
+            await expect(running).rejects.toThrow(locatorCase.error);
+          } else {
+            await locatorCase.check(await running, page);
+          }
+        }, 30000);
+      }
+
+      test('should report missing elements the same way', async () => {
+        await executors[executor].open();
+        await expect(executors[executor].run('getText', { selector: '#nope' })).rejects.toThrow('Element not found: #nope');
+      }, 30000);
+    });
+  }
+});
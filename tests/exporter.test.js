@@ -0,0 +1,133 @@
+const vm = require('vm');
+const { buildActions, exportSession } = require('../src/recordings');
+
+const command = (type, payload, result = {}, status = 'completed') => ({ id: `${type}-id`, type, payload, result, status });
+
+const elements = [
+  { tagName: 'input', type: 'text', text: '', name: 'q', placeholder: 'Search', ariaLabel: '', elementId: '', x: 400, y: 100, width: 300, height: 40 },
+  { tagName: 'button', type: 'submit', text: 'Search', name: '', placeholder: '', ariaLabel: '', elementId: 'go', x: 600, y: 100, width: 80, height: 40 },
+  { tagName: 'a', type: '', text: '\n  Next page ', name: '', placeholder: '', ariaLabel: '', elementId: '', x: 300, y: 700, width: 120, height: 20 },
+  { tagName: 'div', type: '', text: 'Menu', name: '', placeholder: '', ariaLabel: 'Main menu', elementId: '', x: 50, y: 20, width: 60, height: 30 }
+];
+
+const session = {
+  id: 'session-1',
+  commands: [
+    command('navigate', { url: 'example.com' }),
+    command('get_page_elements', {}, { elements }),
+    command('click_coordinate', { x: 410, y: 95 }),
+    command('type_text', { text: "it's here" }),
+    command('click_coordinate', { x: 600, y: 110 }),
+    command('click_coordinate', { x: 310, y: 700 }),
+    command('hover_coordinate', { x: 50, y: 20 }),
+    command('click_coordinate', { x: 1000, y: 500 }),
+    command('key_press', { key: 'ctrl+a' }),
+    command('click', { selector: '.broken' }, null, 'failed'),
+    command('type', { selector: '#email', text: 'me@example.com' }),
+    command('scroll', { deltaY: 500 }),
+    command('click_coordinate', { x: 600, y: 100 }), // Positions are stale after scrolling
+    command('extract', { selector: 'h2 a', attribute: 'href', multiple: true }),
+    command('screenshot', {}, { screenshot: 'data:image/png;base64,AAAA' })
+  ]
+};
+
+describe('Session code export', () => {
+  test('should prefer selectors from element snapshots over coordinates', () => {
+    expect(buildActions(session.commands)).toEqual([
+      { kind: 'goto', url: 'https://example.com' },
+      { kind: 'click', target: { css: 'input[name="q"]' } },
+      { kind: 'typeText', text: "it's here" },
+      { kind: 'click', target: { css: '#go' } },
+      { kind: 'click', target: { text: 'Next page', role: 'link' } },
+      { kind: 'hover', target: { css: 'div[aria-label="Main menu"]' } },
+      { kind: 'clickAt', x: 1000, y: 500 },
+      { kind: 'press', keys: ['Control', 'a'] },
+      { kind: 'fill', target: { css: '#email' }, text: 'me@example.com' },
+      { kind: 'scroll', deltaX: 0, deltaY: 500 },
+      { kind: 'clickAt', x: 600, y: 100 },
+      { kind: 'extract', selector: 'h2 a', attribute: 'href', multiple: true }
+    ]);
+  });
+
+  test('should emit a runnable Puppeteer script', () => {
+    const exported = exportSession(session, { format: 'puppeteer' });
+    expect(exported).toMatchObject({ format: 'puppeteer', filename: 'session-session-1.js', actionCount: 12 });
+    expect(() => new vm.Script(exported.code)).not.toThrow();
+
+    const { code } = exported;
+    expect(code).toContain("const puppeteer = require('puppeteer');");
+    expect(code).toContain("await page.goto('https://example.com', { waitUntil: 'networkidle2' });");
+    expect(code).toContain("await page.locator('input[name=\"q\"]').click();");
+    expect(code).toContain("await page.keyboard.type('it\\'s here');");
+    expect(code).toContain("await page.locator('::-p-text(\"Next page\")').click();");
+    expect(code).toContain('await page.mouse.click(1000, 500);');
+    expect(code).toContain("await page.keyboard.down('Control');\n    await page.keyboard.press('a');\n    await page.keyboard.up('Control');");
+    expect(code).toContain("await page.locator('#email').fill('me@example.com');");
+    expect(code).toContain("const extracted1 = await page.$$eval('h2 a', els => els.map(el => el.getAttribute('href')));");
+  });
+
+  test('should emit a Playwright test', () => {
+    const { code, filename } = exportSession(session, { format: 'playwright' });
+    expect(filename).toBe('session-session-1.spec.js');
+    expect(() => new vm.Script(code)).not.toThrow();
+
+    expect(code).toContain("const { test } = require('@playwright/test');");
+    expect(code).toContain("test('session session-1', async ({ page }) => {");
+    expect(code).toContain("await page.getByRole('link', { name: 'Next page', exact: true }).click();");
+    expect(code).toContain("await page.locator('div[aria-label=\"Main menu\"]').hover();");
+    expect(code).toContain("await page.keyboard.press('Control+a');");
+    expect(code).toContain('await page.mouse.wheel(0, 500);');
+    expect(code).toContain("await page.locator('h2 a').evaluateAll((els, name) => els.map(el => el.getAttribute(name)), 'href');");
+  });
+
+  test('should translate locators into library queries', () => {
+    const located = {
+      id: 'session-2',
+      commands: [
+        command('click', { selector: 'role=button[name="Search"]' }),
+        command('type', { selector: 'label=Email', text: 'me@example.com' }),
+        command('click', { selector: 'text=Accept all' }),
+        command('extract', { selector: 'xpath=//h2/a' }),
+        command('click', { selector: 'form >> button' }),
+        command('click', { selector: 'css=.results >> text=Next >> nth=0' })
+      ]
+    };
+
+    const puppeteerCode = exportSession(located, { format: 'puppeteer' }).code;
+    expect(puppeteerCode).toContain("await page.locator('::-p-aria([name=\"Search\"][role=\"button\"])').click();");
+    expect(puppeteerCode).toContain("await page.locator('::-p-aria(\"Email\")').fill('me@example.com');");
+    expect(puppeteerCode).toContain("await page.locator('::-p-text(\"Accept all\")').click();");
+    expect(puppeteerCode).toContain("const extracted1 = await page.$eval('::-p-xpath(//h2/a)', el => el.textContent.trim());");
+    expect(puppeteerCode).toContain("await page.locator('form button').click();");
+    expect(puppeteerCode).toContain('// click with locator "css=.results >> text=Next >> nth=0" is not exported');
+
+    const playwrightCode = exportSession(located, { format: 'playwright' }).code;
+    expect(playwrightCode).toContain("await page.getByRole('button', { name: 'Search', exact: true }).click();");
+    expect(playwrightCode).toContain("await page.getByLabel('Email', { exact: false }).fill('me@example.com');");
+    expect(playwrightCode).toContain("await page.getByText('Accept all', { exact: false }).click();");
+    expect(playwrightCode).toContain("const extracted1 = await page.locator('xpath=//h2/a').first().innerText();");
+  });
+
+  test('should keep selectors of unexported commands inside their comment', () => {
+    const injected = {
+      id: 'session-3',
+      commands: [
+        command('click', { selector: 'role=heading[level=1] >> text=x\nrequire("child_process").execSync("id")\n//' }),
+        command('click', { selector: 'role=heading[level=1] >> text=y\u2028process.exit(1)\r//' })
+      ]
+    };
+
+    for (const format of ['puppeteer', 'playwright']) {
+      const { code } = exportSession(injected, { format });
+      const executable = code.split(/\r\n|[\n\r\u2028\u2029]/).filter(line => !line.trim().startsWith('//'));
+      expect(executable.join('\n')).not.toMatch(/execSync|process\.exit/);
+      expect(code).toContain('// click with locator "role=heading[level=1] >> text=x\\nrequire(\\"child_process\\").execSync(\\"id\\")\\n//" is not exported');
+      expect(code).toContain('text=y\\u2028process.exit(1)\\r//" is not exported');
+    }
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => exportSession(session, { format: 'selenium' }))
+      .toThrow('Invalid export format: selenium. Expected one of: puppeteer, playwright');
+  });
+});
@@ -0,0 +1,75 @@
+const path = require('path');
+const config = require('../src/utils/config');
+const { validateLaunchOptions, resolveLaunchOptions, getLaunchAllowlist, getProfileDir } = require('../src/utils/launchOptions');
+
+describe('launch options', () => {
+  const allowlist = {
+    ...getLaunchAllowlist(),
+    options: ['viewport', 'device', 'userAgent', 'locale', 'timezone', 'geolocation', 'proxy', 'profile'],
+    devices: ['iPhone 13', 'Pixel 5'],
+    locales: ['*'],
+    timezones: ['Europe/Berlin'],
+    proxies: ['socks5://proxy.internal:1080'],
+    profiles: ['checkout'],
+    maxViewport: { width: 2560, height: 1440 }
+  };
+
+  test('should accept options within the allowlist', () => {
+    expect(validateLaunchOptions(undefined, allowlist)).toBeNull();
+    expect(validateLaunchOptions({
+      viewport: { width: 1280, height: 720, deviceScaleFactor: 2 },
+      device: 'Pixel 5',
+      userAgent: 'Custom/1.0',
+      locale: 'pt-BR',
+      timezone: 'Europe/Berlin',
+      geolocation: { latitude: -23.55, longitude: -46.63, accuracy: 10 },
+      proxy: 'socks5://proxy.internal:1080',
+      profile: 'checkout'
+    }, allowlist)).toBeNull();
+  });
+
+  test('should reject malformed options', () => {
+    expect(validateLaunchOptions([], allowlist)).toBe('Invalid launch options: must be a JSON object');
+    expect(validateLaunchOptions({ headless: false }, allowlist)).toMatch(/^Invalid launch options: unknown option headless/);
+    expect(validateLaunchOptions({ viewport: { width: 4000, height: 720 } }, allowlist))
+      .toBe('Invalid launch options: viewport.width must be an integer from 1 to 2560');
+    expect(validateLaunchOptions({ device: 'Toaster' }, allowlist)).toBe('Invalid launch options: unknown device Toaster');
+    expect(validateLaunchOptions({ locale: 'en_US' }, allowlist)).toMatch(/^Invalid launch options: locale/);
+    expect(validateLaunchOptions({ timezone: 'Mars/Olympus' }, allowlist)).toMatch(/^Invalid launch options: timezone/);
+    expect(validateLaunchOptions({ geolocation: { latitude: 91, longitude: 0 } }, allowlist)).toMatch(/^Invalid launch options: geolocation/);
+    expect(validateLaunchOptions({ proxy: 'file:///etc/passwd' }, allowlist)).toMatch(/^Invalid launch options: proxy/);
+    expect(validateLaunchOptions({ profile: '../other' }, allowlist)).toMatch(/^Invalid launch options: profile/);
+  });
+
+  test('should reject values the operator did not allow', () => {
+    expect(validateLaunchOptions({ device: 'iPad Pro' }, allowlist)).toBe('Launch option not allowed: device iPad Pro');
+    expect(validateLaunchOptions({ timezone: 'Asia/Tokyo' }, allowlist)).toBe('Launch option not allowed: timezone Asia/Tokyo');
+    expect(validateLaunchOptions({ proxy: 'http://other.example:3128' }, allowlist)).toBe('Launch option not allowed: proxy http://other.example:3128');
+    expect(validateLaunchOptions({ profile: 'admin' }, allowlist)).toBe('Launch option not allowed: profile admin');
+    expect(validateLaunchOptions({ userAgent: 'Custom/1.0' }, { ...allowlist, options: ['viewport'] }))
+      .toBe('Launch option not allowed: userAgent');
+  });
+
+  test('should resolve device presets with explicit values taking precedence', () => {
+    const resolved = resolveLaunchOptions({ device: 'iPhone 13', userAgent: 'Custom/1.0', geolocation: { latitude: 1, longitude: 2 } });
+    expect(resolved.viewport).toMatchObject({ width: 390, height: 844, isMobile: true });
+    expect(resolved.userAgent).toBe('Custom/1.0');
+    expect(resolved.geolocation).toEqual({ latitude: 1, longitude: 2, accuracy: 0 });
+
+    expect(resolveLaunchOptions()).toEqual({
+      viewport: { width: 1920, height: 1080 },
+      userAgent: null,
+      locale: null,
+      timezone: null,
+      geolocation: null,
+      proxy: null,
+      profile: null
+    });
+  });
+
+  test('should keep persistent profiles in a directory per tenant', () => {
+    expect(getProfileDir('checkout', 'acme')).toBe(path.resolve(config.LAUNCH_PROFILE_DIR, 'acme', 'checkout'));
+    expect(getProfileDir('checkout', 'globex')).not.toBe(getProfileDir('checkout', 'acme'));
+    expect(() => getProfileDir('checkout', '..')).toThrow('Invalid profile tenant: ..');
+  });
+});
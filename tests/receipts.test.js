@@ -0,0 +1,106 @@
+const {
+  validateReceipt,
+  normalizeReceipt,
+  resolveVariables,
+  orderTasks,
+  substituteVariables,
+  evaluateCondition
+} = require('../src/receipts');
+const sampleV1 = require('../sample-receipt.json');
+const sampleV2 = require('../sample-receipt-v2.json');
+
+const nlTask = (id, query, extra = {}) => ({ id, type: 'natural_language_task', params: { query }, ...extra });
+
+describe('Receipt format', () => {
+  test('should accept the bundled sample receipts', () => {
+    expect(validateReceipt(sampleV1)).toBeNull();
+    expect(validateReceipt(sampleV2)).toBeNull();
+  });
+
+  test('should normalize v1 receipts to run every task and continue on errors', () => {
+    const normalized = normalizeReceipt(sampleV1);
+    expect(normalized.major).toBe(1);
+    expect(normalized.tasks).toHaveLength(3);
+    expect(normalized.tasks.every(task => task.kind === 'nl' && task.continueOnError && task.timeout === 300000)).toBe(true);
+  });
+
+  test('should reject unsupported versions and invalid v2 tasks', () => {
+    expect(validateReceipt({ version: '3.0', tasks: [] })).toMatch(/Unsupported receipt version/);
+
+    const invalid = [
+      [{ tasks: [nlTask('a', 'x'), nlTask('a', 'y')] }, /duplicate id a/],
+      [{ tasks: [nlTask('a', 'go to {{city}}')] }, /undeclared variable \{\{city\}\}/],
+      [{ tasks: [nlTask('a', 'x', { dependsOn: ['b'] })] }, /unknown task b/],
+      [{ tasks: [nlTask('a', 'x', { when: { task: 'a' } })] }, /task itself/],
+      [{ tasks: [nlTask('a', 'x', { timeout: -1 })] }, /timeout/],
+      [{ tasks: [nlTask('a', 'x', { continueOnError: 'yes' })] }, /continueOnError/],
+      [{ tasks: [nlTask('a', 'x', { dependsOn: ['b'] }), nlTask('b', 'y', { dependsOn: ['a'] })] }, /circular/],
+      [{ tasks: [{ id: 'a', type: 'natural_language_task', params: {} }] }, /missing params.query/]
+    ];
+
+    for (const [receipt, message] of invalid) {
+      expect(validateReceipt({ version: '2.0', ...receipt })).toMatch(message);
+    }
+  });
+
+  test('should allow non natural language v2 tasks without a query', () => {
+    const receipt = { version: '2.0', tasks: [{ id: 'open', type: 'navigate', params: { url: 'https://example.com' } }] };
+    expect(validateReceipt(receipt)).toBeNull();
+  });
+
+  test('should resolve variables from inputs and defaults', () => {
+    const normalized = normalizeReceipt(sampleV2);
+
+    expect(resolveVariables(normalized, { origin: 'Berlin' })).toEqual({ origin: 'Berlin', destination: 'London' });
+    expect(() => resolveVariables(normalized, {})).toThrow('Missing required variable: origin');
+    expect(() => resolveVariables(normalized, { origin: 42 })).toThrow('expected string');
+    expect(() => resolveVariables(normalized, { origin: 'Berlin', date: 'today' })).toThrow('Unknown variable: date');
+  });
+
+  test('should substitute placeholders in nested params', () => {
+    const params = { query: 'from {{origin}} to {{ destination }}', options: ['{{origin}}', 3] };
+    expect(substituteVariables(params, { origin: 'BER', destination: 'LHR' }))
+      .toEqual({ query: 'from BER to LHR', options: ['BER', 3] });
+  });
+
+  test('should keep the type of a value that is a single placeholder', () => {
+    const variables = { passengers: 2, direct: false, dates: { from: '06-01' } };
+    expect(substituteVariables({ count: '{{passengers}}', direct: '{{ direct }}', dates: '{{dates}}' }, variables))
+      .toEqual({ count: 2, direct: false, dates: { from: '06-01' } });
+    expect(substituteVariables('{{passengers}} on {{dates}}', variables)).toBe('2 on {"from":"06-01"}');
+    expect(substituteVariables('{{unknown}}', variables)).toBe('{{unknown}}');
+  });
+
+  test('should order tasks by dependencies and when references', () => {
+    const normalized = normalizeReceipt({
+      version: '2.0',
+      tasks: [
+        nlTask('report', 'r', { dependsOn: ['search'] }),
+        nlTask('retry', 'x', { when: { task: 'search', status: 'failed' } }),
+        nlTask('search', 's'),
+        nlTask('other', 'o')
+      ]
+    });
+
+    expect(orderTasks(normalized.tasks).map(task => task.id)).toEqual(['search', 'report', 'retry', 'other']);
+  });
+
+  test('should evaluate when conditions against earlier task records', () => {
+    const records = {
+      search: { status: 'completed', result: { price: 120, airline: 'Lufthansa' } },
+      login: { status: 'failed', result: null }
+    };
+
+    expect(evaluateCondition(null, records)).toBe(true);
+    expect(evaluateCondition({ task: 'search' }, records)).toBe(true);
+    expect(evaluateCondition({ task: 'login' }, records)).toBe(false);
+    expect(evaluateCondition({ task: 'login', status: ['failed', 'skipped'] }, records)).toBe(true);
+    expect(evaluateCondition({ task: 'search', path: 'result.price', equals: 120 }, records)).toBe(true);
+    expect(evaluateCondition({ task: 'search', path: 'result.airline', matches: '^Luft' }, records)).toBe(true);
+    expect(evaluateCondition({ task: 'search', path: 'result.seats', exists: true }, records)).toBe(false);
+    expect(evaluateCondition([
+      { task: 'search', path: 'result.airline', contains: 'hansa' },
+      { task: 'search', path: 'result.price', notEquals: 120 }
+    ], records)).toBe(false);
+  });
+});
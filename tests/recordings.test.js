@@ -0,0 +1,125 @@
+const {
+  createRecording,
+  validateRecording,
+  validateReplayOptions,
+  matchAssertion
+} = require('../src/recordings');
+const { decodePng, encodePng } = require('../src/utils/png');
+const { compareScreenshots } = require('../src/utils/imageDiff');
+
+/**
+ * Solid color RGBA image with optional differing pixels
+ */
+function createImage(width, height, color, changed = []) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(changed.includes(i) ? [0, 0, 0, 255] : color, i * 4);
+  }
+  return { width, height, data };
+}
+
+const toDataUrl = image => `data:image/png;base64,${encodePng(image).toString('base64')}`;
+
+describe('Recordings', () => {
+  const command = (type, payload, result, status = 'completed') => ({ id: `${type}-id`, type, payload, result, status });
+
+  test('should turn executed commands into steps with checkpoints', () => {
+    const session = {
+      id: 'session-1',
+      createdAt: '2024-01-15T10:00:00.000Z',
+      commands: [
+        command('navigate', { url: 'https://example.com' }, { url: 'https://example.com/?ref=1' }),
+        command('screenshot', {}, { screenshot: 'data:image/png;base64,AAAA' }),
+        command('click_coordinate', { x: 120, y: 40 }, { clicked: true }),
+        command('getTitle', {}, { title: 'Results', url: 'https://example.com/results#top' }),
+        command('getText', { selector: 'h1' }, { text: 'Results', selector: 'h1' }),
+        command('click', { selector: '#broken' }, null, 'failed')
+      ]
+    };
+
+    const recording = createRecording(session);
+    expect(recording).toMatchObject({
+      version: 1,
+      source: { sessionId: 'session-1', createdAt: session.createdAt, commandCount: 6 }
+    });
+    expect(recording.steps).toEqual([
+      {
+        type: 'navigate',
+        payload: { url: 'https://example.com' },
+        sourceCommandId: 'navigate-id',
+        assertions: [{ type: 'url', contains: 'https://example.com/' }],
+        screenshot: 'data:image/png;base64,AAAA'
+      },
+      {
+        type: 'click_coordinate',
+        payload: { x: 120, y: 40 },
+        sourceCommandId: 'click_coordinate-id',
+        assertions: [
+          { type: 'url', contains: 'https://example.com/results' },
+          { type: 'title', equals: 'Results' },
+          { type: 'text', selector: 'h1', equals: 'Results' }
+        ]
+      }
+    ]);
+    expect(validateRecording(recording)).toBeNull();
+
+    expect(createRecording(session, { screenshots: false }).steps[0].screenshot).toBeUndefined();
+  });
+
+  test('should reject invalid recordings and options', () => {
+    expect(validateRecording(null)).toBe('Invalid recording format: must be a JSON object');
+    expect(validateRecording({ version: 2, steps: [] })).toBe('Unsupported recording version: 2');
+    expect(validateRecording({ version: 1, steps: [] })).toBe('Invalid recording: steps must be a non-empty array');
+    expect(validateRecording({ version: 1, steps: [{ type: 'click', delayMs: -1 }] }))
+      .toBe('Invalid step 0: delayMs must be an integer between 0 and 60000');
+    expect(validateRecording({ version: 1, steps: [{ type: 'click', assertions: [{ type: 'text', equals: 'x' }] }] }))
+      .toBe('Invalid step 0, assertion 0: selector is required for text assertions');
+    expect(validateRecording({ version: 1, steps: [{ type: 'click', assertions: [{ type: 'url', contains: 'a', equals: 'b' }] }] }))
+      .toBe('Invalid step 0, assertion 0: exactly one of equals, contains, matches must be given as a string');
+
+    expect(validateReplayOptions({ stopOnFailure: 'yes' })).toBe('options.stopOnFailure must be a boolean');
+    expect(validateReplayOptions({ screenshotThreshold: 2 })).toBe('options.screenshotThreshold must be a number between 0 and 1');
+    expect(validateReplayOptions({ keepSession: true, settleMs: 0 })).toBeNull();
+  });
+
+  test('should match assertions', () => {
+    expect(matchAssertion({ equals: 'Home' }, 'Home')).toBe(true);
+    expect(matchAssertion({ contains: '/results' }, 'https://example.com/results?q=1')).toBe(true);
+    expect(matchAssertion({ matches: '^Order #\\d+$' }, 'Order #42')).toBe(true);
+    expect(matchAssertion({ equals: 'Home' }, null)).toBe(false);
+  });
+});
+
+describe('Screenshot comparison', () => {
+  test('should round-trip PNG images', () => {
+    const image = createImage(3, 2, [10, 20, 30, 255], [4]);
+    const decoded = decodePng(encodePng(image));
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect(decoded.data.equals(image.data)).toBe(true);
+    expect(() => decodePng(Buffer.from('not a png'))).toThrow('Not a PNG image');
+  });
+
+  test('should count differing pixels and render a diff image', () => {
+    const baseline = toDataUrl(createImage(4, 4, [200, 200, 200, 255]));
+    const actual = toDataUrl(createImage(4, 4, [205, 200, 200, 255], [0, 5]));
+
+    const strict = compareScreenshots(baseline, actual);
+    expect(strict.diffPixels).toBe(16);
+
+    const tolerant = compareScreenshots(baseline, actual, { pixelTolerance: 10 });
+    expect(tolerant.diffPixels).toBe(2);
+    expect(tolerant.diffRatio).toBe(2 / 16);
+    const diff = decodePng(tolerant.diffImage);
+    expect([...diff.data.subarray(0, 4)]).toEqual([255, 0, 0, 255]);
+    expect(diff.data[4]).not.toBe(255);
+  });
+
+  test('should report size mismatches and unsupported formats', () => {
+    const result = compareScreenshots(toDataUrl(createImage(2, 2, [0, 0, 0, 255])), toDataUrl(createImage(3, 2, [0, 0, 0, 255])));
+    expect(result).toMatchObject({ sizeMismatch: 'Expected 2x2, got 3x2', diffRatio: 1, diffImage: null });
+
+    expect(() => compareScreenshots('data:image/jpeg;base64,AAAA', 'data:image/jpeg;base64,AAAA'))
+      .toThrow('Cannot compare jpeg screenshots, only png');
+  });
+});
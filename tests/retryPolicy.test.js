@@ -0,0 +1,53 @@
+const {
+  classifyError,
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  getRetryDelay,
+  validateIdempotencyKey
+} = require('../src/utils/retryPolicy');
+
+describe('retryPolicy', () => {
+  test('should classify command errors', () => {
+    expect(classifyError('Attempted to use detached Frame \'A1\'')).toBe('detached_frame');
+    expect(classifyError('Waiting for selector `#buy` failed: Waiting failed: 30000ms exceeded timeout')).toBe('timeout');
+    expect(classifyError('Execution context was destroyed, most likely because of a navigation')).toBe('navigation');
+    expect(classifyError('Protocol error (Runtime.callFunctionOn): Target closed')).toBe('target_closed');
+    expect(classifyError('No browser available within 30000 ms (10 in use)')).toBe('unavailable');
+    expect(classifyError('Element not found: #buy')).toBe('not_found');
+    expect(classifyError('Cannot read properties of null')).toBe('other');
+  });
+
+  test('should validate retry policies', () => {
+    expect(validateRetryPolicy(undefined)).toBeNull();
+    expect(validateRetryPolicy({ maxRetries: 3, backoff: 'fixed', delay: 100, maxDelay: 1000, retryOn: ['timeout'] })).toBeNull();
+    expect(validateRetryPolicy([])).toBe('Invalid retry policy: must be an object');
+    expect(validateRetryPolicy({ maxRetries: -1 })).toMatch(/maxRetries must be an integer/);
+    expect(validateRetryPolicy({ backoff: 'linear' })).toMatch(/backoff must be one of: fixed, exponential/);
+    expect(validateRetryPolicy({ delay: 1.5 })).toMatch(/delay must be an integer/);
+    expect(validateRetryPolicy({ maxDelay: 120000 })).toMatch(/maxDelay must be an integer from 0 to 60000 ms/);
+    expect(validateRetryPolicy({ retryOn: 'timeout' })).toBe('Invalid retry policy: retryOn must be an array');
+  });
+
+  test('should fill in defaults and compute backoff delays', () => {
+    const policy = resolveRetryPolicy({ maxRetries: 4, delay: 100, maxDelay: 500 });
+    expect(policy).toEqual({
+      maxRetries: 4,
+      backoff: 'exponential',
+      delay: 100,
+      maxDelay: 500,
+      retryOn: ['detached_frame', 'timeout', 'navigation', 'target_closed']
+    });
+    expect([1, 2, 3, 4].map(retry => getRetryDelay(policy, retry))).toEqual([100, 200, 400, 500]);
+    expect(getRetryDelay({ ...policy, backoff: 'fixed' }, 3)).toBe(100);
+    expect(resolveRetryPolicy().maxRetries).toBe(0);
+  });
+
+  test('should validate idempotency keys', () => {
+    expect(validateIdempotencyKey(undefined)).toBeNull();
+    expect(validateIdempotencyKey('order-42:checkout')).toBeNull();
+    expect(validateIdempotencyKey('')).toMatch(/^Invalid idempotency key/);
+    expect(validateIdempotencyKey('has space')).toMatch(/^Invalid idempotency key/);
+    expect(validateIdempotencyKey('x'.repeat(256))).toMatch(/^Invalid idempotency key/);
+    expect(validateIdempotencyKey(42)).toMatch(/^Invalid idempotency key/);
+  });
+});
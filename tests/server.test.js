@@ -1,12 +1,15 @@
+const http = require('http');
 const request = require('supertest');
+const WebSocket = require('ws');
 const BrowserAutomationService = require('../src/server');
 
 describe('Browser Automation Service', () => {
   let app;
   let server;
+  let service;
 
   beforeAll(async () => {
-    const service = new BrowserAutomationService();
+    service = new BrowserAutomationService();
     app = service.app;
     server = service.server;
   });
@@ -29,6 +32,7 @@ describe('Browser Automation Service', () => {
       expect(response.body).toHaveProperty('version');
       expect(response.body).toHaveProperty('activeSessions');
       expect(response.body).toHaveProperty('wsConnections');
+      expect(response.body.browserPool).toMatchObject({ active: 0, waiting: 0, crashed: 0 });
     });
   });
 
@@ -102,6 +106,39 @@ describe('Browser Automation Service', () => {
         .get(`/api/sessions/${sessionId}`)
         .expect(404);
     });
+
+    test('POST /api/sessions should accept allowed launch options', async () => {
+      const launchOptions = { device: 'Pixel 5', locale: 'fr-FR', timezone: 'Europe/Paris' };
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ launchOptions })
+        .expect(201);
+      expect(response.body.session.launchOptions).toEqual(launchOptions);
+
+      const details = await request(app)
+        .get(`/api/sessions/${response.body.session.id}`)
+        .expect(200);
+      expect(details.body.session.launchOptions).toEqual(launchOptions);
+
+      await request(app)
+        .delete(`/api/sessions/${response.body.session.id}`)
+        .expect(200);
+    });
+
+    test('POST /api/sessions should reject launch options outside the allowlist', async () => {
+      // No proxies or profiles are allowed unless the operator lists them
+      const proxy = await request(app)
+        .post('/api/sessions')
+        .send({ launchOptions: { proxy: 'http://proxy.example:8080' } })
+        .expect(400);
+      expect(proxy.body.error).toBe('Launch option not allowed: proxy http://proxy.example:8080');
+
+      const unknown = await request(app)
+        .post('/api/sessions')
+        .send({ launchOptions: { extensions: ['/tmp/ext'] } })
+        .expect(400);
+      expect(unknown.body.error).toMatch(/^Invalid launch options: unknown option extensions/);
+    });
   });
 
   describe('Command Execution', () => {
@@ -159,6 +196,348 @@ describe('Browser Automation Service', () => {
       expect(response.body).toHaveProperty('commands');
       expect(Array.isArray(response.body.commands)).toBe(true);
     });
+
+    test('POST /api/sessions/:id/commands should validate retry policies and idempotency keys', async () => {
+      const retry = await request(app)
+        .post(`/api/sessions/${sessionId}/commands`)
+        .send({ type: 'getTitle', retry: { backoff: 'linear' } })
+        .expect(400);
+      expect(retry.body).toEqual({
+        success: false,
+        error: 'Invalid retry policy: backoff must be one of: fixed, exponential'
+      });
+
+      const key = await request(app)
+        .post(`/api/sessions/${sessionId}/commands`)
+        .set('Idempotency-Key', 'x'.repeat(300))
+        .send({ type: 'getTitle' })
+        .expect(400);
+      expect(key.body.error).toMatch(/^Invalid idempotency key/);
+    });
+
+    test('POST /api/sessions/:id/commands should reject malformed locators', async () => {
+      const response = await request(app)
+        .post(`/api/sessions/${sessionId}/commands`)
+        .send({ type: 'click', payload: { selector: 'role=button[label="Search"]' } })
+        .expect(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Invalid locator role=button[label="Search"]: unknown role option label, expected one of: name, level'
+      });
+    });
+
+    test('POST /api/sessions/:id/commands should reject payloads that do not match the command schema', async () => {
+      for (const [command, error] of [
+        [{ type: 'click', payload: {} }, 'Selector is required for click command'],
+        [{ type: 'scroll', payload: { deltaY: 'down' } }, 'deltaY must be a number for scroll command'],
+        [{ type: 'teleport' }, 'Invalid command type: teleport']
+      ]) {
+        const response = await request(app)
+          .post(`/api/sessions/${sessionId}/commands`)
+          .send(command)
+          .expect(400);
+        expect(response.body).toEqual({ success: false, error });
+      }
+
+      const interactive = await request(app)
+        .post(`/api/sessions/${sessionId}/interactive`)
+        .send({ command: { type: 'click', x: '10', y: 20 } })
+        .expect(400);
+      expect(interactive.body).toEqual({
+        success: false,
+        error: 'Valid x and y coordinates are required for click_coordinate command'
+      });
+    });
+
+    test('POST /api/sessions/:id/commands/batch should validate the batch', async () => {
+      const response = await request(app)
+        .post(`/api/sessions/${sessionId}/commands/batch`)
+        .send({ mode: 'continue', steps: [{ type: 'navigate', payload: {} }] })
+        .expect(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Invalid batch step 0: URL is required for navigate command'
+      });
+
+      await request(app)
+        .post('/api/sessions/unknown-session/commands/batch')
+        .send({ steps: [{ type: 'getTitle' }] })
+        .expect(404);
+    });
+
+    test('GET /api/sessions/:id/har should return 404 without a recording', async () => {
+      const response = await request(app)
+        .get(`/api/sessions/${sessionId}/har`)
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, error: 'No HAR recording for this session' });
+
+      await request(app)
+        .get('/api/sessions/unknown-session/har')
+        .expect(404);
+    });
+
+    test('POST /api/sessions/:id/storage-state should validate the storage state', async () => {
+      const response = await request(app)
+        .post(`/api/sessions/${sessionId}/storage-state`)
+        .send({ cookies: [{ name: 'sid', value: 'abc' }] })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Invalid storage state: cookies[0].domain is required'
+      });
+
+      await request(app)
+        .post('/api/sessions/unknown-session/storage-state')
+        .send({ cookies: [] })
+        .expect(404);
+    });
+
+    test('GET /api/sessions/:id/recording should export the session as a recording', async () => {
+      const response = await request(app)
+        .get(`/api/sessions/${sessionId}/recording?download=true`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe(`attachment; filename="recording-${sessionId}.json"`);
+      expect(response.body.recording).toMatchObject({ version: 1, source: { sessionId } });
+      expect(Array.isArray(response.body.recording.steps)).toBe(true);
+
+      await request(app)
+        .get('/api/sessions/unknown-session/recording')
+        .expect(404);
+    });
+
+    test('GET /api/sessions/:id/export should export the session as test code', async () => {
+      const response = await request(app)
+        .get(`/api/sessions/${sessionId}/export?format=playwright`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, format: 'playwright', filename: `session-${sessionId}.spec.js` });
+      expect(response.body.code).toContain("require('@playwright/test')");
+
+      const download = await request(app)
+        .get(`/api/sessions/${sessionId}/export?download=true`)
+        .expect('Content-Type', /javascript/)
+        .expect(200);
+      expect(download.headers['content-disposition']).toBe(`attachment; filename="session-${sessionId}.js"`);
+
+      await request(app)
+        .get(`/api/sessions/${sessionId}/export?format=selenium`)
+        .expect(400);
+    });
+  });
+
+  describe('Recordings', () => {
+    test('POST /api/recordings/replay should validate the recording', async () => {
+      const response = await request(app)
+        .post('/api/recordings/replay')
+        .send({ recording: { version: 1, steps: [{ type: 'navigate', payload: {} }] } })
+        .expect(400);
+
+      expect(response.body).toEqual({ success: false, error: 'Invalid step 0: URL is required for navigate command' });
+    });
+
+    test('GET /api/recordings/replays should list replays', async () => {
+      const response = await request(app)
+        .get('/api/recordings/replays')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, replays: expect.any(Array) });
+
+      await request(app)
+        .get('/api/recordings/replays/unknown-replay')
+        .expect(404, { success: false, error: 'Replay not found' });
+    });
+  });
+
+  describe('Event Stream', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ metadata: { browser: 'test-events' } });
+      sessionId = response.body.session.id;
+    });
+
+    afterEach(async () => {
+      await request(app).delete(`/api/sessions/${sessionId}`);
+    });
+
+    test('GET /api/sessions/:id/events/recent should return buffered events', async () => {
+      const first = service.sessionManager.events.publish(sessionId, 'task_iteration', { taskId: 't1', iteration: 1 });
+      service.sessionManager.events.publish(sessionId, 'task_iteration', { taskId: 't1', iteration: 2 });
+
+      const response = await request(app)
+        .get(`/api/sessions/${sessionId}/events/recent?after=${first.id}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.events.map(event => event.data.iteration)).toEqual([2]);
+
+      await request(app)
+        .get('/api/sessions/unknown-session/events')
+        .expect(404);
+    });
+
+    test('GET /api/sessions/:id/events should stream events until the session is deleted', async () => {
+      const listener = app.listen(0);
+      try {
+        const { port } = listener.address();
+        const body = await new Promise((resolve, reject) => {
+          http.get(`http://127.0.0.1:${port}/api/sessions/${sessionId}/events?types=session_paused,session_deleted`, res => {
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('text/event-stream');
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+              data += chunk;
+              if (data.startsWith('retry:') && !data.includes('session_paused')) {
+                service.sessionManager.events.publish(sessionId, 'command_started', { commandId: 'c1' });
+                service.sessionManager.pauseSession(sessionId, 'manual_pause');
+                service.sessionManager.deleteSession(sessionId).catch(reject);
+              }
+            });
+            res.on('end', () => resolve(data));
+          }).on('error', reject);
+        });
+
+        expect(body).toMatch(/event: session_paused\ndata: .*"reason":"manual_pause"/);
+        expect(body).toContain('event: session_deleted');
+        expect(body).not.toContain('command_started');
+      } finally {
+        listener.close();
+      }
+    });
+  });
+
+  describe('Live Screencast', () => {
+    let sessionId;
+    let port;
+
+    beforeAll(done => {
+      server.listen(0, () => {
+        ({ port } = server.address());
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(() => done());
+    });
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ metadata: { browser: 'test-screencast', preferredExecutionMode: 'server' } });
+      sessionId = response.body.session.id;
+    });
+
+    afterEach(async () => {
+      await request(app).delete(`/api/sessions/${sessionId}`);
+    });
+
+    const connect = id => new WebSocket(`ws://127.0.0.1:${port}/ws/screencast?sessionId=${id}`);
+    const nextMessage = ws => new Promise((resolve, reject) => {
+      ws.once('message', data => resolve(JSON.parse(data.toString())));
+      ws.once('error', reject);
+    });
+
+    test('should reject viewers of unknown sessions', async () => {
+      const ws = connect('unknown-session');
+      const error = await new Promise(resolve => ws.on('error', resolve));
+      expect(error.message).toBe('Unexpected server response: 401');
+    });
+
+    test('should report the screencast status and run input as commands', async () => {
+      const executeCommand = jest.spyOn(service.commandExecutor, 'executeCommand')
+        .mockResolvedValue({ success: true, result: {} });
+      const ws = connect(sessionId);
+      try {
+        // No browser has been launched for the session yet
+        expect(await nextMessage(ws)).toMatchObject({ type: 'status', streaming: false, tabId: null });
+
+        ws.send(JSON.stringify({ type: 'click', id: 1, x: 10, y: 20 }));
+        expect(await nextMessage(ws)).toEqual({ type: 'input_result', id: 1, command: 'click_coordinate', success: true });
+        ws.send(JSON.stringify({ type: 'key', id: 2, key: 'Enter' }));
+        await nextMessage(ws);
+
+        expect(executeCommand).toHaveBeenCalledWith(sessionId, { type: 'click_coordinate', payload: { x: 10, y: 20 } }, { bypassPause: true });
+        expect(executeCommand).toHaveBeenCalledWith(sessionId, { type: 'key_press', payload: { key: 'Enter' } }, { bypassPause: true });
+
+        ws.send(JSON.stringify({ type: 'options', id: 3, fps: 100 }));
+        expect(await nextMessage(ws)).toMatchObject({ type: 'error', id: 3, error: expect.stringMatching(/fps must be an integer/) });
+      } finally {
+        executeCommand.mockRestore();
+        ws.close();
+      }
+    });
+
+    test('should close viewers when the session is deleted', async () => {
+      const ws = connect(sessionId);
+      await nextMessage(ws);
+      const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+      await request(app).delete(`/api/sessions/${sessionId}`);
+      expect(await closed).toBe(1000);
+    });
+  });
+
+  describe('Extension Pairing', () => {
+    const extensionId = 'ext-test-1234';
+    let sessionId;
+    let port;
+
+    beforeAll(done => {
+      server.listen(0, () => {
+        ({ port } = server.address());
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(() => done());
+    });
+
+    beforeEach(async () => {
+      const response = await request(app).post('/api/sessions').send({});
+      sessionId = response.body.session.id;
+    });
+
+    afterEach(async () => {
+      await request(app).delete(`/api/sessions/${sessionId}`);
+    });
+
+    const connect = query => new WebSocket(`ws://127.0.0.1:${port}/ws?${new URLSearchParams({ sessionId, extensionId, ...query })}`);
+    const rejection = ws => new Promise(resolve => ws.on('error', error => resolve(error.message)));
+
+    test('should only accept extensions paired with a token or credential', async () => {
+      expect(await rejection(connect({}))).toBe('Unexpected server response: 401');
+
+      const pairing = await request(app)
+        .post(`/api/sessions/${sessionId}/pairing`)
+        .expect(201);
+      expect(pairing.body).toMatchObject({ success: true, sessionId, pairingToken: expect.any(String) });
+
+      const ws = connect({ pairingToken: pairing.body.pairingToken });
+      const registered = await new Promise(resolve => ws.once('message', data => resolve(JSON.parse(data.toString()))));
+      expect(registered).toMatchObject({ type: 'registered', sessionId, credential: expect.stringMatching(/^v1\./) });
+
+      const details = await request(app).get(`/api/sessions/${sessionId}`).expect(200);
+      expect(details.body.session.pairing).toMatchObject({ extensionId });
+
+      // The credential only works for the paired extension
+      expect(await rejection(connect({ extensionId: 'ext-intruder', credential: registered.credential })))
+        .toBe('Unexpected server response: 401');
+      expect(await rejection(connect({ pairingToken: pairing.body.pairingToken })))
+        .toBe('Unexpected server response: 401');
+
+      const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+      await request(app).delete(`/api/sessions/${sessionId}/pairing`).expect(200);
+      expect(await closed).toBe(1008);
+      expect(await rejection(connect({ credential: registered.credential }))).toBe('Unexpected server response: 401');
+      await request(app).delete(`/api/sessions/${sessionId}/pairing`).expect(404);
+    });
   });
 
   describe('Natural Language Tasks', () => {
@@ -189,7 +568,7 @@ describe('Browser Automation Service', () => {
 
       const response = await request(app)
         .post(`/api/sessions/${sessionId}/nl-tasks`)
-        .send({ task: prompt })
+        .send({ task: prompt, wait: true })
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -279,6 +658,446 @@ describe('Browser Automation Service', () => {
     }, 120000); // Increased timeout to 120 seconds for the complex flight search task that needs to complete fully
   });
 
+  describe('Natural Language Task Jobs', () => {
+    test('POST /api/sessions/:id/nl-tasks should return 404 for unknown sessions', async () => {
+      await request(app)
+        .post('/api/sessions/non-existent/nl-tasks')
+        .send({ task: 'Go to example.com' })
+        .expect(404);
+    });
+
+    test('GET and DELETE /api/sessions/:id/nl-tasks/:taskId should return 404 for unknown tasks', async () => {
+      const response = await request(app)
+        .post('/api/sessions')
+        .send({ metadata: { browser: 'test-nl-jobs' } })
+        .expect(201);
+      const sessionId = response.body.session.id;
+
+      await request(app).get(`/api/sessions/${sessionId}/nl-tasks/unknown-task`).expect(404);
+      await request(app).delete(`/api/sessions/${sessionId}/nl-tasks/unknown-task`).expect(404);
+
+      await request(app).delete(`/api/sessions/${sessionId}`);
+    });
+
+    test('POST /api/sessions/:id/nl-tasks should reject LLM selections outside the configuration', async () => {
+      const unknownProvider = await request(app)
+        .post('/api/sessions/any/nl-tasks')
+        .send({ task: 'Go to example.com', llm: { provider: 'acme' } })
+        .expect(400);
+      expect(unknownProvider.body.error).toMatch(/^Unknown LLM provider: acme/);
+
+      const unlistedModel = await request(app)
+        .post('/api/sessions/any/nl-tasks')
+        .send({ task: 'Go to example.com', llm: { provider: 'openai', model: 'unlisted-model' } })
+        .expect(400);
+      expect(unlistedModel.body.error).toBe('LLM model not allowed: unlisted-model');
+    });
+  });
+
+  describe('Receipt Executions', () => {
+    test('POST /api/receipts/run should reject invalid receipts', async () => {
+      const response = await request(app)
+        .post('/api/receipts/run')
+        .send({ tasks: [] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toMatch(/missing version/);
+    });
+
+    test('POST /api/receipts/run should reject v2 receipts with missing variables', async () => {
+      const response = await request(app)
+        .post('/api/receipts/run')
+        .send({
+          receipt: {
+            version: '2.0',
+            variables: { origin: { required: true } },
+            tasks: [{ id: 'search', type: 'natural_language_task', params: { query: 'Flights from {{origin}}' } }]
+          },
+          variables: {}
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Missing required variable: origin');
+    });
+
+    test('GET /api/receipts/execution/:id should return 404 for unknown executions', async () => {
+      await request(app).get('/api/receipts/execution/unknown-execution').expect(404);
+    });
+
+    test('GET /api/receipts/executions should list executions and validate filters', async () => {
+      const response = await request(app)
+        .get('/api/receipts/executions?status=completed')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.executions)).toBe(true);
+
+      await request(app).get('/api/receipts/executions?status=bogus').expect(400);
+      await request(app).get('/api/receipts/executions?from=not-a-date').expect(400);
+    });
+  });
+
+  describe('Receipt Schedules', () => {
+    test('should create, pause, resume and delete a schedule', async () => {
+      const created = await request(app)
+        .post('/api/receipts/schedules')
+        .send({
+          name: 'Status page check',
+          cron: '0 7 * * *',
+          jitterSeconds: 60,
+          receipt: {
+            version: '1.0',
+            tasks: [{ id: 'status', type: 'natural_language_task', params: { query: 'Open the status page' } }]
+          }
+        })
+        .expect(201);
+
+      const { scheduleId } = created.body.schedule;
+      expect(created.body.schedule).toMatchObject({ status: 'active', maxConcurrency: 1, jitterSeconds: 60 });
+
+      const paused = await request(app).post(`/api/receipts/schedules/${scheduleId}/pause`).expect(200);
+      expect(paused.body.schedule.status).toBe('paused');
+
+      const resumed = await request(app).post(`/api/receipts/schedules/${scheduleId}/resume`).expect(200);
+      expect(resumed.body.schedule.status).toBe('active');
+
+      const updated = await request(app)
+        .patch(`/api/receipts/schedules/${scheduleId}`)
+        .send({ cron: '30 6 * * 1-5' })
+        .expect(200);
+      expect(updated.body.schedule.cron).toBe('30 6 * * 1-5');
+
+      const list = await request(app).get('/api/receipts/schedules').expect(200);
+      expect(list.body.schedules.map(schedule => schedule.scheduleId)).toContain(scheduleId);
+
+      const runs = await request(app).get(`/api/receipts/schedules/${scheduleId}/runs`).expect(200);
+      expect(runs.body.runs).toEqual([]);
+
+      await request(app).delete(`/api/receipts/schedules/${scheduleId}`).expect(200);
+      await request(app).get(`/api/receipts/schedules/${scheduleId}`).expect(404);
+    });
+
+    test('POST /api/receipts/schedules should reject invalid cron expressions', async () => {
+      const response = await request(app)
+        .post('/api/receipts/schedules')
+        .send({ cron: 'every morning', receipt: { version: '1.0', tasks: [] } })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/Invalid cron/);
+    });
+  });
+
+  describe('Authentication and Roles', () => {
+    const tokens = {};
+    let apiKey;
+
+    beforeAll(async () => {
+      service.identity.enabled = true;
+      for (const role of ['admin', 'operator', 'viewer']) {
+        await service.identity.createUser({ username: `test-${role}`, password: `${role} password`, role });
+        const response = await request(app)
+          .post('/api/auth/login')
+          .send({ username: `test-${role}`, password: `${role} password` })
+          .expect(200);
+        expect(response.body.user.role).toBe(role);
+        tokens[role] = response.body.sessionToken;
+      }
+    });
+
+    afterAll(() => {
+      service.identity.enabled = false;
+    });
+
+    test('should require credentials for the API', async () => {
+      await request(app).get('/api/sessions').expect(401);
+      await request(app).get('/api/receipts/executions').expect(401);
+      await request(app)
+        .get('/api/sessions')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test-admin', password: 'wrong password' })
+        .expect(401);
+    });
+
+    test('should let viewers read and operators change', async () => {
+      await request(app)
+        .get('/api/sessions')
+        .set('X-Session-Token', tokens.viewer)
+        .expect(200);
+      await request(app)
+        .post('/api/sessions')
+        .set('X-Session-Token', tokens.viewer)
+        .send({})
+        .expect(403, { success: false, message: 'Insufficient permissions: operator role required' });
+
+      const created = await request(app)
+        .post('/api/sessions')
+        .set('Authorization', `Bearer ${tokens.operator}`)
+        .send({ debug: true })
+        .expect(201);
+      const sessionId = created.body.session.id;
+
+      // Cookie exports are for operators, also within the tenant
+      await service.identity.createUser({ username: 'test-tenant-viewer', password: 'tenant viewer password', role: 'viewer', tenant: 'test-operator' });
+      const viewerLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test-tenant-viewer', password: 'tenant viewer password' })
+        .expect(200);
+      await request(app)
+        .get(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', viewerLogin.body.sessionToken)
+        .expect(200);
+      for (const path of ['storage-state', 'har']) {
+        await request(app)
+          .get(`/api/sessions/${sessionId}/${path}`)
+          .set('X-Session-Token', viewerLogin.body.sessionToken)
+          .expect(403, { success: false, message: 'Insufficient permissions: operator role required' });
+      }
+      await request(app)
+        .get(`/api/sessions/${sessionId}/har`)
+        .set('X-Session-Token', tokens.operator)
+        .expect(404);
+
+      // Debug endpoints are for admins
+      await request(app)
+        .get(`/api/sessions/${sessionId}/debug/status`)
+        .set('X-Session-Token', tokens.operator)
+        .expect(403);
+      await request(app)
+        .get(`/api/sessions/${sessionId}/debug/status`)
+        .set('X-Session-Token', tokens.admin)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', tokens.operator)
+        .expect(200);
+    });
+
+    test('should keep sessions within their tenant', async () => {
+      await service.identity.createUser({ username: 'test-other', password: 'other password', role: 'operator', tenant: 'other' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test-other', password: 'other password' })
+        .expect(200);
+      expect(login.body.user.tenant).toBe('other');
+      const otherToken = login.body.sessionToken;
+
+      const created = await request(app)
+        .post('/api/sessions')
+        .set('X-Session-Token', tokens.operator)
+        .send({})
+        .expect(201);
+      const sessionId = created.body.session.id;
+      expect(created.body.session.owner).toEqual({ username: 'test-operator', tenant: 'test-operator' });
+
+      // Other tenants cannot see or drive the session
+      for (const path of ['', '/commands', '/nl-tasks', '/interventions', '/events/recent', '/state']) {
+        await request(app)
+          .get(`/api/sessions/${sessionId}${path}`)
+          .set('X-Session-Token', otherToken)
+          .expect(404);
+      }
+      await request(app)
+        .post(`/api/sessions/${sessionId}/commands`)
+        .set('X-Session-Token', otherToken)
+        .send({ type: 'navigate', payload: { url: 'https://example.com' } })
+        .expect(404);
+      await request(app)
+        .delete(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', otherToken)
+        .expect(404);
+
+      const otherList = await request(app)
+        .get('/api/sessions')
+        .set('X-Session-Token', otherToken)
+        .expect(200);
+      expect(otherList.body.sessions.map(session => session.id)).not.toContain(sessionId);
+      expect(otherList.body.quota).toMatchObject({ tenant: 'other', active: 0 });
+
+      // The owner's tenant and admins still can
+      await request(app)
+        .get(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', tokens.viewer)
+        .expect(404);
+      await request(app)
+        .get(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', tokens.admin)
+        .expect(200);
+      await request(app)
+        .delete(`/api/sessions/${sessionId}`)
+        .set('X-Session-Token', tokens.operator)
+        .expect(200);
+    });
+
+    test('should only find commands within the session of the URL', async () => {
+      await service.identity.createUser({ username: 'test-command-other', password: 'command other password', role: 'operator', tenant: 'command-other' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test-command-other', password: 'command other password' })
+        .expect(200);
+      const otherToken = login.body.sessionToken;
+
+      const own = await request(app).post('/api/sessions').set('X-Session-Token', tokens.operator).send({}).expect(201);
+      const other = await request(app).post('/api/sessions').set('X-Session-Token', otherToken).send({}).expect(201);
+      const ownId = own.body.session.id;
+      const otherId = other.body.session.id;
+
+      // A finished and a pending command of the owner's session
+      const executor = service.commandExecutor;
+      executor.commandResults.set('test-finished-command', { commandId: 'test-finished-command', sessionId: ownId, success: true, result: { title: 'Cart' } });
+      executor.pendingCommands.set('test-pending-command', { id: 'test-pending-command', sessionId: ownId, type: 'getTitle', status: 'pending' });
+
+      // Another tenant cannot reach them through its own session
+      for (const commandId of ['test-finished-command', 'test-pending-command']) {
+        await request(app).get(`/api/sessions/${otherId}/commands/${commandId}`).set('X-Session-Token', otherToken).expect(404);
+      }
+      await request(app).delete(`/api/sessions/${otherId}/commands/test-pending-command`).set('X-Session-Token', otherToken).expect(404);
+      expect(executor.pendingCommands.has('test-pending-command')).toBe(true);
+
+      const finished = await request(app).get(`/api/sessions/${ownId}/commands/test-finished-command`).set('X-Session-Token', tokens.operator).expect(200);
+      expect(finished.body.command).toMatchObject({ status: 'completed', sessionId: ownId });
+      await request(app).delete(`/api/sessions/${ownId}/commands/test-pending-command`).set('X-Session-Token', tokens.operator).expect(200);
+
+      executor.commandResults.delete('test-finished-command');
+      await request(app).delete(`/api/sessions/${ownId}`).set('X-Session-Token', tokens.operator).expect(200);
+      await request(app).delete(`/api/sessions/${otherId}`).set('X-Session-Token', otherToken).expect(200);
+    });
+
+    test('should keep receipt executions, schedules and replays within their tenant', async () => {
+      await service.identity.createUser({ username: 'test-tenant-b', password: 'tenant b password', role: 'operator', tenant: 'tenant-b' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test-tenant-b', password: 'tenant b password' })
+        .expect(200);
+      const otherToken = login.body.sessionToken;
+      const asOwner = req => req.set('X-Session-Token', tokens.operator);
+      const asOther = req => req.set('X-Session-Token', otherToken);
+
+      const execution = await asOwner(request(app).post('/api/receipts/run?wait=true'))
+        .send({ version: '1.0', tasks: [] })
+        .expect(200);
+      const { executionId } = execution.body;
+      // The finished run's session is gone
+      await asOwner(request(app).get(`/api/sessions/${execution.body.sessionId}`)).expect(404);
+      // Replays need a browser to run, so the record of a finished one is added directly
+      const replayId = 'test-tenant-replay';
+      service.recordingReplayer.replays.set(replayId, {
+        replayId,
+        owner: { username: 'test-operator', tenant: 'test-operator' },
+        status: 'passed',
+        summary: {},
+        steps: []
+      });
+      const schedule = await asOwner(request(app).post('/api/receipts/schedules'))
+        .send({ cron: '0 7 * * *', receipt: { version: '1.0', tasks: [] } })
+        .expect(201);
+      const { scheduleId } = schedule.body.schedule;
+
+      // Other tenants neither see nor change them
+      await asOther(request(app).get(`/api/receipts/execution/${executionId}`)).expect(404);
+      await asOther(request(app).get(`/api/recordings/replays/${replayId}`)).expect(404);
+      const executions = await asOther(request(app).get('/api/receipts/executions')).expect(200);
+      expect(executions.body.executions.map(item => item.executionId)).not.toContain(executionId);
+      const replays = await asOther(request(app).get('/api/recordings/replays')).expect(200);
+      expect(replays.body.replays.map(item => item.replayId)).not.toContain(replayId);
+      const schedules = await asOther(request(app).get('/api/receipts/schedules')).expect(200);
+      expect(schedules.body.schedules.map(item => item.scheduleId)).not.toContain(scheduleId);
+
+      await asOther(request(app).get(`/api/receipts/schedules/${scheduleId}`)).expect(404);
+      await asOther(request(app).get(`/api/receipts/schedules/${scheduleId}/runs`)).expect(404);
+      await asOther(request(app).patch(`/api/receipts/schedules/${scheduleId}`)).send({ cron: '0 8 * * *' }).expect(404);
+      for (const action of ['pause', 'resume', 'run']) {
+        await asOther(request(app).post(`/api/receipts/schedules/${scheduleId}/${action}`)).expect(404);
+      }
+      await asOther(request(app).delete(`/api/receipts/schedules/${scheduleId}`)).expect(404);
+
+      // The owner's tenant and admins still can
+      await asOwner(request(app).get(`/api/receipts/execution/${executionId}`)).expect(200);
+      await asOwner(request(app).get(`/api/recordings/replays/${replayId}`)).expect(200);
+      const adminList = await request(app).get('/api/receipts/schedules').set('X-Session-Token', tokens.admin).expect(200);
+      expect(adminList.body.schedules.map(item => item.scheduleId)).toContain(scheduleId);
+      await asOwner(request(app).delete(`/api/receipts/schedules/${scheduleId}`)).expect(200);
+      service.recordingReplayer.replays.delete(replayId);
+    });
+
+    test('should reject sessions beyond the tenant quota', async () => {
+      service.sessionManager.tenantQuotas.set('test-operator', 1);
+      try {
+        const created = await request(app)
+          .post('/api/sessions')
+          .set('X-Session-Token', tokens.operator)
+          .send({})
+          .expect(201);
+        const rejected = await request(app)
+          .post('/api/sessions')
+          .set('X-Session-Token', tokens.operator)
+          .send({})
+          .expect(429);
+        expect(rejected.body.error).toBe('Session quota reached for tenant test-operator (1)');
+
+        await request(app)
+          .delete(`/api/sessions/${created.body.session.id}`)
+          .set('X-Session-Token', tokens.operator)
+          .expect(200);
+      } finally {
+        service.sessionManager.tenantQuotas.delete('test-operator');
+      }
+    });
+
+    test('should let admins manage users and API keys', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .set('X-Session-Token', tokens.operator)
+        .expect(403);
+
+      const created = await request(app)
+        .post('/api/admin/users')
+        .set('X-Session-Token', tokens.admin)
+        .send({ username: 'test-ci', password: 'ci password', role: 'operator' })
+        .expect(201);
+      expect(created.body.user).toMatchObject({ username: 'test-ci', role: 'operator' });
+      expect(created.body.user.passwordHash).toBeUndefined();
+
+      await request(app)
+        .post('/api/admin/users')
+        .set('X-Session-Token', tokens.admin)
+        .send({ username: 'test-ci', password: 'ci password' })
+        .expect(409);
+
+      const key = await request(app)
+        .post('/api/admin/api-keys')
+        .set('X-Session-Token', tokens.admin)
+        .send({ name: 'CI runner', username: 'test-ci', role: 'viewer' })
+        .expect(201);
+      apiKey = key.body.key;
+      expect(key.body.apiKey).toMatchObject({ name: 'CI runner', username: 'test-ci', role: 'viewer' });
+
+      await request(app)
+        .get('/api/receipts/executions')
+        .set('X-API-Key', apiKey)
+        .expect(200);
+      await request(app)
+        .post('/api/receipts/run')
+        .set('X-API-Key', apiKey)
+        .send({})
+        .expect(403);
+
+      // Deleting the user revokes its keys
+      await request(app)
+        .delete('/api/admin/users/test-ci')
+        .set('X-Session-Token', tokens.admin)
+        .expect(200);
+      await request(app)
+        .get('/api/receipts/executions')
+        .set('X-API-Key', apiKey)
+        .expect(401);
+    });
+  });
+
   describe('Debug Endpoints', () => {
     let sessionId;
 